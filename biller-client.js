@@ -9,7 +9,11 @@ const logger = require('./utils/logger');
 const { withRetry } = require('./utils/retry');
 const { 
   validarRUT, 
+  normalizarDocumento,
   extraerRUTDePedido, 
+  extraerDocumentoMercadoLibre,
+  extraerDocumentoWooCommerce,
+  extraerDocumentoTiendanube,
   validarDatosComprobante,
   sanitizarString 
 } = require('./utils/validators');
@@ -224,7 +228,7 @@ class BillerClient {
    * @param {string} rut - RUT a validar (12 dígitos)
    */
   async validarRUTConDGI(rut) {
-    const rutLimpio = String(rut).replace(/\D/g, '');
+    const rutLimpio = normalizarDocumento(rut);
     
     // Validación local primero
     const validacionLocal = validarRUT(rutLimpio);
@@ -302,7 +306,9 @@ class BillerClient {
       forma_pago: datos.forma_pago || 1,
       numero_interno: datos.numero_interno || datos.numero_orden || `shopify-${Date.now()}`,
       sucursal: sucursalId,
-      ...rest
+      ...rest,
+      // reglaFiscal queda en nuestro registro (auditoría), no se envía a Biller
+      items: rest.items?.map(({ reglaFiscal, ...item }) => item)
     };
 
     const validacion = validarDatosComprobante(datosCompletos);
@@ -427,15 +433,7 @@ class BillerClient {
   }
 
   getTipoComprobanteStr(tipo) {
-    const tipos = {
-      101: 'e-Ticket',
-      102: 'NC e-Ticket',
-      103: 'ND e-Ticket',
-      111: 'e-Factura',
-      112: 'NC e-Factura',
-      113: 'ND e-Factura'
-    };
-    return tipos[tipo] || `CFE ${tipo}`;
+    return config.NOMBRES_CFE[tipo] || `CFE ${tipo}`;
   }
 
   /**
@@ -542,51 +540,271 @@ class BillerClient {
 // CONVERSIÓN SHOPIFY → BILLER
 // ============================================================
 
+/**
+ * Moneda en que pagó el cliente (Shopify Markets: presentment_currency)
+ * @param {Object} order - Pedido de Shopify
+ * @returns {string} Código ISO 4217
+ */
+function monedaShopify(order) {
+  return order?.presentment_currency || order?.currency || 'UYU';
+}
+
+/**
+ * Monto de Shopify en la moneda pedida: usa el `<campo>_set` (shop_money /
+ * presentment_money) y si no lo trae, el campo plano (moneda de la tienda)
+ * @param {Object} obj - Pedido, línea, envío o ajuste
+ * @param {string} campo - 'price', 'total_discounts', 'amount'...
+ * @param {string} moneda - Moneda del comprobante
+ * @returns {number}
+ */
+function montoShopify(obj, campo, moneda = null) {
+  const set = obj?.[`${campo}_set`];
+
+  if (moneda && set) {
+    const monto = [set.presentment_money, set.shop_money].find(m => m?.currency_code === moneda);
+    if (monto) return parseFloat(monto.amount) || 0;
+  }
+
+  return parseFloat(obj?.[campo]) || 0;
+}
+
+/**
+ * Indicador de IVA según la tasa (0.22 básica, 0.10 mínima, 0 exento)
+ * @param {number} tasa - Tasa como fracción
+ * @returns {number} Código de INDICADORES_IVA
+ */
+function indicadorPorTasa(tasa) {
+  const porcentaje = Math.round((parseFloat(tasa) || 0) * 100);
+  if (porcentaje === 0) return config.INDICADORES_IVA.EXENTO;
+  if (porcentaje === 10) return config.INDICADORES_IVA.GRAVADO_MINIMA;
+  return config.INDICADORES_IVA.GRAVADO_BASICA;
+}
+
+/**
+ * Indicador de IVA de una línea o envío de Shopify según sus tax_lines
+ * Sin tax_lines informados se asume IVA básico.
+ * @param {Object} linea - line_item o shipping_line
+ * @returns {number} Código de INDICADORES_IVA
+ */
+function indicadorIVAShopify(linea) {
+  if (!linea || linea.taxable === false) return config.INDICADORES_IVA.EXENTO;
+  if (!Array.isArray(linea.tax_lines)) return config.INDICADORES_IVA.GRAVADO_BASICA;
+
+  const tasa = linea.tax_lines.reduce((max, t) => Math.max(max, parseFloat(t.rate) || 0), 0);
+  return indicadorPorTasa(tasa);
+}
+
+/**
+ * Indicador de IVA y unidad de medida de una línea de producto de Shopify:
+ * la regla fiscal que coincida o, si ninguna, la tasa de sus tax_lines
+ * @param {Object} linea - line_item
+ * @param {Object} options
+ * @param {Object} options.reglasFiscales - FiscalRulesService (opcional)
+ * @param {Object} options.productos - Productos por product_id (reglas por tipo, tag o metafield)
+ * @returns {{ indicador: number, unidadMedida: string, regla: Object|null }}
+ */
+function fiscalLineaShopify(linea, { reglasFiscales = null, productos = {} } = {}) {
+  const coincidencia = reglasFiscales?.evaluar(linea, productos[linea.product_id] || null);
+  return {
+    indicador: coincidencia?.indicador ?? indicadorIVAShopify(linea),
+    unidadMedida: coincidencia?.unidadMedida || 'UN',
+    regla: coincidencia?.regla || null
+  };
+}
+
+/**
+ * Indicador de IVA y unidad de medida de un envío de Shopify (regla fiscal o tax_lines)
+ * @param {Object} envio - shipping_line
+ * @param {Object} options - { reglasFiscales }
+ * @returns {{ indicador: number, unidadMedida: string, regla: Object|null }}
+ */
+function fiscalEnvioShopify(envio, { reglasFiscales = null } = {}) {
+  const coincidencia = reglasFiscales?.evaluarEnvio(envio);
+  return {
+    indicador: coincidencia?.indicador ?? indicadorIVAShopify(envio),
+    unidadMedida: coincidencia?.unidadMedida || 'SV',
+    regla: coincidencia?.regla || null
+  };
+}
+
+/**
+ * Descripción corta de cada indicador de IVA (líneas de descuento)
+ */
+const DESCRIPCION_INDICADOR = Object.freeze({
+  [config.INDICADORES_IVA.EXENTO]: 'exento',
+  [config.INDICADORES_IVA.GRAVADO_MINIMA]: 'IVA 10%',
+  [config.INDICADORES_IVA.GRAVADO_BASICA]: 'IVA 22%',
+  [config.INDICADORES_IVA.NO_GRAVADO]: 'no gravado'
+});
+
+/**
+ * Descuentos de un pedido de Shopify agrupados por indicador de IVA, según los
+ * discount_allocations de cada línea y envío. Pedidos sin asignaciones usan
+ * total_discounts con el indicador de sus líneas (básico si hay varios).
+ * @param {Object} order - Pedido de Shopify
+ * @param {string} moneda - Moneda de los montos
+ * @param {Object} options - { reglasFiscales, productos } (ver fiscalLineaShopify)
+ * @returns {Object} { [indicador]: monto positivo }
+ */
+function descuentosPorIndicadorShopify(order, moneda = monedaShopify(order), options = {}) {
+  const descuentos = {};
+  const lineas = [
+    ...(order.line_items || []).map(linea => [linea, fiscalLineaShopify(linea, options)]),
+    ...(order.shipping_lines || []).map(envio => [envio, fiscalEnvioShopify(envio, options)])
+  ];
+
+  for (const [linea, { indicador }] of lineas) {
+    const monto = (linea.discount_allocations || [])
+      .reduce((sum, d) => sum + Math.abs(montoShopify(d, 'amount', moneda)), 0);
+    if (monto <= 0) continue;
+
+    descuentos[indicador] = Math.round(((descuentos[indicador] || 0) + monto) * 100) / 100;
+  }
+
+  if (Object.keys(descuentos).length > 0) return descuentos;
+
+  const total = Math.abs(montoShopify(order, 'total_discounts', moneda));
+  if (total <= 0) return descuentos;
+
+  const indicadoresLineas = new Set((order.line_items || []).map(l => fiscalLineaShopify(l, options).indicador));
+  const indicador = indicadoresLineas.size === 1
+    ? [...indicadoresLineas][0]
+    : config.INDICADORES_IVA.GRAVADO_BASICA;
+
+  return { [indicador]: total };
+}
+
+/**
+ * montos_brutos del comprobante: 1 si la tienda carga precios con IVA incluido
+ * @param {Object} order - Pedido de Shopify
+ * @returns {number} 1 | 0
+ */
+function montosBrutosShopify(order) {
+  return order?.taxes_included ? 1 : 0;
+}
+
+/**
+ * Monto neto (sin IVA) de un pedido de Shopify. total_price siempre incluye
+ * los impuestos, tenga la tienda precios con o sin IVA.
+ * @param {Object} order - Pedido de Shopify
+ * @param {string} moneda - Moneda de los montos (la del cliente por defecto)
+ * @returns {number}
+ */
+function montoNetoShopify(order, moneda = monedaShopify(order)) {
+  return montoShopify(order, 'total_price', moneda) - montoShopify(order, 'total_tax', moneda);
+}
+
+/**
+ * Monto neto (sin IVA) de items ya convertidos a Biller, con la tasa de su indicador
+ * (exento / mínima / básica). Para los canales sin impuestos desglosados.
+ * @param {Array} items - Items en formato Biller
+ * @param {number} montosBrutos - 1 si los precios incluyen IVA
+ * @returns {number}
+ */
+function montoNetoItems(items, montosBrutos = 1) {
+  const tasas = {
+    [config.INDICADORES_IVA.GRAVADO_MINIMA]: 0.10,
+    [config.INDICADORES_IVA.GRAVADO_BASICA]: 0.22
+  };
+
+  return items.reduce((sum, item) => {
+    const importe = item.cantidad * item.precio;
+    return sum + (montosBrutos ? importe / (1 + (tasas[item.indicador_facturacion] || 0)) : importe);
+  }, 0);
+}
+
+/**
+ * Desglose de IVA por tasa de un pedido de Shopify a partir de las tax_lines
+ * de cada línea y envío (descuentos ya asignados vía discount_allocations)
+ * @param {Object} order - Pedido de Shopify
+ * @param {string} moneda - Moneda de los montos
+ * @returns {Object} { montosBrutos, porIndicador: { [indicador]: { neto, iva } }, totalNeto, totalIVA, totalIVAShopify, cuadra }
+ */
+function desgloseIVAShopify(order, moneda = monedaShopify(order)) {
+  const montosBrutos = montosBrutosShopify(order);
+  const porIndicador = {};
+  const redondear = n => Math.round(n * 100) / 100;
+
+  const sumar = (linea, importe) => {
+    const descuento = (linea.discount_allocations || [])
+      .reduce((sum, d) => sum + montoShopify(d, 'amount', moneda), 0);
+    const iva = (linea.tax_lines || [])
+      .reduce((sum, t) => sum + montoShopify(t, 'price', moneda), 0);
+    const bruto = importe - descuento;
+
+    const indicador = indicadorIVAShopify(linea);
+    const acumulado = porIndicador[indicador] || (porIndicador[indicador] = { neto: 0, iva: 0 });
+    acumulado.neto = redondear(acumulado.neto + (montosBrutos ? bruto - iva : bruto));
+    acumulado.iva = redondear(acumulado.iva + iva);
+  };
+
+  for (const lineItem of (order.line_items || [])) {
+    sumar(lineItem, montoShopify(lineItem, 'price', moneda) * (parseInt(lineItem.quantity) || 1));
+  }
+  for (const shippingLine of (order.shipping_lines || [])) {
+    sumar(shippingLine, montoShopify(shippingLine, 'price', moneda));
+  }
+
+  const valores = Object.values(porIndicador);
+  const totalIVA = redondear(valores.reduce((sum, v) => sum + v.iva, 0));
+  const totalIVAShopify = montoShopify(order, 'total_tax', moneda);
+
+  return {
+    montosBrutos,
+    porIndicador,
+    totalNeto: redondear(valores.reduce((sum, v) => sum + v.neto, 0)),
+    totalIVA,
+    totalIVAShopify,
+    cuadra: Math.abs(totalIVA - totalIVAShopify) < 0.01
+  };
+}
+
 /**
  * Convertir pedido de Shopify a formato Biller
  * @param {Object} order - Pedido de Shopify
+ * @param {Object} decision - Resultado de BillingDecisionService (opcional)
+ * @param {Object} options - Reglas fiscales a aplicar
+ * @param {Object} options.reglasFiscales - FiscalRulesService (opcional)
+ * @param {Object} options.productos - Productos por product_id (reglas por tipo, tag o metafield)
  * @returns {Object} - Datos para crear comprobante en Biller
  */
-function shopifyOrderToBiller(order) {
-  // 1. Extraer RUT si existe
-  const { rut, razonSocial, source } = extraerRUTDePedido(order);
+function shopifyOrderToBiller(order, decision = null, options = {}) {
+  // 1. Extraer RUT si existe (sin decisión previa)
+  const { rut, razonSocial, source } = decision ? {} : extraerRUTDePedido(order);
   
   // 2. Determinar tipo de comprobante y preparar cliente
- let tipoComprobante = config.TIPOS_CFE.E_TICKET;
+  let tipoComprobante = config.TIPOS_CFE.E_TICKET;
   let cliente = null;
   const emailNotificacion = order.email || order.customer?.email || null;
 
-  if (rut) {
+  if (decision) {
+    tipoComprobante = decision.tipoComprobante;
+
+    if (decision.cliente) {
+      cliente = construirClienteBiller({
+        documento: decision.cliente.documento,
+        tipoDocumento: decision.cliente.tipoDocumento,
+        razonSocial: decision.cliente.razonSocial,
+        direccion: decision.cliente.direccion || order.billing_address || order.shipping_address,
+        pais: decision.cliente.pais,
+        email: emailNotificacion,
+        informacionAdicional: order.note
+      });
+    }
+  } else if (rut) {
     const validacion = validarRUT(rut);
     const rutLimpio = validacion.cleaned || rut;
     
     if (validacion.valid || validacion.needsVerification) {
       tipoComprobante = config.TIPOS_CFE.E_FACTURA;
       
-      cliente = {
-        tipo_documento: rutLimpio.length === 12 ? config.TIPOS_DOCUMENTO.RUT : config.TIPOS_DOCUMENTO.CI,
+      cliente = construirClienteBiller({
         documento: rutLimpio,
-        razon_social: sanitizarString(razonSocial || 'Cliente', 70),
-        nombre_fantasia: sanitizarString(razonSocial || 'Cliente', 70),
-        informacion_adicional: sanitizarString(order.note || '', 150),
-        sucursal: {
-          pais: 'UY'
-        }
-      };
-      
-      const direccion = order.billing_address || order.shipping_address;
-      if (direccion) {
-        cliente.sucursal.direccion = sanitizarString(
-          [direccion.address1, direccion.address2].filter(Boolean).join(' '),
-          70
-        );
-        if (direccion.city) cliente.sucursal.ciudad = sanitizarString(direccion.city, 30);
-        if (direccion.province) cliente.sucursal.departamento = sanitizarString(direccion.province, 30);
-      }
-      
-      if (emailNotificacion) {
-        cliente.sucursal.emails = [emailNotificacion];
-      }
+        razonSocial,
+        direccion: order.billing_address || order.shipping_address,
+        email: emailNotificacion,
+        informacionAdicional: order.note
+      });
       
       logger.info('RUT detectado, emitiendo e-Factura', { 
         rut: rutLimpio,
@@ -605,21 +823,16 @@ function shopifyOrderToBiller(order) {
     logger.info('Sin RUT, emitiendo e-Ticket');
   }
 
-  // 3. Convertir items
+  // 3. Convertir items (en la moneda que pagó el cliente)
+  const moneda = monedaShopify(order);
   const items = [];
   
   for (const lineItem of (order.line_items || [])) {
-    const precioUnitario = parseFloat(lineItem.price) || 0;
+    const precioUnitario = montoShopify(lineItem, 'price', moneda);
     const cantidad = parseInt(lineItem.quantity) || 1;
     
-    // Determinar indicador de IVA
-    let indicadorIVA = config.INDICADORES_IVA.GRAVADO_BASICA; // 22% por defecto
-    
-    if (lineItem.tax_lines?.length === 0 || lineItem.taxable === false) {
-      indicadorIVA = config.INDICADORES_IVA.EXENTO;
-    } else if (lineItem.tax_lines?.some(t => t.rate === 0.10)) {
-      indicadorIVA = config.INDICADORES_IVA.GRAVADO_MINIMA; // 10%
-    }
+    // Indicador de IVA: regla fiscal o tasa de sus tax_lines (22% por defecto)
+    const fiscal = fiscalLineaShopify(lineItem, options);
 
     const item = {
       cantidad,
@@ -631,58 +844,94 @@ function shopifyOrderToBiller(order) {
         200
       ),
       precio: precioUnitario,
-      indicador_facturacion: indicadorIVA,
-      unidad_medida: 'UN'
+      indicador_facturacion: fiscal.indicador,
+      unidad_medida: fiscal.unidadMedida
     };
 
     if (lineItem.sku) {
       item.codigo = sanitizarString(lineItem.sku, 35);
     }
 
+    if (fiscal.regla) {
+      item.reglaFiscal = fiscal.regla;
+    }
+
     items.push(item);
   }
 
-  // 4. Agregar envío si existe
-  const shippingTotal = (order.shipping_lines || [])
-    .reduce((sum, line) => sum + (parseFloat(line.price) || 0), 0);
-  
-  if (shippingTotal > 0) {
-    items.push({
+  // 4. Envíos: cada uno con su regla fiscal o el IVA de sus propias tax_lines
+  for (const shippingLine of (order.shipping_lines || [])) {
+    const precioEnvio = montoShopify(shippingLine, 'price', moneda);
+    if (precioEnvio <= 0) continue;
+
+    const fiscal = fiscalEnvioShopify(shippingLine, options);
+    const item = {
       concepto: 'Envío',
-      descripcion: sanitizarString(
-        order.shipping_lines?.[0]?.title || 'Costo de envío',
-        200
-      ),
+      descripcion: sanitizarString(shippingLine.title || 'Costo de envío', 200),
       cantidad: 1,
-      precio: shippingTotal,
-      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
-      unidad_medida: 'SV' // Servicio
-    });
+      precio: precioEnvio,
+      indicador_facturacion: fiscal.indicador,
+      unidad_medida: fiscal.unidadMedida // Servicio por defecto
+    };
+
+    if (fiscal.regla) {
+      item.reglaFiscal = fiscal.regla;
+    }
+
+    items.push(item);
   }
 
-  // 5. Manejar descuentos
-  const discountTotal = Math.abs(parseFloat(order.total_discounts) || 0);
-  if (discountTotal > 0) {
-    const discountCodes = order.discount_codes?.map(d => d.code).join(', ');
-    
+  // 5. Descuentos: una línea por indicador de IVA de lo descontado
+  const discountCodes = order.discount_codes?.map(d => d.code).join(', ');
+  const descuentos = descuentosPorIndicadorShopify(order, moneda, options);
+  const indicadores = Object.keys(descuentos).map(Number);
+
+  for (const indicador of indicadores) {
+    const detalle = discountCodes || 'Descuento aplicado';
+
     items.push({
       concepto: 'Descuento',
-      descripcion: sanitizarString(discountCodes || 'Descuento aplicado', 200),
+      descripcion: sanitizarString(
+        indicadores.length > 1 ? `${detalle} (${DESCRIPCION_INDICADOR[indicador]})` : detalle,
+        200
+      ),
       cantidad: 1,
-      precio: -discountTotal,
-      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      precio: -descuentos[indicador],
+      indicador_facturacion: indicador,
       unidad_medida: 'UN'
     });
   }
 
-  // 6. Construir objeto final
+  // 6. Precios con o sin IVA según la tienda; el desglose debe coincidir con Shopify
+  const montosBrutos = montosBrutosShopify(order);
+  const desglose = desgloseIVAShopify(order, moneda);
+
+  if (!desglose.cuadra) {
+    logger.warn('El IVA de las líneas no coincide con total_tax del pedido', {
+      orderId: order.id,
+      montosBrutos,
+      ivaLineas: desglose.totalIVA,
+      ivaShopify: desglose.totalIVAShopify
+    });
+  }
+
+  // 7. Exportación: operación exenta, todo con indicador de exportación
+  const exportacion = tipoComprobante === config.TIPOS_CFE.E_FACTURA_EXPORTACION;
+  if (exportacion) {
+    for (const item of items) {
+      item.indicador_facturacion = config.INDICADORES_IVA.EXPORTACION;
+    }
+  }
+
+  // 8. Construir objeto final
   const billerData = {
     tipo_comprobante: tipoComprobante,
     items,
     forma_pago: determinarFormaPago(order),
     sucursal: config.biller.empresa.sucursal ? parseInt(config.biller.empresa.sucursal) : undefined,
-    moneda: 'UYU',
-    montos_brutos: 0,
+    // tipo_cambio lo agrega el pipeline (cotización a la fecha del comprobante)
+    moneda,
+    montos_brutos: montosBrutos,
     numero_interno: `shopify-${order.id}`,
     numero_orden: order.name || `#${order.order_number}`,
     informacion_adicional: sanitizarString(
@@ -697,12 +946,75 @@ function shopifyOrderToBiller(order) {
     billerData.cliente = cliente;
   }
 
+  if (exportacion) {
+    Object.assign(billerData, datosExportacion());
+  }
+
   // Email para envío de comprobante (no se envía a Biller, sólo para re-envío)
   billerData.emailCliente = emailNotificacion;
 
   return billerData;
 }
 
+/**
+ * Datos de la operación de exportación (cláusula de venta, modalidad, vía de transporte)
+ * @param {Object} original - Datos guardados del comprobante original (NC/ND), si existe
+ * @returns {{ clausula_venta: string, modalidad_venta: number, via_transporte: number }}
+ */
+function datosExportacion(original = null) {
+  const { clausulaVenta, modalidadVenta, viaTransporte } = config.facturacion.exportacion;
+  return {
+    clausula_venta: original?.clausula_venta || clausulaVenta,
+    modalidad_venta: original?.modalidad_venta || modalidadVenta,
+    via_transporte: original?.via_transporte || viaTransporte
+  };
+}
+
+/**
+ * Construir bloque cliente de Biller para e-Factura
+ * @param {Object} params
+ * @param {string} params.documento - RUT (12 dígitos), CI (8 dígitos) o documento del exterior limpio;
+ *   puede faltar en exportación
+ * @param {number} params.tipoDocumento - Código de TIPOS_DOCUMENTO (RUT o CI según el largo si falta)
+ * @param {string} params.razonSocial - Razón social o nombre del comprador
+ * @param {Object} params.direccion - Dirección {address1, address2, city, province}
+ * @param {string} params.pais - País del receptor o del documento del exterior (ISO alfa-2, 'UY' por defecto)
+ * @param {string} params.email - Email de notificación
+ * @param {string} params.informacionAdicional - Texto libre
+ * @returns {Object} - Cliente en formato Biller
+ */
+function construirClienteBiller({ documento, tipoDocumento, razonSocial, direccion, pais, email, informacionAdicional }) {
+  const cliente = {
+    razon_social: sanitizarString(razonSocial || 'Cliente', 70),
+    nombre_fantasia: sanitizarString(razonSocial || 'Cliente', 70),
+    informacion_adicional: sanitizarString(informacionAdicional || '', 150),
+    sucursal: {
+      pais: pais || 'UY'
+    }
+  };
+
+  if (documento) {
+    cliente.tipo_documento = tipoDocumento ||
+      (documento.length === 12 ? config.TIPOS_DOCUMENTO.RUT : config.TIPOS_DOCUMENTO.CI);
+    cliente.documento = documento;
+  }
+
+  if (direccion) {
+    cliente.sucursal.direccion = sanitizarString(
+      [direccion.address1, direccion.address2].filter(Boolean).join(' '),
+      70
+    );
+    if (direccion.city) cliente.sucursal.ciudad = sanitizarString(direccion.city, 30);
+    if (direccion.province) cliente.sucursal.departamento = sanitizarString(direccion.province, 30);
+  }
+
+  if (email) {
+    cliente.sucursal.emails = [email];
+  }
+
+  return cliente;
+}
+
 /**
  * Determinar forma de pago desde pedido de Shopify
  * @param {Object} order
@@ -716,53 +1028,204 @@ function determinarFormaPago(order) {
 }
 
 /**
- * Convertir reembolso de Shopify a items para Nota de Crédito
+ * Precio e indicador de IVA de un order_adjustment de reembolso. Shopify
+ * informa `amount` sin IVA y el impuesto aparte en `tax_amount`. La devolución
+ * de envío aplica la regla fiscal de envíos si hay una.
+ * @param {Object} adjustment - order_adjustment del reembolso
+ * @param {string} moneda - Moneda de la NC
+ * @param {number} montosBrutos - 1 si la NC va con IVA incluido
+ * @param {Object} options - { reglasFiscales, envio: shipping_line del pedido original }
+ * @returns {{ precio: number, indicador: number, unidadMedida: string, regla: Object|null }}
+ */
+function ajusteReembolsoShopify(adjustment, moneda, montosBrutos, options = {}) {
+  const monto = Math.abs(montoShopify(adjustment, 'amount', moneda));
+  const impuesto = Math.abs(montoShopify(adjustment, 'tax_amount', moneda));
+  const informaImpuesto = adjustment.tax_amount !== undefined || adjustment.tax_amount_set !== undefined;
+  const coincidencia = adjustment.kind === 'shipping_refund'
+    ? options.reglasFiscales?.evaluarEnvio(options.envio || {})
+    : null;
+
+  return {
+    precio: Math.round((montosBrutos ? monto + impuesto : monto) * 100) / 100,
+    indicador: coincidencia?.indicador ?? (informaImpuesto && monto > 0
+      ? indicadorPorTasa(impuesto / monto)
+      : config.INDICADORES_IVA.GRAVADO_BASICA),
+    unidadMedida: coincidencia?.unidadMedida || 'UN',
+    regla: coincidencia?.regla || null
+  };
+}
+
+/**
+ * Importe de un reembolso informado sólo por transacciones (siempre con IVA)
+ * en la base de la NC: sin IVA usa la proporción neto/total del pedido original
+ * @param {number} totalReembolsado - Suma de las transacciones de reembolso
+ * @param {Object} originalOrder - Pedido original (opcional)
+ * @param {string} moneda - Moneda de la NC
+ * @param {number} montosBrutos - 1 si la NC va con IVA incluido
+ * @returns {number}
+ */
+function importeReembolsoShopify(totalReembolsado, originalOrder, moneda, montosBrutos) {
+  const total = originalOrder ? montoShopify(originalOrder, 'total_price', moneda) : 0;
+  if (montosBrutos || total <= 0) return totalReembolsado;
+
+  return Math.round(totalReembolsado * (montoNetoShopify(originalOrder, moneda) / total) * 100) / 100;
+}
+
+/**
+ * Importe reembolsado al cliente (con IVA): las transacciones de reembolso exitosas
+ * o, si no vienen (o son de otra moneda), líneas + envío + ajustes
+ * @param {Object} refund - Reembolso de Shopify
+ * @param {string} moneda - Moneda del comprobante (sin ella, la de la tienda)
+ * @returns {number}
+ */
+function totalReembolsoShopify(refund, moneda = null) {
+  const transacciones = (refund.transactions || []).filter(t => t.kind === 'refund' && t.status === 'success');
+  if (transacciones.length > 0 && transacciones.every(t => !moneda || !t.currency || t.currency === moneda)) {
+    return Math.round(transacciones.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0) * 100) / 100;
+  }
+
+  const lineas = (refund.refund_line_items || [])
+    .reduce((sum, r) => sum + montoShopify(r, 'subtotal', moneda) + montoShopify(r, 'total_tax', moneda), 0);
+  const envios = (refund.refund_shipping_lines || []).reduce((sum, e) => {
+    const monedaEnvio = moneda || e.subtotal_amount_set?.shop_money?.currency_code;
+    return sum + montoShopify(e, 'subtotal_amount', monedaEnvio) + montoShopify(e, 'tax_amount', monedaEnvio);
+  }, 0);
+  const ajustes = (refund.order_adjustments || [])
+    .reduce((sum, a) => sum + Math.abs(montoShopify(a, 'amount', moneda)) + Math.abs(montoShopify(a, 'tax_amount', moneda)), 0);
+
+  return Math.round((lineas + envios + ajustes) * 100) / 100;
+}
+
+/**
+ * Convertir reembolso de Shopify a items para Nota de Crédito (también los reembolsos
+ * de MercadoLibre, que llegan con este formato)
  * @param {Object} refund - Reembolso de Shopify
  * @param {Object} originalOrder - Pedido original (opcional)
+ * @param {Object} options
+ * @param {string} options.moneda - Moneda de la NC (por defecto la del pedido)
+ * @param {number} options.montosBrutos - 1 si la NC va con IVA incluido (por defecto, como el pedido)
+ * @param {Function} options.fiscalLinea - (lineItem) → { indicador, unidadMedida, regla }
+ *   (por defecto fiscalLineaShopify con las reglas de options)
+ * @param {Object} options.reglasFiscales - Ver fiscalLineaShopify
+ * @returns {Array} Items en formato Biller
  */
-function shopifyRefundToNCItems(refund, originalOrder = null) {
+function shopifyRefundToNCItems(refund, originalOrder = null, options = {}) {
+  const moneda = options.moneda !== undefined ? options.moneda : (originalOrder ? monedaShopify(originalOrder) : null);
+  const montosBrutos = options.montosBrutos ?? (originalOrder ? montosBrutosShopify(originalOrder) : 0);
+  const fiscalLinea = options.fiscalLinea || (lineItem => fiscalLineaShopify(lineItem, options));
   const items = [];
   
-  // Items del reembolso
-  if (refund.refund_line_items?.length > 0) {
-    for (const refundItem of refund.refund_line_items) {
-      const lineItem = refundItem.line_item;
-      if (!lineItem) continue;
-      
-      const precio = parseFloat(lineItem.price) || 0;
-      const cantidad = parseInt(refundItem.quantity) || 1;
-      
-      items.push({
-        concepto: sanitizarString(lineItem.title || 'Producto', 80),
-        descripcion: sanitizarString(`Devolución: ${lineItem.title || 'Producto'}`, 200),
-        cantidad,
-        precio: precio,
-        indicador_facturacion: lineItem.taxable === false 
-          ? config.INDICADORES_IVA.EXENTO 
-          : config.INDICADORES_IVA.GRAVADO_BASICA,
-        unidad_medida: 'UN'
-      });
+  // 1. Items del reembolso (productos devueltos)
+  for (const refundItem of (refund.refund_line_items || [])) {
+    const lineItem = refundItem.line_item;
+    if (!lineItem) continue;
+
+    const fiscal = fiscalLinea(lineItem);
+
+    // subtotal (Shopify) ya descuenta los descuentos aplicados a lo devuelto
+    const cantidad = parseInt(refundItem.quantity) || 1;
+    const informaSubtotal = refundItem.subtotal !== undefined || refundItem.subtotal_set !== undefined;
+    const precio = informaSubtotal
+      ? Math.round((montoShopify(refundItem, 'subtotal', moneda) / cantidad) * 100) / 100
+      : montoShopify(lineItem, 'price', moneda);
+
+    const item = {
+      concepto: sanitizarString(lineItem.title || 'Producto', 80),
+      descripcion: sanitizarString(
+        `Devolución: ${lineItem.title || 'Producto'}${lineItem.variant_title ? ` - ${lineItem.variant_title}` : ''}`,
+        200
+      ),
+      cantidad,
+      precio,
+      indicador_facturacion: fiscal.indicador,
+      unidad_medida: fiscal.unidadMedida,
+      // Mismo código que en la factura: es la clave de la línea en el ledger
+      codigo: lineItem.sku ? sanitizarString(lineItem.sku, 35) : null
+    };
+
+    if (fiscal.regla) {
+      item.reglaFiscal = fiscal.regla;
     }
+
+    items.push(item);
   }
 
-  // Ajustes del reembolso (shipping refund, etc.)
-  if (refund.order_adjustments?.length > 0) {
-    for (const adj of refund.order_adjustments) {
-      const amount = parseFloat(adj.amount) || 0;
-      if (amount === 0) continue;
-      
-      items.push({
-        concepto: sanitizarString(adj.kind || 'Ajuste', 80),
-        descripcion: sanitizarString(adj.reason || 'Ajuste de reembolso', 200),
-        cantidad: 1,
-        precio: Math.abs(amount),
-        indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
-        unidad_medida: 'UN'
-      });
+  // 2. Envíos devueltos (refund_shipping_lines, API 2023+)
+  for (const envioDevuelto of (refund.refund_shipping_lines || [])) {
+    const monedaEnvio = moneda || envioDevuelto.subtotal_amount_set?.shop_money?.currency_code;
+    const ajuste = ajusteReembolsoShopify({
+      kind: 'shipping_refund',
+      amount: montoShopify(envioDevuelto, 'subtotal_amount', monedaEnvio),
+      tax_amount: montoShopify(envioDevuelto, 'tax_amount', monedaEnvio)
+    }, null, montosBrutos, {
+      reglasFiscales: options.reglasFiscales,
+      envio: envioDevuelto.shipping_line || originalOrder?.shipping_lines?.[0]
+    });
+
+    if (ajuste.precio === 0) continue;
+
+    const item = {
+      concepto: 'Devolución envío',
+      descripcion: envioDevuelto.shipping_line?.title
+        ? sanitizarString(`Reembolso de envío: ${envioDevuelto.shipping_line.title}`, 200)
+        : 'Reembolso de costo de envío',
+      cantidad: 1,
+      precio: ajuste.precio,
+      indicador_facturacion: ajuste.indicador,
+      unidad_medida: ajuste.unidadMedida
+    };
+
+    if (ajuste.regla) {
+      item.reglaFiscal = ajuste.regla;
+    }
+
+    items.push(item);
+  }
+
+  // 3. Ajustes del reembolso (shipping, descuentos, etc.)
+  for (const adjustment of (refund.order_adjustments || [])) {
+    const amount = montoShopify(adjustment, 'amount', moneda);
+    if (amount === 0) continue;
+
+    let concepto;
+    let descripcion = adjustment.reason || 'Ajuste de reembolso';
+
+    // Mapear tipos de ajuste
+    switch (adjustment.kind) {
+      case 'shipping_refund':
+        concepto = 'Devolución envío';
+        descripcion = 'Reembolso de costo de envío';
+        break;
+      case 'refund_discrepancy':
+        concepto = 'Ajuste de discrepancia';
+        break;
+      default:
+        concepto = adjustment.kind || 'Ajuste';
+    }
+
+    // amount viene sin IVA: sumar tax_amount si la NC va con IVA incluido
+    const ajuste = ajusteReembolsoShopify(adjustment, moneda, montosBrutos, {
+      reglasFiscales: options.reglasFiscales,
+      envio: originalOrder?.shipping_lines?.[0]
+    });
+
+    const item = {
+      concepto: sanitizarString(concepto, 80),
+      descripcion: sanitizarString(descripcion, 200),
+      cantidad: 1,
+      precio: ajuste.precio,
+      indicador_facturacion: ajuste.indicador,
+      unidad_medida: ajuste.unidadMedida
+    };
+
+    if (ajuste.regla) {
+      item.reglaFiscal = ajuste.regla;
     }
+
+    items.push(item);
   }
 
-  // Si no hay items pero hay transacciones de reembolso
+  // 4. Si no hay items pero hay transacciones de reembolso
   if (items.length === 0 && refund.transactions?.length > 0) {
     const totalRefund = refund.transactions
       .filter(t => t.kind === 'refund' && t.status === 'success')
@@ -773,7 +1236,7 @@ function shopifyRefundToNCItems(refund, originalOrder = null) {
         concepto: 'Devolución',
         descripcion: 'Reembolso de compra',
         cantidad: 1,
-        precio: totalRefund,
+        precio: importeReembolsoShopify(totalRefund, originalOrder, moneda, montosBrutos),
         indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
         unidad_medida: 'UN'
       });
@@ -783,10 +1246,775 @@ function shopifyRefundToNCItems(refund, originalOrder = null) {
   return items;
 }
 
+// ============================================================
+// CONVERSIÓN MERCADOLIBRE → BILLER
+// ============================================================
+
+/**
+ * Items de Biller de un pedido de MercadoLibre (productos y envío, con IVA incluido)
+ * @private
+ */
+function itemsMercadoLibre(order) {
+  const items = [];
+
+  for (const orderItem of (order.order_items || [])) {
+    const mlItem = orderItem.item || {};
+    const variacion = (mlItem.variation_attributes || [])
+      .map(a => a.value_name)
+      .filter(Boolean)
+      .join(' / ');
+
+    const item = {
+      cantidad: parseInt(orderItem.quantity) || 1,
+      concepto: sanitizarString(mlItem.title || 'Producto', 80),
+      descripcion: sanitizarString(
+        variacion ? `${mlItem.title} - ${variacion}` : mlItem.title,
+        200
+      ),
+      precio: parseFloat(orderItem.unit_price) || 0,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    };
+
+    if (mlItem.seller_sku) {
+      item.codigo = sanitizarString(mlItem.seller_sku, 35);
+    }
+
+    items.push(item);
+  }
+
+  // Envío pagado por el comprador
+  const shippingTotal = (order.payments || [])
+    .filter(p => p.status === 'approved')
+    .reduce((sum, p) => sum + (parseFloat(p.shipping_cost) || 0), 0);
+
+  if (shippingTotal > 0) {
+    items.push({
+      concepto: 'Envío',
+      descripcion: 'Costo de envío MercadoLibre',
+      cantidad: 1,
+      precio: shippingTotal,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'SV'
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Monto neto (sin IVA) de un pedido de MercadoLibre, según el IVA de cada item
+ * @param {Object} order - Pedido de MercadoLibre (orders_v2 o pack combinado)
+ * @returns {number}
+ */
+function montoNetoMercadoLibre(order) {
+  return montoNetoItems(itemsMercadoLibre(order));
+}
+
+/**
+ * Convertir pedido de MercadoLibre (orders_v2) a formato Biller
+ * Los precios publicados en MercadoLibre Uruguay incluyen IVA.
+ * @param {Object} order - Pedido de MercadoLibre (con billing_info si existe)
+ * @param {Object} decision - Resultado de BillingDecisionService (opcional)
+ * @returns {Object} - Datos para crear comprobante en Biller
+ */
+function mercadolibreOrderToBiller(order, decision = null) {
+  const emailNotificacion = order.buyer?.email || null;
+
+  // 1. Identificación del comprador (billing_info del checkout)
+  //    Sin decisión de BillingDecisionService se usa el extractor directamente
+  let tipoComprobante = config.TIPOS_CFE.E_TICKET;
+  let identificacion = null;
+
+  if (decision) {
+    tipoComprobante = decision.tipoComprobante;
+    identificacion = decision.cliente;
+  } else {
+    const { rut, ...resto } = extraerDocumentoMercadoLibre(order);
+    if (rut) {
+      tipoComprobante = config.TIPOS_CFE.E_FACTURA;
+      identificacion = { documento: rut, ...resto };
+    }
+  }
+
+  let cliente = null;
+
+  if (identificacion) {
+    cliente = construirClienteBiller({
+      documento: identificacion.documento,
+      tipoDocumento: identificacion.tipoDocumento,
+      razonSocial: identificacion.razonSocial,
+      direccion: identificacion.direccion,
+      pais: identificacion.pais,
+      email: emailNotificacion
+    });
+
+    logger.info('Documento detectado en MercadoLibre, emitiendo e-Factura', {
+      documento: identificacion.documento,
+      source: identificacion.source,
+      razonSocial: cliente.razon_social
+    });
+  } else {
+    logger.info('Venta MercadoLibre sin documento, emitiendo e-Ticket');
+  }
+
+  // 2. Items y envío pagado por el comprador
+  const items = itemsMercadoLibre(order);
+
+  // 3. Construir objeto final (un pack combinado lleva los IDs de sus pedidos)
+  const esPack = Array.isArray(order.pack_order_ids);
+
+  const billerData = {
+    tipo_comprobante: tipoComprobante,
+    items,
+    forma_pago: 1, // Contado: MercadoLibre sólo notifica pedidos cobrados
+    sucursal: config.biller.empresa.sucursal ? parseInt(config.biller.empresa.sucursal) : undefined,
+    moneda: 'UYU',
+    montos_brutos: 1, // Precios con IVA incluido
+    numero_interno: esPack ? `mercadolibre-pack-${order.id}` : `mercadolibre-${order.id}`,
+    numero_orden: esPack ? `ML-PACK-${order.id}` : `ML-${order.id}`,
+    informacion_adicional: sanitizarString(
+      esPack
+        ? `Venta MercadoLibre pack #${order.id} (pedidos ${order.pack_order_ids.join(', ')})`
+        : `Venta MercadoLibre #${order.id}`,
+      150
+    ),
+    emails_notificacion: emailNotificacion ? [emailNotificacion] : undefined
+  };
+
+  if (cliente) {
+    billerData.cliente = cliente;
+  }
+
+  billerData.emailCliente = emailNotificacion;
+
+  return billerData;
+}
+
+/**
+ * Combinar los pedidos de un pack de MercadoLibre en un único pedido
+ * con la misma forma que orders_v2 (items, pagos y totales sumados)
+ * @param {string|number} packId - ID del pack
+ * @param {Array} orders - Pedidos del pack
+ * @returns {Object} - Pedido combinado
+ */
+function combinarPackMercadoLibre(packId, orders) {
+  // Un mismo pago puede aparecer en varios pedidos del pack
+  const payments = new Map();
+  for (const order of orders) {
+    for (const payment of (order.payments || [])) {
+      payments.set(payment.id ?? `${order.id}-${payments.size}`, payment);
+    }
+  }
+
+  const sumar = campo => orders.reduce((sum, o) => sum + (parseFloat(o[campo]) || 0), 0);
+
+  return {
+    id: packId,
+    pack_id: packId,
+    pack_order_ids: orders.map(o => o.id),
+    status: 'paid',
+    buyer: orders[0]?.buyer,
+    billing_info: orders.find(o => o.billing_info)?.billing_info,
+    order_items: orders.flatMap(o => o.order_items || []),
+    payments: Array.from(payments.values()),
+    total_amount: sumar('total_amount'),
+    paid_amount: sumar('paid_amount')
+  };
+}
+
+/**
+ * Convertir una devolución o cancelación de MercadoLibre al formato de refund
+ * de Shopify que consume CreditNoteService
+ * @param {Object} order - Pedido original (orders_v2)
+ * @param {Object} options
+ * @param {string} options.id - ID del reembolso (ej: 'claim-123', 'cancel-456')
+ * @param {Array} options.devoluciones - Unidades devueltas [{ item_id, variation_id, quantity }];
+ *                                       null = todo el pedido
+ * @param {boolean} options.incluirEnvio - Devolver también el envío pagado
+ * @returns {Object} - Refund con refund_line_items y order_adjustments
+ */
+function mercadolibreReturnToRefund(order, { id, devoluciones = null, incluirEnvio = false } = {}) {
+  const refundLineItems = [];
+
+  for (const orderItem of (order.order_items || [])) {
+    const mlItem = orderItem.item || {};
+    let cantidad = parseInt(orderItem.quantity) || 1;
+
+    if (devoluciones) {
+      const devuelto = devoluciones.find(d =>
+        String(d.item_id) === String(mlItem.id) &&
+        (!d.variation_id || String(d.variation_id) === String(mlItem.variation_id))
+      );
+      if (!devuelto) continue;
+
+      cantidad = Math.min(cantidad, parseInt(devuelto.quantity) || 0);
+    }
+
+    if (cantidad <= 0) continue;
+
+    const variacion = (mlItem.variation_attributes || [])
+      .map(a => a.value_name)
+      .filter(Boolean)
+      .join(' / ');
+
+    refundLineItems.push({
+      quantity: cantidad,
+      line_item: {
+        title: sanitizarString(mlItem.title || 'Producto', 80),
+        variant_title: variacion || null,
+        price: parseFloat(orderItem.unit_price) || 0,
+        sku: mlItem.seller_sku || null
+      }
+    });
+  }
+
+  const orderAdjustments = [];
+
+  if (incluirEnvio) {
+    const shippingTotal = (order.payments || [])
+      .filter(p => p.status === 'approved')
+      .reduce((sum, p) => sum + (parseFloat(p.shipping_cost) || 0), 0);
+
+    if (shippingTotal > 0) {
+      orderAdjustments.push({ kind: 'shipping_refund', amount: -shippingTotal });
+    }
+  }
+
+  return {
+    id,
+    order_id: order.id,
+    pack_id: order.pack_id || null,
+    refund_line_items: refundLineItems,
+    order_adjustments: orderAdjustments,
+    user: { email: order.buyer?.email || null }
+  };
+}
+
+// ============================================================
+// CONVERSIÓN WOOCOMMERCE → BILLER
+// ============================================================
+
+/**
+ * Monto con IVA de una línea de WooCommerce (la API informa neto + impuesto)
+ * @private
+ */
+function montoBrutoWooCommerce(neto, impuesto) {
+  return Math.round(((parseFloat(neto) || 0) + (parseFloat(impuesto) || 0)) * 100) / 100;
+}
+
+/**
+ * Indicador de IVA según la tasa aplicada por WooCommerce
+ * Tiendas sin impuestos configurados cargan precios con IVA básico incluido
+ * @private
+ */
+function indicadorIVAWooCommerce(neto, impuesto, pedidoConImpuestos) {
+  if (!pedidoConImpuestos) return config.INDICADORES_IVA.GRAVADO_BASICA;
+
+  const base = Math.abs(parseFloat(neto) || 0);
+  const iva = Math.abs(parseFloat(impuesto) || 0);
+
+  if (base === 0 || iva === 0) return config.INDICADORES_IVA.EXENTO;
+  if (Math.abs(iva / base - 0.10) < 0.02) return config.INDICADORES_IVA.GRAVADO_MINIMA;
+  return config.INDICADORES_IVA.GRAVADO_BASICA;
+}
+
+/**
+ * Convertir pedido de WooCommerce (REST API v3) a formato Biller
+ * Se envían montos con IVA incluido (montos_brutos = 1), igual que MercadoLibre.
+ * @param {Object} order - Pedido de WooCommerce
+ * @param {Object} decision - Resultado de BillingDecisionService (opcional)
+ * @returns {Object} - Datos para crear comprobante en Biller
+ */
+function woocommerceOrderToBiller(order, decision = null) {
+  const billing = order.billing || {};
+  const emailNotificacion = billing.email || null;
+
+  // 1. Identificación del comprador (campos de billing / meta_data)
+  let tipoComprobante = config.TIPOS_CFE.E_TICKET;
+  let identificacion = null;
+
+  if (decision) {
+    tipoComprobante = decision.tipoComprobante;
+    identificacion = decision.cliente;
+  } else {
+    const { rut, ...resto } = extraerDocumentoWooCommerce(order);
+    if (rut) {
+      tipoComprobante = config.TIPOS_CFE.E_FACTURA;
+      identificacion = { documento: rut, ...resto };
+    }
+  }
+
+  let cliente = null;
+
+  if (identificacion) {
+    cliente = construirClienteBiller({
+      documento: identificacion.documento,
+      tipoDocumento: identificacion.tipoDocumento,
+      razonSocial: identificacion.razonSocial,
+      direccion: identificacion.direccion,
+      pais: identificacion.pais,
+      email: emailNotificacion,
+      informacionAdicional: order.customer_note
+    });
+
+    logger.info('Documento detectado en WooCommerce, emitiendo e-Factura', {
+      documento: identificacion.documento,
+      source: identificacion.source,
+      razonSocial: cliente.razon_social
+    });
+  } else {
+    logger.info('Pedido WooCommerce sin documento, emitiendo e-Ticket');
+  }
+
+  const conImpuestos = (parseFloat(order.total_tax) || 0) !== 0;
+
+  // 2. Convertir items (precio antes de cupones: el descuento va en su propia línea)
+  const items = [];
+
+  for (const lineItem of (order.line_items || [])) {
+    const cantidad = parseInt(lineItem.quantity) || 1;
+    const variacion = (lineItem.meta_data || [])
+      .filter(m => m.display_key && typeof m.display_value === 'string' && !m.key?.startsWith('_'))
+      .map(m => m.display_value)
+      .join(' / ');
+
+    const item = {
+      cantidad,
+      concepto: sanitizarString(lineItem.name || 'Producto', 80),
+      descripcion: sanitizarString(
+        variacion ? `${lineItem.name} - ${variacion}` : lineItem.name,
+        200
+      ),
+      precio: Math.round(montoBrutoWooCommerce(lineItem.subtotal, lineItem.subtotal_tax) / cantidad * 100) / 100,
+      indicador_facturacion: indicadorIVAWooCommerce(lineItem.subtotal, lineItem.subtotal_tax, conImpuestos),
+      unidad_medida: 'UN'
+    };
+
+    if (lineItem.sku) {
+      item.codigo = sanitizarString(lineItem.sku, 35);
+    }
+
+    items.push(item);
+  }
+
+  // 3. Envío
+  const shippingTotal = (order.shipping_lines || [])
+    .reduce((sum, line) => sum + montoBrutoWooCommerce(line.total, line.total_tax), 0);
+
+  if (shippingTotal > 0) {
+    const envio = order.shipping_lines[0];
+    items.push({
+      concepto: 'Envío',
+      descripcion: sanitizarString(envio?.method_title || 'Costo de envío', 200),
+      cantidad: 1,
+      precio: shippingTotal,
+      indicador_facturacion: indicadorIVAWooCommerce(envio?.total, envio?.total_tax, conImpuestos),
+      unidad_medida: 'SV'
+    });
+  }
+
+  // 4. Cargos adicionales (fees); un fee negativo es un descuento manual
+  for (const fee of (order.fee_lines || [])) {
+    const monto = montoBrutoWooCommerce(fee.total, fee.total_tax);
+    if (monto === 0) continue;
+
+    items.push({
+      concepto: sanitizarString(fee.name || 'Cargo', 80),
+      descripcion: sanitizarString(fee.name || 'Cargo adicional', 200),
+      cantidad: 1,
+      precio: monto,
+      indicador_facturacion: indicadorIVAWooCommerce(fee.total, fee.total_tax, conImpuestos && fee.tax_status !== 'none'),
+      unidad_medida: 'UN'
+    });
+  }
+
+  // 5. Cupones
+  const discountTotal = Math.abs(montoBrutoWooCommerce(order.discount_total, order.discount_tax));
+  if (discountTotal > 0) {
+    const cupones = (order.coupon_lines || []).map(c => c.code).filter(Boolean).join(', ');
+
+    items.push({
+      concepto: 'Descuento',
+      descripcion: sanitizarString(cupones || 'Descuento aplicado', 200),
+      cantidad: 1,
+      precio: -discountTotal,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    });
+  }
+
+  // 6. Construir objeto final
+  const numeroPedido = order.number || order.id;
+
+  const billerData = {
+    tipo_comprobante: tipoComprobante,
+    items,
+    forma_pago: 1, // Contado: sólo se facturan pedidos con pago confirmado
+    sucursal: config.biller.empresa.sucursal ? parseInt(config.biller.empresa.sucursal) : undefined,
+    moneda: 'UYU',
+    montos_brutos: 1,
+    numero_interno: `woocommerce-${order.id}`,
+    numero_orden: `WC-${numeroPedido}`,
+    informacion_adicional: sanitizarString(`Pedido WooCommerce #${numeroPedido}`, 150),
+    emails_notificacion: emailNotificacion ? [emailNotificacion] : undefined
+  };
+
+  if (cliente) {
+    billerData.cliente = cliente;
+  }
+
+  billerData.emailCliente = emailNotificacion;
+
+  return billerData;
+}
+
+/**
+ * Convertir un reembolso de WooCommerce al formato de refund de Shopify
+ * que consume CreditNoteService (cantidades y precios positivos, con IVA)
+ * @param {Object} order - Pedido original
+ * @param {Object} refund - Reembolso (GET /orders/:id/refunds/:refund_id)
+ * @returns {Object} - Refund con refund_line_items y order_adjustments
+ */
+function woocommerceRefundToRefund(order, refund) {
+  const conImpuestos = (parseFloat(order.total_tax) || 0) !== 0;
+  const refundLineItems = [];
+  let totalItems = 0;
+
+  for (const lineItem of (refund.line_items || [])) {
+    const cantidad = Math.abs(parseInt(lineItem.quantity) || 0);
+    const monto = Math.abs(montoBrutoWooCommerce(lineItem.total, lineItem.total_tax));
+    if (cantidad === 0 || monto === 0) continue;
+
+    const indicador = indicadorIVAWooCommerce(lineItem.total, lineItem.total_tax, conImpuestos);
+
+    refundLineItems.push({
+      quantity: cantidad,
+      line_item: {
+        title: sanitizarString(lineItem.name || 'Producto', 80),
+        price: Math.round(monto / cantidad * 100) / 100,
+        sku: lineItem.sku || null,
+        taxable: indicador !== config.INDICADORES_IVA.EXENTO,
+        tax_lines: indicador === config.INDICADORES_IVA.GRAVADO_MINIMA ? [{ rate: 0.10 }] : undefined
+      }
+    });
+    totalItems += monto;
+  }
+
+  const orderAdjustments = [];
+
+  const envio = (refund.shipping_lines || [])
+    .reduce((sum, line) => sum + Math.abs(montoBrutoWooCommerce(line.total, line.total_tax)), 0);
+  if (envio > 0) {
+    orderAdjustments.push({ kind: 'shipping_refund', amount: -envio });
+    totalItems += envio;
+  }
+
+  // Reembolso por monto (sin items) o cargos devueltos: ajuste por la diferencia
+  const diferencia = Math.round((Math.abs(parseFloat(refund.amount) || 0) - totalItems) * 100) / 100;
+  if (diferencia > 0) {
+    orderAdjustments.push({
+      kind: 'refund_discrepancy',
+      amount: -diferencia,
+      reason: refund.reason || 'Reembolso WooCommerce'
+    });
+  }
+
+  return {
+    id: refund.id,
+    order_id: order.id,
+    refund_line_items: refundLineItems,
+    order_adjustments: orderAdjustments,
+    user: { email: order.billing?.email || null }
+  };
+}
+
+// ============================================================
+// CONVERSIÓN TIENDANUBE → BILLER
+// ============================================================
+
+/**
+ * Items de Biller de un pedido de Tiendanube (productos, envío y descuentos, con IVA incluido)
+ * @private
+ */
+function itemsTiendanube(order) {
+  const items = [];
+
+  for (const product of (order.products || [])) {
+    const variacion = Array.isArray(product.variant_values)
+      ? product.variant_values.filter(Boolean).join(' / ')
+      : null;
+
+    const item = {
+      cantidad: parseInt(product.quantity) || 1,
+      concepto: sanitizarString(product.name || 'Producto', 80),
+      descripcion: sanitizarString(product.name, 200),
+      precio: parseFloat(product.price) || 0,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    };
+
+    // El nombre ya incluye la variante ("Remera (Azul, M)"); si no, se agrega
+    if (variacion && !String(product.name).includes(variacion)) {
+      item.descripcion = sanitizarString(`${product.name} - ${variacion}`, 200);
+    }
+
+    if (product.sku) {
+      item.codigo = sanitizarString(product.sku, 35);
+    }
+
+    items.push(item);
+  }
+
+  // Envío pagado por el comprador
+  const shippingTotal = parseFloat(order.shipping_cost_customer) || 0;
+
+  if (shippingTotal > 0) {
+    items.push({
+      concepto: 'Envío',
+      descripcion: sanitizarString(order.shipping_option || 'Costo de envío', 200),
+      cantidad: 1,
+      precio: shippingTotal,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'SV'
+    });
+  }
+
+  // Descuentos (cupón + descuento por medio de pago)
+  const discountTotal = Math.abs(parseFloat(order.discount) || 0) +
+    Math.abs(parseFloat(order.discount_gateway) || 0);
+
+  if (discountTotal > 0) {
+    const cupones = (order.coupon || []).map(c => c.code).filter(Boolean).join(', ');
+
+    items.push({
+      concepto: 'Descuento',
+      descripcion: sanitizarString(cupones || 'Descuento aplicado', 200),
+      cantidad: 1,
+      precio: -discountTotal,
+      indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Monto neto (sin IVA) de un pedido de Tiendanube, según el IVA de cada item
+ * @param {Object} order - Pedido de Tiendanube
+ * @returns {number}
+ */
+function montoNetoTiendanube(order) {
+  return montoNetoItems(itemsTiendanube(order));
+}
+
+/**
+ * Convertir pedido de Tiendanube a formato Biller
+ * Los precios de Tiendanube incluyen IVA (montos_brutos = 1).
+ * @param {Object} order - Pedido de Tiendanube
+ * @param {Object} decision - Resultado de BillingDecisionService (opcional)
+ * @returns {Object} - Datos para crear comprobante en Biller
+ */
+function tiendanubeOrderToBiller(order, decision = null) {
+  const emailNotificacion = order.contact_email || order.customer?.email || null;
+
+  // 1. Identificación del comprador (campo de identificación del checkout)
+  let tipoComprobante = config.TIPOS_CFE.E_TICKET;
+  let identificacion = null;
+
+  if (decision) {
+    tipoComprobante = decision.tipoComprobante;
+    identificacion = decision.cliente;
+  } else {
+    const { rut, ...resto } = extraerDocumentoTiendanube(order);
+    if (rut) {
+      tipoComprobante = config.TIPOS_CFE.E_FACTURA;
+      identificacion = { documento: rut, ...resto };
+    }
+  }
+
+  let cliente = null;
+
+  if (identificacion) {
+    cliente = construirClienteBiller({
+      documento: identificacion.documento,
+      tipoDocumento: identificacion.tipoDocumento,
+      razonSocial: identificacion.razonSocial,
+      direccion: identificacion.direccion,
+      pais: identificacion.pais,
+      email: emailNotificacion,
+      informacionAdicional: order.note
+    });
+
+    logger.info('Documento detectado en Tiendanube, emitiendo e-Factura', {
+      documento: identificacion.documento,
+      source: identificacion.source,
+      razonSocial: cliente.razon_social
+    });
+  } else {
+    logger.info('Pedido Tiendanube sin documento, emitiendo e-Ticket');
+  }
+
+  // 2. Items, envío y descuentos
+  const items = itemsTiendanube(order);
+
+  // 3. Construir objeto final
+  const numeroPedido = order.number || order.id;
+
+  const billerData = {
+    tipo_comprobante: tipoComprobante,
+    items,
+    forma_pago: 1, // Contado: se factura con order/paid
+    sucursal: config.biller.empresa.sucursal ? parseInt(config.biller.empresa.sucursal) : undefined,
+    moneda: 'UYU',
+    montos_brutos: 1,
+    numero_interno: `tiendanube-${order.id}`,
+    numero_orden: `TN-${numeroPedido}`,
+    informacion_adicional: sanitizarString(`Pedido Tiendanube #${numeroPedido}`, 150),
+    emails_notificacion: emailNotificacion ? [emailNotificacion] : undefined
+  };
+
+  if (cliente) {
+    billerData.cliente = cliente;
+  }
+
+  billerData.emailCliente = emailNotificacion;
+
+  return billerData;
+}
+
+// ============================================================
+// COMPROBANTES MANUALES → BILLER
+// ============================================================
+
+/**
+ * Convertir un comprobante manual (POST /api/comprobantes) a formato Biller
+ * Ventas que no pasan por un canal: teléfono, showroom, mayoristas.
+ * @param {Object} payload - Comprobante manual
+ * @param {string} payload.idempotency_key - Se usa como numero_interno
+ * @param {Object} payload.cliente - { documento, tipo_documento, razon_social, direccion, ciudad, departamento, email }
+ * @param {Array} payload.items - [{ concepto, descripcion, cantidad, precio, indicador_facturacion, codigo, unidad_medida }]
+ * @param {number} payload.forma_pago - 1 contado, 2 crédito
+ * @param {string} payload.moneda - UYU por defecto
+ * @param {number} payload.montos_brutos - 1 si los precios incluyen IVA (por defecto)
+ * @param {string} payload.notas - Información adicional del comprobante
+ * @param {Object} decision - Resultado de BillingDecisionService (opcional)
+ * @returns {Object} - Datos para crear comprobante en Biller
+ */
+function manualToBiller(payload, decision = null) {
+  const datosCliente = payload.cliente || {};
+  const emailNotificacion = datosCliente.email || payload.email || null;
+
+  let tipoComprobante = config.TIPOS_CFE.E_TICKET;
+  let identificacion = null;
+
+  if (decision) {
+    tipoComprobante = decision.tipoComprobante;
+    identificacion = decision.cliente;
+  } else if (datosCliente.documento) {
+    const validacion = validarRUT(datosCliente.documento);
+    if (validacion.valid) {
+      tipoComprobante = config.TIPOS_CFE.E_FACTURA;
+      identificacion = {
+        documento: validacion.cleaned,
+        tipoDocumento: datosCliente.tipo_documento,
+        razonSocial: datosCliente.razon_social
+      };
+    }
+  }
+
+  let cliente = null;
+
+  if (identificacion) {
+    cliente = construirClienteBiller({
+      documento: identificacion.documento,
+      tipoDocumento: identificacion.tipoDocumento,
+      razonSocial: identificacion.razonSocial || datosCliente.razon_social,
+      direccion: identificacion.direccion || {
+        address1: datosCliente.direccion,
+        city: datosCliente.ciudad,
+        province: datosCliente.departamento
+      },
+      pais: identificacion.pais,
+      email: emailNotificacion
+    });
+  }
+
+  const items = (payload.items || []).map(item => {
+    const convertido = {
+      cantidad: item.cantidad,
+      concepto: sanitizarString(item.concepto || '', 80),
+      descripcion: sanitizarString(item.descripcion || item.concepto || '', 200),
+      precio: item.precio,
+      indicador_facturacion: item.indicador_facturacion,
+      unidad_medida: item.unidad_medida || 'UN'
+    };
+
+    if (item.codigo) {
+      convertido.codigo = sanitizarString(String(item.codigo), 35);
+    }
+
+    return convertido;
+  });
+
+  const origen = payload.origen ? sanitizarString(payload.origen, 30) : 'manual';
+
+  const billerData = {
+    tipo_comprobante: tipoComprobante,
+    items,
+    forma_pago: parseInt(payload.forma_pago) || 1,
+    sucursal: config.biller.empresa.sucursal ? parseInt(config.biller.empresa.sucursal) : undefined,
+    moneda: payload.moneda || 'UYU',
+    montos_brutos: payload.montos_brutos ?? 1,
+    numero_interno: payload.idempotency_key,
+    numero_orden: sanitizarString(String(payload.idempotency_key || ''), 50),
+    informacion_adicional: sanitizarString(payload.notas || `Venta ${origen}`, 150),
+    emails_notificacion: emailNotificacion ? [emailNotificacion] : undefined
+  };
+
+  if (payload.tipo_cambio) {
+    billerData.tipo_cambio = parseFloat(payload.tipo_cambio);
+  }
+
+  if (cliente) {
+    billerData.cliente = cliente;
+  }
+
+  billerData.emailCliente = emailNotificacion;
+
+  return billerData;
+}
+
 module.exports = {
   BillerClient,
   BillerError,
   shopifyOrderToBiller,
   shopifyRefundToNCItems,
+  monedaShopify,
+  montoShopify,
+  montosBrutosShopify,
+  montoNetoShopify,
+  montoNetoItems,
+  desgloseIVAShopify,
+  descuentosPorIndicadorShopify,
+  indicadorIVAShopify,
+  indicadorPorTasa,
+  fiscalLineaShopify,
+  fiscalEnvioShopify,
+  ajusteReembolsoShopify,
+  importeReembolsoShopify,
+  totalReembolsoShopify,
+  mercadolibreOrderToBiller,
+  montoNetoMercadoLibre,
+  combinarPackMercadoLibre,
+  mercadolibreReturnToRefund,
+  woocommerceOrderToBiller,
+  woocommerceRefundToRefund,
+  tiendanubeOrderToBiller,
+  montoNetoTiendanube,
+  manualToBiller,
+  construirClienteBiller,
+  datosExportacion,
   determinarFormaPago
 };
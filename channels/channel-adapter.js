@@ -0,0 +1,214 @@
+/**
+ * Channel Adapter
+ *
+ * Contrato que implementa cada canal de venta (Shopify, MercadoLibre, ...)
+ * para conectarse al pipeline de facturación (services/billing-pipeline).
+ *
+ * El pipeline sólo trabaja con el pedido normalizado y con estos métodos;
+ * todo lo específico del canal (formato del pedido, tags, notas, APIs)
+ * queda dentro del adaptador.
+ *
+ * @module channels/channel-adapter
+ */
+
+/**
+ * @typedef {Object} PedidoNormalizado
+ * @property {string} canal - ID del canal ('shopify', 'mercadolibre', ...)
+ * @property {string} id - ID del pedido en el canal
+ * @property {string} nombre - Nombre legible del pedido (logs, auditoría)
+ * @property {string} storeKey - Key del comprobante en ComprobanteStore
+ * @property {boolean} pagado - El pedido está cobrado y debe facturarse
+ * @property {boolean} yaFacturado - El canal indica que ya se facturó
+ * @property {number} total - Total del pedido
+ * @property {number} [montoNeto] - Monto sin IVA (si no, lo calcula BillingDecisionService)
+ * @property {string} [moneda] - Moneda del comprobante ('UYU' por defecto)
+ * @property {number} [tipoCambio] - Tipo de cambio ya fijado (si no, se cotiza a la fecha de emisión)
+ * @property {string|null} [fechaPago] - Fecha del pago (ISO); la regla 5000 UI usa el valor de la UI de ese día
+ * @property {string|null} [paisDestino] - País de envío (ISO alfa-2); fuera de UY se emite e-Factura de Exportación
+ * @property {string|null} email - Email del comprador
+ * @property {Object} datosStore - Campos propios del canal a guardar en el store
+ * @property {Object} raw - Pedido original del canal
+ */
+
+/**
+ * @typedef {Object} ReembolsoNormalizado
+ * @property {string} id - ID del reembolso
+ * @property {string} orderId - ID del pedido original
+ * @property {boolean} anulacion - Anular el comprobante completo (si no, NC por items)
+ * @property {number} [importe] - Importe reembolsado con IVA; si cubre el comprobante entero se anula
+ * @property {Object} refund - Reembolso en formato refund de Shopify (CreditNoteService)
+ * @property {Array<string>} numerosInternosOriginal - numero_interno del CFE original en Biller
+ */
+
+/**
+ * Clase base de los adaptadores de canal
+ */
+class ChannelAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - ID del canal (prefijo de numero_interno y keys del store)
+   * @param {string} options.nombre - Nombre para mostrar
+   * @param {number} options.montosBrutos - 1 si los precios del canal incluyen IVA
+   * @param {boolean} options.retieneIdentificacion - Aplica la política de retención de ventas
+   *   sobre el límite sin RUT/CI (el pedido se vuelve a obtener con obtenerPedido al liberarlo)
+   */
+  constructor(options = {}) {
+    this.id = options.id;
+    this.nombre = options.nombre || options.id;
+    this.montosBrutos = options.montosBrutos ?? 0;
+    this.retieneIdentificacion = options.retieneIdentificacion ?? false;
+  }
+
+  /**
+   * Canal para otra cuenta del vendedor (por defecto, el mismo canal)
+   * @param {string|number} sellerId
+   * @returns {ChannelAdapter}
+   */
+  forSeller(sellerId) {
+    return this;
+  }
+
+  /**
+   * Obtener un pedido del canal por ID
+   * @param {string} orderId
+   * @returns {Object|null} Pedido en el formato del canal
+   */
+  async obtenerPedido(orderId) {
+    throw new Error(`${this.nombre}: obtenerPedido no implementado`);
+  }
+
+  /**
+   * Normalizar un pedido del canal
+   * @param {Object} order - Pedido en el formato del canal
+   * @returns {PedidoNormalizado}
+   */
+  normalizarPedido(order) {
+    throw new Error(`${this.nombre}: normalizarPedido no implementado`);
+  }
+
+  /**
+   * Validar que el pedido tenga los datos mínimos para facturar
+   * @param {Object} order - Pedido en el formato del canal
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validarPedido(order) {
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * Extraer la identificación del comprador (RUT/CI)
+   * @param {Object} order - Pedido en el formato del canal
+   * @returns {{rut: string|null, razonSocial: string|null, tipoDocumento?: number, direccion?: Object, source: string|null}}
+   */
+  extraerIdentidad(order) {
+    throw new Error(`${this.nombre}: extraerIdentidad no implementado`);
+  }
+
+  /**
+   * Facturar el pedido notificado con facturar (BillingPipeline.procesarPedido)
+   * Por defecto el pedido tal cual; los canales que agrupan varios pedidos en un
+   * comprobante (packs de MercadoLibre) arman aquí el pedido combinado
+   * @param {Object} order - Pedido en el formato del canal
+   * @param {Function} facturar - (order) => resultado del pipeline
+   * @param {Object} contexto - { comprobanteStore }
+   * @returns {Promise<Object>} Resultado ({ status, reason, ... })
+   */
+  async agruparPedido(order, facturar, contexto) {
+    return facturar(order);
+  }
+
+  /**
+   * Reembolsos y cancelaciones que trae el pedido y aún no tienen NC,
+   * en el formato que recibe normalizarReembolso
+   * @param {Object} order - Pedido en el formato del canal
+   * @param {Object} contexto - { comprobanteStore }
+   * @returns {Promise<Array<Object>>}
+   */
+  async reembolsosPendientes(order, contexto) {
+    return [];
+  }
+
+  /**
+   * Obtener un reembolso que el canal notifica por separado del pedido
+   * (ej: reclamo de MercadoLibre)
+   * @param {string} refundId - ID del reembolso en el canal
+   * @param {Object} contexto - { comprobanteStore }
+   * @returns {Promise<{refund: Object, order: Object}|{resultado: Object}>} El reembolso
+   *   con su pedido original, o el resultado si no corresponde emitir NC
+   */
+  async obtenerReembolso(refundId, contexto) {
+    throw new Error(`${this.nombre}: obtenerReembolso no implementado`);
+  }
+
+  /**
+   * Convertir el pedido a datos de comprobante Biller
+   * @param {Object} order - Pedido en el formato del canal
+   * @param {Object} decision - Resultado de BillingDecisionService
+   * @returns {Object|Promise<Object>} Datos para emitir en Biller (puede ser async)
+   */
+  convertirABiller(order, decision) {
+    throw new Error(`${this.nombre}: convertirABiller no implementado`);
+  }
+
+  /**
+   * Marcar el pedido como facturado en el canal (tags, notas, documento fiscal...)
+   * Los errores se registran pero no interrumpen la facturación
+   * @param {PedidoNormalizado} pedido
+   * @param {Object} comprobante - Comprobante emitido (con publicPdfUrl)
+   */
+  async marcarComoFacturado(pedido, comprobante) {
+    // Opcional: canales sin forma de marcar el pedido
+  }
+
+  /**
+   * Marcar en el canal un pedido retenido hasta identificar al comprador (tags, link al formulario...)
+   * Los errores se registran pero no interrumpen el proceso
+   * @param {PedidoNormalizado} pedido
+   * @param {Object} pendiente - Registro de PendingIdentificationService (con url del formulario)
+   */
+  async marcarPendienteIdentificacion(pedido, pendiente) {
+    // Opcional: canales sin forma de marcar el pedido
+  }
+
+  /**
+   * Marcar en el canal un pedido cancelado cuya NC ya se emitió (tags...)
+   * Los errores se registran pero no interrumpen el proceso
+   * @param {string} orderId
+   * @param {Object} notaCredito - NC emitida ({ id, serie, numero })
+   */
+  async marcarComoCancelado(orderId, notaCredito) {
+    // Opcional: canales sin forma de marcar el pedido
+  }
+
+  /**
+   * Normalizar un reembolso del canal
+   * @param {Object} refund - Reembolso en el formato del canal
+   * @returns {ReembolsoNormalizado}
+   */
+  normalizarReembolso(refund) {
+    throw new Error(`${this.nombre}: normalizarReembolso no implementado`);
+  }
+
+  /**
+   * Importe reembolsado en la moneda del comprobante original (por defecto, el del
+   * reembolso normalizado)
+   * @param {ReembolsoNormalizado} reembolso
+   * @param {string} moneda - Moneda del comprobante original
+   * @returns {number|undefined}
+   */
+  importeReembolso(reembolso, moneda) {
+    return reembolso.importe;
+  }
+
+  /**
+   * Key del store para un ID del canal
+   * @param {string} id
+   */
+  storeKey(id) {
+    return `${this.id}-${id}`;
+  }
+}
+
+module.exports = {
+  ChannelAdapter
+};
@@ -0,0 +1,48 @@
+/**
+ * Registro de canales de venta
+ *
+ * Cada canal se registra con su adaptador y el pipeline de facturación
+ * lo busca por ID (ej: POST /api/canales/:canal/facturar/:orderId).
+ *
+ * @module channels
+ */
+
+const { ChannelAdapter } = require('./channel-adapter');
+
+const canales = new Map();
+
+/**
+ * Registrar un adaptador de canal
+ * @param {ChannelAdapter} adapter
+ */
+function registrarCanal(adapter) {
+  if (!(adapter instanceof ChannelAdapter)) {
+    throw new Error('El canal debe extender ChannelAdapter');
+  }
+  canales.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * Obtener un canal registrado
+ * @param {string} id
+ * @returns {ChannelAdapter|null}
+ */
+function getCanal(id) {
+  return canales.get(id) || null;
+}
+
+/**
+ * Listar canales registrados
+ * @returns {Array<ChannelAdapter>}
+ */
+function getCanales() {
+  return Array.from(canales.values());
+}
+
+module.exports = {
+  ChannelAdapter,
+  registrarCanal,
+  getCanal,
+  getCanales
+};
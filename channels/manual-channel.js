@@ -0,0 +1,154 @@
+/**
+ * Canal manual
+ *
+ * Comprobantes cargados por API (POST /api/comprobantes) para ventas que no
+ * pasan por una tienda: teléfono, showroom, mayoristas. El pedido es el
+ * payload del comprobante y su idempotency_key es el numero_interno en Biller.
+ *
+ * @module channels/manual-channel
+ */
+
+const config = require('../config');
+const { ChannelAdapter } = require('./channel-adapter');
+const { manualToBiller } = require('../biller-client');
+const { validarRUT, validarDatosComprobante, validarEmail } = require('../utils/validators');
+
+/**
+ * Tasas de IVA por indicador (para calcular el monto neto de la regla 5000 UI)
+ */
+const TASAS_IVA = {
+  [config.INDICADORES_IVA.GRAVADO_MINIMA]: 0.10,
+  [config.INDICADORES_IVA.GRAVADO_BASICA]: 0.22
+};
+
+/**
+ * Adaptador de comprobantes manuales
+ */
+class ManualChannel extends ChannelAdapter {
+  constructor() {
+    super({ id: 'manual', nombre: 'Manual', montosBrutos: 1 });
+  }
+
+  normalizarPedido(payload) {
+    const key = String(payload.idempotency_key);
+    const brutos = (payload.montos_brutos ?? 1) === 1;
+
+    let total = 0;
+    let montoNeto = 0;
+    for (const item of payload.items) {
+      const importe = item.cantidad * item.precio;
+      const tasa = TASAS_IVA[item.indicador_facturacion] || 0;
+
+      total += brutos ? importe : importe * (1 + tasa);
+      montoNeto += brutos ? importe / (1 + tasa) : importe;
+    }
+
+    return {
+      canal: this.id,
+      id: key,
+      nombre: key,
+      storeKey: this.storeKey(key),
+      pagado: true,
+      yaFacturado: false,
+      total: Math.round(total * 100) / 100,
+      montoNeto,
+      moneda: payload.moneda || 'UYU',
+      tipoCambio: parseFloat(payload.tipo_cambio) || undefined,
+      email: payload.cliente?.email || payload.email || null,
+      datosStore: {
+        numero_interno: key,
+        origen: payload.origen || null,
+        moneda: payload.moneda || 'UYU'
+      },
+      raw: payload
+    };
+  }
+
+  /**
+   * Validar el payload: idempotency_key, documento, forma de pago, moneda
+   * y el comprobante resultante con validarDatosComprobante
+   */
+  validarPedido(payload) {
+    const errors = [];
+
+    if (!payload || typeof payload !== 'object') {
+      return { valid: false, errors: ['Payload vacío'] };
+    }
+
+    if (!payload.idempotency_key || !/^[\w.:-]{1,50}$/.test(String(payload.idempotency_key))) {
+      errors.push('idempotency_key requerido (hasta 50 caracteres: letras, números, _ . : -)');
+    }
+
+    if (payload.cliente?.documento) {
+      const validacion = validarRUT(payload.cliente.documento);
+      if (!validacion.valid) {
+        errors.push(`Documento del cliente inválido: ${validacion.reason}`);
+      }
+    }
+
+    const email = payload.cliente?.email || payload.email;
+    if (email && !validarEmail(email)) {
+      errors.push('Email inválido');
+    }
+
+    if (payload.forma_pago !== undefined && ![1, 2].includes(parseInt(payload.forma_pago))) {
+      errors.push('forma_pago debe ser 1 (contado) o 2 (crédito)');
+    }
+
+    if (payload.moneda && !/^[A-Z]{3}$/.test(payload.moneda)) {
+      errors.push(`Moneda inválida: ${payload.moneda}`);
+    } else if (payload.tipo_cambio !== undefined && !(parseFloat(payload.tipo_cambio) > 0)) {
+      // Sin tipo_cambio se usa la cotización del día (ExchangeRateService)
+      errors.push(`tipo_cambio inválido: ${payload.tipo_cambio}`);
+    }
+
+    if (payload.montos_brutos !== undefined && ![0, 1].includes(payload.montos_brutos)) {
+      errors.push('montos_brutos debe ser 0 (sin IVA) o 1 (IVA incluido)');
+    }
+
+    // manualToBiller recorre los items: sólo se convierte si son objetos
+    if (!Array.isArray(payload.items)) {
+      errors.push('items debe ser una lista de líneas');
+    } else if (payload.items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      errors.push('Cada línea de items debe ser un objeto');
+    } else {
+      const datos = manualToBiller(payload);
+      errors.push(...validarDatosComprobante(datos).errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  extraerIdentidad(payload) {
+    const cliente = payload.cliente || {};
+
+    return {
+      rut: cliente.documento ? String(cliente.documento) : null,
+      razonSocial: cliente.razon_social || null,
+      tipoDocumento: cliente.tipo_documento || null,
+      direccion: cliente.direccion
+        ? { address1: cliente.direccion, city: cliente.ciudad || null, province: cliente.departamento || null }
+        : null,
+      source: cliente.documento ? 'payload.cliente' : null
+    };
+  }
+
+  convertirABiller(payload, decision) {
+    return manualToBiller(payload, decision);
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getManualChannel() {
+  if (!instance) {
+    instance = new ManualChannel();
+  }
+  return instance;
+}
+
+module.exports = {
+  ManualChannel,
+  getManualChannel
+};
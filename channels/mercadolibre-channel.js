@@ -0,0 +1,357 @@
+/**
+ * Canal MercadoLibre
+ *
+ * Adaptador de ventas (orders_v2), packs y reclamos/cancelaciones de MercadoLibre.
+ * Un pack se factura como un único pedido combinado (combinarPackMercadoLibre);
+ * las cancelaciones y reclamos se acreditan con mercadolibreReturnToRefund.
+ *
+ * @module channels/mercadolibre-channel
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ChannelAdapter } = require('./channel-adapter');
+const {
+  mercadolibreOrderToBiller,
+  montoNetoMercadoLibre,
+  combinarPackMercadoLibre,
+  mercadolibreReturnToRefund
+} = require('../biller-client');
+const { validarPedidoMercadoLibre, extraerDocumentoMercadoLibre } = require('../utils/validators');
+
+/**
+ * Adaptador de MercadoLibre (uno por vendedor)
+ */
+class MercadoLibreChannel extends ChannelAdapter {
+  constructor(options = {}) {
+    super({ id: 'mercadolibre', nombre: 'MercadoLibre', montosBrutos: 1 });
+    this.mercadolibreClient = options.mercadolibreClient || null;
+    this.fiscalWorker = options.fiscalWorker || null;
+
+    this.canalesPorVendedor = new Map();
+    // Procesamiento serializado por pack (varios pedidos notifican a la vez)
+    this.packLocks = new Map();
+  }
+
+  /**
+   * Configura las dependencias del canal
+   */
+  configure(options) {
+    if (options.mercadolibreClient) this.mercadolibreClient = options.mercadolibreClient;
+    if (options.fiscalWorker) this.fiscalWorker = options.fiscalWorker;
+  }
+
+  /**
+   * Canal para otro vendedor autorizado
+   * @param {string|number} sellerId
+   */
+  forSeller(sellerId) {
+    const client = this.mercadolibreClient?.forSeller
+      ? this.mercadolibreClient.forSeller(sellerId)
+      : this.mercadolibreClient;
+
+    if (client === this.mercadolibreClient) return this;
+
+    const id = String(sellerId);
+    if (!this.canalesPorVendedor.has(id)) {
+      this.canalesPorVendedor.set(id, new MercadoLibreChannel({
+        mercadolibreClient: client,
+        fiscalWorker: this.fiscalWorker
+      }));
+    }
+    return this.canalesPorVendedor.get(id);
+  }
+
+  get sellerId() {
+    return this.mercadolibreClient?.sellerId ? String(this.mercadolibreClient.sellerId) : null;
+  }
+
+  /**
+   * Obtener una venta; si está cobrada incluye billing_info del comprador
+   */
+  async obtenerPedido(orderId) {
+    const order = await this.mercadolibreClient.getOrder(orderId);
+    return this.cargarBillingInfo(order);
+  }
+
+  /**
+   * Agregar billing_info (RUT/CI) a una venta cobrada; null si no hay o falla la API
+   * @param {Object} order - Venta de orders_v2 (se modifica in-place)
+   */
+  async cargarBillingInfo(order) {
+    if (order.status !== 'paid' || order.billing_info !== undefined) return order;
+
+    try {
+      order.billing_info = await this.mercadolibreClient.getBillingInfo(order.id);
+    } catch (e) {
+      logger.warn('Error obteniendo billing_info de MercadoLibre', { mlOrderId: order.id, error: e.message });
+      order.billing_info = null;
+    }
+
+    return order;
+  }
+
+  normalizarPedido(order) {
+    const esPack = Array.isArray(order.pack_order_ids);
+
+    return {
+      canal: this.id,
+      id: String(order.id),
+      nombre: esPack ? `ML-PACK-${order.id}` : `ML-${order.id}`,
+      storeKey: esPack ? this.storeKey(`pack-${order.id}`) : this.storeKey(order.id),
+      // orders_v2 notifica cada cambio del pedido: sólo se facturan los cobrados
+      pagado: order.status === 'paid',
+      yaFacturado: false,
+      total: order.total_amount,
+      // Precios con IVA incluido: neto según el IVA de cada item
+      montoNeto: montoNetoMercadoLibre(order),
+      fechaPago: order.payments?.[0]?.date_approved || order.date_closed || order.date_created || null,
+      email: order.buyer?.email || null,
+      datosStore: esPack
+        ? {
+          mercadolibre_pack_id: String(order.id),
+          mercadolibre_order_ids: order.pack_order_ids.map(String),
+          mercadolibre_seller_id: this.sellerId
+        }
+        : {
+          mercadolibre_order_id: String(order.id),
+          mercadolibre_pack_id: null,
+          mercadolibre_seller_id: this.sellerId
+        },
+      raw: order
+    };
+  }
+
+  validarPedido(order) {
+    return validarPedidoMercadoLibre(order);
+  }
+
+  extraerIdentidad(order) {
+    return extraerDocumentoMercadoLibre(order);
+  }
+
+  convertirABiller(order, decision) {
+    return mercadolibreOrderToBiller(order, decision);
+  }
+
+  /**
+   * Subir el PDF del CFE a la venta (en segundo plano, con reintentos)
+   */
+  async marcarComoFacturado(pedido) {
+    if (!config.mercadolibre.subirFactura || !this.fiscalWorker) return;
+
+    this.fiscalWorker.subir(pedido.storeKey).catch(error => {
+      logger.error('Error en subida de documento fiscal', { storeKey: pedido.storeKey, error: error.message });
+    });
+  }
+
+  /**
+   * Una venta de un pack se factura junto con los demás pedidos del carrito:
+   * un único comprobante por pack
+   */
+  async agruparPedido(order, facturar, { comprobanteStore }) {
+    if (!order.pack_id) {
+      await this.cargarBillingInfo(order);
+      return facturar(order);
+    }
+
+    return this._conLockDePack(String(order.pack_id), () => this._facturarPack(order, facturar, comprobanteStore));
+  }
+
+  /**
+   * Venta cancelada luego de facturada: NC total (en un pack sólo los items del
+   * pedido cancelado), salvo que un reclamo ya haya generado NC para el pedido
+   */
+  async reembolsosPendientes(order, { comprobanteStore }) {
+    if (order.status !== 'cancelled' || !comprobanteStore.hasKey(this.storeKey(order.id))) {
+      return [];
+    }
+
+    const ncPrevias = comprobanteStore.find(c =>
+      c.key.startsWith(this.storeKey('refund-')) && String(c.order_id) === String(order.id)
+    );
+    if (ncPrevias.length > 0) {
+      logger.info('Venta cancelada ya tiene NC', { orderId: order.id });
+      return [];
+    }
+
+    return [mercadolibreReturnToRefund(order, {
+      id: `cancel-${order.id}`,
+      incluirEnvio: !order.pack_id
+    })];
+  }
+
+  /**
+   * Reclamo resuelto a favor del comprador
+   * - Con devolución de producto: NC parcial por las unidades devueltas
+   * - Sin devolución (reembolso total): NC por todo el pedido
+   * @param {string} claimId - ID del reclamo
+   */
+  async obtenerReembolso(claimId, { comprobanteStore }) {
+    const ml = this.mercadolibreClient;
+    const refundId = `claim-${claimId}`;
+
+    if (comprobanteStore.hasKey(this.storeKey(`refund-${refundId}`))) {
+      return { resultado: { status: 'skipped', reason: 'already_processed' } };
+    }
+
+    const claim = await ml.getClaim(claimId);
+
+    if (claim.resource !== 'order') {
+      return { resultado: { status: 'skipped', reason: 'not_order_claim' } };
+    }
+
+    if (claim.status !== 'closed') {
+      logger.debug('Reclamo MercadoLibre abierto', { claimId, stage: claim.stage });
+      return { resultado: { status: 'skipped', reason: 'claim_open' } };
+    }
+
+    // Sólo hay reembolso si el reclamo se resolvió a favor del comprador
+    if (!(claim.resolution?.benefited || []).includes('complainant')) {
+      return { resultado: { status: 'skipped', reason: 'no_refund', resolution: claim.resolution?.reason } };
+    }
+
+    const order = await ml.getOrder(claim.resource_id);
+
+    const devolucion = await ml.getClaimReturn(claimId);
+    const devoluciones = devolucion
+      ? (devolucion.orders || [])
+        .filter(o => !o.order_id || String(o.order_id) === String(order.id))
+        .map(o => ({ item_id: o.item_id, variation_id: o.variation_id, quantity: o.total_quantity }))
+      : null;
+
+    const refund = mercadolibreReturnToRefund(order, {
+      id: refundId,
+      devoluciones,
+      incluirEnvio: !devoluciones && !order.pack_id
+    });
+
+    return { refund, order };
+  }
+
+  /**
+   * Reclamos y cancelaciones convertidos con mercadolibreReturnToRefund
+   */
+  normalizarReembolso(refund) {
+    const numerosInternosOriginal = [this.storeKey(refund.order_id)];
+    if (refund.pack_id) {
+      numerosInternosOriginal.push(this.storeKey(`pack-${refund.pack_id}`));
+    }
+
+    return {
+      id: String(refund.id),
+      orderId: String(refund.order_id),
+      anulacion: false,
+      refund,
+      numerosInternosOriginal
+    };
+  }
+
+  /**
+   * Facturar un pack cuando todos sus pedidos están cobrados
+   * @private
+   */
+  async _facturarPack(orderNotificada, facturar, comprobanteStore) {
+    const ml = this.mercadolibreClient;
+    const packId = orderNotificada.pack_id;
+    const packKey = this.storeKey(`pack-${packId}`);
+    const orderKey = this.storeKey(orderNotificada.id);
+
+    if (comprobanteStore.hasKey(packKey)) {
+      comprobanteStore.setAlias(orderKey, packKey);
+      logger.info('Pack ya facturado', { packId, orderId: orderNotificada.id });
+      return { status: 'skipped', reason: 'exists_in_store', packId };
+    }
+
+    // Obtener todos los pedidos del pack
+    const pack = await ml.getPack(packId);
+    const orderIds = (pack.orders || []).map(o => String(o.id));
+    if (!orderIds.includes(String(orderNotificada.id))) {
+      orderIds.push(String(orderNotificada.id));
+    }
+
+    const orders = [];
+    for (const id of orderIds) {
+      orders.push(id === String(orderNotificada.id)
+        ? orderNotificada
+        : await ml.getOrder(id));
+    }
+
+    // Los pedidos cancelados no forman parte del comprobante
+    const activos = orders.filter(o => o.status !== 'cancelled');
+    const pendientes = activos.filter(o => o.status !== 'paid');
+
+    if (activos.length === 0) {
+      return { status: 'skipped', reason: 'pack_cancelled', packId };
+    }
+
+    if (pendientes.length > 0) {
+      logger.info('Pack con pedidos pendientes de pago', {
+        packId,
+        pagos: activos.length - pendientes.length,
+        total: activos.length
+      });
+      return {
+        status: 'skipped',
+        reason: 'pack_incomplete',
+        packId,
+        pendientes: pendientes.map(o => String(o.id))
+      };
+    }
+
+    for (const order of activos) {
+      const validacion = this.validarPedido(order);
+      if (!validacion.valid) {
+        logger.warn('Venta MercadoLibre inválida en pack', { packId, orderId: order.id, errors: validacion.errors });
+        return { status: 'error', reason: 'invalid_order', packId, errors: validacion.errors };
+      }
+    }
+
+    // El comprador es el mismo para todo el pack
+    await this.cargarBillingInfo(activos[0]);
+
+    const resultado = await facturar(combinarPackMercadoLibre(packId, activos));
+
+    // Cada pedido del pack apunta al comprobante del pack
+    if (resultado.status === 'success') {
+      for (const order of activos) {
+        comprobanteStore.setAlias(this.storeKey(order.id), packKey);
+      }
+    }
+
+    return { ...resultado, packId };
+  }
+
+  /**
+   * Ejecutar fn después de lo pendiente para el mismo pack
+   * @private
+   */
+  _conLockDePack(packId, fn) {
+    const previo = this.packLocks.get(packId) || Promise.resolve();
+    const actual = previo.catch(() => {}).then(fn);
+
+    this.packLocks.set(packId, actual);
+    actual.catch(() => {}).finally(() => {
+      if (this.packLocks.get(packId) === actual) {
+        this.packLocks.delete(packId);
+      }
+    });
+
+    return actual;
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getMercadoLibreChannel(options = {}) {
+  if (!instance) {
+    instance = new MercadoLibreChannel(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  MercadoLibreChannel,
+  getMercadoLibreChannel
+};
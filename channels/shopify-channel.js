@@ -0,0 +1,190 @@
+/**
+ * Canal Shopify
+ *
+ * Adaptador de pedidos (orders/paid), reembolsos (refunds/create) y cancelaciones
+ * (orders/cancelled) de Shopify.
+ *
+ * @module channels/shopify-channel
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ChannelAdapter } = require('./channel-adapter');
+const {
+  shopifyOrderToBiller,
+  monedaShopify,
+  montoShopify,
+  montoNetoShopify,
+  totalReembolsoShopify
+} = require('../biller-client');
+const { validarPedidoShopify, extraerRUTDePedido } = require('../utils/validators');
+
+// Los productos cambian poco: 10 minutos evita consultarlos en cada pedido
+const CACHE_PRODUCTOS_MS = 10 * 60 * 1000;
+
+/**
+ * Adaptador de Shopify
+ */
+class ShopifyChannel extends ChannelAdapter {
+  constructor(options = {}) {
+    super({ id: 'shopify', nombre: 'Shopify', montosBrutos: 0, retieneIdentificacion: true });
+    this.shopifyClient = options.shopifyClient || null;
+    this.fiscalRules = options.fiscalRules || null;
+
+    // Productos consultados para reglas fiscales: product_id → { producto, expira }
+    this.productos = new Map();
+  }
+
+  /**
+   * Configura las dependencias del canal
+   */
+  configure(options) {
+    if (options.shopifyClient) this.shopifyClient = options.shopifyClient;
+    if (options.fiscalRules) this.fiscalRules = options.fiscalRules;
+  }
+
+  async obtenerPedido(orderId) {
+    return this.shopifyClient.getOrder(orderId);
+  }
+
+  normalizarPedido(order) {
+    const nombre = order.name || `#${order.order_number}`;
+    const tags = (order.tags || '').toLowerCase().split(',').map(t => t.trim());
+    const moneda = monedaShopify(order);
+    const total = montoShopify(order, 'total_price', moneda);
+
+    return {
+      canal: this.id,
+      id: String(order.id),
+      nombre,
+      storeKey: this.storeKey(order.id),
+      // orders/paid sólo llega con pedidos cobrados
+      pagado: true,
+      yaFacturado: tags.includes('facturado'),
+      total,
+      // Neto en la moneda del comprobante (el pipeline lo convierte a UYU para la regla UI)
+      montoNeto: montoNetoShopify(order, moneda),
+      moneda,
+      // Envío fuera de Uruguay → e-Factura de Exportación
+      paisDestino: order.shipping_address?.country_code || null,
+      fechaPago: order.processed_at || order.created_at || null,
+      email: order.email || order.customer?.email || null,
+      datosStore: {
+        shopify_order_id: order.id,
+        shopify_order_name: nombre
+      },
+      raw: order
+    };
+  }
+
+  validarPedido(order) {
+    return validarPedidoShopify(order);
+  }
+
+  extraerIdentidad(order) {
+    return extraerRUTDePedido(order);
+  }
+
+  async convertirABiller(order, decision) {
+    const productos = await this.obtenerProductos(order);
+    return shopifyOrderToBiller(order, decision, { reglasFiscales: this.fiscalRules, productos });
+  }
+
+  /**
+   * Productos del pedido (tipo, tags, metafields) cuando alguna regla fiscal los usa:
+   * no vienen en el webhook. Si la consulta falla la línea sigue con sus tax_lines.
+   * @param {Object} order - Pedido de Shopify
+   * @returns {Object} Productos por product_id
+   */
+  async obtenerProductos(order) {
+    if (!this.fiscalRules?.requiereProducto() || !this.shopifyClient) return {};
+
+    const productos = {};
+    const ids = [...new Set((order.line_items || []).map(l => l.product_id).filter(Boolean))];
+
+    for (const id of ids) {
+      const cache = this.productos.get(id);
+      if (cache && cache.expira > Date.now()) {
+        productos[id] = cache.producto;
+        continue;
+      }
+
+      try {
+        const producto = await this.shopifyClient.getProduct(id);
+        if (this.fiscalRules.requiereMetafields()) {
+          producto.metafields = await this.shopifyClient.getProductMetafields(id);
+        }
+
+        this.productos.set(id, { producto, expira: Date.now() + CACHE_PRODUCTOS_MS });
+        productos[id] = producto;
+      } catch (e) {
+        logger.warn('No se pudo obtener el producto para reglas fiscales', { productId: id, error: e.message });
+      }
+    }
+
+    return productos;
+  }
+
+  async marcarComoFacturado(pedido, comprobante) {
+    try {
+      await this.shopifyClient.marcarComoFacturado(pedido.id, comprobante);
+    } catch (e) {
+      logger.warn('Error marcando como facturado', { error: e.message });
+    }
+
+    if (config.facturacion.agregarNotaEnPedido) {
+      try {
+        await this.shopifyClient.agregarNotaComprobante(pedido.id, comprobante);
+      } catch (e) {
+        logger.debug('Error agregando nota', { error: e.message });
+      }
+    }
+  }
+
+  async marcarPendienteIdentificacion(pedido, pendiente) {
+    try {
+      await this.shopifyClient.marcarPendienteIdentificacion(pedido.id, pendiente);
+    } catch (e) {
+      logger.warn('Error marcando pedido pendiente de identificación', { orderId: pedido.id, error: e.message });
+    }
+  }
+
+  async marcarComoCancelado(orderId, notaCredito) {
+    try {
+      await this.shopifyClient.marcarComoCancelado(orderId, notaCredito);
+    } catch (e) {
+      logger.warn('Error marcando pedido cancelado', { orderId, error: e.message });
+    }
+  }
+
+  normalizarReembolso(refund) {
+    return {
+      id: String(refund.id),
+      orderId: String(refund.order_id),
+      // NC por lo reembolsado; el pipeline anula el CFE si el reembolso lo cubre entero
+      anulacion: false,
+      importe: totalReembolsoShopify(refund),
+      refund,
+      numerosInternosOriginal: [this.storeKey(refund.order_id)]
+    };
+  }
+
+  importeReembolso(reembolso, moneda) {
+    return totalReembolsoShopify(reembolso.refund, moneda);
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getShopifyChannel(options = {}) {
+  if (!instance) {
+    instance = new ShopifyChannel(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ShopifyChannel,
+  getShopifyChannel
+};
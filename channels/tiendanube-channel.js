@@ -0,0 +1,96 @@
+/**
+ * Canal Tiendanube / Nuvemshop
+ *
+ * Adaptador de pedidos (order/paid) y cancelaciones (order/cancelled) de
+ * Tiendanube. Una cancelación emite la NC por el saldo del comprobante (procesarCancelacion).
+ *
+ * @module channels/tiendanube-channel
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ChannelAdapter } = require('./channel-adapter');
+const { tiendanubeOrderToBiller, montoNetoTiendanube } = require('../biller-client');
+const { validarPedidoTiendanube, extraerDocumentoTiendanube } = require('../utils/validators');
+
+/**
+ * Adaptador de Tiendanube
+ */
+class TiendanubeChannel extends ChannelAdapter {
+  constructor(options = {}) {
+    super({ id: 'tiendanube', nombre: 'Tiendanube', montosBrutos: 1 });
+    this.tiendanubeClient = options.tiendanubeClient || null;
+  }
+
+  /**
+   * Configura las dependencias del canal
+   */
+  configure(options) {
+    if (options.tiendanubeClient) this.tiendanubeClient = options.tiendanubeClient;
+  }
+
+  async obtenerPedido(orderId) {
+    return this.tiendanubeClient.getOrder(orderId);
+  }
+
+  normalizarPedido(order) {
+    const numero = order.number || order.id;
+
+    return {
+      canal: this.id,
+      id: String(order.id),
+      nombre: `TN-${numero}`,
+      storeKey: this.storeKey(order.id),
+      // Un pedido cancelado sigue con payment_status 'paid' (la cancelación pudo llegar antes que order/paid)
+      pagado: order.payment_status === 'paid' && order.status !== 'cancelled' && !order.cancelled_at,
+      yaFacturado: false,
+      total: order.total,
+      // Precios con IVA incluido: neto según el IVA de cada item
+      montoNeto: montoNetoTiendanube(order),
+      fechaPago: order.paid_at || order.created_at || null,
+      email: order.contact_email || order.customer?.email || null,
+      datosStore: {
+        tiendanube_order_id: String(order.id),
+        tiendanube_order_number: String(numero)
+      },
+      raw: order
+    };
+  }
+
+  validarPedido(order) {
+    return validarPedidoTiendanube(order);
+  }
+
+  extraerIdentidad(order) {
+    return extraerDocumentoTiendanube(order);
+  }
+
+  convertirABiller(order, decision) {
+    return tiendanubeOrderToBiller(order, decision);
+  }
+
+  async marcarComoFacturado(pedido, comprobante) {
+    if (!config.facturacion.agregarNotaEnPedido) return;
+
+    try {
+      await this.tiendanubeClient.agregarNotaComprobante(pedido.id, comprobante);
+    } catch (e) {
+      logger.debug('Error agregando nota', { canal: this.id, error: e.message });
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getTiendanubeChannel(options = {}) {
+  if (!instance) {
+    instance = new TiendanubeChannel(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  TiendanubeChannel,
+  getTiendanubeChannel
+};
@@ -0,0 +1,135 @@
+/**
+ * Canal WooCommerce
+ *
+ * Adaptador de pedidos (order.updated a processing/completed) y reembolsos
+ * de WooCommerce. Los reembolsos llegan dentro del pedido (refunds) y se
+ * emiten como NC por los items devueltos.
+ *
+ * @module channels/woocommerce-channel
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ChannelAdapter } = require('./channel-adapter');
+const { woocommerceOrderToBiller, woocommerceRefundToRefund } = require('../biller-client');
+const { META_COMPROBANTE } = require('../woocommerce-client');
+const { validarPedidoWooCommerce, extraerDocumentoWooCommerce } = require('../utils/validators');
+
+/**
+ * Adaptador de WooCommerce
+ */
+class WooCommerceChannel extends ChannelAdapter {
+  constructor(options = {}) {
+    super({ id: 'woocommerce', nombre: 'WooCommerce', montosBrutos: 1 });
+    this.woocommerceClient = options.woocommerceClient || null;
+  }
+
+  /**
+   * Configura las dependencias del canal
+   */
+  configure(options) {
+    if (options.woocommerceClient) this.woocommerceClient = options.woocommerceClient;
+  }
+
+  async obtenerPedido(orderId) {
+    return this.woocommerceClient.getOrder(orderId);
+  }
+
+  normalizarPedido(order) {
+    const numero = order.number || order.id;
+    const total = parseFloat(order.total) || 0;
+    const impuestos = parseFloat(order.total_tax) || 0;
+
+    return {
+      canal: this.id,
+      id: String(order.id),
+      nombre: `WC-${numero}`,
+      storeKey: this.storeKey(order.id),
+      // order.updated notifica cada cambio: sólo se facturan los estados con pago confirmado
+      pagado: config.woocommerce.estadosFacturables.includes(order.status),
+      yaFacturado: (order.meta_data || []).some(m => m.key === META_COMPROBANTE && m.value),
+      total: order.total,
+      // Con impuestos configurados el IVA viene aparte; si no, el precio lo incluye
+      montoNeto: impuestos !== 0 ? total - impuestos : total / 1.22,
+      fechaPago: order.date_paid || order.date_created || null,
+      email: order.billing?.email || null,
+      datosStore: {
+        woocommerce_order_id: String(order.id),
+        woocommerce_order_number: String(numero)
+      },
+      raw: order
+    };
+  }
+
+  validarPedido(order) {
+    return validarPedidoWooCommerce(order);
+  }
+
+  extraerIdentidad(order) {
+    return extraerDocumentoWooCommerce(order);
+  }
+
+  convertirABiller(order, decision) {
+    return woocommerceOrderToBiller(order, decision);
+  }
+
+  async marcarComoFacturado(pedido, comprobante) {
+    try {
+      await this.woocommerceClient.marcarComoFacturado(pedido.id, comprobante);
+    } catch (e) {
+      logger.warn('Error marcando como facturado', { canal: this.id, error: e.message });
+    }
+
+    if (config.facturacion.agregarNotaEnPedido) {
+      try {
+        await this.woocommerceClient.agregarNotaComprobante(pedido.id, comprobante);
+      } catch (e) {
+        logger.debug('Error agregando nota', { canal: this.id, error: e.message });
+      }
+    }
+  }
+
+  /**
+   * Reembolsos del pedido sin NC emitida (el webhook sólo trae sus IDs)
+   */
+  async reembolsosPendientes(order, { comprobanteStore }) {
+    const refunds = [];
+
+    for (const { id } of (order.refunds || [])) {
+      if (comprobanteStore.hasKey(this.storeKey(`refund-${id}`))) continue;
+
+      const refund = await this.woocommerceClient.getRefund(order.id, id);
+      refunds.push(woocommerceRefundToRefund(order, refund));
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Reembolsos convertidos con woocommerceRefundToRefund
+   */
+  normalizarReembolso(refund) {
+    return {
+      id: String(refund.id),
+      orderId: String(refund.order_id),
+      anulacion: false,
+      refund,
+      numerosInternosOriginal: [this.storeKey(refund.order_id)]
+    };
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getWooCommerceChannel(options = {}) {
+  if (!instance) {
+    instance = new WooCommerceChannel(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  WooCommerceChannel,
+  getWooCommerceChannel
+};
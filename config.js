@@ -6,7 +6,9 @@
 require('dotenv').config();
 
 /**
- * Tipos de comprobantes fiscales electrónicos (CFE) en Uruguay
+ * Tipos de comprobantes fiscales electrónicos (CFE) en Uruguay (catálogo DGI)
+ * Cada familia usa X1 documento, X2 nota de crédito, X3 nota de débito.
+ * Los comprobantes de contingencia (papel, sin conexión) son los mismos + 100 (2xx).
  */
 const TIPOS_CFE = Object.freeze({
   E_TICKET: 101,
@@ -15,22 +17,83 @@ const TIPOS_CFE = Object.freeze({
   E_FACTURA: 111,
   NC_E_FACTURA: 112,
   ND_E_FACTURA: 113,
-  E_TICKET_CONTINGENCIA: 121,
-  NC_E_TICKET_CONTINGENCIA: 122,
-  ND_E_TICKET_CONTINGENCIA: 123,
-  E_FACTURA_CONTINGENCIA: 131,
-  NC_E_FACTURA_CONTINGENCIA: 132,
-  ND_E_FACTURA_CONTINGENCIA: 133
+  E_FACTURA_EXPORTACION: 121,
+  NC_E_FACTURA_EXPORTACION: 122,
+  ND_E_FACTURA_EXPORTACION: 123,
+  E_REMITO_EXPORTACION: 124,
+  E_TICKET_CUENTA_AJENA: 131,
+  NC_E_TICKET_CUENTA_AJENA: 132,
+  ND_E_TICKET_CUENTA_AJENA: 133,
+  E_FACTURA_CUENTA_AJENA: 141,
+  NC_E_FACTURA_CUENTA_AJENA: 142,
+  ND_E_FACTURA_CUENTA_AJENA: 143,
+  E_BOLETA_ENTRADA: 151,
+  NC_E_BOLETA_ENTRADA: 152,
+  ND_E_BOLETA_ENTRADA: 153,
+  E_REMITO: 181,
+  E_RESGUARDO: 182,
+  E_TICKET_CONTINGENCIA: 201,
+  NC_E_TICKET_CONTINGENCIA: 202,
+  ND_E_TICKET_CONTINGENCIA: 203,
+  E_FACTURA_CONTINGENCIA: 211,
+  NC_E_FACTURA_CONTINGENCIA: 212,
+  ND_E_FACTURA_CONTINGENCIA: 213,
+  E_FACTURA_EXPORTACION_CONTINGENCIA: 221,
+  NC_E_FACTURA_EXPORTACION_CONTINGENCIA: 222,
+  ND_E_FACTURA_EXPORTACION_CONTINGENCIA: 223,
+  E_REMITO_EXPORTACION_CONTINGENCIA: 224,
+  E_REMITO_CONTINGENCIA: 281,
+  E_RESGUARDO_CONTINGENCIA: 282
 });
 
 /**
- * Tipos de documento de identidad
+ * Nombres de los tipos de CFE (logs, respuestas de la API)
+ */
+const NOMBRES_CFE = Object.freeze({
+  101: 'e-Ticket',
+  102: 'NC e-Ticket',
+  103: 'ND e-Ticket',
+  111: 'e-Factura',
+  112: 'NC e-Factura',
+  113: 'ND e-Factura',
+  121: 'e-Factura Exportación',
+  122: 'NC e-Factura Exportación',
+  123: 'ND e-Factura Exportación',
+  124: 'e-Remito Exportación',
+  131: 'e-Ticket Cuenta Ajena',
+  132: 'NC e-Ticket Cuenta Ajena',
+  133: 'ND e-Ticket Cuenta Ajena',
+  141: 'e-Factura Cuenta Ajena',
+  142: 'NC e-Factura Cuenta Ajena',
+  143: 'ND e-Factura Cuenta Ajena',
+  151: 'e-Boleta de Entrada',
+  152: 'NC e-Boleta de Entrada',
+  153: 'ND e-Boleta de Entrada',
+  181: 'e-Remito',
+  182: 'e-Resguardo',
+  201: 'e-Ticket Contingencia',
+  202: 'NC e-Ticket Contingencia',
+  203: 'ND e-Ticket Contingencia',
+  211: 'e-Factura Contingencia',
+  212: 'NC e-Factura Contingencia',
+  213: 'ND e-Factura Contingencia',
+  221: 'e-Factura Exportación Contingencia',
+  222: 'NC e-Factura Exportación Contingencia',
+  223: 'ND e-Factura Exportación Contingencia',
+  224: 'e-Remito Exportación Contingencia',
+  281: 'e-Remito Contingencia',
+  282: 'e-Resguardo Contingencia'
+});
+
+/**
+ * Tipos de documento de identidad del receptor (códigos DGI)
  */
 const TIPOS_DOCUMENTO = Object.freeze({
   CI: 3,        // Cédula de Identidad
   RUT: 2,       // RUT
-  PASAPORTE: 4, // Pasaporte
-  OTRO: 5       // Otro
+  OTRO: 4,      // Otro documento del exterior
+  PASAPORTE: 5, // Pasaporte (de cualquier país)
+  DNI: 6        // DNI de Argentina, Brasil, Chile o Paraguay
 });
 
 /**
@@ -53,7 +116,8 @@ const INDICADORES_IVA = Object.freeze({
   EXENTO: 1,
   GRAVADO_MINIMA: 2,   // 10%
   GRAVADO_BASICA: 3,   // 22%
-  NO_GRAVADO: 4
+  NO_GRAVADO: 4,
+  EXPORTACION: 10      // Exportación y asimiladas
 });
 
 /**
@@ -62,6 +126,7 @@ const INDICADORES_IVA = Object.freeze({
 const config = {
   // Constantes
   TIPOS_CFE,
+  NOMBRES_CFE,
   TIPOS_DOCUMENTO,
   FORMAS_PAGO,
   INDICADORES_IVA,
@@ -115,6 +180,77 @@ const config = {
     }
   },
 
+  // ============================================================
+  // MERCADOLIBRE
+  // ============================================================
+  mercadolibre: {
+    appId: process.env.ML_APP_ID,
+    clientSecret: process.env.ML_CLIENT_SECRET,
+    accessToken: process.env.ML_ACCESS_TOKEN,
+    sellerId: process.env.ML_SELLER_ID,
+    apiUrl: process.env.ML_API_URL || 'https://api.mercadolibre.com',
+    authUrl: process.env.ML_AUTH_URL || 'https://auth.mercadolibre.com.uy',
+    webhookPath: '/webhooks/mercadolibre',
+
+    // OAuth: tokens por vendedor, cifrados en disco
+    tokensFile: process.env.ML_TOKENS_FILE || './data/ml-tokens.json',
+    encryptionKey: process.env.ML_TOKEN_ENCRYPTION_KEY || process.env.ML_CLIENT_SECRET,
+
+    // Renovar el access token este tiempo antes de que venza (ms)
+    refreshMargin: parseInt(process.env.ML_TOKEN_REFRESH_MARGIN) || 10 * 60 * 1000,
+
+    // Subir el PDF del CFE a la venta luego de emitirlo
+    subirFactura: process.env.ML_SUBIR_FACTURA !== 'false',
+
+    get enabled() {
+      return !!this.appId;
+    }
+  },
+
+  // ============================================================
+  // WOOCOMMERCE
+  // ============================================================
+  woocommerce: {
+    // URL de la tienda (https://tienda.com.uy)
+    url: (process.env.WC_STORE_URL || '').replace(/\/+$/, ''),
+    consumerKey: process.env.WC_CONSUMER_KEY,
+    consumerSecret: process.env.WC_CONSUMER_SECRET,
+    apiVersion: process.env.WC_API_VERSION || 'wc/v3',
+    webhookPath: '/webhooks/woocommerce',
+
+    // Secreto configurado en WooCommerce > Ajustes > Avanzado > Webhooks
+    webhookSecret: process.env.WC_WEBHOOK_SECRET,
+
+    // Estados del pedido que se facturan (pago confirmado)
+    estadosFacturables: (process.env.WC_ESTADOS_FACTURABLES || 'processing,completed')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+
+    get enabled() {
+      return !!(this.url && this.consumerKey && this.consumerSecret);
+    }
+  },
+
+  // ============================================================
+  // TIENDANUBE / NUVEMSHOP
+  // ============================================================
+  tiendanube: {
+    // ID de la tienda (user_id que devuelve la autorización de la app)
+    storeId: process.env.TN_STORE_ID,
+    accessToken: process.env.TN_ACCESS_TOKEN,
+    // Client secret de la app: firma los webhooks
+    clientSecret: process.env.TN_CLIENT_SECRET,
+    apiUrl: process.env.TN_API_URL || 'https://api.tiendanube.com/v1',
+    // Tiendanube exige un User-Agent con nombre de la app y contacto
+    userAgent: process.env.TN_USER_AGENT || 'Biller Integration (soporte@example.com)',
+    webhookPath: '/webhooks/tiendanube',
+
+    get enabled() {
+      return !!(this.storeId && this.accessToken);
+    }
+  },
+
   // ============================================================
   // SERVIDOR
   // ============================================================
@@ -132,6 +268,9 @@ const config = {
   // ============================================================
   facturacion: {
     validarRUTConDGI: process.env.VALIDAR_RUT_CON_DGI === 'true',
+
+    // Rechazar RUT/CI con dígito verificador incorrecto (si no, se aceptan con advertencia)
+    validacionDocumentoEstricta: process.env.VALIDACION_DOCUMENTO_ESTRICTA === 'true',
     enviarAlCliente: process.env.ENVIAR_COMPROBANTE_CLIENTE !== 'false',
     agregarNotaEnPedido: process.env.AGREGAR_LINK_EN_PEDIDO !== 'false',
 
@@ -141,12 +280,49 @@ const config = {
     // Regla 5000 UI - DGI Uruguay
     // Ventas mayores a 5000 UI requieren identificación del comprador
     limiteUI: parseInt(process.env.LIMITE_UI_ETICKET) || 5000,
-    valorUI: parseFloat(process.env.VALOR_UI_UYU) || 6.0, // Actualizar periódicamente
+    // Valor de respaldo si la tabla diaria no tiene la fecha del pago
+    valorUI: parseFloat(process.env.VALOR_UI_UYU) || 6.0,
 
     get limiteUYU() {
       return this.limiteUI * this.valorUI;
     },
 
+    // Tabla diaria de la UI (config.storage.valoresUIFile)
+    unidadIndexada: {
+      // Proveedor: 'archivo' (exportación CSV del BCU) o 'fijo' (valorUI para el día)
+      proveedor: process.env.UI_PROVEEDOR || 'archivo',
+      // Exportación del BCU (CSV fecha,valor; acepta DD/MM/AAAA, ';' y coma decimal)
+      archivo: process.env.UI_ARCHIVO || './data/ui-bcu.csv',
+      // Cada cuántas horas se vuelve a leer el proveedor
+      actualizacionHoras: parseInt(process.env.UI_ACTUALIZACION_HORAS) || 12,
+      // Días hacia atrás para usar el último valor cargado
+      diasRetroceso: parseInt(process.env.UI_DIAS_RETROCESO) || 7
+    },
+
+    // Ventas sobre el límite sin RUT/CI (config.storage.pendientesIdentificacionFile)
+    identificacion: {
+      // 'emitir' (e-Ticket con warning), 'retener' (hasta que el comprador se identifique)
+      // o 'retener_con_plazo' (vencido el plazo se emite el e-Ticket)
+      politica: process.env.IDENTIFICACION_POLITICA || 'emitir',
+      plazoHoras: parseInt(process.env.IDENTIFICACION_PLAZO_HORAS) || 72
+    },
+
+    // e-Factura de Exportación (121) para envíos fuera de Uruguay
+    exportacion: {
+      habilitada: process.env.EXPORTACION_HABILITADA !== 'false',
+      // Cláusula de venta (Incoterm): DAP, FOB, CIF, EXW...
+      clausulaVenta: process.env.EXPORTACION_CLAUSULA_VENTA || 'DAP',
+      // Modalidad de venta DGI: 1 régimen general, 2 consignación, 3 precio revisable...
+      modalidadVenta: parseInt(process.env.EXPORTACION_MODALIDAD_VENTA) || 1,
+      // Vía de transporte DGI: 1 marítimo, 2 aéreo, 3 terrestre, 8 N/A, 9 otro
+      viaTransporte: parseInt(process.env.EXPORTACION_VIA_TRANSPORTE) || 2
+    },
+
+    // e-Remito (181) por cada envío (fulfillment) de Shopify
+    remitos: {
+      habilitados: process.env.REMITOS_HABILITADOS !== 'false'
+    },
+
     // Campos donde buscar RUT
     camposRUT: [
       'rut', 'RUT', 'rut_ci', 'RUT_CI', 'documento', 'tax_id',
@@ -157,7 +333,41 @@ const config = {
     camposRazonSocial: [
       'razon_social', 'razonSocial', 'empresa', 'company',
       'business_name', 'nombre_empresa'
-    ]
+    ],
+
+    // Documentos del exterior (turistas, compradores no residentes)
+    camposPasaporte: ['pasaporte', 'passport'],
+    camposDNI: ['dni', 'foreign_id', 'id_extranjero'],
+    // País que emitió el documento (ISO alfa-2)
+    camposPaisDocumento: ['pais_documento', 'document_country', 'pais_emisor', 'nacionalidad', 'nationality'],
+    // Tipo elegido en el checkout junto al número en los campos de RUT (Pasaporte, DNI, Otro)
+    camposTipoDocumento: ['tipo_documento', 'tipo_doc', 'document_type']
+  },
+
+  // ============================================================
+  // MONEDAS Y COTIZACIONES
+  // ============================================================
+  monedas: {
+    // Moneda de la contabilidad: el resto se emite con tipo_cambio
+    base: 'UYU',
+
+    // Proveedor de cotizaciones: 'archivo' (cotizaciones del BCU) o 'fijo'
+    proveedor: process.env.COTIZACION_PROVEEDOR || 'archivo',
+
+    // Archivo de cotizaciones BCU (CSV fecha,moneda,tipo_cambio o JSON { USD: { 'AAAA-MM-DD': 39.5 } })
+    archivo: process.env.COTIZACION_ARCHIVO || './data/cotizaciones.csv',
+
+    // Cotizaciones fijas para el proveedor 'fijo' (USD:39.5,EUR:43.1)
+    fijas: Object.fromEntries(
+      (process.env.COTIZACIONES_FIJAS || '')
+        .split(',')
+        .map(par => par.split(':').map(s => s.trim()))
+        .filter(([moneda, valor]) => moneda && parseFloat(valor) > 0)
+        .map(([moneda, valor]) => [moneda.toUpperCase(), parseFloat(valor)])
+    ),
+
+    // Días hacia atrás para buscar la última cotización (fines de semana y feriados)
+    diasRetroceso: parseInt(process.env.COTIZACION_DIAS_RETROCESO) || 7
   },
 
   // ============================================================
@@ -218,7 +428,16 @@ const config = {
     comprobantesFile: process.env.STORAGE_FILE || './data/comprobantes.json',
     
     // Auto-guardar cada N segundos
-    autoSaveInterval: parseInt(process.env.AUTO_SAVE_INTERVAL) || 30
+    autoSaveInterval: parseInt(process.env.AUTO_SAVE_INTERVAL) || 30,
+
+    // Reglas fiscales (indicador de IVA y unidad por producto, tag, SKU, proveedor)
+    reglasFiscalesFile: process.env.REGLAS_FISCALES_FILE || './data/reglas-fiscales.json',
+
+    // Valores diarios de la Unidad Indexada
+    valoresUIFile: process.env.VALORES_UI_FILE || './data/valores-ui.json',
+
+    // Pedidos retenidos hasta identificar al comprador
+    pendientesIdentificacionFile: process.env.PENDIENTES_IDENTIFICACION_FILE || './data/pendientes-identificacion.json'
   },
 
   // ============================================================
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * 📥 IMPORTACIÓN DE PEDIDOS OFFLINE (CSV / XLSX)
+ *
+ * Ejecutar:
+ *   node importar.js pedidos.csv --dry-run
+ *   node importar.js pedidos.xlsx --prefijo feria-2024 --salida resultados.csv
+ *
+ * Opciones:
+ *   --dry-run         Sólo validar, no emite comprobantes
+ *   --prefijo <p>     Prefijo de la idempotency_key (<p>-<pedido>)
+ *   --origen <o>      Origen de la venta (informacion_adicional)
+ *   --salida <ruta>   Dónde escribir el CSV de resultados
+ *
+ * Usa el mismo store (data/) que el servidor: reimportar no duplica comprobantes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BillerClient } = require('./biller-client');
+const { getComprobanteStore } = require('./utils/store');
+const { getAuditLogger } = require('./utils/audit-logger');
+const { getBillingDecisionService } = require('./services/billing-decision');
+const { getBillingPipeline } = require('./services/billing-pipeline');
+const { getImportService } = require('./services/import-service');
+
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RESET = '\x1b[0m';
+
+function leerArgumentos(argv) {
+  const args = { archivo: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--prefijo') args.prefijo = argv[++i];
+    else if (arg === '--origen') args.origen = argv[++i];
+    else if (arg === '--salida') args.salida = argv[++i];
+    else if (!args.archivo) args.archivo = arg;
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = leerArgumentos(process.argv.slice(2));
+
+  if (!args.archivo) {
+    console.log('Uso: node importar.js <archivo.csv|xlsx> [--dry-run] [--prefijo p] [--origen o] [--salida ruta]');
+    process.exit(1);
+  }
+
+  const comprobanteStore = getComprobanteStore();
+  const auditLogger = getAuditLogger();
+  const billingPipeline = getBillingPipeline();
+  billingPipeline.configure({
+    billerClient: new BillerClient(),
+    comprobanteStore,
+    billingDecision: getBillingDecisionService(),
+    auditLogger
+  });
+
+  const importService = getImportService();
+  importService.configure({ billingPipeline });
+
+  const reporte = await importService.importar(fs.readFileSync(args.archivo), {
+    formato: path.extname(args.archivo).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv',
+    prefijo: args.prefijo,
+    origen: args.origen,
+    dryRun: args.dryRun
+  });
+
+  comprobanteStore.stopAutoSave();
+  auditLogger.stop();
+
+  for (const r of reporte.resultados) {
+    const comprobante = r.serie ? ` ${r.serie}-${r.numero}` : '';
+    const color = ['invalido', 'error'].includes(r.estado) ? RED : r.estado === 'existente' ? YELLOW : GREEN;
+    console.log(`${color}[${r.estado}]${RESET} ${r.pedido} (filas ${r.filas})${comprobante}${r.error ? ` → ${r.error}` : ''}`);
+  }
+
+  console.log(`\n${JSON.stringify(reporte.resumen)}`);
+
+  if (args.salida) {
+    fs.writeFileSync(args.salida, importService.generarCSVResultados(reporte));
+    console.log(`Resultados: ${args.salida}`);
+  } else if (!reporte.dryRun) {
+    console.log(`Resultados: ${importService.obtenerArchivoResultados(reporte.id)}`);
+  }
+
+  const fallidos = reporte.resumen.invalidos + reporte.resumen.errores;
+  process.exit(fallidos > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Error ejecutando importación:', err);
+  process.exit(1);
+});
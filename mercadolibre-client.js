@@ -0,0 +1,323 @@
+/**
+ * Cliente para API de MercadoLibre
+ * @module mercadolibre-client
+ */
+
+const config = require('./config');
+const logger = require('./utils/logger');
+const { withRetry } = require('./utils/retry');
+
+/**
+ * Error personalizado para MercadoLibre
+ */
+class MercadoLibreError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'MercadoLibreError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Cliente para la API de MercadoLibre
+ */
+class MercadoLibreClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.sellerId - Vendedor (por defecto ML_SELLER_ID)
+   * @param {Object} options.authService - MLAuthService para tokens OAuth renovables
+   */
+  constructor(options = {}) {
+    this.baseUrl = config.mercadolibre.apiUrl;
+    this.appId = config.mercadolibre.appId;
+    this.accessToken = config.mercadolibre.accessToken;
+    this.sellerId = options.sellerId || config.mercadolibre.sellerId;
+    this.authService = options.authService || null;
+
+    this.clientesPorVendedor = new Map();
+  }
+
+  /**
+   * Configura las dependencias del cliente
+   */
+  configure(options) {
+    if (options.authService) this.authService = options.authService;
+  }
+
+  /**
+   * Cliente para otro vendedor autorizado (comparte el servicio de tokens)
+   * @param {string|number} sellerId
+   */
+  forSeller(sellerId) {
+    if (!sellerId || String(sellerId) === String(this.sellerId)) return this;
+
+    const id = String(sellerId);
+    if (!this.clientesPorVendedor.has(id)) {
+      this.clientesPorVendedor.set(id, new MercadoLibreClient({
+        sellerId: id,
+        authService: this.authService
+      }));
+    }
+    return this.clientesPorVendedor.get(id);
+  }
+
+  /**
+   * Access token vigente: OAuth si el vendedor autorizó la app, si no ML_ACCESS_TOKEN
+   * @param {Object} options
+   * @param {boolean} options.forzar - Forzar renovación
+   */
+  async getAccessToken({ forzar = false } = {}) {
+    const sellerId = this._vendedorOAuth();
+
+    if (sellerId) {
+      return this.authService.getAccessToken(sellerId, { forzar });
+    }
+
+    return this.accessToken;
+  }
+
+  /**
+   * Vendedor con tokens OAuth (null si se usa ML_ACCESS_TOKEN)
+   * @private
+   */
+  _vendedorOAuth() {
+    const sellerId = this.sellerId || this.authService?.vendedorPorDefecto();
+    return this.authService?.tieneVendedor(sellerId) ? sellerId : null;
+  }
+
+  /**
+   * Realizar petición a la API de MercadoLibre
+   */
+  async request(method, endpoint, data = null, reintentarAuth = true) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const startTime = Date.now();
+    const accessToken = await this.getAccessToken();
+
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json'
+      }
+    };
+
+    // FormData define su propio Content-Type (multipart con boundary)
+    if (data instanceof FormData) {
+      options.body = data;
+    } else if (data) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(data);
+    }
+
+    try {
+      const response = await fetch(url, options);
+      const duration = Date.now() - startTime;
+
+      logger.request(method, endpoint, response.status, duration);
+
+      // Token revocado o vencido antes de lo esperado: renovar una vez
+      if (response.status === 401 && reintentarAuth && this._vendedorOAuth()) {
+        await this.getAccessToken({ forzar: true });
+        return this.request(method, endpoint, data, false);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorData;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch {
+          errorData = { message: errorText };
+        }
+
+        throw new MercadoLibreError(
+          errorData.message || errorData.error || `HTTP ${response.status}`,
+          response.status === 404 ? 'NOT_FOUND' : 'API_ERROR',
+          response.status,
+          errorData
+        );
+      }
+
+      const text = await response.text();
+      return text ? JSON.parse(text) : {};
+
+    } catch (error) {
+      if (error instanceof MercadoLibreError) throw error;
+
+      throw new MercadoLibreError(
+        `Error de conexión: ${error.message}`,
+        'NETWORK_ERROR',
+        0,
+        null
+      );
+    }
+  }
+
+  /**
+   * Request con reintentos
+   */
+  async requestWithRetry(method, endpoint, data = null, operationName = 'ml-request') {
+    return withRetry(
+      () => this.request(method, endpoint, data),
+      {
+        maxAttempts: 3,
+        initialDelay: 1000,
+        maxDelay: 5000,
+        operationName
+      }
+    );
+  }
+
+  // ============================================================
+  // NOTIFICACIONES
+  // ============================================================
+
+  /**
+   * Verificar que una notificación corresponde a nuestra app y vendedor
+   * MercadoLibre no firma las notificaciones, se valida application_id y user_id
+   * @param {Object} notification - Cuerpo de la notificación
+   */
+  verificarNotificacion(notification) {
+    if (!notification || !notification.topic || !notification.resource) {
+      return false;
+    }
+
+    if (this.appId && String(notification.application_id) !== String(this.appId)) {
+      return false;
+    }
+
+    // Vendedores autorizados por OAuth o el configurado en ML_SELLER_ID
+    if (this.authService?.tieneVendedor(String(notification.user_id))) {
+      return true;
+    }
+
+    if (this.sellerId && String(notification.user_id) !== String(this.sellerId)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Extraer el ID del recurso de una notificación ("/orders/123" → "123")
+   * @param {Object} notification
+   */
+  getResourceId(notification) {
+    const resource = String(notification?.resource || '');
+    return resource.split('/').filter(Boolean).pop() || null;
+  }
+
+  // ============================================================
+  // PEDIDOS
+  // ============================================================
+
+  /**
+   * Obtener un pedido (orders_v2) por ID
+   */
+  async getOrder(orderId) {
+    return this.requestWithRetry(
+      'GET',
+      `/orders/${orderId}`,
+      null,
+      'ml-get-order'
+    );
+  }
+
+  /**
+   * Obtener datos de facturación que el comprador ingresó en el checkout
+   * @returns {Object|null} billing_info o null si no existe
+   */
+  async getBillingInfo(orderId) {
+    try {
+      const response = await this.requestWithRetry(
+        'GET',
+        `/orders/${orderId}/billing_info`,
+        null,
+        'ml-get-billing-info'
+      );
+      return response.billing_info || null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un pack (carrito con varios pedidos)
+   * @returns {Object} Pack con orders: [{ id }, ...]
+   */
+  async getPack(packId) {
+    return this.requestWithRetry(
+      'GET',
+      `/packs/${packId}`,
+      null,
+      'ml-get-pack'
+    );
+  }
+
+  // ============================================================
+  // RECLAMOS Y DEVOLUCIONES
+  // ============================================================
+
+  /**
+   * Obtener un reclamo (post-venta)
+   * @returns {Object} Reclamo con resource_id (pedido), status y resolution
+   */
+  async getClaim(claimId) {
+    return this.requestWithRetry(
+      'GET',
+      `/post-purchase/v1/claims/${claimId}`,
+      null,
+      'ml-get-claim'
+    );
+  }
+
+  /**
+   * Obtener la devolución asociada a un reclamo
+   * @returns {Object|null} Devolución con orders: [{ order_id, item_id, variation_id, total_quantity }]
+   *                        o null si el reclamo no tiene devolución de producto
+   */
+  async getClaimReturn(claimId) {
+    try {
+      return await this.requestWithRetry(
+        'GET',
+        `/post-purchase/v2/claims/${claimId}/returns`,
+        null,
+        'ml-get-claim-return'
+      );
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // DOCUMENTOS FISCALES
+  // ============================================================
+
+  /**
+   * Subir la factura (PDF) a una venta
+   * Las ventas sin pack usan el ID del pedido como pack_id
+   * @param {string|number} packId - pack_id o order_id
+   * @param {ArrayBuffer|Buffer} pdf - Contenido del PDF
+   * @param {string} filename - Nombre del archivo
+   * @returns {Object} Respuesta de MercadoLibre ({ ids: [...] })
+   */
+  async subirDocumentoFiscal(packId, pdf, filename) {
+    const form = new FormData();
+    form.append(
+      'fiscal_document',
+      new Blob([pdf], { type: 'application/pdf' }),
+      filename
+    );
+
+    return this.request('POST', `/packs/${packId}/fiscal_documents`, form);
+  }
+}
+
+module.exports = {
+  MercadoLibreClient,
+  MercadoLibreError
+};
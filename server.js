@@ -10,11 +10,14 @@ const express = require('express');
 const crypto = require('crypto');
 const path = require('path');
 const config = require('./config');
-const { BillerClient, shopifyOrderToBiller } = require('./biller-client');
+const { BillerClient } = require('./biller-client');
 const { ShopifyClient } = require('./shopify-client');
+const { MercadoLibreClient } = require('./mercadolibre-client');
+const { WooCommerceClient } = require('./woocommerce-client');
+const { TiendanubeClient } = require('./tiendanube-client');
 const logger = require('./utils/logger');
+const { parsearIndicadorIVA } = require('./utils/validators');
 const { getComprobanteStore, WebhookDedupeStore } = require('./utils/store');
-const { validarPedidoShopify } = require('./utils/validators');
 const { AsyncQueue } = require('./utils/queue');
 const { CircuitBreaker } = require('./utils/circuit-breaker');
 
@@ -27,6 +30,27 @@ const { getAuditLogger } = require('./utils/audit-logger');
 const { getCircuitBreaker: getCircuitBreakerV2, getAllCircuitsState } = require('./utils/circuit-breaker-v2');
 const { getBillerSearchCache } = require('./utils/biller-search-cache');
 const { getPDFSenderWorker } = require('./workers/pdf-sender-worker');
+const { getMLFiscalDocumentWorker } = require('./workers/ml-fiscal-document-worker');
+const { getMLAuthService } = require('./services/ml-auth-service');
+const { getBillingPipeline } = require('./services/billing-pipeline');
+const { getImportService } = require('./services/import-service');
+const { getExchangeRateService } = require('./services/exchange-rate-service');
+const { getFiscalRulesService } = require('./services/fiscal-rules-service');
+const { getRemitoService } = require('./services/remito-service');
+const { getDebitNoteService } = require('./services/debit-note-service');
+const { getUnidadIndexadaService } = require('./services/unidad-indexada-service');
+const {
+  getPendingIdentificationService,
+  PendingIdentificationError,
+  ESTADOS: ESTADOS_IDENTIFICACION
+} = require('./services/pending-identification-service');
+const { saldoLedger } = require('./services/refund-ledger');
+const { registrarCanal, getCanal, getCanales } = require('./channels');
+const { getShopifyChannel } = require('./channels/shopify-channel');
+const { getMercadoLibreChannel } = require('./channels/mercadolibre-channel');
+const { getWooCommerceChannel } = require('./channels/woocommerce-channel');
+const { getTiendanubeChannel } = require('./channels/tiendanube-channel');
+const { getManualChannel } = require('./channels/manual-channel');
 
 // ============================================================
 // INICIALIZACIÓN
@@ -35,6 +59,10 @@ const { getPDFSenderWorker } = require('./workers/pdf-sender-worker');
 const app = express();
 const biller = new BillerClient();
 const shopify = new ShopifyClient();
+const mlAuth = getMLAuthService();
+const mercadolibre = new MercadoLibreClient({ authService: mlAuth });
+const woocommerce = new WooCommerceClient();
+const tiendanube = new TiendanubeClient();
 const comprobanteStore = getComprobanteStore();
 const webhookDedupe = new WebhookDedupeStore(config.procesamiento.dedupeWindow);
 
@@ -61,11 +89,51 @@ const errorStore = getErrorStore();
 const auditLogger = getAuditLogger();
 const billerCache = getBillerSearchCache();
 const pdfWorker = getPDFSenderWorker();
+const mlFiscalWorker = getMLFiscalDocumentWorker();
+const billingPipeline = getBillingPipeline();
+const importService = getImportService();
+const exchangeRateService = getExchangeRateService();
+const fiscalRules = getFiscalRulesService();
+const remitoService = getRemitoService();
+const debitNoteService = getDebitNoteService();
+const unidadIndexada = getUnidadIndexadaService();
+const pendingIdentification = getPendingIdentificationService();
 
 // Configurar dependencias de servicios
-creditNoteService.configure({ billerClient: biller, comprobanteStore });
+billingDecision.configure({ unidadIndexada });
+creditNoteService.configure({ billerClient: biller, comprobanteStore, exchangeRateService, fiscalRules, errorStore });
 reconciliationService.configure({ billerClient: biller, comprobanteStore });
+remitoService.configure({ billerClient: biller, comprobanteStore, shopifyClient: shopify, auditLogger });
+debitNoteService.configure({ billerClient: biller, comprobanteStore, fiscalRules, auditLogger });
 pdfWorker.configure({ billerClient: biller });
+mlFiscalWorker.configure({
+  billerClient: biller,
+  mercadolibreClient: mercadolibre,
+  comprobanteStore,
+  errorStore
+});
+billingPipeline.configure({
+  billerClient: biller,
+  comprobanteStore,
+  billingDecision,
+  creditNoteService,
+  auditLogger,
+  pdfWorker,
+  exchangeRateService,
+  pendingIdentification
+});
+importService.configure({ billingPipeline });
+
+// Canales de venta
+const shopifyChannel = registrarCanal(getShopifyChannel({ shopifyClient: shopify, fiscalRules }));
+const mlChannel = registrarCanal(getMercadoLibreChannel({
+  mercadolibreClient: mercadolibre,
+  fiscalWorker: mlFiscalWorker
+}));
+const wcChannel = registrarCanal(getWooCommerceChannel({ woocommerceClient: woocommerce }));
+const tnChannel = registrarCanal(getTiendanubeChannel({ tiendanubeClient: tiendanube }));
+// Comprobantes manuales (POST /api/comprobantes): no se obtienen por ID, no se registra
+const manualChannel = getManualChannel();
 
 // Métricas
 const metrics = {
@@ -120,6 +188,19 @@ app.get('/', async (req, res) => {
       configured: !!config.shopify.accessToken,
       shop: config.shopify.shopDomain
     };
+    status.mercadolibre = {
+      configured: config.mercadolibre.enabled &&
+        !!(config.mercadolibre.accessToken || mlAuth.vendedorPorDefecto()),
+      sellerId: config.mercadolibre.sellerId || mlAuth.vendedorPorDefecto()
+    };
+    status.woocommerce = {
+      configured: config.woocommerce.enabled,
+      store: config.woocommerce.url || null
+    };
+    status.tiendanube = {
+      configured: config.tiendanube.enabled,
+      storeId: config.tiendanube.storeId || null
+    };
     
     if (config.shopify.accessToken) {
       try {
@@ -152,7 +233,14 @@ app.get('/metrics', (req, res) => {
     uptime: Math.round((Date.now() - metrics.startTime) / 1000),
     queue: queueStatus,
     circuit: circuitStatus,
-    comprobantes: stats
+    comprobantes: stats,
+    pipeline: billingPipeline.getStats(),
+    cotizaciones: exchangeRateService.getStats(),
+    unidadIndexada: unidadIndexada.getStats(),
+    identificaciones: pendingIdentification.getStats(),
+    reglasFiscales: fiscalRules.getStats(),
+    remitos: remitoService.getStats(),
+    notasDebito: debitNoteService.getStats()
   });
 });
 
@@ -241,6 +329,63 @@ app.get('/auth/callback', async (req, res) => {
   }
 });
 
+app.get('/mercadolibre/install', (req, res) => {
+  if (!config.mercadolibre.appId || !config.mercadolibre.clientSecret) {
+    return res.status(400).send(`
+      <html><body style="font-family:system-ui;padding:40px;max-width:600px;margin:auto">
+        <h1>Error: MercadoLibre no configurado</h1>
+        <p>Configura <code>ML_APP_ID</code> y <code>ML_CLIENT_SECRET</code> en <code>.env</code></p>
+      </body></html>
+    `);
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  app.locals.mlOauthState = state;
+
+  const redirectUri = `${config.server.publicUrl}/mercadolibre/auth/callback`;
+
+  logger.info('Iniciando OAuth de MercadoLibre', { redirectUri });
+  res.redirect(mlAuth.getAuthUrl(redirectUri, state));
+});
+
+app.get('/mercadolibre/auth/callback', async (req, res) => {
+  const { code, state } = req.query;
+
+  if (state !== app.locals.mlOauthState) {
+    logger.warn('OAuth state de MercadoLibre inválido');
+    return res.status(403).send('State inválido');
+  }
+
+  try {
+    const redirectUri = `${config.server.publicUrl}/mercadolibre/auth/callback`;
+    const { user_id, expires_at } = await mlAuth.autorizar(code, redirectUri);
+
+    // Los tokens quedan cifrados en disco y se renuevan solos: no hay que copiarlos a .env
+    res.send(`
+      <!DOCTYPE html>
+      <html><head><title>MercadoLibre Autorizado</title>
+      <style>
+        body{font-family:system-ui;padding:40px;max-width:700px;margin:auto}
+        .success{background:#d4edda;padding:20px;border-radius:8px;margin-bottom:20px}
+        .steps{background:#e7f1ff;padding:20px;border-radius:8px}
+        code{background:#eee;padding:2px 6px;border-radius:4px}
+      </style></head>
+      <body>
+        <div class="success"><h1>✅ Vendedor ${user_id} autorizado</h1></div>
+        <div class="steps">
+          <p>El token vence ${expires_at} y se renueva automáticamente.</p>
+          <p>Configura las notificaciones de la app (tópicos <code>orders_v2</code> y <code>claims</code>) en:
+          <code>${config.server.publicUrl}${config.mercadolibre.webhookPath}</code></p>
+        </div>
+      </body></html>
+    `);
+  } catch (error) {
+    // El detalle puede traer texto de la respuesta de MercadoLibre: sólo va al log
+    logger.error('Error en OAuth de MercadoLibre', { error: error.message });
+    res.status(500).send('<h1>Error</h1><p>No se pudo autorizar al vendedor. Revisa los logs del servidor.</p>');
+  }
+});
+
 // ============================================================
 // WEBHOOKS DE SHOPIFY
 // ============================================================
@@ -259,7 +404,8 @@ app.post(config.server.webhookPath, async (req, res) => {
     return res.status(401).send('Unauthorized');
   }
 
-  const resourceId = req.body.id;
+  // orders/edited trae la edición en order_edit
+  const resourceId = req.body.id ?? req.body.order_edit?.id;
   logger.info(`📨 Webhook: ${topic}`, { resourceId, webhookId });
 
   // 2. Responder inmediatamente (Shopify requiere < 5 segundos)
@@ -281,10 +427,19 @@ app.post(config.server.webhookPath, async (req, res) => {
       try {
         switch (topic) {
           case 'orders/paid':
-            await procesarPedidoPagado(payload);
+            await facturarPedido(shopifyChannel, payload);
             break;
           case 'refunds/create':
-            await procesarReembolso(payload);
+            await reembolsarPedido(shopifyChannel, payload);
+            break;
+          case 'fulfillments/create':
+            await emitirRemito(payload);
+            break;
+          case 'orders/edited':
+            await procesarEdicionShopify(payload.order_edit);
+            break;
+          case 'orders/cancelled':
+            await procesarCancelacionShopify(payload);
             break;
           default:
             logger.debug('Webhook ignorado', { topic });
@@ -302,184 +457,382 @@ app.post(config.server.webhookPath, async (req, res) => {
         throw error;
       }
     },
-    { id: taskId, priority: topic === 'refunds/create' ? 10 : 5 }
+    // Los envíos después de los pagos: el remito necesita el comprobante de venta.
+    // Las cancelaciones después de los reembolsos: la NC es por el saldo que queda
+    {
+      id: taskId,
+      priority: topic === 'refunds/create' ? 10
+        : ['fulfillments/create', 'orders/cancelled'].includes(topic) ? 1
+          : 5
+    }
   ).catch(error => {
     logger.error('Error en cola de webhooks', { taskId, error: error.message });
   });
 });
 
 // ============================================================
-// PROCESAMIENTO DE PEDIDOS
+// WEBHOOKS DE MERCADOLIBRE
 // ============================================================
 
-async function procesarPedidoPagado(order) {
-  const orderId = order.id;
-  const orderName = order.name || `#${order.order_number}`;
-  
-  const op = logger.startOperation(orderId, `Procesar pedido ${orderName}`);
-  
-  try {
-    // Validar pedido
-    const validacion = validarPedidoShopify(order);
-    if (!validacion.valid) {
-      logger.warn('Pedido inválido', { errors: validacion.errors });
-      return { status: 'error', reason: 'invalid_order', errors: validacion.errors };
-    }
+app.post(config.mercadolibre.webhookPath, (req, res) => {
+  const notification = req.body || {};
+  const topic = notification.topic;
 
-    // Verificar si ya facturado
-    const tags = (order.tags || '').toLowerCase().split(',').map(t => t.trim());
-    if (tags.includes('facturado')) {
-      logger.info('Pedido ya facturado', { orderId });
-      return { status: 'skipped', reason: 'already_invoiced' };
-    }
+  metrics.webhooksRecibidos++;
 
-    // Verificar en store local
-    if (comprobanteStore.has(orderId)) {
-      logger.info('Comprobante ya existe en store', { orderId });
-      return { status: 'skipped', reason: 'exists_in_store' };
-    }
+  // 1. Verificar que la notificación sea de nuestra app y vendedor
+  if (!mercadolibre.verificarNotificacion(notification)) {
+    logger.warn('Notificación de MercadoLibre inválida', {
+      topic,
+      applicationId: notification.application_id,
+      userId: notification.user_id
+    });
+    return res.status(401).send('Unauthorized');
+  }
 
-    // Convertir a formato Biller
-    let billerData = shopifyOrderToBiller(order);
-    
-    // Validar RUT con DGI si aplica
-    if (billerData.cliente && config.facturacion.validarRUTConDGI) {
+  const resourceId = mercadolibre.getResourceId(notification);
+  const canal = mlChannel.forSeller(notification.user_id);
+  logger.info(`📨 MercadoLibre: ${topic}`, { resourceId, attempts: notification.attempts });
+
+  // 2. Responder inmediatamente (MercadoLibre reintenta si no recibe 200 en 500ms)
+  res.status(200).send('OK');
+
+  if (topic !== 'orders_v2' && topic !== 'claims') {
+    logger.debug('Notificación de MercadoLibre ignorada', { topic });
+    return;
+  }
+
+  // 3. Deduplicación
+  const dedupeTopic = `mercadolibre/${topic}`;
+  if (!webhookDedupe.tryAcquire(dedupeTopic, resourceId)) {
+    metrics.webhooksDuplicados++;
+    logger.debug('Notificación duplicada', { topic, resourceId });
+    return;
+  }
+
+  // 4. Encolar para procesamiento asíncrono
+  const taskId = `${dedupeTopic}:${resourceId}`;
+
+  webhookQueue.enqueue(
+    async () => {
       try {
-        const validacionDGI = await biller.validarRUTConDGI(billerData.cliente.documento);
-        
-        if (validacionDGI.valid && validacionDGI.razonSocial) {
-          billerData.cliente.razon_social = validacionDGI.razonSocial.substring(0, 150);
-          billerData.cliente.nombre_fantasia = validacionDGI.razonSocial.substring(0, 150);
-          logger.info('RUT validado con DGI', { razonSocial: validacionDGI.razonSocial });
-        } else if (!validacionDGI.valid && !validacionDGI.warning) {
-          logger.warn('RUT inválido en DGI, cambiando a e-Ticket');
-          billerData.tipo_comprobante = config.TIPOS_CFE.E_TICKET;
-          delete billerData.cliente;
+        const resultado = topic === 'claims'
+          ? await reembolsarPorId(canal, resourceId)
+          : await procesarEventoPedido(canal, await canal.obtenerPedido(resourceId));
+
+        // Un pedido (o pack) aún no cobrado o un reclamo abierto volverán a notificarse
+        // cuando cambien de estado
+        if (['not_paid', 'pack_incomplete', 'claim_open'].includes(resultado.reason)) {
+          webhookDedupe.release(dedupeTopic, resourceId);
+        } else {
+          webhookDedupe.complete(dedupeTopic, resourceId);
         }
-      } catch (e) {
-        logger.warn('Error validando con DGI', { error: e.message });
+        metrics.webhooksProcesados++;
+
+      } catch (error) {
+        logger.error('Error procesando notificación de MercadoLibre', {
+          topic, resourceId, error: error.message
+        });
+        metrics.errores++;
+        webhookDedupe.release(dedupeTopic, resourceId);
+        throw error;
       }
-    }
+    },
+    { id: taskId, priority: topic === 'claims' ? 10 : 5 }
+  ).catch(error => {
+    logger.error('Error en cola de webhooks', { taskId, error: error.message });
+  });
+});
 
-    // Emitir comprobante
-    const comprobante = await biller.emitirComprobante(billerData);
-    metrics.comprobantesEmitidos++;
+// ============================================================
+// WEBHOOKS DE WOOCOMMERCE
+// ============================================================
 
-    // Agregar URL pública del PDF (accesible sin auth)
-    comprobante.publicPdfUrl = `${config.server.publicUrl}/api/comprobante/${comprobante.id}/pdf`;
-    
-    // Guardar en store
-    comprobanteStore.set(orderId, {
-      id: comprobante.id,
-      tipo_comprobante: billerData.tipo_comprobante,
-      serie: comprobante.serie,
-      numero: comprobante.numero,
-      cae_numero: comprobante.cae_numero,
-      fecha_emision: comprobante.fecha_emision,
-      cliente: billerData.cliente || null,
-      total: order.total_price,
-      shopify_order_name: orderName
+app.post(config.woocommerce.webhookPath, (req, res) => {
+  const signature = req.get('X-WC-Webhook-Signature');
+  const topic = req.get('X-WC-Webhook-Topic');
+
+  metrics.webhooksRecibidos++;
+
+  // Al crear el webhook WooCommerce envía un ping (webhook_id=N) sin tópico
+  if (!topic) {
+    return res.status(200).send('OK');
+  }
+
+  // 1. Verificar firma HMAC
+  if (!woocommerce.verifyWebhookSignature(req.rawBody, signature)) {
+    logger.warn('Webhook de WooCommerce con firma inválida', {
+      topic,
+      source: req.get('X-WC-Webhook-Source')
     });
+    return res.status(401).send('Unauthorized');
+  }
 
-    // Marcar en Shopify
-    try {
-      await shopify.marcarComoFacturado(orderId, comprobante);
-    } catch (e) {
-      logger.warn('Error marcando como facturado', { error: e.message });
-    }
+  const order = req.body || {};
+  logger.info(`📨 WooCommerce: ${topic}`, { resourceId: order.id, status: order.status });
+
+  // 2. Responder inmediatamente
+  res.status(200).send('OK');
+
+  if (topic !== 'order.updated' && topic !== 'order.created') {
+    logger.debug('Webhook de WooCommerce ignorado', { topic });
+    return;
+  }
+
+  // 3. Deduplicación: order.updated se dispara en cada cambio del pedido,
+  //    se deduplica por versión (date_modified)
+  const dedupeTopic = 'woocommerce/order';
+  const resourceId = `${order.id}:${order.date_modified_gmt || order.date_modified || ''}`;
+  if (!webhookDedupe.tryAcquire(dedupeTopic, resourceId)) {
+    metrics.webhooksDuplicados++;
+    logger.debug('Webhook duplicado', { topic, resourceId });
+    return;
+  }
+
+  // 4. Encolar para procesamiento asíncrono
+  const taskId = `${dedupeTopic}:${resourceId}`;
 
-    // Agregar nota
-    if (config.facturacion.agregarNotaEnPedido) {
+  webhookQueue.enqueue(
+    async () => {
       try {
-        await shopify.agregarNotaComprobante(orderId, comprobante);
-      } catch (e) {
-        logger.debug('Error agregando nota', { error: e.message });
+        await procesarEventoPedido(wcChannel, order);
+
+        webhookDedupe.complete(dedupeTopic, resourceId);
+        metrics.webhooksProcesados++;
+
+      } catch (error) {
+        logger.error('Error procesando webhook de WooCommerce', {
+          topic, resourceId, error: error.message
+        });
+        metrics.errores++;
+        webhookDedupe.release(dedupeTopic, resourceId);
+        throw error;
       }
-    }
+    },
+    { id: taskId, priority: order.refunds?.length ? 10 : 5 }
+  ).catch(error => {
+    logger.error('Error en cola de webhooks', { taskId, error: error.message });
+  });
+});
 
-    op.end({ comprobante: `${comprobante.serie}-${comprobante.numero}` });
-    
-    return { 
-      status: 'success', 
-      tipo: biller.getTipoComprobanteStr(billerData.tipo_comprobante),
-      comprobante: { id: comprobante.id, serie: comprobante.serie, numero: comprobante.numero }
-    };
-    
-  } catch (error) {
-    op.fail(error);
-    throw error;
+// ============================================================
+// WEBHOOKS DE TIENDANUBE
+// ============================================================
+
+app.post(config.tiendanube.webhookPath, (req, res) => {
+  const hmac = req.get('x-linkedstore-hmac-sha256');
+  const notification = req.body || {};
+  const event = notification.event;
+
+  metrics.webhooksRecibidos++;
+
+  // 1. Verificar firma HMAC y tienda
+  if (!tiendanube.verifyWebhookHMAC(req.rawBody, hmac)) {
+    logger.warn('Webhook de Tiendanube con firma inválida', { event, storeId: notification.store_id });
+    return res.status(401).send('Unauthorized');
+  }
+
+  if (String(notification.store_id) !== String(config.tiendanube.storeId)) {
+    logger.warn('Webhook de otra tienda de Tiendanube', { storeId: notification.store_id });
+    return res.status(401).send('Unauthorized');
   }
-}
 
-async function procesarReembolso(refund) {
-  const refundId = refund.id;
-  const orderId = refund.order_id;
+  // La notificación sólo trae el ID: el pedido se obtiene de la API
+  const resourceId = notification.id;
+  logger.info(`📨 Tiendanube: ${event}`, { resourceId });
 
-  const op = logger.startOperation(refundId, `Procesar reembolso`);
+  // 2. Responder inmediatamente
+  res.status(200).send('OK');
 
-  try {
-    // Buscar comprobante original
-    let comprobanteOriginal = comprobanteStore.get(orderId);
-
-    if (!comprobanteOriginal) {
-      const encontrado = await biller.buscarPorNumeroInterno(`shopify-${orderId}`);
-      if (encontrado) {
-        comprobanteOriginal = {
-          id: encontrado.id,
-          tipo_comprobante: encontrado.tipo_comprobante,
-          serie: encontrado.serie,
-          numero: encontrado.numero,
-          fecha_emision: encontrado.fecha_emision || encontrado.created_at
-        };
+  if (event !== 'order/paid' && event !== 'order/cancelled') {
+    logger.debug('Webhook de Tiendanube ignorado', { event });
+    return;
+  }
+
+  // 3. Deduplicación
+  const dedupeTopic = `tiendanube/${event}`;
+  if (!webhookDedupe.tryAcquire(dedupeTopic, resourceId)) {
+    metrics.webhooksDuplicados++;
+    logger.debug('Webhook duplicado', { event, resourceId });
+    return;
+  }
+
+  // 4. Encolar para procesamiento asíncrono
+  const taskId = `${dedupeTopic}:${resourceId}`;
+
+  webhookQueue.enqueue(
+    async () => {
+      try {
+        const order = await tnChannel.obtenerPedido(resourceId);
+
+        if (event === 'order/cancelled') {
+          await procesarCancelacionTiendanube(order);
+        } else {
+          await facturarPedido(tnChannel, order);
+        }
+
+        webhookDedupe.complete(dedupeTopic, resourceId);
+        metrics.webhooksProcesados++;
+
+      } catch (error) {
+        logger.error('Error procesando webhook de Tiendanube', {
+          event, resourceId, error: error.message
+        });
+        metrics.errores++;
+        webhookDedupe.release(dedupeTopic, resourceId);
+        throw error;
       }
-    }
+    },
+    { id: taskId, priority: event === 'order/cancelled' ? 10 : 5 }
+  ).catch(error => {
+    logger.error('Error en cola de webhooks', { taskId, error: error.message });
+  });
+});
 
-    if (!comprobanteOriginal) {
-      logger.warn('No se encontró comprobante original', { orderId });
-      return { status: 'skipped', reason: 'no_original_invoice' };
-    }
+// ============================================================
+// PROCESAMIENTO DE PEDIDOS
+// ============================================================
 
-    // Usar endpoint de anulación de Biller
-    // Esto crea automáticamente una NC que anula el comprobante original
-    logger.info('Anulando comprobante original con endpoint /anular', {
-      comprobanteId: comprobanteOriginal.id,
-      tipo: comprobanteOriginal.tipo_comprobante,
-      serie: comprobanteOriginal.serie,
-      numero: comprobanteOriginal.numero
-    });
+/**
+ * Facturar un pedido de cualquier canal a través del pipeline
+ * @param {ChannelAdapter} canal - Adaptador del canal
+ * @param {Object} order - Pedido en el formato del canal
+ */
+async function facturarPedido(canal, order) {
+  const resultado = await billingPipeline.procesarPedido(canal, order);
 
-    const nc = await biller.anularComprobante({
-      id: comprobanteOriginal.id,
-      tipo_comprobante: comprobanteOriginal.tipo_comprobante,
-      serie: comprobanteOriginal.serie,
-      numero: comprobanteOriginal.numero,
-      fecha_emision_hoy: true
-    });
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
+  }
+
+  return resultado;
+}
+
+/**
+ * Reanudar en la cola un pedido retenido por falta de identificación
+ * (el comprador cargó su CI/RUT o venció el plazo)
+ * @param {Object} pendiente - Registro de PendingIdentificationService ya resuelto
+ */
+function liberarPedidoRetenido(pendiente) {
+  return webhookQueue.enqueue(
+    async () => {
+      const resultado = await billingPipeline.liberarPedido(getCanal(pendiente.canal), pendiente);
+
+      if (resultado.status === 'success') {
+        metrics.comprobantesEmitidos++;
+      }
+
+      return resultado;
+    },
+    { id: `identificacion:${pendiente.key}`, priority: 5 }
+  );
+}
+
+/**
+ * Emitir la NC de un reembolso de cualquier canal a través del pipeline
+ * @param {ChannelAdapter} canal - Adaptador del canal
+ * @param {Object} refund - Reembolso en el formato del canal
+ * @param {Object} originalOrder - Pedido original (opcional)
+ */
+async function reembolsarPedido(canal, refund, originalOrder = null) {
+  const resultado = await billingPipeline.procesarReembolso(canal, refund, originalOrder);
 
+  if (resultado.status === 'success') {
     metrics.comprobantesEmitidos++;
+  }
 
-    // Guardar NC
-    comprobanteStore.set(`refund-${refundId}`, {
-      id: nc.id,
-      tipo_comprobante: nc.tipo_comprobante,
-      serie: nc.serie,
-      numero: nc.numero,
-      referencia: `${comprobanteOriginal.serie}-${comprobanteOriginal.numero}`,
-      shopify_order_id: orderId
-    });
+  return resultado;
+}
 
-    op.end({ nc: `${nc.serie}-${nc.numero}` });
+/**
+ * Emitir el e-Remito de un envío de Shopify (fulfillments/create)
+ * @param {Object} fulfillment - Fulfillment de Shopify
+ */
+async function emitirRemito(fulfillment) {
+  const resultado = await remitoService.procesarFulfillment({ fulfillment });
 
-    return {
-      status: 'success',
-      tipo: biller.getTipoComprobanteStr(nc.tipo_comprobante),
-      comprobante: { id: nc.id, serie: nc.serie, numero: nc.numero }
-    };
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
+  }
 
-  } catch (error) {
-    op.fail(error);
-    throw error;
+  return resultado;
+}
+
+/**
+ * Emitir la ND de un pedido de Shopify editado después de facturado (orders/edited)
+ * @param {Object} orderEdit - Edición de Shopify ({ id, order_id, line_items })
+ */
+async function procesarEdicionShopify(orderEdit) {
+  const order = await shopify.getOrder(orderEdit.order_id);
+  const resultado = await debitNoteService.procesarEdicionShopify({ orderEdit, order });
+
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
+  }
+
+  return resultado;
+}
+
+/**
+ * Emitir la NC por el saldo de un pedido de Shopify cancelado (orders/cancelled)
+ * @param {Object} order - Pedido cancelado
+ */
+async function procesarCancelacionShopify(order) {
+  const resultado = await billingPipeline.procesarCancelacion(shopifyChannel, order);
+
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
+  }
+
+  return resultado;
+}
+
+/**
+ * Procesar la notificación de un pedido de cualquier canal a través del pipeline:
+ * facturarlo (o su pack) y emitir las NC de los reembolsos y cancelaciones que trae
+ * @param {ChannelAdapter} canal - Adaptador del canal
+ * @param {Object} order - Pedido en el formato del canal
+ */
+async function procesarEventoPedido(canal, order) {
+  const resultado = await billingPipeline.procesarEventoPedido(canal, order);
+
+  for (const emitido of [resultado, ...(resultado.reembolsos || [])]) {
+    if (emitido.status === 'success') {
+      metrics.comprobantesEmitidos++;
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Emitir la NC de un reembolso que el canal notifica por separado (reclamos de MercadoLibre)
+ * @param {ChannelAdapter} canal - Adaptador del canal
+ * @param {string} refundId - ID del reembolso en el canal
+ */
+async function reembolsarPorId(canal, refundId) {
+  const resultado = await billingPipeline.procesarReembolsoPorId(canal, refundId);
+
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
+  }
+
+  return resultado;
+}
+
+/**
+ * Emitir la NC por el saldo de un pedido de Tiendanube cancelado (order/cancelled),
+ * igual que en Shopify: anula el original o acredita lo facturado (con ND) menos las NC
+ * @param {Object} order - Pedido cancelado
+ */
+async function procesarCancelacionTiendanube(order) {
+  const resultado = await billingPipeline.procesarCancelacion(tnChannel, order);
+
+  if (resultado.status === 'success') {
+    metrics.comprobantesEmitidos++;
   }
+
+  return resultado;
 }
 
 // ============================================================
@@ -758,24 +1111,115 @@ app.get('/api/llamados', (req, res) => {
 
 app.post('/api/facturar/:orderId', async (req, res) => {
   try {
-    const order = await shopify.getOrder(req.params.orderId);
+    const order = await shopifyChannel.obtenerPedido(req.params.orderId);
     if (!order) return res.status(404).json({ error: 'Pedido no encontrado' });
     
-    const resultado = await procesarPedidoPagado(order);
+    const resultado = await facturarPedido(shopifyChannel, order);
     res.json(resultado);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/facturar-pendientes', async (req, res) => {
-  try {
-    const pedidos = await shopify.getOrdersPendientesFacturar();
-    const resultados = [];
-    
-    for (const order of pedidos) {
+app.get('/api/canales', (req, res) => {
+  const stats = billingPipeline.getStats();
+
+  res.json({
+    canales: getCanales().map(c => ({
+      id: c.id,
+      nombre: c.nombre,
+      stats: stats.porCanal[c.id] || null
+    })),
+    stats
+  });
+});
+
+app.post('/api/canales/:canal/facturar/:orderId', async (req, res) => {
+  if (!getCanal(req.params.canal)) return res.status(404).json({ error: 'Canal no encontrado' });
+
+  try {
+    const canal = getCanal(req.params.canal).forSeller(req.query.seller_id);
+    const order = await canal.obtenerPedido(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Pedido no encontrado' });
+
+    const resultado = await procesarEventoPedido(canal, order);
+    res.json(resultado);
+  } catch (error) {
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mercadolibre/facturar/:orderId', async (req, res) => {
+  if (!config.mercadolibre.accessToken && !mlAuth.vendedorPorDefecto()) {
+    return res.status(400).json({ error: 'Access Token de MercadoLibre no configurado' });
+  }
+
+  try {
+    const canal = mlChannel.forSeller(req.query.seller_id);
+    const resultado = await procesarEventoPedido(canal, await canal.obtenerPedido(req.params.orderId));
+    res.json(resultado);
+  } catch (error) {
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tiendanube/setup-webhooks', async (req, res) => {
+  if (!config.tiendanube.enabled) {
+    return res.status(400).json({ error: 'Tiendanube no configurado' });
+  }
+
+  try {
+    res.json({ webhooks: await tiendanube.registrarWebhooks() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/mercadolibre/vendedores', (req, res) => {
+  try {
+    res.json({ vendedores: mlAuth.listarVendedores(), stats: mlAuth.getStats() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/mercadolibre/fiscal-documents/failed', (req, res) => {
+  const fallidos = mlFiscalWorker.getFallidos();
+  res.json({ total: fallidos.length, comprobantes: fallidos });
+});
+
+app.post('/api/mercadolibre/fiscal-documents/retry', async (req, res) => {
+  try {
+    const resultados = await mlFiscalWorker.reintentarFallidos();
+    res.json({
+      total: resultados.length,
+      exitosos: resultados.filter(r => r.status === 'success').length,
+      errores: resultados.filter(r => r.status === 'error').length,
+      resultados
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mercadolibre/fiscal-documents/:orderId', async (req, res) => {
+  try {
+    const resultado = await mlFiscalWorker.subir(`mercadolibre-${req.params.orderId}`);
+    const status = resultado.reason === 'comprobante_no_encontrado' ? 404 : 200;
+    res.status(status).json(resultado);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/facturar-pendientes', async (req, res) => {
+  try {
+    const pedidos = await shopify.getOrdersPendientesFacturar();
+    const resultados = [];
+    
+    for (const order of pedidos) {
       try {
-        const resultado = await procesarPedidoPagado(order);
+        const resultado = await facturarPedido(shopifyChannel, order);
         resultados.push({ order_id: order.id, order_name: order.name, ...resultado });
       } catch (error) {
         resultados.push({ order_id: order.id, order_name: order.name, status: 'error', error: error.message });
@@ -847,7 +1291,14 @@ app.get('/api/comprobante/orden/:shopifyOrderId', (req, res) => {
   const comprobante = comprobanteStore.get(shopifyOrderId);
 
   if (!comprobante) {
-    return res.status(404).json({ found: false, message: 'Comprobante no encontrado' });
+    // Retenido hasta que el comprador cargue su CI/RUT. El link del formulario NO se expone
+    // acá (endpoint público por order id): llega por el metafield del pedido / email
+    const retenido = pendingIdentification.buscar(`shopify-${shopifyOrderId}`);
+    const identificacion = retenido?.estado === ESTADOS_IDENTIFICACION.PENDIENTE
+      ? { pendiente: true, expiraAt: retenido.expira_at }
+      : null;
+
+    return res.status(404).json({ found: false, message: 'Comprobante no encontrado', identificacion });
   }
 
   res.json({
@@ -859,10 +1310,55 @@ app.get('/api/comprobante/orden/:shopifyOrderId', (req, res) => {
       cae: comprobante.cae_numero,
       pdfUrl: `${config.server.publicUrl}/api/comprobante/${comprobante.id}/pdf`,
       viewUrl: `${config.server.publicUrl}/comprobante/${comprobante.id}`
-    }
+    },
+    // Facturado, acreditado por NC y saldo disponible (null si es anterior al ledger)
+    saldo: saldoLedger(comprobante.ledger),
+    notasCredito: (comprobante.notas_credito || []).map(nc => ({
+      id: nc.id,
+      refundId: nc.refund_id,
+      monto: nc.monto
+    }))
   });
 });
 
+/**
+ * Recargo posterior a la facturación: emite una ND que referencia el comprobante del pedido
+ * Body: { monto (con IVA), concepto, indicador?, canal? ('shopify' por defecto), idempotency_key? }
+ */
+app.post('/api/comprobante/orden/:orderId/recargo', async (req, res) => {
+  const { monto, concepto, indicador, canal = 'shopify' } = req.body || {};
+
+  if (!(parseFloat(monto) > 0)) {
+    return res.status(400).json({ error: 'monto debe ser mayor a 0' });
+  }
+
+  const indicadorIVA = indicador === undefined ? null : parsearIndicadorIVA(indicador);
+  if (indicador !== undefined && indicadorIVA === null) {
+    return res.status(400).json({ error: 'indicador inválido' });
+  }
+
+  try {
+    const resultado = await debitNoteService.procesarRecargo({
+      orderKey: `${canal}-${req.params.orderId}`,
+      monto,
+      concepto,
+      indicador: indicadorIVA,
+      idempotencyKey: req.get('Idempotency-Key') || req.body.idempotency_key
+    });
+
+    if (resultado.status === 'error') {
+      return res.status(404).json(resultado);
+    }
+    if (resultado.status === 'success') {
+      metrics.comprobantesEmitidos++;
+    }
+
+    res.json(resultado);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
 // Página HTML para ver/descargar comprobante (amigable para clientes)
 app.get('/comprobante/:id', async (req, res) => {
   const comprobanteId = req.params.id;
@@ -954,6 +1450,144 @@ app.get('/comprobante/:id', async (req, res) => {
 </html>`);
 });
 
+// ============================================================
+// IDENTIFICACIÓN DEL COMPRADOR (ventas sobre 5000 UI)
+// ============================================================
+
+/**
+ * Página del formulario de identificación (pedido retenido)
+ * @param {Object|null} pendiente
+ * @param {Object} estado - { error, enviado }
+ */
+function paginaIdentificacion(pendiente, { error = null, enviado = false } = {}) {
+  const escapeHtml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  let contenido;
+  if (!pendiente) {
+    contenido = '<div class="icon">🔗</div><h1>Link inválido</h1><p class="info">Revisá el link que recibiste con tu pedido.</p>';
+  } else if (enviado || pendiente.estado !== ESTADOS_IDENTIFICACION.PENDIENTE) {
+    contenido = `<div class="icon">✅</div><h1>¡Gracias!</h1>
+    <div class="numero">Pedido ${escapeHtml(pendiente.orderName)}</div>
+    <p class="info">Tu comprobante fiscal se está emitiendo y lo recibirás por email.</p>`;
+  } else {
+    contenido = `<div class="icon">🪪</div><h1>Identificación del comprador</h1>
+    <div class="numero">Pedido ${escapeHtml(pendiente.orderName)}</div>
+    <p class="info">Por normativa DGI, las compras mayores a ${config.facturacion.limiteUI} UI requieren
+      la CI o el RUT del comprador para emitir el comprobante fiscal.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="POST">
+      <input name="documento" placeholder="CI o RUT" required autocomplete="off">
+      <input name="razon_social" placeholder="Razón social (sólo RUT)" autocomplete="organization">
+      <button class="btn" type="submit">Enviar</button>
+    </form>
+    ${pendiente.expira_at ? `<p class="info">Si no lo completás antes del ${new Date(pendiente.expira_at).toLocaleString('es-UY')}
+      se emitirá un e-Ticket a consumidor final.</p>` : ''}`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Identificación del comprador</title>
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      padding: 20px;
+    }
+    .card {
+      background: white;
+      border-radius: 16px;
+      padding: 40px;
+      text-align: center;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      max-width: 420px;
+      width: 100%;
+    }
+    .icon { font-size: 64px; margin-bottom: 20px; }
+    h1 { margin: 0 0 8px; font-size: 24px; color: #1a1a2e; }
+    .numero { color: #667eea; font-size: 20px; font-weight: 600; margin-bottom: 16px; }
+    input {
+      display: block;
+      width: 100%;
+      padding: 14px;
+      margin-bottom: 12px;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      font-size: 16px;
+    }
+    .btn {
+      width: 100%;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      border: none;
+      padding: 16px 32px;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    .info { margin: 16px 0; font-size: 13px; color: #666; }
+    .error { color: #dc2626; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    ${contenido}
+  </div>
+</body>
+</html>`;
+}
+
+// Formulario para que el comprador cargue su CI/RUT (link enviado con el pedido)
+app.get('/identificacion/:token', (req, res) => {
+  const pendiente = pendingIdentification.obtener(req.params.token);
+  res.status(pendiente ? 200 : 404).type('html').send(paginaIdentificacion(pendiente));
+});
+
+app.post('/identificacion/:token', express.urlencoded({ extended: false }), (req, res) => {
+  try {
+    const pendiente = pendingIdentification.identificar(req.params.token, {
+      documento: req.body.documento,
+      razonSocial: req.body.razon_social
+    });
+
+    liberarPedidoRetenido(pendiente).catch(error => {
+      logger.error('Error emitiendo pedido identificado', { key: pendiente.key, error: error.message });
+    });
+
+    res.type('html').send(paginaIdentificacion(pendiente, { enviado: true }));
+  } catch (error) {
+    if (!(error instanceof PendingIdentificationError)) throw error;
+
+    res.status(error.status).type('html').send(
+      paginaIdentificacion(pendingIdentification.obtener(req.params.token), { error: error.message })
+    );
+  }
+});
+
+/**
+ * Pedidos retenidos por falta de identificación (?estado=pendiente|identificado|vencido|emitido)
+ */
+app.get('/api/identificaciones-pendientes', (req, res) => {
+  res.json({
+    // Sin token: el link del formulario sólo llega al comprador (metafield / email)
+    pendientes: pendingIdentification.listar({ estado: req.query.estado }).map(({ token, ...pendiente }) => pendiente),
+    stats: pendingIdentification.getStats()
+  });
+});
+
 app.post('/api/comprobante/:id/reenviar', async (req, res) => {
   const { email } = req.body;
   if (!email) return res.status(400).json({ error: 'Email requerido' });
@@ -971,10 +1605,114 @@ app.get('/api/comprobantes', (req, res) => {
   res.json({ total: comprobantes.length, comprobantes });
 });
 
+/**
+ * Emitir un comprobante manual (teléfono, showroom, mayoristas)
+ * La idempotency_key (body o header Idempotency-Key) es el numero_interno:
+ * reintentos con la misma clave devuelven el comprobante ya emitido
+ */
+app.post('/api/comprobantes', async (req, res) => {
+  const payload = {
+    ...req.body,
+    idempotency_key: req.get('Idempotency-Key') || req.body?.idempotency_key
+  };
+
+  try {
+    const validacion = manualChannel.validarPedido(payload);
+    if (!validacion.valid) {
+      return res.status(400).json({ error: 'Comprobante inválido', errors: validacion.errors });
+    }
+
+    const existente = await billingPipeline.buscarComprobanteExistente(manualChannel, payload.idempotency_key);
+
+    if (existente) {
+      return res.json({
+        status: 'exists',
+        idempotency_key: payload.idempotency_key,
+        tipo: biller.getTipoComprobanteStr(existente.tipo_comprobante),
+        comprobante: { id: existente.id, serie: existente.serie, numero: existente.numero }
+      });
+    }
+
+    // Misma clave en vuelo (doble click, reintento del cliente)
+    if (!webhookDedupe.tryAcquire('manual', payload.idempotency_key)) {
+      return res.status(409).json({ error: 'Comprobante en proceso', idempotency_key: payload.idempotency_key });
+    }
+
+    let resultado;
+    try {
+      resultado = await facturarPedido(manualChannel, payload);
+    } finally {
+      webhookDedupe.release('manual', payload.idempotency_key);
+    }
+
+    res.status(201).json({ ...resultado, idempotency_key: payload.idempotency_key });
+  } catch (error) {
+    res.status(error.status >= 400 && error.status < 500 ? error.status : 500).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
 app.get('/api/comprobantes/stats', (req, res) => {
   res.json(comprobanteStore.getStats());
 });
 
+// ============================================================
+// IMPORTACIÓN DE PLANILLAS
+// ============================================================
+
+/**
+ * Importar pedidos offline desde CSV/XLSX (body = archivo)
+ * Query: dry_run=true (sólo validar), prefijo, origen, formato=csv|xlsx
+ */
+app.post('/api/importaciones', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Enviar el archivo CSV o XLSX en el body' });
+  }
+
+  try {
+    const reporte = await importService.importar(req.body, {
+      formato: req.query.formato,
+      prefijo: req.query.prefijo,
+      origen: req.query.origen,
+      dryRun: req.query.dry_run === 'true'
+    });
+
+    metrics.comprobantesEmitidos += reporte.resumen.emitidos;
+
+    res.json({
+      ...reporte,
+      resultadosUrl: reporte.dryRun ? null : `/api/importaciones/${reporte.id}/resultados.csv`
+    });
+  } catch (error) {
+    res.status(error.status >= 400 && error.status < 500 ? error.status : 500).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+app.get('/api/importaciones', (req, res) => {
+  res.json({ importaciones: importService.listarReportes() });
+});
+
+app.get('/api/importaciones/:id', (req, res) => {
+  const reporte = importService.obtenerReporte(req.params.id);
+  if (!reporte) {
+    return res.status(404).json({ error: 'Importación no encontrada' });
+  }
+  res.json(reporte);
+});
+
+app.get('/api/importaciones/:id/resultados.csv', (req, res) => {
+  const archivo = importService.obtenerArchivoResultados(req.params.id);
+  if (!archivo) {
+    return res.status(404).json({ error: 'Importación no encontrada' });
+  }
+  res.download(path.resolve(archivo), `importacion-${req.params.id}.csv`);
+});
+
 // ============================================================
 // DASHBOARD
 // ============================================================
@@ -1115,19 +1853,131 @@ app.get('/api/billing-decision/stats', (req, res) => {
   res.json(billingDecision.getStats());
 });
 
+/**
+ * Valor de la UI de un día (fecha AAAA-MM-DD, hoy por defecto). Sin fecha también
+ * pasa a ser el valor de respaldo para días sin valor en la tabla.
+ */
 app.post('/api/billing-decision/update-ui', (req, res) => {
-  const { valorUI } = req.body;
+  const { valorUI, fecha } = req.body;
   if (!valorUI || isNaN(valorUI)) {
     return res.status(400).json({ error: 'valorUI requerido y debe ser numérico' });
   }
-  billingDecision.actualizarValorUI(parseFloat(valorUI));
+
+  try {
+    const registrado = unidadIndexada.registrar(fecha || new Date(), parseFloat(valorUI));
+    if (!fecha) {
+      billingDecision.actualizarValorUI(parseFloat(valorUI));
+    }
+
+    res.json({
+      status: 'ok',
+      message: `Valor UI del ${registrado.fecha} actualizado a ${valorUI}`,
+      fecha: registrado.fecha,
+      limiteUYU: billingDecision.limiteUI * parseFloat(valorUI)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// ============================================================
+// UNIDAD INDEXADA
+// ============================================================
+
+/**
+ * Valores diarios de la UI cargados (?desde=AAAA-MM-DD&hasta=AAAA-MM-DD)
+ */
+app.get('/api/unidad-indexada', (req, res) => {
   res.json({
-    status: 'ok',
-    message: `Valor UI actualizado a ${valorUI}`,
-    limiteUYU: billingDecision.limiteUI * parseFloat(valorUI)
+    valores: unidadIndexada.listar({ desde: req.query.desde, hasta: req.query.hasta }),
+    stats: unidadIndexada.getStats()
   });
 });
 
+/**
+ * Importar la exportación CSV del BCU (columnas fecha,valor) en el body
+ */
+app.post('/api/unidad-indexada/importar', express.raw({ type: () => true, limit: '5mb' }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Enviar el CSV del BCU en el body' });
+  }
+
+  try {
+    res.json(unidadIndexada.importarCSV(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Releer ahora el proveedor de UI (además de la actualización periódica)
+ */
+app.post('/api/unidad-indexada/actualizar', async (req, res) => {
+  try {
+    res.json(await unidadIndexada.actualizar());
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// ============================================================
+// COTIZACIONES
+// ============================================================
+
+/**
+ * Tipo de cambio que se aplicaría a un comprobante (?fecha=AAAA-MM-DD, hoy por defecto)
+ */
+app.get('/api/cotizaciones/:moneda', async (req, res) => {
+  try {
+    res.json(await exchangeRateService.obtenerTipoCambio(req.params.moneda, req.query.fecha || new Date()));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// ============================================================
+// REGLAS FISCALES
+// ============================================================
+
+/**
+ * Reglas de IVA / unidad de medida por tipo de producto, tag, prefijo de SKU,
+ * proveedor, metafield o envío (se evalúan por prioridad, menor primero)
+ */
+app.get('/api/reglas-fiscales', (req, res) => {
+  res.json({ reglas: fiscalRules.listar(), stats: fiscalRules.getStats() });
+});
+
+app.get('/api/reglas-fiscales/:id', (req, res) => {
+  const regla = fiscalRules.obtener(req.params.id);
+  if (!regla) {
+    return res.status(404).json({ error: 'Regla fiscal no encontrada' });
+  }
+  res.json(regla);
+});
+
+app.post('/api/reglas-fiscales', (req, res) => {
+  try {
+    res.status(201).json(fiscalRules.crear(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, ...error.response });
+  }
+});
+
+app.put('/api/reglas-fiscales/:id', (req, res) => {
+  try {
+    res.json(fiscalRules.actualizar(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, ...error.response });
+  }
+});
+
+app.delete('/api/reglas-fiscales/:id', (req, res) => {
+  if (!fiscalRules.eliminar(req.params.id)) {
+    return res.status(404).json({ error: 'Regla fiscal no encontrada' });
+  }
+  res.json({ status: 'ok', message: 'Regla fiscal eliminada' });
+});
+
 // ============================================================
 // CACHE
 // ============================================================
@@ -1182,6 +2032,9 @@ function gracefulShutdown(signal) {
   
   // Guardar comprobantes
   comprobanteStore.stopAutoSave();
+  mlAuth.detenerRefrescoAutomatico();
+  unidadIndexada.detenerActualizacionAutomatica();
+  pendingIdentification.detenerVencimientoAutomatico();
   
   if (server) {
     server.close(() => {
@@ -1256,6 +2109,37 @@ async function iniciar() {
       console.log(`\n⚠️  Visita ${config.server.publicUrl}/install para obtener token`);
     }
 
+    if (config.mercadolibre.enabled) {
+      const vendedores = mlAuth.vendedorPorDefecto() ? mlAuth.listarVendedores().length : 0;
+
+      if (vendedores > 0) {
+        console.log(`✅ MercadoLibre: ${vendedores} vendedor(es) autorizado(s)`);
+        mlAuth.iniciarRefrescoAutomatico();
+      } else if (config.mercadolibre.accessToken) {
+        console.log('✅ MercadoLibre: Token configurado (sin renovación automática)');
+      } else {
+        console.log(`⚠️  MercadoLibre: Visita ${config.server.publicUrl}/mercadolibre/install`);
+      }
+    }
+
+    if (config.woocommerce.enabled) {
+      console.log(`✅ WooCommerce: ${config.woocommerce.url}`);
+      if (!config.woocommerce.webhookSecret) {
+        console.log('⚠️  WooCommerce: Falta WC_WEBHOOK_SECRET (los webhooks serán rechazados)');
+      }
+    }
+
+    if (config.tiendanube.enabled) {
+      console.log(`✅ Tiendanube: tienda ${config.tiendanube.storeId}`);
+      if (!config.tiendanube.clientSecret) {
+        console.log('⚠️  Tiendanube: Falta TN_CLIENT_SECRET (los webhooks serán rechazados)');
+      }
+    }
+
+    unidadIndexada.iniciarActualizacionAutomatica();
+    // Plazo de identificación vencido: se emite el e-Ticket
+    pendingIdentification.iniciarVencimientoAutomatico(liberarPedidoRetenido);
+
     console.log(`\n📊 Comprobantes en store: ${comprobanteStore.size}`);
     console.log('═'.repeat(60) + '\n');
   });
@@ -6,17 +6,28 @@
  * REGLA 5000 UI (Unidades Indexadas):
  * - Ventas mayores a 5000 UI (~30,000 UYU) requieren identificación del comprador
  * - Si el cliente tiene RUT válido → e-Factura (111)
+ * - Si se identifica con pasaporte o DNI del exterior → e-Ticket (101) con receptor y país
  * - Si NO tiene RUT pero monto > 5000 UI → e-Ticket (101) con WARNING
  * - Si NO tiene RUT y monto <= 5000 UI → e-Ticket (101) normal
  *
+ * El valor de la UI es el del día del pago (UnidadIndexadaService); si la tabla
+ * no lo tiene se usa `valorUI`. La decisión registra el valor y la fecha aplicados.
+ *
  * @module services/billing-decision
  */
 
 const config = require('../config');
-const { validarRUT, extraerRUTDePedido } = require('../utils/validators');
+const {
+  validarRUT,
+  extraerRUTDePedido,
+  extraerDocumentoExtranjero,
+  obtenerRazonSocialDefault
+} = require('../utils/validators');
 const logger = require('../utils/logger');
+const { montoNetoShopify } = require('../biller-client');
+const { fechaUruguay } = require('./exchange-rate-service');
 
-// Valor de la UI en UYU (actualizar periódicamente)
+// Valor de la UI en UYU de respaldo (sin tabla diaria o sin el día del pago)
 // Fuente: https://www.bcu.gub.uy/Estadisticas-e-Indicadores/Paginas/Cotizaciones.aspx
 const VALOR_UI_DEFAULT = 6.0; // Aproximado diciembre 2024
 
@@ -28,13 +39,18 @@ class BillingDecisionService {
     this.limiteUI = options.limiteUI || parseInt(process.env.LIMITE_UI_ETICKET) || 5000;
     this.valorUI = options.valorUI || parseFloat(process.env.VALOR_UI_UYU) || VALOR_UI_DEFAULT;
     this.limiteUYU = this.limiteUI * this.valorUI;
+    this.unidadIndexada = options.unidadIndexada || null;
 
     // Estadísticas
     this.stats = {
       decisiones: 0,
       eTickets: 0,
       eFacturas: 0,
+      eFacturasExportacion: 0,
+      eTicketsDocumentoExtranjero: 0,
       eTicketsConWarning: 0,
+      documentosRechazados: 0,
+      uiDeRespaldo: 0,
       montoTotalProcesado: 0
     };
 
@@ -46,7 +62,14 @@ class BillingDecisionService {
   }
 
   /**
-   * Actualiza el valor de la UI
+   * Configura dependencias
+   */
+  configure(options) {
+    if (options.unidadIndexada) this.unidadIndexada = options.unidadIndexada;
+  }
+
+  /**
+   * Actualiza el valor de la UI de respaldo
    * @param {number} nuevoValor - Nuevo valor de la UI en UYU
    */
   actualizarValorUI(nuevoValor) {
@@ -58,37 +81,55 @@ class BillingDecisionService {
   /**
    * Calcula el monto neto (sin IVA) de un pedido
    * @param {Object} order - Pedido de Shopify
-   * @returns {number} Monto neto en UYU
+   * @returns {number} Monto neto en la moneda del pedido
    */
   calcularMontoNeto(order) {
-    const totalBruto = parseFloat(order.total_price || 0);
-    const totalImpuestos = parseFloat(order.total_tax || 0);
+    // total_price incluye siempre total_tax (precios con o sin IVA)
+    return montoNetoShopify(order);
+  }
 
-    // El monto neto es el total menos impuestos
-    // Si no hay impuestos separados, asumimos IVA incluido (22%)
-    if (totalImpuestos > 0) {
-      return totalBruto - totalImpuestos;
+  /**
+   * Valor de la UI a una fecha: el de la tabla diaria o, si no está, el de respaldo
+   * @param {Date|string} fecha - Fecha del pago
+   * @returns {{ valor: number, fecha: string, fuente: string }}
+   */
+  valorUIEn(fecha = new Date()) {
+    const dia = fechaUruguay(fecha);
+    const registrado = this.unidadIndexada?.obtenerValor(dia);
+    if (registrado) return registrado;
+
+    if (this.unidadIndexada) {
+      this.stats.uiDeRespaldo++;
+      logger.warn('Sin valor de UI para la fecha del pago, se usa el de respaldo', { fecha: dia, valorUI: this.valorUI });
     }
-
-    // IVA incluido: monto_neto = total / 1.22
-    return totalBruto / 1.22;
+    return { valor: this.valorUI, fecha: dia, fuente: 'configuracion' };
   }
 
   /**
    * Determina si el monto supera el límite de 5000 UI
-   * @param {number} montoNeto - Monto neto en UYU
+   * @param {number} montoNeto - Monto neto en la moneda del comprobante
+   * @param {number} tipoCambio - UYU por unidad de la moneda (1 si es UYU)
+   * @param {Date|string} fechaPago - Fecha del pago (hoy por defecto): define el valor de la UI
    * @returns {Object} Resultado del análisis
    */
-  analizarMonto(montoNeto) {
-    const montoEnUI = montoNeto / this.valorUI;
+  analizarMonto(montoNeto, tipoCambio = 1, fechaPago = new Date()) {
+    const ui = this.valorUIEn(fechaPago);
+
+    // El límite está en UI: convertir primero a pesos
+    const montoNetoUYU = montoNeto * tipoCambio;
+    const montoEnUI = montoNetoUYU / ui.valor;
     const superaLimite = montoEnUI > this.limiteUI;
 
     return {
       montoNeto,
+      montoNetoUYU,
+      tipoCambio,
       montoEnUI: Math.round(montoEnUI * 100) / 100,
       limiteUI: this.limiteUI,
-      valorUI: this.valorUI,
-      limiteUYU: this.limiteUYU,
+      valorUI: ui.valor,
+      fechaUI: ui.fecha,
+      fuenteUI: ui.fuente,
+      limiteUYU: this.limiteUI * ui.valor,
       superaLimite,
       porcentajeDelLimite: Math.round((montoEnUI / this.limiteUI) * 100)
     };
@@ -98,21 +139,29 @@ class BillingDecisionService {
    * Determina el tipo de comprobante para un pedido de Shopify
    * @param {Object} order - Pedido de Shopify
    * @param {Object} options - Opciones adicionales
+   * @param {Object} options.identificacion - Documento ya extraído ({rut, razonSocial, source, ...}) para otros canales;
+   *   `documentoExtranjero` ({ documento, tipoDocumento, pais, source }) si es un documento del exterior
+   * @param {number} options.montoNeto - Monto neto ya calculado para otros canales
+   * @param {number} options.tipoCambio - Tipo de cambio si el pedido no está en UYU
+   * @param {string} options.orderName - Nombre del pedido para logs
+   * @param {string} options.paisDestino - País de envío (ISO 3166-1 alfa-2); fuera de UY es exportación
+   * @param {string} options.fechaPago - Fecha del pago (valor de la UI de ese día; hoy por defecto)
    * @returns {Object} Decisión de facturación
    */
   determinarTipoComprobante(order, options = {}) {
     this.stats.decisiones++;
 
     const orderId = order.id;
-    const orderName = order.name || `#${order.order_number}`;
+    const orderName = options.orderName || order.name || `#${order.order_number}`;
 
     // 1. Calcular monto neto
-    const montoNeto = this.calcularMontoNeto(order);
-    const analisisMonto = this.analizarMonto(montoNeto);
-    this.stats.montoTotalProcesado += montoNeto;
+    const montoNeto = options.montoNeto ?? this.calcularMontoNeto(order);
+    const analisisMonto = this.analizarMonto(montoNeto, options.tipoCambio || 1, options.fechaPago || new Date());
+    this.stats.montoTotalProcesado += analisisMonto.montoNetoUYU;
 
     // 2. Extraer RUT del pedido
-    const { rut, razonSocial, source } = extraerRUTDePedido(order);
+    const identificacion = options.identificacion || extraerRUTDePedido(order);
+    const { rut, razonSocial, source } = identificacion;
 
     // 3. Validar RUT si existe
     let rutValido = false;
@@ -130,10 +179,65 @@ class BillingDecisionService {
     // 4. Tomar decisión
     let decision;
     let tipoComprobante;
+    let cliente = null;
     let warnings = [];
     let requiresAction = false;
 
-    if (rutValido) {
+    // Modo estricto: un dígito verificador incorrecto descarta el documento (no hay e-Factura)
+    if (rut && !rutValido) {
+      this.stats.documentosRechazados++;
+      warnings.push({
+        code: 'DOCUMENTO_INVALIDO',
+        message: `Documento ${rut} descartado: ${validacionRUT.reason}`,
+        severity: 'medium',
+        recommendation: 'Verificar la CI/RUT con el cliente y reemitir si corresponde'
+      });
+    }
+
+    const paisDestino = options.paisDestino ? String(options.paisDestino).toUpperCase() : null;
+    const esExportacion = config.facturacion.exportacion.habilitada && paisDestino && paisDestino !== 'UY';
+
+    // Sin RUT/CI en una venta local: pasaporte o DNI del exterior (turistas, no residentes)
+    const extranjero = !esExportacion && !rutValido
+      ? identificacion.documentoExtranjero ||
+        extraerDocumentoExtranjero(order, { incluirCamposRUT: false, pais: order.billing_address?.country_code })
+      : null;
+
+    if (esExportacion) {
+      // CASO 0: Envío al exterior → e-Factura de Exportación (sin IVA, sin regla UI)
+      tipoComprobante = config.TIPOS_CFE.E_FACTURA_EXPORTACION; // 121
+      decision = 'E_FACTURA_EXPORTACION';
+      this.stats.eFacturasExportacion++;
+
+      // El documento del comprador es del exterior (pasaporte, DNI, NIF, CUIT...): se informa tal cual
+      const documento = identificacion.documentoExtranjero ||
+        extraerDocumentoExtranjero(order, { pais: paisDestino });
+
+      cliente = {
+        tipoDocumento: documento.documento ? documento.tipoDocumento : null,
+        documento: documento.documento,
+        razonSocial: razonSocial || obtenerRazonSocialDefault(order),
+        direccion: identificacion.direccion || order.shipping_address || null,
+        pais: paisDestino,
+        source: documento.source
+      };
+
+      if (!documento.documento) {
+        warnings.push({
+          code: 'EXPORTACION_SIN_DOCUMENTO',
+          message: `Exportación a ${paisDestino} sin documento del comprador`,
+          severity: 'medium',
+          recommendation: 'Solicitar el documento fiscal del país del comprador (NIF, CUIT, tax ID)'
+        });
+      }
+
+      logger.info(`🌎 Decisión: e-Factura de Exportación para ${orderName}`, {
+        orderId,
+        paisDestino,
+        documento: documento.documento
+      });
+
+    } else if (rutValido) {
       // CASO 1: Tiene RUT válido → e-Factura
       tipoComprobante = config.TIPOS_CFE.E_FACTURA; // 111
       decision = 'E_FACTURA_CON_RUT';
@@ -147,6 +251,29 @@ class BillingDecisionService {
         source
       });
 
+    } else if (extranjero?.documento && extranjero.pais) {
+      // CASO 1b: Comprador no residente con pasaporte / DNI → e-Ticket identificado
+      tipoComprobante = config.TIPOS_CFE.E_TICKET; // 101
+      decision = 'E_TICKET_DOCUMENTO_EXTRANJERO';
+      this.stats.eTickets++;
+      this.stats.eTicketsDocumentoExtranjero++;
+
+      cliente = {
+        tipoDocumento: extranjero.tipoDocumento,
+        documento: extranjero.documento,
+        razonSocial: razonSocial || obtenerRazonSocialDefault(order),
+        direccion: identificacion.direccion || null,
+        pais: extranjero.pais,
+        source: extranjero.source
+      };
+
+      logger.info(`🛂 Decisión: e-Ticket con documento del exterior para ${orderName}`, {
+        orderId,
+        tipoDocumento: extranjero.tipoDocumento,
+        pais: extranjero.pais,
+        source: extranjero.source
+      });
+
     } else if (analisisMonto.superaLimite) {
       // CASO 2: Sin RUT pero supera 5000 UI → e-Ticket con WARNING
       tipoComprobante = config.TIPOS_CFE.E_TICKET; // 101
@@ -157,7 +284,7 @@ class BillingDecisionService {
 
       warnings.push({
         code: 'SUPERA_LIMITE_5000_UI',
-        message: `Pedido supera ${this.limiteUI} UI (${analisisMonto.montoEnUI.toFixed(2)} UI = $${montoNeto.toFixed(2)}) sin identificación del comprador`,
+        message: `Pedido supera ${this.limiteUI} UI (${analisisMonto.montoEnUI.toFixed(2)} UI = $${analisisMonto.montoNetoUYU.toFixed(2)}) sin identificación del comprador`,
         severity: 'high',
         recommendation: 'Según normativa DGI, se recomienda solicitar RUT/CI al cliente para ventas mayores a 5000 UI'
       });
@@ -167,7 +294,7 @@ class BillingDecisionService {
         montoNeto,
         montoEnUI: analisisMonto.montoEnUI,
         limiteUI: this.limiteUI,
-        limiteUYU: this.limiteUYU
+        limiteUYU: analisisMonto.limiteUYU
       });
 
     } else {
@@ -192,16 +319,25 @@ class BillingDecisionService {
       decision,
 
       // Datos del cliente
-      cliente: rutValido ? {
-        tipoDocumento: tipoDocumento === 'RUT' ? config.TIPOS_DOCUMENTO.RUT : config.TIPOS_DOCUMENTO.CI,
+      cliente: cliente || (rutValido ? {
+        tipoDocumento: identificacion.tipoDocumento ||
+          (tipoDocumento === 'RUT' ? config.TIPOS_DOCUMENTO.RUT : config.TIPOS_DOCUMENTO.CI),
         documento: rutLimpio,
         razonSocial: razonSocial || null,
+        direccion: identificacion.direccion || null,
         source
-      } : null,
+      } : null),
 
       // Análisis del monto
       analisisMonto,
 
+      // UI aplicada a la regla de 5000 UI (auditoría)
+      ui: {
+        valor: analisisMonto.valorUI,
+        fecha: analisisMonto.fechaUI,
+        fuente: analisisMonto.fuenteUI
+      },
+
       // Warnings y acciones
       warnings,
       requiresAction,
@@ -227,19 +363,7 @@ class BillingDecisionService {
    * @returns {string} Descripción
    */
   getTipoComprobanteStr(tipo) {
-    const tipos = {
-      101: 'e-Ticket',
-      102: 'NC e-Ticket',
-      103: 'ND e-Ticket',
-      111: 'e-Factura',
-      112: 'NC e-Factura',
-      113: 'ND e-Factura',
-      121: 'e-Ticket Contingencia',
-      122: 'NC e-Ticket Contingencia',
-      131: 'e-Factura Contingencia',
-      132: 'NC e-Factura Contingencia'
-    };
-    return tipos[tipo] || `Tipo ${tipo}`;
+    return config.NOMBRES_CFE[tipo] || `Tipo ${tipo}`;
   }
 
   /**
@@ -252,7 +376,8 @@ class BillingDecisionService {
       configuracion: {
         limiteUI: this.limiteUI,
         valorUI: this.valorUI,
-        limiteUYU: this.limiteUYU
+        limiteUYU: this.limiteUYU,
+        valorUIHoy: this.unidadIndexada?.obtenerValor() || null
       },
       porcentajes: {
         eTickets: this.stats.decisiones > 0
@@ -276,7 +401,11 @@ class BillingDecisionService {
       decisiones: 0,
       eTickets: 0,
       eFacturas: 0,
+      eFacturasExportacion: 0,
+      eTicketsDocumentoExtranjero: 0,
       eTicketsConWarning: 0,
+      documentosRechazados: 0,
+      uiDeRespaldo: 0,
       montoTotalProcesado: 0
     };
   }
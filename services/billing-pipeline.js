@@ -0,0 +1,726 @@
+/**
+ * Billing Pipeline
+ *
+ * Pipeline de facturación independiente del canal de venta:
+ * decisión e-Ticket/e-Factura, emisión en Biller, store, auditoría
+ * y envío de PDF. Lo específico de cada canal lo resuelve su adaptador
+ * (channels/channel-adapter).
+ *
+ * @module services/billing-pipeline
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { reglasAplicadas } = require('./fiscal-rules-service');
+const { crearLedger, registrarAnulacion } = require('./refund-ledger');
+const { ESTADOS: ESTADOS_IDENTIFICACION } = require('./pending-identification-service');
+
+/**
+ * Clase del pipeline de facturación
+ */
+class BillingPipeline {
+  constructor(options = {}) {
+    this.billerClient = options.billerClient || null;
+    this.comprobanteStore = options.comprobanteStore || null;
+    this.billingDecision = options.billingDecision || null;
+    this.creditNoteService = options.creditNoteService || null;
+    this.auditLogger = options.auditLogger || null;
+    this.pdfWorker = options.pdfWorker || null;
+    this.exchangeRateService = options.exchangeRateService || null;
+    this.pendingIdentification = options.pendingIdentification || null;
+
+    this.stats = {
+      emitidos: 0,
+      saltados: 0,
+      errores: 0,
+      reembolsos: 0,
+      retenidos: 0,
+      porCanal: {}
+    };
+  }
+
+  /**
+   * Configura las dependencias del pipeline
+   */
+  configure(options) {
+    if (options.billerClient) this.billerClient = options.billerClient;
+    if (options.comprobanteStore) this.comprobanteStore = options.comprobanteStore;
+    if (options.billingDecision) this.billingDecision = options.billingDecision;
+    if (options.creditNoteService) this.creditNoteService = options.creditNoteService;
+    if (options.auditLogger) this.auditLogger = options.auditLogger;
+    if (options.pdfWorker) this.pdfWorker = options.pdfWorker;
+    if (options.exchangeRateService) this.exchangeRateService = options.exchangeRateService;
+    if (options.pendingIdentification) this.pendingIdentification = options.pendingIdentification;
+  }
+
+  // ============================================================
+  // PEDIDOS
+  // ============================================================
+
+  /**
+   * Facturar un pedido de cualquier canal
+   * @param {ChannelAdapter} canal - Adaptador del canal
+   * @param {Object} order - Pedido en el formato del canal
+   * @returns {Object} Resultado ({ status: 'success'|'skipped'|'held'|'error', ... })
+   */
+  async procesarPedido(canal, order) {
+    // 1. Validar pedido
+    const validacion = canal.validarPedido(order);
+    if (!validacion.valid) {
+      logger.warn('Pedido inválido', { canal: canal.id, errors: validacion.errors });
+      return { status: 'error', reason: 'invalid_order', errors: validacion.errors };
+    }
+
+    const pedido = canal.normalizarPedido(order);
+    const op = logger.startOperation(pedido.id, `Procesar pedido ${canal.nombre} ${pedido.nombre}`);
+
+    try {
+      // 2. Verificar si ya facturado
+      if (pedido.yaFacturado) {
+        logger.info('Pedido ya facturado', { canal: canal.id, orderId: pedido.id });
+        return this._saltar(canal, { status: 'skipped', reason: 'already_invoiced' });
+      }
+
+      if (this.comprobanteStore.hasKey(pedido.storeKey)) {
+        logger.info('Comprobante ya existe en store', { canal: canal.id, orderId: pedido.id });
+        return this._saltar(canal, { status: 'skipped', reason: 'exists_in_store' });
+      }
+
+      if (!pedido.pagado) {
+        logger.debug('Pedido no pagado', { canal: canal.id, orderId: pedido.id });
+        return this._saltar(canal, { status: 'skipped', reason: 'not_paid' });
+      }
+
+      // 3. Decidir e-Ticket / e-Factura (identificación + regla 5000 UI en UYU)
+      // Un pedido retenido usa la CI/RUT que el comprador cargó en el formulario
+      const retenido = this.pendingIdentification?.buscar(pedido.storeKey) || null;
+      const cotizacion = await this.obtenerCotizacion(pedido);
+      const decision = this.billingDecision.determinarTipoComprobante(order, {
+        identificacion: this.pendingIdentification?.identificacion(retenido) || canal.extraerIdentidad(order),
+        montoNeto: pedido.montoNeto,
+        tipoCambio: cotizacion.tipoCambio,
+        orderName: pedido.nombre,
+        paisDestino: pedido.paisDestino,
+        fechaPago: pedido.fechaPago || new Date()
+      });
+
+      this.auditLogger?.decisionFacturacion({
+        orderId: pedido.storeKey,
+        tipoComprobante: decision.tipoComprobante,
+        montoNeto: decision.analisisMonto.montoNeto,
+        montoEnUI: decision.analisisMonto.montoEnUI,
+        tieneRUT: decision.metadata.rutEncontrado,
+        rutValido: decision.metadata.rutValido,
+        superaLimite: decision.analisisMonto.superaLimite,
+        valorUI: decision.ui.valor,
+        fechaUI: decision.ui.fecha
+      });
+
+      // Sobre el límite sin identificación: según la política se espera al comprador
+      if (canal.retieneIdentificacion && this.pendingIdentification?.debeRetener(decision, retenido)) {
+        return await this._retener(canal, pedido, decision, retenido);
+      }
+
+      // 4. Convertir a formato Biller
+      const billerData = await canal.convertirABiller(order, decision);
+      if (cotizacion.moneda !== config.monedas.base && !billerData.tipo_cambio) {
+        billerData.tipo_cambio = cotizacion.tipoCambio;
+      }
+
+      // 5. Validar RUT con DGI si aplica
+      await this.validarClienteConDGI(billerData);
+
+      // 6. Emitir comprobante
+      let comprobante;
+      try {
+        comprobante = await this.billerClient.emitirComprobante(billerData);
+      } catch (error) {
+        this.auditLogger?.comprobanteFallido({
+          orderId: pedido.storeKey,
+          errorCode: error.code,
+          errorMessage: error.message
+        });
+        throw error;
+      }
+
+      // URL pública del PDF (accesible sin auth)
+      comprobante.publicPdfUrl = `${config.server.publicUrl}/api/comprobante/${comprobante.id}/pdf`;
+
+      // 7. Guardar en store
+      this.comprobanteStore.setByKey(pedido.storeKey, {
+        id: comprobante.id,
+        tipo_comprobante: billerData.tipo_comprobante,
+        serie: comprobante.serie,
+        numero: comprobante.numero,
+        cae_numero: comprobante.cae_numero,
+        fecha_emision: comprobante.fecha_emision,
+        cliente: billerData.cliente || null,
+        total: pedido.total,
+        moneda: billerData.moneda,
+        tipo_cambio: billerData.tipo_cambio,
+        montos_brutos: billerData.montos_brutos,
+        reglas_fiscales: reglasAplicadas(billerData.items),
+        ledger: crearLedger(billerData),
+        unidad_indexada: decision.ui,
+        exportacion: billerData.clausula_venta ? {
+          clausula_venta: billerData.clausula_venta,
+          modalidad_venta: billerData.modalidad_venta,
+          via_transporte: billerData.via_transporte
+        } : undefined,
+        canal: canal.id,
+        ...pedido.datosStore
+      });
+
+      this.auditLogger?.comprobanteEmitido({
+        orderId: pedido.storeKey,
+        comprobanteId: comprobante.id,
+        tipo: billerData.tipo_comprobante,
+        serie: comprobante.serie,
+        numero: comprobante.numero,
+        cae: comprobante.cae_numero,
+        monto: pedido.total,
+        cliente: billerData.cliente?.documento || null,
+        reglasFiscales: reglasAplicadas(billerData.items)
+      });
+
+      this._contar(canal, 'emitidos');
+
+      // 8. Marcar en el canal
+      try {
+        await canal.marcarComoFacturado(pedido, comprobante);
+      } catch (e) {
+        logger.warn('Error marcando pedido como facturado', { canal: canal.id, error: e.message });
+      }
+
+      // 9. Enviar PDF si Biller no lo notifica por email
+      this._encolarPDF(pedido, billerData, comprobante);
+
+      op.end({ comprobante: `${comprobante.serie}-${comprobante.numero}` });
+
+      return {
+        status: 'success',
+        tipo: this.billerClient.getTipoComprobanteStr(billerData.tipo_comprobante),
+        comprobante: { id: comprobante.id, serie: comprobante.serie, numero: comprobante.numero },
+        warnings: decision.warnings || []
+      };
+
+    } catch (error) {
+      this._contar(canal, 'errores');
+      op.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Procesar la notificación de un pedido de cualquier canal: facturarlo
+   * (agruparPedido del canal) y emitir las NC de los reembolsos y cancelaciones
+   * que trae (reembolsosPendientes)
+   * @param {ChannelAdapter} canal - Adaptador del canal
+   * @param {Object} order - Pedido en el formato del canal
+   * @returns {Object} Resultado de la facturación, con reembolsos si hubo
+   */
+  async procesarEventoPedido(canal, order) {
+    const contexto = { comprobanteStore: this.comprobanteStore };
+    const resultado = await canal.agruparPedido(order, pedido => this.procesarPedido(canal, pedido), contexto);
+
+    const reembolsos = [];
+    for (const refund of await canal.reembolsosPendientes(order, contexto)) {
+      reembolsos.push(await this.procesarReembolso(canal, refund, order));
+    }
+
+    return reembolsos.length > 0 ? { ...resultado, reembolsos } : resultado;
+  }
+
+  /**
+   * Reanudar un pedido retenido por falta de identificación: el comprador cargó
+   * su CI/RUT (e-Factura) o venció el plazo (e-Ticket)
+   * @param {ChannelAdapter} canal
+   * @param {Object} pendiente - Registro de PendingIdentificationService ya resuelto
+   * @returns {Object} Resultado de procesarPedido
+   */
+  async liberarPedido(canal, pendiente) {
+    this.auditLogger?.identificacionResuelta({
+      orderId: pendiente.key,
+      identificado: pendiente.estado === ESTADOS_IDENTIFICACION.IDENTIFICADO,
+      estado: pendiente.estado,
+      documento: pendiente.documento || null,
+      tipoDocumento: pendiente.tipo_documento || null
+    });
+
+    const order = await canal.obtenerPedido(pendiente.orderId);
+    const resultado = await this.procesarPedido(canal, order);
+
+    if (resultado.status === 'success') {
+      this.pendingIdentification.completar(pendiente.token, resultado.comprobante);
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Tipo de cambio del pedido, fijado a la fecha de emisión
+   * @param {PedidoNormalizado} pedido
+   * @returns {{ moneda: string, tipoCambio: number }}
+   */
+  async obtenerCotizacion(pedido) {
+    const moneda = pedido.moneda || config.monedas.base;
+
+    if (moneda === config.monedas.base) {
+      return { moneda, tipoCambio: 1 };
+    }
+
+    if (pedido.tipoCambio) {
+      return { moneda, tipoCambio: pedido.tipoCambio };
+    }
+
+    if (!this.exchangeRateService) {
+      throw new Error(`ExchangeRateService no configurado (pedido en ${moneda})`);
+    }
+
+    const cotizacion = await this.exchangeRateService.obtenerTipoCambio(moneda);
+    logger.info('Cotización aplicada', { orderId: pedido.id, ...cotizacion });
+
+    return cotizacion;
+  }
+
+  /**
+   * Validar el RUT del cliente con DGI y completar razón social
+   * Si DGI lo rechaza, el comprobante pasa a e-Ticket
+   * @param {Object} billerData - Datos del comprobante (se modifica in-place)
+   */
+  async validarClienteConDGI(billerData) {
+    if (!billerData.cliente || !config.facturacion.validarRUTConDGI) {
+      return;
+    }
+
+    // En exportación, o con pasaporte / DNI, el documento es del exterior: DGI no lo conoce
+    if (billerData.tipo_comprobante === config.TIPOS_CFE.E_FACTURA_EXPORTACION ||
+        ![config.TIPOS_DOCUMENTO.RUT, config.TIPOS_DOCUMENTO.CI].includes(billerData.cliente.tipo_documento)) {
+      return;
+    }
+
+    try {
+      const validacionDGI = await this.billerClient.validarRUTConDGI(billerData.cliente.documento);
+
+      if (validacionDGI.valid && validacionDGI.razonSocial) {
+        billerData.cliente.razon_social = validacionDGI.razonSocial.substring(0, 150);
+        billerData.cliente.nombre_fantasia = validacionDGI.razonSocial.substring(0, 150);
+        logger.info('RUT validado con DGI', { razonSocial: validacionDGI.razonSocial });
+      } else if (!validacionDGI.valid && !validacionDGI.warning) {
+        logger.warn('RUT inválido en DGI, cambiando a e-Ticket');
+        billerData.tipo_comprobante = config.TIPOS_CFE.E_TICKET;
+        delete billerData.cliente;
+      }
+    } catch (e) {
+      logger.warn('Error validando con DGI', { error: e.message });
+    }
+  }
+
+  // ============================================================
+  // REEMBOLSOS
+  // ============================================================
+
+  /**
+   * Emitir la NC de un reembolso de cualquier canal
+   * - anulacion, o reembolso que cubre el comprobante entero: anula el original
+   * - si no: NC por los items del reembolso (CreditNoteService)
+   * @param {ChannelAdapter} canal - Adaptador del canal
+   * @param {Object} refund - Reembolso en el formato del canal
+   * @param {Object} originalOrder - Pedido original (opcional)
+   */
+  async procesarReembolso(canal, refund, originalOrder = null) {
+    const reembolso = canal.normalizarReembolso(refund);
+    const ncKey = canal.storeKey(`refund-${reembolso.id}`);
+
+    if (this.comprobanteStore.hasKey(ncKey)) {
+      return this._saltar(canal, { status: 'skipped', reason: 'already_processed' });
+    }
+
+    // Importe en la moneda del comprobante (Shopify Markets: la del cliente, no la de la tienda)
+    const original = this.comprobanteStore.getByKey(canal.storeKey(reembolso.orderId));
+    if (original) {
+      reembolso.importe = canal.importeReembolso(reembolso, original.moneda || config.monedas.base);
+    }
+
+    const anulacion = reembolso.anulacion || this.reembolsoCubreComprobante(original, reembolso);
+
+    if (!anulacion) {
+      const resultado = await this.creditNoteService.procesarReembolso({
+        refund: reembolso.refund,
+        originalOrder,
+        canal,
+        numerosInternosOriginal: reembolso.numerosInternosOriginal
+      });
+
+      if (resultado.status === 'success') {
+        this._registrarNC(canal, reembolso, resultado.notaCredito, resultado.comprobanteOriginal);
+      }
+
+      return resultado;
+    }
+
+    // Buscar comprobante original
+    const comprobanteOriginal = await this.buscarComprobanteOriginal(canal, reembolso);
+
+    if (!comprobanteOriginal) {
+      logger.warn('No se encontró comprobante original', { canal: canal.id, orderId: reembolso.orderId });
+      return this._saltar(canal, { status: 'skipped', reason: 'no_original_invoice' });
+    }
+
+    return this._anular(canal, reembolso, ncKey, comprobanteOriginal);
+  }
+
+  /**
+   * Emitir la NC de un reembolso que el canal notifica por separado del pedido
+   * (obtenerReembolso del canal, ej: reclamo de MercadoLibre)
+   * @param {ChannelAdapter} canal - Adaptador del canal
+   * @param {string} refundId - ID del reembolso en el canal
+   */
+  async procesarReembolsoPorId(canal, refundId) {
+    const obtenido = await canal.obtenerReembolso(refundId, { comprobanteStore: this.comprobanteStore });
+
+    if (obtenido.resultado) {
+      return this._saltar(canal, obtenido.resultado);
+    }
+
+    return this.procesarReembolso(canal, obtenido.refund, obtenido.order);
+  }
+
+  /**
+   * Pedido cancelado luego de facturado: NC por el saldo del comprobante
+   * - sin NC ni ND previas: anula el original
+   * - si no: NC por lo facturado menos lo ya acreditado (CreditNoteService)
+   * El pedido se marca en el canal y la cancelación queda en auditoría.
+   * @param {ChannelAdapter} canal - Adaptador del canal
+   * @param {Object} order - Pedido cancelado en el formato del canal
+   */
+  async procesarCancelacion(canal, order) {
+    const orderId = String(order.id);
+    const reembolso = {
+      id: `cancel-${orderId}`,
+      orderId,
+      refund: { id: `cancel-${orderId}`, order_id: orderId },
+      numerosInternosOriginal: [canal.storeKey(orderId)]
+    };
+    const ncKey = canal.storeKey(`refund-${reembolso.id}`);
+
+    if (this.comprobanteStore.hasKey(ncKey)) {
+      return this._saltar(canal, { status: 'skipped', reason: 'already_processed' });
+    }
+
+    const comprobanteOriginal = await this.buscarComprobanteOriginal(canal, reembolso);
+
+    if (!comprobanteOriginal) {
+      logger.info(`Pedido de ${canal.nombre} cancelado sin comprobante`, { orderId });
+      return this._saltar(canal, { status: 'skipped', reason: 'not_invoiced' });
+    }
+
+    const anulacion = !comprobanteOriginal.notas_credito?.length && !comprobanteOriginal.notas_debito?.length;
+    let resultado;
+    let notaCredito;
+
+    if (anulacion) {
+      resultado = await this._anular(canal, reembolso, ncKey, comprobanteOriginal);
+      notaCredito = { ...resultado.comprobante, monto: comprobanteOriginal.total ?? null };
+    } else {
+      const items = this.creditNoteService.itemsSaldo(comprobanteOriginal, `Saldo pedido cancelado ${order.name || orderId}`);
+
+      if (items === null) {
+        logger.warn('No se puede calcular el saldo del pedido cancelado', { canal: canal.id, orderId });
+        return this._saltar(canal, { status: 'skipped', reason: 'saldo_desconocido' });
+      }
+      if (items.length === 0) {
+        logger.info('Pedido cancelado sin saldo por acreditar', { canal: canal.id, orderId });
+        return this._saltar(canal, { status: 'skipped', reason: 'already_refunded' });
+      }
+
+      resultado = await this.creditNoteService.procesarReembolso({
+        refund: reembolso.refund,
+        originalOrder: order,
+        canal,
+        numerosInternosOriginal: reembolso.numerosInternosOriginal,
+        items,
+        informacion: `Nota de Crédito - Cancelación pedido ${canal.nombre} ${order.name || `#${orderId}`}`
+      });
+
+      if (resultado.status !== 'success') {
+        return resultado;
+      }
+
+      notaCredito = resultado.notaCredito;
+      this._registrarNC(canal, reembolso, notaCredito, resultado.comprobanteOriginal);
+    }
+
+    this.auditLogger?.pedidoCancelado({
+      orderId: canal.storeKey(orderId),
+      ncId: notaCredito.id,
+      tipo: notaCredito.tipo_comprobante,
+      serie: notaCredito.serie,
+      numero: notaCredito.numero,
+      monto: notaCredito.monto,
+      anulacion,
+      comprobanteOriginalId: comprobanteOriginal.id
+    });
+
+    await canal.marcarComoCancelado(orderId, notaCredito);
+
+    return resultado;
+  }
+
+  /**
+   * Anular el comprobante original (endpoint /anular de Biller)
+   * @private
+   */
+  async _anular(canal, reembolso, ncKey, comprobanteOriginal) {
+    const op = logger.startOperation(reembolso.id, `Procesar reembolso ${canal.nombre}`);
+
+    try {
+      // Usar endpoint de anulación de Biller
+      // Esto crea automáticamente una NC que anula el comprobante original
+      logger.info('Anulando comprobante original con endpoint /anular', {
+        comprobanteId: comprobanteOriginal.id,
+        tipo: comprobanteOriginal.tipo_comprobante,
+        serie: comprobanteOriginal.serie,
+        numero: comprobanteOriginal.numero
+      });
+
+      const nc = await this.billerClient.anularComprobante({
+        id: comprobanteOriginal.id,
+        tipo_comprobante: comprobanteOriginal.tipo_comprobante,
+        serie: comprobanteOriginal.serie,
+        numero: comprobanteOriginal.numero,
+        fecha_emision_hoy: true
+      });
+
+      // Guardar NC (anula el total del original)
+      const monto = comprobanteOriginal.total ?? reembolso.importe ?? null;
+      this.comprobanteStore.setByKey(ncKey, {
+        id: nc.id,
+        tipo_comprobante: nc.tipo_comprobante,
+        serie: nc.serie,
+        numero: nc.numero,
+        referencia: `${comprobanteOriginal.serie}-${comprobanteOriginal.numero}`,
+        canal: canal.id,
+        refund_id: reembolso.id,
+        order_id: reembolso.orderId,
+        monto,
+        anulacion: true
+      });
+
+      if (comprobanteOriginal.ledger) {
+        this.comprobanteStore.updateByKey(canal.storeKey(reembolso.orderId), {
+          ledger: registrarAnulacion(comprobanteOriginal.ledger, { key: ncKey, refund_id: reembolso.id, id: nc.id })
+        });
+      }
+
+      this._registrarNC(canal, reembolso, { ...nc, monto }, comprobanteOriginal);
+
+      op.end({ nc: `${nc.serie}-${nc.numero}` });
+
+      return {
+        status: 'success',
+        tipo: this.billerClient.getTipoComprobanteStr(nc.tipo_comprobante),
+        comprobante: { id: nc.id, serie: nc.serie, numero: nc.numero, tipo_comprobante: nc.tipo_comprobante }
+      };
+
+    } catch (error) {
+      this._contar(canal, 'errores');
+      op.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * El reembolso devuelve el comprobante completo: sin NC ni ND previas y por
+   * su total (con IVA). Sólo entonces se anula en vez de emitir NC por items.
+   * @param {Object|null} comprobante - Comprobante original en el store
+   * @param {Object} reembolso - Reembolso normalizado
+   * @returns {boolean}
+   */
+  reembolsoCubreComprobante(comprobante, reembolso) {
+    if (!comprobante || reembolso.importe === undefined) return false;
+    if (comprobante.notas_credito?.length || comprobante.notas_debito?.length) return false;
+
+    const total = parseFloat(comprobante.total) || 0;
+    return total > 0 && reembolso.importe >= total - 0.01;
+  }
+
+  /**
+   * Buscar el comprobante original de un reembolso: store local y luego Biller
+   * @param {ChannelAdapter} canal
+   * @param {Object} reembolso - Reembolso normalizado
+   * @returns {Object|null}
+   */
+  async buscarComprobanteOriginal(canal, reembolso) {
+    const local = this.comprobanteStore.getByKey(canal.storeKey(reembolso.orderId));
+    if (local) return local;
+
+    for (const numeroInterno of reembolso.numerosInternosOriginal) {
+      const encontrado = await this.billerClient.buscarPorNumeroInterno(numeroInterno);
+      if (encontrado) {
+        return {
+          id: encontrado.id,
+          tipo_comprobante: encontrado.tipo_comprobante,
+          serie: encontrado.serie,
+          numero: encontrado.numero,
+          fecha_emision: encontrado.fecha_emision || encontrado.created_at
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Buscar el comprobante ya emitido de un pedido: store local y luego Biller
+   * por numero_interno (el store pudo perderse). Si está en Biller se vuelve a guardar.
+   * @param {ChannelAdapter} canal
+   * @param {string} id - ID del pedido en el canal
+   * @param {string} numeroInterno - numero_interno con que se emitió
+   * @returns {Object|null}
+   */
+  async buscarComprobanteExistente(canal, id, numeroInterno = id) {
+    const storeKey = canal.storeKey(id);
+    const local = this.comprobanteStore.getByKey(storeKey);
+    if (local) return local;
+
+    const encontrado = await this.billerClient.buscarPorNumeroInterno(numeroInterno);
+    if (!encontrado) return null;
+
+    const comprobante = {
+      id: encontrado.id,
+      tipo_comprobante: encontrado.tipo_comprobante,
+      serie: encontrado.serie,
+      numero: encontrado.numero,
+      cae_numero: encontrado.cae_numero,
+      fecha_emision: encontrado.fecha_emision || encontrado.created_at,
+      canal: canal.id,
+      numero_interno: numeroInterno
+    };
+    this.comprobanteStore.setByKey(storeKey, comprobante);
+
+    return comprobante;
+  }
+
+  /**
+   * Obtiene estadísticas del pipeline
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * @private
+   */
+  _registrarNC(canal, reembolso, nc, comprobanteOriginal) {
+    this._contar(canal, 'reembolsos');
+
+    // El original lleva sus NC: las próximas devoluciones ya no lo anulan entero
+    const orderKey = canal.storeKey(reembolso.orderId);
+    const original = this.comprobanteStore.getByKey(orderKey);
+    if (original) {
+      this.comprobanteStore.updateByKey(orderKey, {
+        notas_credito: [
+          ...(original.notas_credito || []),
+          { key: canal.storeKey(`refund-${reembolso.id}`), refund_id: reembolso.id, id: nc.id, monto: nc.monto ?? null,
+            importe: reembolso.importe ?? null }
+        ]
+      });
+    }
+
+    this.auditLogger?.ncEmitida({
+      orderId: canal.storeKey(reembolso.orderId),
+      refundId: reembolso.id,
+      ncId: nc.id,
+      tipo: nc.tipo_comprobante,
+      serie: nc.serie,
+      numero: nc.numero,
+      monto: nc.monto,
+      comprobanteOriginalId: comprobanteOriginal?.id
+    });
+  }
+
+  /**
+   * Retiene el pedido hasta que el comprador se identifique (si ya estaba retenido, sigue igual)
+   * @private
+   */
+  async _retener(canal, pedido, decision, retenido) {
+    const pendiente = retenido
+      ? { ...retenido, url: this.pendingIdentification.urlFormulario(retenido.token) }
+      : this.pendingIdentification.retener({ canal: canal.id, pedido, decision });
+
+    if (!retenido) {
+      this._contar(canal, 'retenidos');
+
+      this.auditLogger?.identificacionSolicitada({
+        orderId: pedido.storeKey,
+        montoEnUI: decision.analisisMonto.montoEnUI,
+        politica: this.pendingIdentification.politica,
+        expiraAt: pendiente.expira_at
+      });
+
+      try {
+        await canal.marcarPendienteIdentificacion(pedido, pendiente);
+      } catch (e) {
+        logger.warn('Error marcando pedido pendiente de identificación', { canal: canal.id, error: e.message });
+      }
+    }
+
+    return {
+      status: 'held',
+      reason: 'pending_identification',
+      formUrl: pendiente.url,
+      expiraAt: pendiente.expira_at,
+      warnings: decision.warnings || []
+    };
+  }
+
+  /**
+   * @private
+   */
+  _encolarPDF(pedido, billerData, comprobante) {
+    if (!this.pdfWorker || !pedido.email || !config.facturacion.enviarAlCliente) return;
+    if (billerData.emails_notificacion?.length) return;
+
+    this.pdfWorker.enqueue({
+      comprobanteId: comprobante.id,
+      email: pedido.email,
+      orderId: pedido.storeKey,
+      orderName: pedido.nombre
+    });
+  }
+
+  /**
+   * @private
+   */
+  _saltar(canal, resultado) {
+    this._contar(canal, 'saltados');
+    return resultado;
+  }
+
+  /**
+   * @private
+   */
+  _contar(canal, campo) {
+    this.stats[campo]++;
+
+    const porCanal = this.stats.porCanal[canal.id] ||
+      (this.stats.porCanal[canal.id] = { emitidos: 0, saltados: 0, errores: 0, reembolsos: 0, retenidos: 0 });
+    porCanal[campo]++;
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getBillingPipeline(options = {}) {
+  if (!instance) {
+    instance = new BillingPipeline(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  BillingPipeline,
+  getBillingPipeline
+};
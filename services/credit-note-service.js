@@ -6,12 +6,57 @@
  * Tipos de NC según el comprobante original:
  * - Si original fue e-Ticket (101) → NC e-Ticket (102)
  * - Si original fue e-Factura (111) → NC e-Factura (112)
+ * - Si original fue e-Factura de Exportación (121) → NC e-Factura de Exportación (122)
+ *
+ * Canales soportados: reembolsos de Shopify y reclamos/devoluciones/
+ * cancelaciones de MercadoLibre (convertidos al formato de refund de Shopify).
  *
  * @module services/credit-note-service
  */
 
 const config = require('../config');
 const logger = require('../utils/logger');
+const { sanitizarString } = require('../utils/validators');
+const { reglasAplicadas } = require('./fiscal-rules-service');
+const { RefundLedgerError, verificarCredito, registrarCredito, saldoLedger } = require('./refund-ledger');
+const {
+  monedaShopify,
+  montosBrutosShopify,
+  fiscalLineaShopify,
+  shopifyRefundToNCItems,
+  datosExportacion
+} = require('../biller-client');
+
+/**
+ * Canales de venta que generan NC
+ * - prefijo: numero_interno de los comprobantes del canal
+ * - montosBrutos: los precios del canal incluyen IVA
+ */
+const CANALES = Object.freeze({
+  shopify: { nombre: 'Shopify', prefijo: 'shopify', montosBrutos: 0 },
+  mercadolibre: { nombre: 'MercadoLibre', prefijo: 'mercadolibre', montosBrutos: 1 }
+});
+
+/**
+ * Familias de CFE con nota de crédito propia (X2): e-Ticket, e-Factura,
+ * Exportación, e-Ticket y e-Factura Cuenta Ajena, e-Boleta de Entrada
+ */
+const FAMILIAS_CON_NC = [100, 110, 120, 130, 140, 150];
+
+/**
+ * Resuelve el canal de una NC: id conocido o adaptador de canal ({ id, nombre, montosBrutos })
+ * @param {string|Object} canal
+ */
+function resolverCanal(canal) {
+  if (canal && typeof canal === 'object') {
+    return {
+      nombre: canal.nombre || canal.id,
+      prefijo: canal.id,
+      montosBrutos: canal.montosBrutos ?? 0
+    };
+  }
+  return CANALES[canal] || CANALES.shopify;
+}
 
 /**
  * Clase para manejar notas de crédito
@@ -20,12 +65,17 @@ class CreditNoteService {
   constructor(options = {}) {
     this.billerClient = options.billerClient || null;
     this.comprobanteStore = options.comprobanteStore || null;
+    this.exchangeRateService = options.exchangeRateService || null;
+    this.fiscalRules = options.fiscalRules || null;
+    this.errorStore = options.errorStore || null;
 
     // Estadísticas
     this.stats = {
       ncGeneradas: 0,
       ncETicket: 0,
       ncEFactura: 0,
+      ncEFacturaExportacion: 0,
+      rechazadas: 0,
       errores: 0,
       montoTotalNC: 0
     };
@@ -39,6 +89,9 @@ class CreditNoteService {
   configure(options) {
     if (options.billerClient) this.billerClient = options.billerClient;
     if (options.comprobanteStore) this.comprobanteStore = options.comprobanteStore;
+    if (options.exchangeRateService) this.exchangeRateService = options.exchangeRateService;
+    if (options.fiscalRules) this.fiscalRules = options.fiscalRules;
+    if (options.errorStore) this.errorStore = options.errorStore;
   }
 
   /**
@@ -47,12 +100,15 @@ class CreditNoteService {
    * @returns {number} Tipo de NC correspondiente
    */
   determinarTipoNC(tipoOriginal) {
-    // e-Factura y sus variantes → NC e-Factura (112)
-    if ([111, 112, 113, 131, 132, 133].includes(tipoOriginal)) {
-      return config.TIPOS_CFE.NC_E_FACTURA; // 112
+    // Familia del CFE (101→100, 112→110, 121→120...); los de contingencia (2xx)
+    // se corrigen con la NC electrónica de su familia
+    const familia = 100 + Math.floor((tipoOriginal % 100) / 10) * 10;
+
+    if (FAMILIAS_CON_NC.includes(familia)) {
+      return familia + 2;
     }
 
-    // e-Ticket y sus variantes → NC e-Ticket (102)
+    // Sin NC propia (remitos, resguardos) → NC e-Ticket (102)
     return config.TIPOS_CFE.NC_E_TICKET; // 102
   }
 
@@ -62,105 +118,89 @@ class CreditNoteService {
    * @returns {string} Descripción
    */
   getTipoNCStr(tipo) {
-    const tipos = {
-      102: 'NC e-Ticket',
-      112: 'NC e-Factura',
-      122: 'NC e-Ticket Contingencia',
-      132: 'NC e-Factura Contingencia'
-    };
-    return tipos[tipo] || `NC Tipo ${tipo}`;
+    return config.NOMBRES_CFE[tipo] || `NC Tipo ${tipo}`;
   }
 
   /**
-   * Convierte items del reembolso de Shopify a formato Biller
+   * Convierte items del reembolso de Shopify a formato Biller (shopifyRefundToNCItems)
    * @param {Object} refund - Objeto de reembolso de Shopify
    * @param {Object} originalOrder - Pedido original (opcional)
+   * @param {string} moneda - Moneda de la NC (montos de Shopify en esa moneda)
+   * @param {number} montosBrutos - 1 si la NC va con IVA incluido
+   * @param {Array} reglasOriginal - Reglas fiscales aplicadas en el comprobante original
    * @returns {Array} Items en formato Biller
    */
-  convertirItemsRefund(refund, originalOrder = null) {
-    const items = [];
-
-    // 1. Items del reembolso (productos devueltos)
-    if (refund.refund_line_items && refund.refund_line_items.length > 0) {
-      for (const refundItem of refund.refund_line_items) {
-        const lineItem = refundItem.line_item;
+  convertirItemsRefund(refund, originalOrder = null, moneda = null, montosBrutos = 0, reglasOriginal = []) {
+    return shopifyRefundToNCItems(refund, originalOrder, {
+      moneda,
+      montosBrutos,
+      reglasFiscales: this.fiscalRules,
+      // Mismo IVA que en el comprobante original; si no se registró, reglas vigentes
+      fiscalLinea: lineItem => this.fiscalDeLinea(lineItem, reglasOriginal)
+    });
+  }
 
-        if (!lineItem) continue;
+  /**
+   * Indicador de IVA y unidad de una línea devuelta: la regla registrada en el
+   * comprobante original para ese SKU/producto o, si no hay, las reglas vigentes
+   * @param {Object} lineItem - line_item del reembolso
+   * @param {Array} reglasOriginal - reglas_fiscales del comprobante original
+   * @returns {{ indicador: number, unidadMedida: string, regla: Object|null }}
+   */
+  fiscalDeLinea(lineItem, reglasOriginal = []) {
+    // Código y concepto tal como quedaron en la factura
+    const codigo = lineItem.sku ? sanitizarString(lineItem.sku, 35) : null;
+    const concepto = sanitizarString(lineItem.title || 'Producto', 80);
+    const original = reglasOriginal.find(r =>
+      r.codigo ? r.codigo === codigo : r.concepto === concepto
+    );
+
+    if (original) {
+      return {
+        indicador: original.indicador_facturacion,
+        unidadMedida: original.unidad_medida,
+        regla: { id: original.regla, nombre: original.nombre }
+      };
+    }
 
-        // Determinar indicador de IVA
-        let indicadorIVA = config.INDICADORES_IVA.GRAVADO_BASICA; // 22% por defecto
+    return fiscalLineaShopify(lineItem, { reglasFiscales: this.fiscalRules });
+  }
 
-        if (lineItem.taxable === false || (lineItem.tax_lines && lineItem.tax_lines.length === 0)) {
-          indicadorIVA = config.INDICADORES_IVA.EXENTO;
-        } else if (lineItem.tax_lines && lineItem.tax_lines.some(t => t.rate === 0.10)) {
-          indicadorIVA = config.INDICADORES_IVA.GRAVADO_MINIMA; // 10%
-        }
+  /**
+   * Items de una NC por el saldo del comprobante (lo facturado menos lo ya acreditado),
+   * una línea por tasa de IVA. Sin ledger el saldo sale del total, las ND y las NC
+   * guardadas, a tasa básica.
+   * @param {Object} comprobanteOriginal - Comprobante original del store
+   * @param {string} concepto - Concepto de las líneas
+   * @returns {Array|null} Items (vacío si no queda saldo), null si no se puede calcular
+   */
+  itemsSaldo(comprobanteOriginal, concepto) {
+    const linea = (precio, indicador) => ({
+      cantidad: 1,
+      concepto: concepto.substring(0, 80),
+      descripcion: concepto,
+      precio,
+      indicador_facturacion: indicador,
+      unidad_medida: 'UN'
+    });
 
-        items.push({
-          concepto: lineItem.title || 'Producto',
-          descripcion: `Devolución: ${lineItem.title}${lineItem.variant_title ? ` - ${lineItem.variant_title}` : ''}`,
-          cantidad: refundItem.quantity,
-          precio: parseFloat(lineItem.price),
-          indicador_facturacion: indicadorIVA,
-          unidad_medida: 'UN',
-          codigo: lineItem.sku || null
-        });
-      }
+    if (comprobanteOriginal.ledger) {
+      const saldo = saldoLedger(comprobanteOriginal.ledger);
+      return Object.entries(saldo.por_indicador)
+        .filter(([, tasa]) => tasa.saldo > 0.01)
+        .map(([indicador, tasa]) => linea(tasa.saldo, Number(indicador)));
     }
 
-    // 2. Ajustes del reembolso (shipping, descuentos, etc.)
-    if (refund.order_adjustments && refund.order_adjustments.length > 0) {
-      for (const adjustment of refund.order_adjustments) {
-        const amount = parseFloat(adjustment.amount || 0);
-
-        if (amount === 0) continue;
-
-        let concepto = 'Ajuste';
-        let descripcion = adjustment.reason || 'Ajuste de reembolso';
-
-        // Mapear tipos de ajuste
-        switch (adjustment.kind) {
-          case 'shipping_refund':
-            concepto = 'Devolución envío';
-            descripcion = 'Reembolso de costo de envío';
-            break;
-          case 'refund_discrepancy':
-            concepto = 'Ajuste de discrepancia';
-            break;
-          default:
-            concepto = adjustment.kind || 'Ajuste';
-        }
-
-        items.push({
-          concepto,
-          descripcion,
-          cantidad: 1,
-          precio: Math.abs(amount),
-          indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
-          unidad_medida: 'UN'
-        });
-      }
+    const notasCredito = comprobanteOriginal.notas_credito || [];
+    if (comprobanteOriginal.total === undefined || notasCredito.some(nc => typeof nc.monto !== 'number')) {
+      return null;
     }
 
-    // 3. Si no hay items pero hay transacciones de reembolso
-    if (items.length === 0 && refund.transactions && refund.transactions.length > 0) {
-      const totalRefund = refund.transactions
-        .filter(t => t.kind === 'refund' && t.status === 'success')
-        .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
-
-      if (totalRefund > 0) {
-        items.push({
-          concepto: 'Devolución',
-          descripcion: 'Reembolso de compra',
-          cantidad: 1,
-          precio: totalRefund,
-          indicador_facturacion: config.INDICADORES_IVA.GRAVADO_BASICA,
-          unidad_medida: 'UN'
-        });
-      }
-    }
+    const facturado = (parseFloat(comprobanteOriginal.total) || 0) +
+      (comprobanteOriginal.notas_debito || []).reduce((sum, nd) => sum + (nd.monto || 0), 0);
+    const saldo = Math.round((facturado - notasCredito.reduce((sum, nc) => sum + nc.monto, 0)) * 100) / 100;
 
-    return items;
+    return saldo > 0.01 ? [linea(saldo, config.INDICADORES_IVA.GRAVADO_BASICA)] : [];
   }
 
   /**
@@ -174,16 +214,53 @@ class CreditNoteService {
     }, 0);
   }
 
+  /**
+   * Moneda de la NC: la del comprobante original
+   * @param {Object} comprobanteOriginal - Comprobante original (store o Biller)
+   * @param {Object} originalOrder - Pedido original (opcional)
+   * @param {Object} canal - Canal resuelto
+   * @returns {string}
+   */
+  determinarMoneda(comprobanteOriginal, originalOrder, canal) {
+    if (comprobanteOriginal.moneda) return comprobanteOriginal.moneda;
+    if (originalOrder && canal.prefijo === CANALES.shopify.prefijo) return monedaShopify(originalOrder);
+    return config.monedas.base;
+  }
+
+  /**
+   * montos_brutos de la NC: el del comprobante original; si no quedó registrado,
+   * el de la tienda (Shopify) o el del canal
+   * @param {Object} comprobanteOriginal - Comprobante original (store o Biller)
+   * @param {Object} originalOrder - Pedido original (opcional)
+   * @param {Object} canal - Canal resuelto
+   * @returns {number} 1 | 0
+   */
+  determinarMontosBrutos(comprobanteOriginal, originalOrder, canal) {
+    if (comprobanteOriginal.montos_brutos !== undefined && comprobanteOriginal.montos_brutos !== null) {
+      return Number(comprobanteOriginal.montos_brutos) ? 1 : 0;
+    }
+    if (originalOrder && canal.prefijo === CANALES.shopify.prefijo) return montosBrutosShopify(originalOrder);
+    return canal.montosBrutos;
+  }
+
   /**
    * Genera los datos de una Nota de Crédito
    * @param {Object} params - Parámetros
    * @param {Object} params.refund - Objeto de reembolso de Shopify
    * @param {Object} params.comprobanteOriginal - Comprobante original
    * @param {Object} params.originalOrder - Pedido original (opcional)
+   * @param {string|Object} params.canal - Canal de venta ('shopify' por defecto)
+   * @param {number} params.tipoCambio - Tipo de cambio si la NC no es en UYU (por defecto el del original)
+   * @param {Array} params.items - Items ya armados en lugar de los del reembolso (opcional)
+   * @param {string} params.informacion - Información adicional (opcional)
    * @returns {Object} Datos de la NC lista para emitir
    */
   generarDatosNC(params) {
     const { refund, comprobanteOriginal, originalOrder } = params;
+    const canal = resolverCanal(params.canal);
+    const moneda = this.determinarMoneda(comprobanteOriginal, originalOrder, canal);
+    const tipoCambio = params.tipoCambio || comprobanteOriginal.tipo_cambio;
+    const montosBrutos = this.determinarMontosBrutos(comprobanteOriginal, originalOrder, canal);
 
     const refundId = refund.id;
     const orderId = refund.order_id;
@@ -192,8 +269,14 @@ class CreditNoteService {
     const tipoOriginal = comprobanteOriginal.tipo_comprobante;
     const tipoNC = this.determinarTipoNC(tipoOriginal);
 
-    // Convertir items
-    const items = this.convertirItemsRefund(refund, originalOrder);
+    // Convertir items (o los ya armados, p.ej. el saldo de un pedido cancelado)
+    const items = params.items || this.convertirItemsRefund(
+      refund,
+      originalOrder,
+      moneda,
+      montosBrutos,
+      comprobanteOriginal.reglas_fiscales || []
+    );
 
     if (items.length === 0) {
       throw new Error('No se encontraron items para la nota de crédito');
@@ -211,10 +294,10 @@ class CreditNoteService {
       items,
       forma_pago: 1, // Contado
       sucursal: parseInt(config.biller.empresa.sucursal),
-      moneda: 'UYU',
-      montos_brutos: 0,
-      numero_interno: `shopify-refund-${refundId}`,
-      informacion_adicional: `Nota de Crédito - Reembolso Shopify #${refundId}`,
+      moneda,
+      montos_brutos: montosBrutos,
+      numero_interno: `${canal.prefijo}-refund-${refundId}`,
+      informacion_adicional: params.informacion || `Nota de Crédito - Reembolso ${canal.nombre} #${refundId}`,
 
       // Referencias al comprobante original (OBLIGATORIO para NC)
       referencias: [{
@@ -225,16 +308,32 @@ class CreditNoteService {
       }]
     };
 
+    if (moneda !== config.monedas.base) {
+      if (!tipoCambio) {
+        throw new Error(`Sin tipo de cambio para NC en ${moneda}`);
+      }
+      ncData.tipo_cambio = tipoCambio;
+    }
+
     // Agregar email de notificación si existe
     if (emailCliente) {
       ncData.emails_notificacion = [emailCliente];
     }
 
-    // Si el original era e-Factura, incluir datos del cliente
-    if (tipoNC === config.TIPOS_CFE.NC_E_FACTURA && comprobanteOriginal.cliente) {
+    // Si el original era e-Factura (o de exportación), incluir datos del cliente
+    if ([config.TIPOS_CFE.NC_E_FACTURA, config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION].includes(tipoNC) &&
+        comprobanteOriginal.cliente) {
       ncData.cliente = comprobanteOriginal.cliente;
     }
 
+    // Exportación: mismo indicador y datos de la operación que el original
+    if (tipoNC === config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION) {
+      for (const item of items) {
+        item.indicador_facturacion = config.INDICADORES_IVA.EXPORTACION;
+      }
+      Object.assign(ncData, datosExportacion(comprobanteOriginal.exportacion));
+    }
+
     logger.info(`📝 NC generada para refund ${refundId}`, {
       tipoNC: this.getTipoNCStr(tipoNC),
       tipoOriginal,
@@ -253,6 +352,8 @@ class CreditNoteService {
         tipoOriginal,
         montoTotal,
         itemsCount: items.length,
+        // Los productos devueltos van primero en los items (shopifyRefundToNCItems)
+        productosDevueltos: params.items ? 0 : (refund.refund_line_items || []).filter(r => r.line_item).length,
         comprobanteOriginalId: comprobanteOriginal.id
       }
     };
@@ -261,10 +362,17 @@ class CreditNoteService {
   /**
    * Procesa un reembolso completo y emite la NC
    * @param {Object} params - Parámetros
+   * @param {Object} params.refund - Reembolso (formato refund de Shopify)
+   * @param {Object} params.originalOrder - Pedido original (opcional)
+   * @param {string|Object} params.canal - Canal de venta ('shopify' por defecto)
+   * @param {Array<string>} params.numerosInternosOriginal - numero_interno a buscar en Biller
+   * @param {Array} params.items - Items ya armados en lugar de los del reembolso (opcional)
+   * @param {string} params.informacion - Información adicional (opcional)
    * @returns {Object} Resultado del procesamiento
    */
   async procesarReembolso(params) {
     const { refund, originalOrder, shopifyClient } = params;
+    const canal = resolverCanal(params.canal);
 
     const refundId = refund.id;
     const orderId = refund.order_id;
@@ -276,15 +384,19 @@ class CreditNoteService {
       // 1. Buscar comprobante original
       let comprobanteOriginal = null;
 
-      // Primero en store local
+      // Primero en store local (los pedidos de un pack resuelven al comprobante del pack)
       if (this.comprobanteStore) {
-        comprobanteOriginal = this.comprobanteStore.get(orderId);
+        comprobanteOriginal = this.comprobanteStore.getByKey(`${canal.prefijo}-${orderId}`);
       }
 
       // Si no está en local, buscar en Biller
-      if (!comprobanteOriginal && this.billerClient) {
+      const numerosInternos = params.numerosInternosOriginal || [`${canal.prefijo}-${orderId}`];
+
+      for (const numeroInterno of numerosInternos) {
+        if (comprobanteOriginal || !this.billerClient) break;
+
         try {
-          const encontrado = await this.billerClient.buscarPorNumeroInterno(`shopify-${orderId}`);
+          const encontrado = await this.billerClient.buscarPorNumeroInterno(numeroInterno);
           if (encontrado) {
             comprobanteOriginal = encontrado;
           }
@@ -303,23 +415,52 @@ class CreditNoteService {
         };
       }
 
-      // 2. Generar datos de la NC
+      // 2. Generar datos de la NC (en la moneda y con el tipo de cambio del original)
+      const moneda = this.determinarMoneda(comprobanteOriginal, originalOrder, canal);
+      let tipoCambio = comprobanteOriginal.tipo_cambio;
+
+      if (moneda !== config.monedas.base && !tipoCambio && this.exchangeRateService) {
+        const fechaOriginal = comprobanteOriginal.fecha_emision || comprobanteOriginal.created_at || new Date();
+        tipoCambio = (await this.exchangeRateService.obtenerTipoCambio(moneda, fechaOriginal)).tipoCambio;
+      }
+
       const { ncData, metadata } = this.generarDatosNC({
         refund,
         comprobanteOriginal,
-        originalOrder
+        originalOrder,
+        canal: params.canal,
+        tipoCambio,
+        items: params.items,
+        informacion: params.informacion
       });
 
-      // 3. Emitir NC en Biller
+      // 3. Los créditos acumulados no pueden superar lo facturado (por tasa y por línea)
+      const orderKey = `${canal.prefijo}-${orderId}`;
+      if (comprobanteOriginal.ledger) {
+        const verificacion = verificarCredito(comprobanteOriginal.ledger, ncData, {
+          productos: ncData.items.slice(0, metadata.productosDevueltos)
+        });
+
+        if (!verificacion.valid) {
+          return this._rechazarNC(new RefundLedgerError(
+            `La NC del reembolso ${refundId} supera lo facturado en ${comprobanteOriginal.serie}-${comprobanteOriginal.numero}`,
+            'CREDIT_EXCEEDS_INVOICE',
+            422,
+            { excesos: verificacion.excesos }
+          ), { orderKey, refundId, orderId, comprobanteOriginal });
+        }
+      }
+
+      // 4. Emitir NC en Biller
       if (!this.billerClient) {
         throw new Error('BillerClient no configurado');
       }
 
       const nc = await this.billerClient.emitirComprobante(ncData);
 
-      // 4. Guardar en store
+      // 5. Guardar en store (y el crédito en el ledger del original)
       if (this.comprobanteStore) {
-        this.comprobanteStore.set(`refund-${refundId}`, {
+        const datosNC = {
           id: nc.id,
           tipo_comprobante: metadata.tipoNC,
           serie: nc.serie,
@@ -329,15 +470,38 @@ class CreditNoteService {
           comprobante_original_id: comprobanteOriginal.id,
           refund_id: refundId,
           order_id: orderId,
-          monto: metadata.montoTotal
-        });
+          monto: metadata.montoTotal,
+          moneda: ncData.moneda,
+          montos_brutos: ncData.montos_brutos,
+          reglas_fiscales: reglasAplicadas(ncData.items)
+        };
+
+        if (canal.prefijo === CANALES.shopify.prefijo) {
+          this.comprobanteStore.set(`refund-${refundId}`, datosNC);
+        } else {
+          this.comprobanteStore.setByKey(`${canal.prefijo}-refund-${refundId}`, datosNC);
+        }
+
+        if (comprobanteOriginal.ledger) {
+          this.comprobanteStore.updateByKey(orderKey, {
+            ledger: registrarCredito(comprobanteOriginal.ledger, ncData, {
+              key: `${canal.prefijo}-refund-${refundId}`,
+              refund_id: refundId,
+              id: nc.id,
+              serie: nc.serie,
+              numero: nc.numero
+            })
+          });
+        }
       }
 
-      // 5. Actualizar estadísticas
+      // 6. Actualizar estadísticas
       this.stats.ncGeneradas++;
       this.stats.montoTotalNC += metadata.montoTotal;
 
-      if (metadata.tipoNC === config.TIPOS_CFE.NC_E_FACTURA) {
+      if (metadata.tipoNC === config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION) {
+        this.stats.ncEFacturaExportacion++;
+      } else if (metadata.tipoNC === config.TIPOS_CFE.NC_E_FACTURA) {
         this.stats.ncEFactura++;
       } else {
         this.stats.ncETicket++;
@@ -392,6 +556,33 @@ class CreditNoteService {
     }
   }
 
+  /**
+   * Rechaza una NC que supera lo facturado: queda en ErrorStore para revisión
+   * @private
+   */
+  _rechazarNC(error, { orderKey, refundId, orderId, comprobanteOriginal }) {
+    this.stats.rechazadas++;
+
+    const errorId = this.errorStore?.recordError(error, {
+      orderId: orderKey,
+      refundId,
+      action: 'nc_excede_facturado',
+      comprobanteId: comprobanteOriginal.id
+    }) || null;
+
+    logger.error(`❌ ${error.message}`, { refundId, orderId, excesos: error.response.excesos, errorId });
+
+    return {
+      status: 'error',
+      reason: 'excede_facturado',
+      message: error.message,
+      excesos: error.response.excesos,
+      errorId,
+      refundId,
+      orderId
+    };
+  }
+
   /**
    * Obtiene estadísticas del servicio
    * @returns {Object} Estadísticas
@@ -413,6 +604,8 @@ class CreditNoteService {
       ncGeneradas: 0,
       ncETicket: 0,
       ncEFactura: 0,
+      ncEFacturaExportacion: 0,
+      rechazadas: 0,
       errores: 0,
       montoTotalNC: 0
     };
@@ -431,5 +624,6 @@ function getCreditNoteService(options = {}) {
 
 module.exports = {
   CreditNoteService,
-  getCreditNoteService
+  getCreditNoteService,
+  CANALES
 };
@@ -0,0 +1,488 @@
+/**
+ * Debit Note Service
+ *
+ * Emite Notas de Débito por cargos posteriores a la facturación:
+ * - Pedidos de Shopify editados (orders/edited) cuyo total sube
+ * - Recargos cargados a mano sobre un pedido ya facturado
+ *
+ * La diferencia se calcula contra lo ya facturado del comprobante guardado
+ * (total + ND anteriores) y la ND referencia el CFE original igual que las NC:
+ * - Si original fue e-Ticket (101) → ND e-Ticket (103)
+ * - Si original fue e-Factura (111) → ND e-Factura (113)
+ * - Si original fue e-Factura de Exportación (121) → ND e-Factura de Exportación (123)
+ *
+ * @module services/debit-note-service
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sanitizarString } = require('../utils/validators');
+const { reglasAplicadas } = require('./fiscal-rules-service');
+const { sumarFacturado } = require('./refund-ledger');
+const {
+  monedaShopify,
+  montoShopify,
+  montosBrutosShopify,
+  fiscalLineaShopify,
+  datosExportacion
+} = require('../biller-client');
+
+/**
+ * Familias de CFE con nota de débito propia (X3), igual que las NC
+ */
+const FAMILIAS_CON_ND = [100, 110, 120, 130, 140, 150];
+
+/**
+ * Diferencia mínima para emitir (redondeos de Shopify)
+ */
+const TOLERANCIA = 0.01;
+
+/**
+ * Clase para manejar notas de débito
+ */
+class DebitNoteService {
+  constructor(options = {}) {
+    this.billerClient = options.billerClient || null;
+    this.comprobanteStore = options.comprobanteStore || null;
+    this.fiscalRules = options.fiscalRules || null;
+    this.auditLogger = options.auditLogger || null;
+
+    this.stats = {
+      ndGeneradas: 0,
+      ndETicket: 0,
+      ndEFactura: 0,
+      ndEFacturaExportacion: 0,
+      sinAumento: 0,
+      errores: 0,
+      montoTotalND: 0
+    };
+  }
+
+  /**
+   * Configura dependencias
+   */
+  configure(options) {
+    if (options.billerClient) this.billerClient = options.billerClient;
+    if (options.comprobanteStore) this.comprobanteStore = options.comprobanteStore;
+    if (options.fiscalRules) this.fiscalRules = options.fiscalRules;
+    if (options.auditLogger) this.auditLogger = options.auditLogger;
+  }
+
+  /**
+   * Determina el tipo de ND según el comprobante original
+   * @param {number} tipoOriginal - Tipo del comprobante original
+   * @returns {number} Tipo de ND correspondiente
+   */
+  determinarTipoND(tipoOriginal) {
+    // Familia del CFE (101→100, 111→110...); contingencia (2xx) → ND electrónica de su familia
+    const familia = 100 + Math.floor((tipoOriginal % 100) / 10) * 10;
+
+    if (FAMILIAS_CON_ND.includes(familia)) {
+      return familia + 3;
+    }
+
+    return config.TIPOS_CFE.ND_E_TICKET; // 103
+  }
+
+  /**
+   * Obtiene el string descriptivo del tipo de ND
+   * @param {number} tipo - Código del tipo
+   * @returns {string} Descripción
+   */
+  getTipoNDStr(tipo) {
+    return config.NOMBRES_CFE[tipo] || `ND Tipo ${tipo}`;
+  }
+
+  /**
+   * Total ya facturado de un comprobante: su total más las ND emitidas
+   * @param {Object} comprobante - Comprobante guardado
+   * @returns {number}
+   */
+  totalFacturado(comprobante) {
+    const notasDebito = (comprobante.notas_debito || []).reduce((sum, nd) => sum + (nd.monto || 0), 0);
+    return Math.round(((parseFloat(comprobante.total) || 0) + notasDebito) * 100) / 100;
+  }
+
+  /**
+   * Total reembolsado de un comprobante: el importe (con IVA) de cada NC emitida o,
+   * si no se guardó, el monto de la NC
+   * @param {Object} comprobante - Comprobante guardado
+   * @returns {number}
+   */
+  totalAcreditado(comprobante) {
+    const acreditado = (comprobante.notas_credito || []).reduce((sum, nc) => sum + (nc.importe ?? nc.monto ?? 0), 0);
+    return Math.round(acreditado * 100) / 100;
+  }
+
+  /**
+   * Items agregados en una edición de Shopify (order_edit.line_items.additions)
+   * @param {Object} orderEdit - Edición (webhook orders/edited)
+   * @param {Object} order - Pedido ya editado
+   * @param {string} moneda
+   * @param {number} montosBrutos - 1 si la tienda carga precios con IVA
+   * @returns {{ items: Array, bruto: number }} Items y su importe con IVA
+   */
+  itemsEdicionShopify(orderEdit, order, moneda, montosBrutos) {
+    const items = [];
+    let bruto = 0;
+
+    for (const adicion of (orderEdit.line_items?.additions || [])) {
+      const lineItem = (order.line_items || []).find(l => String(l.id) === String(adicion.id));
+      const cantidad = parseInt(adicion.delta) || 0;
+      if (!lineItem || cantidad <= 0) continue;
+
+      const precio = montoShopify(lineItem, 'price', moneda);
+      const fiscal = fiscalLineaShopify(lineItem, { reglasFiscales: this.fiscalRules });
+
+      // IVA por unidad de la línea (sólo suma si los precios no lo incluyen)
+      const ivaLinea = (lineItem.tax_lines || []).reduce((sum, t) => sum + montoShopify(t, 'price', moneda), 0);
+      const ivaUnitario = montosBrutos ? 0 : ivaLinea / (parseInt(lineItem.quantity) || 1);
+      bruto += (precio + ivaUnitario) * cantidad;
+
+      const item = {
+        cantidad,
+        concepto: sanitizarString(lineItem.title || 'Producto', 80),
+        descripcion: sanitizarString(
+          lineItem.variant_title ? `${lineItem.title} - ${lineItem.variant_title}` : lineItem.title,
+          200
+        ),
+        precio,
+        indicador_facturacion: fiscal.indicador,
+        unidad_medida: fiscal.unidadMedida
+      };
+
+      if (lineItem.sku) item.codigo = sanitizarString(lineItem.sku, 35);
+      if (fiscal.regla) item.reglaFiscal = fiscal.regla;
+
+      items.push(item);
+    }
+
+    return { items, bruto: Math.round(bruto * 100) / 100 };
+  }
+
+  /**
+   * Genera los datos de una Nota de Débito
+   * @param {Object} params
+   * @param {Object} params.comprobanteOriginal - Comprobante original
+   * @param {Array} params.items - Items del cargo
+   * @param {number} params.montosBrutos - 1 si los precios de los items incluyen IVA
+   * @param {string} params.numeroInterno - numero_interno de la ND (idempotencia en Biller)
+   * @param {string} params.informacion - Información adicional
+   * @param {string} params.email - Email de notificación (opcional)
+   * @returns {{ ndData: Object, metadata: Object }}
+   */
+  generarDatosND({ comprobanteOriginal, items, montosBrutos, numeroInterno, informacion, email = null }) {
+    const tipoOriginal = comprobanteOriginal.tipo_comprobante;
+    const tipoND = this.determinarTipoND(tipoOriginal);
+    const moneda = comprobanteOriginal.moneda || config.monedas.base;
+
+    if (!items || items.length === 0) {
+      throw new Error('No se encontraron items para la nota de débito');
+    }
+
+    const ndData = {
+      tipo_comprobante: tipoND,
+      items,
+      forma_pago: 1, // Contado
+      sucursal: parseInt(config.biller.empresa.sucursal),
+      moneda,
+      montos_brutos: montosBrutos,
+      numero_interno: numeroInterno,
+      informacion_adicional: sanitizarString(informacion, 150),
+
+      // Referencias al comprobante original (igual que las NC)
+      referencias: [{
+        tipo_cfe: tipoOriginal,
+        serie: comprobanteOriginal.serie,
+        numero: parseInt(comprobanteOriginal.numero),
+        fecha: comprobanteOriginal.fecha_emision || comprobanteOriginal.created_at
+      }]
+    };
+
+    if (moneda !== config.monedas.base) {
+      if (!comprobanteOriginal.tipo_cambio) {
+        throw new Error(`Sin tipo de cambio para ND en ${moneda}`);
+      }
+      ndData.tipo_cambio = comprobanteOriginal.tipo_cambio;
+    }
+
+    if (email) {
+      ndData.emails_notificacion = [email];
+    }
+
+    // Si el original era e-Factura (o de exportación), incluir datos del cliente
+    if ([config.TIPOS_CFE.ND_E_FACTURA, config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION].includes(tipoND) &&
+        comprobanteOriginal.cliente) {
+      ndData.cliente = comprobanteOriginal.cliente;
+    }
+
+    if (tipoND === config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION) {
+      for (const item of items) {
+        item.indicador_facturacion = config.INDICADORES_IVA.EXPORTACION;
+      }
+      Object.assign(ndData, datosExportacion(comprobanteOriginal.exportacion));
+    }
+
+    const montoTotal = Math.round(items.reduce((sum, i) => sum + i.cantidad * i.precio, 0) * 100) / 100;
+
+    return {
+      ndData,
+      metadata: {
+        tipoND,
+        tipoNDStr: this.getTipoNDStr(tipoND),
+        tipoOriginal,
+        montoTotal,
+        itemsCount: items.length,
+        comprobanteOriginalId: comprobanteOriginal.id
+      }
+    };
+  }
+
+  /**
+   * Emite la ND de un pedido de Shopify editado si su total subió
+   * @param {Object} params
+   * @param {Object} params.orderEdit - Edición (webhook orders/edited)
+   * @param {Object} params.order - Pedido ya editado (API de Shopify)
+   * @returns {Object} Resultado del procesamiento
+   */
+  async procesarEdicionShopify({ orderEdit, order }) {
+    const orderKey = `shopify-${order.id}`;
+    const ndKey = `shopify-debit-${orderEdit.id}`;
+
+    if (this.comprobanteStore?.hasKey(ndKey)) {
+      return { status: 'skipped', reason: 'already_processed' };
+    }
+
+    const comprobanteOriginal = this.comprobanteStore?.getByKey(orderKey);
+    if (!comprobanteOriginal) {
+      logger.info('Pedido editado sin comprobante, se facturará con el total nuevo', { orderId: order.id });
+      return { status: 'skipped', reason: 'not_invoiced' };
+    }
+
+    // 1. Diferencia contra lo ya facturado. Shopify deja el total original en total_price y
+    //    las ediciones en current_total_price, que ya descuenta los reembolsos: se suman las NC
+    const moneda = comprobanteOriginal.moneda || monedaShopify(order);
+    const facturado = this.totalFacturado(comprobanteOriginal);
+    const campoTotal = order.current_total_price !== undefined ? 'current_total_price' : 'total_price';
+    const totalActual = montoShopify(order, campoTotal, moneda) + this.totalAcreditado(comprobanteOriginal);
+    const diferencia = Math.round((totalActual - facturado) * 100) / 100;
+
+    if (diferencia <= TOLERANCIA) {
+      this.stats.sinAumento++;
+      logger.info('Edición sin aumento del total, no se emite ND', { orderId: order.id, facturado, diferencia });
+      return { status: 'skipped', reason: 'total_not_increased', diferencia };
+    }
+
+    // 2. Items: los agregados en la edición; si no explican la diferencia
+    //    (cambios de precio, descuentos, envío), una línea de ajuste con IVA incluido
+    const montosBrutosTienda = montosBrutosShopify(order);
+    const agregados = this.itemsEdicionShopify(orderEdit, order, moneda, montosBrutosTienda);
+
+    let items = agregados.items;
+    let montosBrutos = montosBrutosTienda;
+
+    if (items.length === 0 || Math.abs(agregados.bruto - diferencia) > TOLERANCIA) {
+      items = [this.itemAjuste(`Ajuste pedido ${order.name || order.id} editado`, diferencia, agregados.items)];
+      montosBrutos = 1;
+    }
+
+    return this.emitir({
+      ndKey,
+      orderKey,
+      comprobanteOriginal,
+      items,
+      montosBrutos,
+      informacion: `Nota de Débito - Edición pedido Shopify ${order.name || order.id}`,
+      email: order.email || null,
+      origen: { order_edit_id: orderEdit.id, diferencia }
+    });
+  }
+
+  /**
+   * Emite una ND por un recargo cargado a mano sobre un pedido facturado
+   * @param {Object} params
+   * @param {string} params.orderKey - Key del comprobante original (ej: 'shopify-123')
+   * @param {number} params.monto - Importe con IVA incluido
+   * @param {string} params.concepto - Concepto del recargo
+   * @param {number} params.indicador - Indicador de IVA (básica por defecto)
+   * @param {string} params.idempotencyKey - Clave para no duplicar reintentos (opcional)
+   * @returns {Object} Resultado del procesamiento
+   */
+  async procesarRecargo({ orderKey, monto, concepto, indicador, idempotencyKey = null }) {
+    const comprobanteOriginal = this.comprobanteStore?.getByKey(orderKey);
+    if (!comprobanteOriginal) {
+      return { status: 'error', reason: 'comprobante_original_no_encontrado', orderKey };
+    }
+
+    const numero = (comprobanteOriginal.notas_debito || []).length + 1;
+    const ndKey = `${orderKey}-debit-${idempotencyKey || `recargo-${numero}`}`;
+
+    if (this.comprobanteStore.hasKey(ndKey)) {
+      return { status: 'skipped', reason: 'already_processed', nota: this.comprobanteStore.getByKey(ndKey) };
+    }
+
+    const item = {
+      cantidad: 1,
+      concepto: sanitizarString(concepto || 'Recargo', 80),
+      descripcion: sanitizarString(concepto || 'Recargo', 200),
+      precio: Math.round(parseFloat(monto) * 100) / 100,
+      indicador_facturacion: indicador || config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    };
+
+    return this.emitir({
+      ndKey,
+      orderKey,
+      comprobanteOriginal,
+      items: [item],
+      montosBrutos: 1,
+      informacion: `Nota de Débito - ${concepto || 'Recargo'}`,
+      origen: { recargo: true }
+    });
+  }
+
+  /**
+   * Línea única de ajuste con IVA incluido
+   * @private
+   */
+  itemAjuste(concepto, importe, agregados) {
+    const indicadores = [...new Set(agregados.map(i => i.indicador_facturacion))];
+
+    return {
+      cantidad: 1,
+      concepto: sanitizarString(concepto, 80),
+      descripcion: sanitizarString(concepto, 200),
+      precio: importe,
+      // Indicador de lo agregado si es uno solo; si no, tasa básica
+      indicador_facturacion: indicadores.length === 1 ? indicadores[0] : config.INDICADORES_IVA.GRAVADO_BASICA,
+      unidad_medida: 'UN'
+    };
+  }
+
+  /**
+   * Emitir, guardar y asociar la ND al comprobante original
+   * @private
+   */
+  async emitir({ ndKey, orderKey, comprobanteOriginal, items, montosBrutos, informacion, email, origen }) {
+    try {
+      const { ndData, metadata } = this.generarDatosND({
+        comprobanteOriginal,
+        items,
+        montosBrutos,
+        numeroInterno: ndKey,
+        informacion,
+        email
+      });
+
+      if (!this.billerClient) {
+        throw new Error('BillerClient no configurado');
+      }
+
+      const nd = await this.billerClient.emitirComprobante(ndData);
+
+      this.comprobanteStore.setByKey(ndKey, {
+        id: nd.id,
+        tipo_comprobante: metadata.tipoND,
+        serie: nd.serie,
+        numero: nd.numero,
+        cae_numero: nd.cae_numero,
+        fecha_emision: nd.fecha_emision,
+        comprobante_original_id: comprobanteOriginal.id,
+        referencia: `${comprobanteOriginal.serie}-${comprobanteOriginal.numero}`,
+        monto: metadata.montoTotal,
+        moneda: ndData.moneda,
+        montos_brutos: ndData.montos_brutos,
+        reglas_fiscales: reglasAplicadas(ndData.items),
+        ...origen
+      });
+
+      // Lo facturado del pedido incluye la ND (próximas ediciones y NC)
+      const cambios = {
+        notas_debito: [
+          ...(comprobanteOriginal.notas_debito || []),
+          { key: ndKey, id: nd.id, serie: nd.serie, numero: nd.numero, monto: metadata.montoTotal }
+        ]
+      };
+      if (comprobanteOriginal.ledger) {
+        cambios.ledger = sumarFacturado(comprobanteOriginal.ledger, ndData);
+      }
+      this.comprobanteStore.updateByKey(orderKey, cambios);
+
+      this.auditLogger?.ndEmitida({
+        orderId: orderKey,
+        ndId: nd.id,
+        tipo: metadata.tipoND,
+        serie: nd.serie,
+        numero: nd.numero,
+        monto: metadata.montoTotal,
+        comprobanteOriginalId: comprobanteOriginal.id
+      });
+
+      this.stats.ndGeneradas++;
+      this.stats.montoTotalND += metadata.montoTotal;
+
+      if (metadata.tipoND === config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION) {
+        this.stats.ndEFacturaExportacion++;
+      } else if (metadata.tipoND === config.TIPOS_CFE.ND_E_FACTURA) {
+        this.stats.ndEFactura++;
+      } else {
+        this.stats.ndETicket++;
+      }
+
+      logger.info(`✅ ND emitida exitosamente`, {
+        orderKey,
+        ndId: nd.id,
+        serie: nd.serie,
+        numero: nd.numero,
+        tipo: metadata.tipoNDStr,
+        monto: metadata.montoTotal
+      });
+
+      return {
+        status: 'success',
+        tipo: metadata.tipoNDStr,
+        notaDebito: {
+          id: nd.id,
+          serie: nd.serie,
+          numero: nd.numero,
+          tipo_comprobante: metadata.tipoND,
+          monto: metadata.montoTotal
+        },
+        comprobanteOriginal: {
+          id: comprobanteOriginal.id,
+          serie: comprobanteOriginal.serie,
+          numero: comprobanteOriginal.numero,
+          tipo: comprobanteOriginal.tipo_comprobante
+        },
+        metadata
+      };
+
+    } catch (error) {
+      this.stats.errores++;
+      logger.error(`❌ Error emitiendo ND para ${orderKey}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getDebitNoteService(options = {}) {
+  if (!instance) {
+    instance = new DebitNoteService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  DebitNoteService,
+  getDebitNoteService
+};
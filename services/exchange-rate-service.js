@@ -0,0 +1,256 @@
+/**
+ * Exchange Rate Service
+ *
+ * Cotizaciones para emitir en moneda extranjera (USD, Shopify Markets).
+ * El tipo de cambio se toma a la fecha del comprobante y queda fijo en él;
+ * si ese día no hay cotización (fin de semana, feriado) se usa la última
+ * publicada dentro de `config.monedas.diasRetroceso`.
+ *
+ * Proveedores intercambiables (`obtener(moneda, fecha)`):
+ * - ProveedorArchivo: archivo de cotizaciones del BCU (CSV o JSON)
+ * - ProveedorFijo: valores fijos de configuración (desarrollo / sin archivo)
+ *
+ * @module services/exchange-rate-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { leerPlanilla } = require('../utils/spreadsheet');
+
+/**
+ * Error de cotización
+ */
+class ExchangeRateError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'ExchangeRateError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Fecha AAAA-MM-DD en hora de Uruguay
+ * @param {Date|string} fecha
+ * @returns {string}
+ */
+function fechaUruguay(fecha = new Date()) {
+  if (typeof fecha === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+    return fecha;
+  }
+  const date = new Date(fecha);
+  if (Number.isNaN(date.getTime())) {
+    throw new ExchangeRateError(`Fecha inválida: ${fecha}`, 'INVALID_DATE', 400, null);
+  }
+  return date.toLocaleDateString('sv-SE', { timeZone: 'America/Montevideo' });
+}
+
+/**
+ * Cotizaciones del BCU descargadas a un archivo
+ * CSV: fecha,moneda,tipo_cambio (acepta fecha DD/MM/AAAA y coma decimal)
+ * JSON: { "USD": { "2024-05-10": 39.45 } }
+ * El archivo se relee cuando cambia.
+ */
+class ProveedorArchivo {
+  constructor(archivo = config.monedas.archivo) {
+    this.nombre = 'bcu-archivo';
+    this.archivo = archivo;
+    this.cotizaciones = {};
+    this.mtime = null;
+  }
+
+  async obtener(moneda, fecha) {
+    this._cargar();
+    const valor = this.cotizaciones[moneda]?.[fecha];
+    return valor ? { tipoCambio: valor, fecha } : null;
+  }
+
+  /**
+   * @private
+   */
+  _cargar() {
+    if (!fs.existsSync(this.archivo)) {
+      throw new ExchangeRateError(
+        `Archivo de cotizaciones no encontrado: ${this.archivo}`,
+        'RATE_FILE_NOT_FOUND',
+        500,
+        null
+      );
+    }
+
+    const mtime = fs.statSync(this.archivo).mtimeMs;
+    if (mtime === this.mtime) return;
+
+    const contenido = fs.readFileSync(this.archivo);
+    const cotizaciones = {};
+
+    if (path.extname(this.archivo).toLowerCase() === '.json') {
+      for (const [moneda, porFecha] of Object.entries(JSON.parse(contenido.toString('utf8')))) {
+        cotizaciones[moneda.toUpperCase()] = { ...porFecha };
+      }
+    } else {
+      for (const fila of leerPlanilla(contenido, 'csv')) {
+        const fecha = normalizarFecha(fila.fecha);
+        const valor = parseFloat(String(fila.tipo_cambio || fila.tipo_de_cambio || fila.venta || '').replace(',', '.'));
+        if (!fecha || !fila.moneda || !(valor > 0)) continue;
+
+        const moneda = fila.moneda.toUpperCase();
+        (cotizaciones[moneda] = cotizaciones[moneda] || {})[fecha] = valor;
+      }
+    }
+
+    this.cotizaciones = cotizaciones;
+    this.mtime = mtime;
+
+    logger.info('Cotizaciones cargadas', {
+      archivo: this.archivo,
+      monedas: Object.keys(cotizaciones)
+    });
+  }
+}
+
+/**
+ * Cotizaciones fijas de configuración (COTIZACIONES_FIJAS), iguales para toda fecha
+ */
+class ProveedorFijo {
+  constructor(valores = config.monedas.fijas) {
+    this.nombre = 'fijo';
+    this.valores = valores;
+  }
+
+  async obtener(moneda, fecha) {
+    const valor = this.valores[moneda];
+    return valor ? { tipoCambio: valor, fecha } : null;
+  }
+}
+
+/**
+ * Clase del servicio de cotizaciones
+ */
+class ExchangeRateService {
+  constructor(options = {}) {
+    this.proveedor = options.proveedor || crearProveedor(config.monedas.proveedor);
+    this.diasRetroceso = options.diasRetroceso ?? config.monedas.diasRetroceso;
+    this.cache = new Map();
+
+    this.stats = {
+      consultas: 0,
+      cacheHits: 0,
+      sinCotizacion: 0
+    };
+  }
+
+  /**
+   * Configura el proveedor de cotizaciones
+   */
+  configure(options) {
+    if (options.proveedor) {
+      this.proveedor = options.proveedor;
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Obtener el tipo de cambio (UYU por unidad de moneda) a una fecha
+   * @param {string} moneda - Código ISO 4217 (USD, EUR...)
+   * @param {Date|string} fecha - Fecha del comprobante (hoy por defecto)
+   * @returns {{ moneda: string, tipoCambio: number, fecha: string, fuente: string }}
+   */
+  async obtenerTipoCambio(moneda, fecha = new Date()) {
+    const codigo = String(moneda || config.monedas.base).toUpperCase();
+    const dia = fechaUruguay(fecha);
+
+    if (codigo === config.monedas.base) {
+      return { moneda: codigo, tipoCambio: 1, fecha: dia, fuente: 'base' };
+    }
+
+    this.stats.consultas++;
+    const cacheKey = `${codigo}:${dia}`;
+    if (this.cache.has(cacheKey)) {
+      this.stats.cacheHits++;
+      return this.cache.get(cacheKey);
+    }
+
+    // Retroceder hasta la última cotización publicada
+    const consulta = new Date(`${dia}T12:00:00Z`);
+    for (let i = 0; i <= this.diasRetroceso; i++) {
+      const cotizacion = await this.proveedor.obtener(codigo, consulta.toISOString().slice(0, 10));
+
+      if (cotizacion) {
+        const resultado = {
+          moneda: codigo,
+          tipoCambio: cotizacion.tipoCambio,
+          fecha: cotizacion.fecha,
+          fuente: this.proveedor.nombre
+        };
+        // La cotización del día puede publicarse más tarde: cachear sólo la exacta
+        if (cotizacion.fecha === dia) this.cache.set(cacheKey, resultado);
+        return resultado;
+      }
+
+      consulta.setUTCDate(consulta.getUTCDate() - 1);
+    }
+
+    this.stats.sinCotizacion++;
+    throw new ExchangeRateError(
+      `Sin cotización de ${codigo} para ${dia} (ni en los ${this.diasRetroceso} días previos)`,
+      'RATE_NOT_FOUND',
+      422,
+      { moneda: codigo, fecha: dia, proveedor: this.proveedor.nombre }
+    );
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      proveedor: this.proveedor.nombre,
+      cacheSize: this.cache.size
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function crearProveedor(nombre) {
+  return nombre === 'fijo' ? new ProveedorFijo() : new ProveedorArchivo();
+}
+
+/**
+ * Fecha del archivo a AAAA-MM-DD (acepta DD/MM/AAAA del BCU)
+ * @param {string} valor
+ * @returns {string|null}
+ */
+function normalizarFecha(valor) {
+  const texto = String(valor || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(texto)) return texto.slice(0, 10);
+
+  const match = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : null;
+}
+
+// Singleton
+let instance = null;
+
+function getExchangeRateService(options = {}) {
+  if (!instance) {
+    instance = new ExchangeRateService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ExchangeRateService,
+  ExchangeRateError,
+  ProveedorArchivo,
+  ProveedorFijo,
+  getExchangeRateService,
+  fechaUruguay,
+  normalizarFecha
+};
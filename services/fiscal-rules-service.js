@@ -0,0 +1,386 @@
+/**
+ * Fiscal Rules Service
+ *
+ * Reglas fiscales editables por API: asignan el indicador de IVA y la unidad
+ * de medida a las líneas de un pedido según el tipo de producto, un tag, el
+ * prefijo del SKU, el proveedor (vendor), un metafield del producto o, para
+ * los envíos, el título del envío. Se evalúan por prioridad (menor primero)
+ * y gana la primera que coincide; sin regla se usa la tasa de las tax_lines.
+ *
+ * Las reglas se guardan en `config.storage.reglasFiscalesFile` al modificarse.
+ *
+ * @module services/fiscal-rules-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { parsearIndicadorIVA } = require('../utils/validators');
+
+/**
+ * Campos sobre los que puede aplicar una regla
+ * - product_type, tag y metafield necesitan los datos del producto (no vienen en el pedido)
+ */
+const CAMPOS = Object.freeze({
+  PRODUCT_TYPE: 'product_type',
+  TAG: 'tag',
+  SKU_PREFIX: 'sku_prefix',
+  VENDOR: 'vendor',
+  METAFIELD: 'metafield',
+  ENVIO: 'envio'
+});
+
+const CAMPOS_DE_PRODUCTO = [CAMPOS.PRODUCT_TYPE, CAMPOS.TAG, CAMPOS.METAFIELD];
+
+/**
+ * Error de regla fiscal
+ */
+class FiscalRuleError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'FiscalRuleError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Clase del servicio de reglas fiscales
+ */
+class FiscalRulesService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.storage.reglasFiscalesFile;
+    this.reglas = [];
+
+    this.stats = {
+      evaluaciones: 0,
+      coincidencias: 0
+    };
+
+    this.load();
+
+    logger.info('FiscalRulesService inicializado', {
+      filePath: this.filePath,
+      reglas: this.reglas.length
+    });
+  }
+
+  /**
+   * Configura el archivo de reglas (recarga)
+   */
+  configure(options) {
+    if (options.filePath) {
+      this.filePath = options.filePath;
+      this.load();
+    }
+  }
+
+  /**
+   * Carga reglas desde archivo
+   */
+  load() {
+    this.reglas = [];
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (Array.isArray(data.reglas)) {
+        this.reglas = data.reglas;
+      }
+    } catch (error) {
+      logger.error(`Error cargando reglas fiscales: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda reglas en archivo (escritura atómica)
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = {
+      version: 1,
+      updated_at: new Date().toISOString(),
+      reglas: this.reglas
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Lista las reglas en orden de evaluación
+   * @returns {Array<Object>}
+   */
+  listar() {
+    return [...this.reglas].sort((a, b) => a.prioridad - b.prioridad);
+  }
+
+  /**
+   * Obtiene una regla por ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  obtener(id) {
+    return this.reglas.find(r => r.id === id) || null;
+  }
+
+  /**
+   * Valida y normaliza los datos de una regla
+   * @param {Object} datos - { nombre, campo, valor, metafield?, indicador, unidad_medida?, prioridad?, activa? }
+   * @returns {{ valid: boolean, errors: Array<string>, regla: Object }}
+   */
+  validar(datos = {}) {
+    const errors = [];
+
+    if (!Object.values(CAMPOS).includes(datos.campo)) {
+      errors.push(`campo debe ser uno de: ${Object.values(CAMPOS).join(', ')}`);
+    }
+
+    const valor = String(datos.valor ?? '').trim();
+    if (!valor) {
+      errors.push('valor requerido');
+    }
+
+    if (datos.campo === CAMPOS.METAFIELD && !/^[^.\s]+\.[^.\s]+$/.test(datos.metafield || '')) {
+      errors.push('metafield requerido con formato namespace.key');
+    }
+
+    const indicador = parsearIndicadorIVA(datos.indicador);
+    if (indicador === null) {
+      errors.push('indicador debe ser exento, minima, basica, no_gravado o el código 1-4');
+    }
+
+    const unidadMedida = datos.unidad_medida ? String(datos.unidad_medida).toUpperCase() : null;
+    if (unidadMedida && !/^[A-Z0-9]{1,4}$/.test(unidadMedida)) {
+      errors.push('unidad_medida debe ser un código de hasta 4 caracteres (UN, SV, KG...)');
+    }
+
+    const prioridad = datos.prioridad === undefined ? 100 : parseInt(datos.prioridad);
+    if (Number.isNaN(prioridad)) {
+      errors.push('prioridad debe ser numérica');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      regla: {
+        nombre: String(datos.nombre || `${datos.campo}=${valor}`).trim(),
+        campo: datos.campo,
+        valor,
+        metafield: datos.campo === CAMPOS.METAFIELD ? datos.metafield : undefined,
+        indicador,
+        unidad_medida: unidadMedida,
+        prioridad,
+        activa: datos.activa !== false
+      }
+    };
+  }
+
+  /**
+   * Crea una regla
+   * @param {Object} datos
+   * @returns {Object} Regla creada
+   */
+  crear(datos) {
+    const { valid, errors, regla } = this.validar(datos);
+    if (!valid) {
+      throw new FiscalRuleError('Regla fiscal inválida', 'INVALID_RULE', 400, { errors });
+    }
+
+    const siguiente = this.reglas.reduce((max, r) => Math.max(max, parseInt(r.id.split('-')[1]) || 0), 0) + 1;
+    const ahora = new Date().toISOString();
+    const nueva = { id: `regla-${siguiente}`, ...regla, created_at: ahora, updated_at: ahora };
+
+    this.reglas.push(nueva);
+    this.save();
+
+    logger.info('Regla fiscal creada', { id: nueva.id, campo: nueva.campo, valor: nueva.valor });
+    return nueva;
+  }
+
+  /**
+   * Actualiza una regla (los campos omitidos se mantienen)
+   * @param {string} id
+   * @param {Object} cambios
+   * @returns {Object} Regla actualizada
+   */
+  actualizar(id, cambios) {
+    const actual = this.obtener(id);
+    if (!actual) {
+      throw new FiscalRuleError(`Regla fiscal no encontrada: ${id}`, 'RULE_NOT_FOUND', 404, null);
+    }
+
+    const { valid, errors, regla } = this.validar({ ...actual, ...cambios });
+    if (!valid) {
+      throw new FiscalRuleError('Regla fiscal inválida', 'INVALID_RULE', 400, { errors });
+    }
+
+    Object.assign(actual, regla, { updated_at: new Date().toISOString() });
+    this.save();
+
+    logger.info('Regla fiscal actualizada', { id });
+    return actual;
+  }
+
+  /**
+   * Elimina una regla
+   * @param {string} id
+   * @returns {boolean}
+   */
+  eliminar(id) {
+    const antes = this.reglas.length;
+    this.reglas = this.reglas.filter(r => r.id !== id);
+    if (this.reglas.length === antes) return false;
+
+    this.save();
+    logger.info('Regla fiscal eliminada', { id });
+    return true;
+  }
+
+  /**
+   * Hay reglas activas que necesitan los datos del producto (tipo, tags, metafields)
+   * @returns {boolean}
+   */
+  requiereProducto() {
+    return this.reglas.some(r => r.activa && CAMPOS_DE_PRODUCTO.includes(r.campo));
+  }
+
+  /**
+   * Hay reglas activas sobre metafields
+   * @returns {boolean}
+   */
+  requiereMetafields() {
+    return this.reglas.some(r => r.activa && r.campo === CAMPOS.METAFIELD);
+  }
+
+  /**
+   * Regla que aplica a una línea de producto
+   * @param {Object} linea - line_item de Shopify (sku, vendor, product_id)
+   * @param {Object} producto - Producto de Shopify (product_type, tags, vendor, metafields), opcional
+   * @returns {{ indicador: number, unidadMedida: string|null, regla: { id, nombre } }|null}
+   */
+  evaluar(linea, producto = null) {
+    return this._evaluar(regla => regla.campo !== CAMPOS.ENVIO && coincide(regla, linea, producto));
+  }
+
+  /**
+   * Regla que aplica a una línea de envío
+   * @param {Object} envio - shipping_line de Shopify (title, code)
+   * @returns {{ indicador: number, unidadMedida: string|null, regla: { id, nombre } }|null}
+   */
+  evaluarEnvio(envio) {
+    return this._evaluar(regla => regla.campo === CAMPOS.ENVIO && (
+      regla.valor === '*' ||
+      igual(envio?.title, regla.valor) ||
+      igual(envio?.code, regla.valor)
+    ));
+  }
+
+  /**
+   * @private
+   */
+  _evaluar(predicado) {
+    this.stats.evaluaciones++;
+
+    const regla = this.listar().find(r => r.activa && predicado(r));
+    if (!regla) return null;
+
+    this.stats.coincidencias++;
+    return {
+      indicador: regla.indicador,
+      unidadMedida: regla.unidad_medida || null,
+      regla: { id: regla.id, nombre: regla.nombre }
+    };
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      reglas: this.reglas.length,
+      activas: this.reglas.filter(r => r.activa).length
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function igual(a, b) {
+  return a !== undefined && a !== null && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * @private
+ */
+function coincide(regla, linea, producto) {
+  switch (regla.campo) {
+    case CAMPOS.SKU_PREFIX:
+      return String(linea.sku || '').toLowerCase().startsWith(regla.valor.toLowerCase());
+    case CAMPOS.VENDOR:
+      return igual(linea.vendor ?? producto?.vendor, regla.valor);
+    case CAMPOS.PRODUCT_TYPE:
+      return igual(producto?.product_type, regla.valor);
+    case CAMPOS.TAG: {
+      const tags = Array.isArray(producto?.tags) ? producto.tags : String(producto?.tags || '').split(',');
+      return tags.some(tag => igual(tag, regla.valor));
+    }
+    case CAMPOS.METAFIELD: {
+      const [namespace, key] = regla.metafield.split('.');
+      const metafield = (producto?.metafields || []).find(m => m.namespace === namespace && m.key === key);
+      return !!metafield && (regla.valor === '*' || igual(metafield.value, regla.valor));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reglas aplicadas a los items de un comprobante, para guardar con él (auditoría
+ * y NC con el mismo IVA). Sólo los items que coincidieron con una regla.
+ * @param {Array} items - Items con `reglaFiscal` ({ id, nombre })
+ * @returns {Array|undefined}
+ */
+function reglasAplicadas(items = []) {
+  const aplicadas = items
+    .filter(item => item.reglaFiscal)
+    .map(item => ({
+      concepto: item.concepto,
+      codigo: item.codigo || null,
+      indicador_facturacion: item.indicador_facturacion,
+      unidad_medida: item.unidad_medida,
+      regla: item.reglaFiscal.id,
+      nombre: item.reglaFiscal.nombre
+    }));
+
+  return aplicadas.length > 0 ? aplicadas : undefined;
+}
+
+// Singleton
+let instance = null;
+
+function getFiscalRulesService(options = {}) {
+  if (!instance) {
+    instance = new FiscalRulesService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  FiscalRulesService,
+  FiscalRuleError,
+  CAMPOS,
+  reglasAplicadas,
+  getFiscalRulesService
+};
@@ -0,0 +1,480 @@
+/**
+ * Import Service
+ *
+ * Facturación masiva de pedidos offline desde planillas CSV/XLSX
+ * (marketplaces sin API, ventas en eventos). Cada pedido se emite por el
+ * canal manual: la columna "pedido" (con prefijo opcional) es la
+ * idempotency_key y el numero_interno en Biller, así que reimportar el
+ * mismo archivo no duplica comprobantes.
+ *
+ * Formato: una fila por línea de pedido; las filas con el mismo "pedido"
+ * forman un único comprobante y los datos del cliente se toman de la primera.
+ *
+ * @module services/import-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { leerPlanilla, generarCSV } = require('../utils/spreadsheet');
+const { validarRUT, parsearIndicadorIVA } = require('../utils/validators');
+const { getManualChannel } = require('../channels/manual-channel');
+
+/**
+ * Nombres de columna aceptados (normalizados) por campo
+ */
+const COLUMNAS = {
+  pedido: ['pedido', 'orden', 'order', 'id_pedido', 'numero_pedido'],
+  documento: ['documento', 'rut', 'ci', 'cedula', 'documento_comprador'],
+  tipo_documento: ['tipo_documento'],
+  razon_social: ['razon_social', 'nombre', 'cliente', 'comprador'],
+  email: ['email', 'correo', 'e_mail'],
+  direccion: ['direccion'],
+  ciudad: ['ciudad', 'localidad'],
+  departamento: ['departamento'],
+  concepto: ['concepto', 'producto', 'item', 'articulo'],
+  descripcion: ['descripcion'],
+  codigo: ['codigo', 'sku'],
+  cantidad: ['cantidad', 'qty'],
+  precio: ['precio', 'precio_unitario', 'importe_unitario'],
+  indicador_iva: ['indicador_iva', 'indicador_facturacion', 'iva'],
+  forma_pago: ['forma_pago'],
+  moneda: ['moneda'],
+  tipo_cambio: ['tipo_cambio'],
+  montos_brutos: ['montos_brutos', 'iva_incluido'],
+  notas: ['notas', 'observaciones']
+};
+
+/**
+ * Columnas del archivo de resultados
+ */
+const COLUMNAS_RESULTADO = [
+  'filas', 'pedido', 'idempotency_key', 'estado', 'tipo_comprobante',
+  'serie', 'numero', 'cae', 'total', 'advertencias', 'error'
+];
+
+/**
+ * Estados de un pedido importado
+ */
+const ESTADOS = {
+  VALIDO: 'valido',
+  INVALIDO: 'invalido',
+  EXISTENTE: 'existente',
+  EMITIDO: 'emitido',
+  ERROR: 'error'
+};
+
+/**
+ * Clase del servicio de importación
+ */
+class ImportService {
+  constructor(options = {}) {
+    this.billingPipeline = options.billingPipeline || null;
+    this.canal = options.canal || getManualChannel();
+    this.resultadosDir = options.resultadosDir || './data/importaciones';
+    this.enCurso = false;
+  }
+
+  /**
+   * Configura las dependencias del servicio
+   */
+  configure(options) {
+    if (options.billingPipeline) this.billingPipeline = options.billingPipeline;
+    if (options.resultadosDir) this.resultadosDir = options.resultadosDir;
+  }
+
+  /**
+   * Leer la planilla y armar los payloads de comprobante manual
+   * @param {Buffer|string} archivo - Contenido CSV o XLSX
+   * @param {Object} opciones - { formato, prefijo, origen }
+   * @returns {Array<Object>} Pedidos { pedido, filas, payload, errors }
+   */
+  leerPedidos(archivo, opciones = {}) {
+    const registros = leerPlanilla(archivo, opciones.formato).map(normalizarRegistro);
+    const pedidos = new Map();
+
+    for (const registro of registros) {
+      const pedido = registro.pedido || `fila-${registro._fila}`;
+      if (!pedidos.has(pedido)) {
+        pedidos.set(pedido, { pedido, registros: [] });
+      }
+      pedidos.get(pedido).registros.push(registro);
+    }
+
+    return Array.from(pedidos.values()).map(({ pedido, registros: lineas }) =>
+      this._construirPedido(pedido, lineas, opciones)
+    );
+  }
+
+  /**
+   * Validación sin emitir (dry-run): validarRUT sobre el documento,
+   * validación del canal manual (validarDatosComprobante) y comprobantes ya emitidos
+   * @param {Buffer|string} archivo
+   * @param {Object} opciones - { formato, prefijo, origen }
+   * @returns {Object} Reporte
+   */
+  async validar(archivo, opciones = {}) {
+    const pedidos = this.leerPedidos(archivo, opciones);
+    const resultados = [];
+
+    for (const pedido of pedidos) {
+      const resultado = this._resultadoBase(pedido);
+
+      if (pedido.errors.length > 0) {
+        resultados.push({ ...resultado, estado: ESTADOS.INVALIDO, error: pedido.errors.join('; ') });
+        continue;
+      }
+
+      const existente = this.billingPipeline.comprobanteStore.getByKey(
+        this.canal.storeKey(pedido.payload.idempotency_key)
+      );
+
+      resultados.push(existente
+        ? { ...resultado, ...datosComprobante(existente), estado: ESTADOS.EXISTENTE }
+        : { ...resultado, estado: ESTADOS.VALIDO });
+    }
+
+    return this._reporte(resultados, { dryRun: true });
+  }
+
+  /**
+   * Importar: emite cada pedido válido por el pipeline, uno a la vez
+   * @param {Buffer|string} archivo
+   * @param {Object} opciones - { formato, prefijo, origen, dryRun }
+   * @returns {Object} Reporte con serie/número/CAE o el error de cada pedido
+   */
+  async importar(archivo, opciones = {}) {
+    if (opciones.dryRun) {
+      return this.validar(archivo, opciones);
+    }
+
+    if (this.enCurso) {
+      const error = new Error('Ya hay una importación en curso');
+      error.code = 'IMPORT_IN_PROGRESS';
+      error.status = 409;
+      throw error;
+    }
+
+    this.enCurso = true;
+
+    try {
+      const pedidos = this.leerPedidos(archivo, opciones);
+      const resultados = [];
+
+      logger.info(`📥 Importando ${pedidos.length} pedidos desde planilla`);
+
+      for (const pedido of pedidos) {
+        resultados.push(await this._emitir(pedido));
+      }
+
+      const reporte = this._reporte(resultados, { dryRun: false });
+      this._guardarReporte(reporte);
+
+      logger.info('📥 Importación finalizada', reporte.resumen);
+
+      return reporte;
+    } finally {
+      this.enCurso = false;
+    }
+  }
+
+  /**
+   * Obtiene un reporte guardado por ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  obtenerReporte(id) {
+    const filepath = this._rutaReporte(id, 'json');
+    if (!filepath || !fs.existsSync(filepath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      logger.error(`Error leyendo importación ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Ruta del CSV de resultados de una importación
+   * @param {string} id
+   * @returns {string|null}
+   */
+  obtenerArchivoResultados(id) {
+    const filepath = this._rutaReporte(id, 'csv');
+    return filepath && fs.existsSync(filepath) ? filepath : null;
+  }
+
+  /**
+   * Lista las importaciones guardadas
+   * @returns {Array}
+   */
+  listarReportes() {
+    if (!fs.existsSync(this.resultadosDir)) return [];
+
+    return fs.readdirSync(this.resultadosDir)
+      .filter(f => f.startsWith('importacion-') && f.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(f => {
+        const reporte = this.obtenerReporte(f.replace('importacion-', '').replace('.json', ''));
+        return reporte ? { id: reporte.id, timestamp: reporte.timestamp, resumen: reporte.resumen } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Generar el CSV de resultados de un reporte
+   * @param {Object} reporte
+   * @returns {string}
+   */
+  generarCSVResultados(reporte) {
+    return generarCSV(reporte.resultados, COLUMNAS_RESULTADO);
+  }
+
+  /**
+   * @private
+   */
+  async _emitir(pedido) {
+    const resultado = this._resultadoBase(pedido);
+
+    if (pedido.errors.length > 0) {
+      return { ...resultado, estado: ESTADOS.INVALIDO, error: pedido.errors.join('; ') };
+    }
+
+    const key = pedido.payload.idempotency_key;
+
+    try {
+      const existente = await this.billingPipeline.buscarComprobanteExistente(this.canal, key);
+      if (existente) {
+        return { ...resultado, ...datosComprobante(existente), estado: ESTADOS.EXISTENTE };
+      }
+
+      const emision = await this.billingPipeline.procesarPedido(this.canal, pedido.payload);
+
+      if (emision.status !== 'success') {
+        return {
+          ...resultado,
+          estado: ESTADOS.ERROR,
+          error: (emision.errors || [emision.reason]).join('; ')
+        };
+      }
+
+      const guardado = this.billingPipeline.comprobanteStore.getByKey(this.canal.storeKey(key));
+
+      return {
+        ...resultado,
+        ...datosComprobante(guardado || emision.comprobante),
+        estado: ESTADOS.EMITIDO,
+        advertencias: [resultado.advertencias, ...(emision.warnings || [])].filter(Boolean).join('; ')
+      };
+
+    } catch (error) {
+      logger.warn('Error emitiendo pedido importado', { pedido: pedido.pedido, error: error.message });
+      return { ...resultado, estado: ESTADOS.ERROR, error: error.message };
+    }
+  }
+
+  /**
+   * Armar el payload del canal manual a partir de las filas de un pedido
+   * @private
+   */
+  _construirPedido(pedido, lineas, opciones) {
+    const primera = lineas[0];
+    const errors = [];
+    const advertencias = [];
+
+    if (!primera.pedido) {
+      errors.push('Falta la columna "pedido"');
+    }
+
+    const items = lineas.map(linea => {
+      const indicador = parsearIndicadorIVA(linea.indicador_iva);
+      if (linea.indicador_iva && indicador === null) {
+        errors.push(`Fila ${linea._fila}: indicador de IVA desconocido "${linea.indicador_iva}"`);
+      }
+
+      return {
+        concepto: linea.concepto,
+        descripcion: linea.descripcion || undefined,
+        codigo: linea.codigo || undefined,
+        cantidad: parsearNumero(linea.cantidad || '1'),
+        precio: parsearNumero(linea.precio),
+        indicador_facturacion: indicador ?? config.INDICADORES_IVA.GRAVADO_BASICA
+      };
+    });
+
+    const cliente = primera.documento
+      ? {
+        documento: primera.documento,
+        tipo_documento: primera.tipo_documento ? parseInt(primera.tipo_documento) : undefined,
+        razon_social: primera.razon_social || undefined,
+        direccion: primera.direccion || undefined,
+        ciudad: primera.ciudad || undefined,
+        departamento: primera.departamento || undefined
+      }
+      : undefined;
+
+    if (primera.documento) {
+      const validacion = validarRUT(primera.documento);
+      if (validacion.warning) advertencias.push(validacion.warning);
+    }
+
+    const payload = {
+      idempotency_key: opciones.prefijo ? `${opciones.prefijo}-${pedido}` : pedido,
+      origen: opciones.origen || 'importacion',
+      cliente,
+      email: primera.email || undefined,
+      items,
+      forma_pago: primera.forma_pago ? parseInt(primera.forma_pago) : undefined,
+      moneda: primera.moneda ? primera.moneda.toUpperCase() : undefined,
+      tipo_cambio: primera.tipo_cambio ? parsearNumero(primera.tipo_cambio) : undefined,
+      montos_brutos: primera.montos_brutos ? parsearBooleano(primera.montos_brutos) : undefined,
+      notas: primera.notas || undefined
+    };
+
+    errors.push(...this.canal.validarPedido(payload).errors);
+
+    return {
+      pedido,
+      filas: lineas.map(l => l._fila),
+      payload,
+      advertencias,
+      errors
+    };
+  }
+
+  /**
+   * @private
+   */
+  _resultadoBase(pedido) {
+    let total = null;
+    if (pedido.errors.length === 0) {
+      total = this.canal.normalizarPedido(pedido.payload).total;
+    }
+
+    return {
+      filas: pedido.filas.join(' '),
+      pedido: pedido.pedido,
+      idempotency_key: pedido.payload.idempotency_key,
+      total,
+      advertencias: pedido.advertencias.join('; ')
+    };
+  }
+
+  /**
+   * @private
+   */
+  _reporte(resultados, { dryRun }) {
+    const contar = (estado) => resultados.filter(r => r.estado === estado).length;
+
+    return {
+      id: `${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: new Date().toISOString(),
+      dryRun,
+      resumen: {
+        pedidos: resultados.length,
+        validos: contar(ESTADOS.VALIDO),
+        invalidos: contar(ESTADOS.INVALIDO),
+        existentes: contar(ESTADOS.EXISTENTE),
+        emitidos: contar(ESTADOS.EMITIDO),
+        errores: contar(ESTADOS.ERROR)
+      },
+      resultados
+    };
+  }
+
+  /**
+   * Guarda el reporte (JSON) y el archivo de resultados (CSV)
+   * @private
+   */
+  _guardarReporte(reporte) {
+    try {
+      if (!fs.existsSync(this.resultadosDir)) {
+        fs.mkdirSync(this.resultadosDir, { recursive: true });
+      }
+
+      fs.writeFileSync(this._rutaReporte(reporte.id, 'json'), JSON.stringify(reporte, null, 2));
+      fs.writeFileSync(this._rutaReporte(reporte.id, 'csv'), this.generarCSVResultados(reporte));
+
+      logger.info(`📄 Resultados de importación guardados: importacion-${reporte.id}.csv`);
+    } catch (error) {
+      logger.error(`Error guardando resultados de importación: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _rutaReporte(id, extension) {
+    // El ID llega por URL: no permitir rutas
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    return path.join(this.resultadosDir, `importacion-${id}.${extension}`);
+  }
+}
+
+/**
+ * Renombrar las columnas de la planilla a los campos conocidos
+ * @private
+ */
+function normalizarRegistro(registro) {
+  const normalizado = { _fila: registro._fila };
+
+  for (const [campo, alias] of Object.entries(COLUMNAS)) {
+    const columna = alias.find(a => registro[a] !== undefined && registro[a] !== '');
+    normalizado[campo] = columna ? registro[columna] : '';
+  }
+
+  return normalizado;
+}
+
+/**
+ * Número con coma o punto decimal ("1.234,50", "1234.5")
+ * @private
+ */
+function parsearNumero(valor) {
+  let texto = String(valor ?? '').replace(/[^\d,.-]/g, '');
+
+  if (texto.includes(',')) {
+    texto = texto.replace(/\./g, '').replace(',', '.');
+  }
+
+  const numero = parseFloat(texto);
+  return Number.isNaN(numero) ? undefined : numero;
+}
+
+/**
+ * @private
+ */
+function parsearBooleano(valor) {
+  return ['1', 'si', 'sí', 'true', 'x'].includes(String(valor).trim().toLowerCase()) ? 1 : 0;
+}
+
+/**
+ * @private
+ */
+function datosComprobante(comprobante) {
+  return {
+    tipo_comprobante: comprobante.tipo_comprobante,
+    serie: comprobante.serie,
+    numero: comprobante.numero,
+    cae: comprobante.cae_numero || null
+  };
+}
+
+// Singleton
+let instance = null;
+
+function getImportService(options = {}) {
+  if (!instance) {
+    instance = new ImportService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ImportService,
+  getImportService,
+  ESTADOS
+};
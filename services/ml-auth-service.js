@@ -0,0 +1,335 @@
+/**
+ * MercadoLibre Auth Service
+ *
+ * Flujo OAuth de MercadoLibre y renovación automática de tokens.
+ *
+ * - El access token vence cada 6 horas: se renueva antes de vencer
+ *   (config.mercadolibre.refreshMargin) al pedirlo o en el refresco periódico.
+ * - El refresh token es de un solo uso: las renovaciones concurrentes de un
+ *   mismo vendedor comparten una única petición a /oauth/token.
+ * - Los tokens se guardan por vendedor en MLTokenStore (cifrados).
+ *
+ * @module services/ml-auth-service
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { MercadoLibreError } = require('../mercadolibre-client');
+const { getMLTokenStore } = require('../utils/ml-token-store');
+
+/**
+ * Clase para manejar la autorización de vendedores de MercadoLibre
+ */
+class MLAuthService {
+  constructor(options = {}) {
+    this.appId = options.appId || config.mercadolibre.appId;
+    this.clientSecret = options.clientSecret || config.mercadolibre.clientSecret;
+    this.apiUrl = options.apiUrl || config.mercadolibre.apiUrl;
+    this.authUrl = options.authUrl || config.mercadolibre.authUrl;
+    this.refreshMargin = options.refreshMargin ?? config.mercadolibre.refreshMargin;
+
+    // Se crea al primer uso: sin clave de cifrado el resto del servidor funciona igual
+    this._tokenStore = options.tokenStore || null;
+
+    // Renovaciones en curso por vendedor
+    this.refrescando = new Map();
+    this.refreshTimer = null;
+
+    this.stats = {
+      autorizaciones: 0,
+      renovaciones: 0,
+      errores: 0
+    };
+  }
+
+  /**
+   * Configura las dependencias del servicio
+   */
+  configure(options) {
+    if (options.tokenStore) this._tokenStore = options.tokenStore;
+  }
+
+  get tokenStore() {
+    if (!this._tokenStore) {
+      this._tokenStore = getMLTokenStore();
+    }
+    return this._tokenStore;
+  }
+
+  // ============================================================
+  // OAUTH
+  // ============================================================
+
+  /**
+   * URL de autorización para que el vendedor conceda acceso a la app
+   */
+  getAuthUrl(redirectUri, state) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.appId,
+      redirect_uri: redirectUri,
+      state
+    });
+
+    return `${this.authUrl}/authorization?${params}`;
+  }
+
+  /**
+   * Intercambiar el código de autorización por tokens y guardarlos
+   * @returns {Object} { user_id, expires_at }
+   */
+  async autorizar(code, redirectUri) {
+    const data = await this._solicitarToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri
+    });
+
+    const tokens = this._guardarTokens(data);
+    this.stats.autorizaciones++;
+
+    logger.info('Vendedor de MercadoLibre autorizado', { sellerId: tokens.user_id });
+
+    return { user_id: tokens.user_id, expires_at: tokens.expires_at };
+  }
+
+  // ============================================================
+  // TOKENS
+  // ============================================================
+
+  /**
+   * Verifica si un vendedor autorizó la app
+   */
+  tieneVendedor(sellerId) {
+    if (!sellerId) return false;
+    try {
+      return this.tokenStore.has(sellerId);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Primer vendedor autorizado (instalaciones con un solo vendedor)
+   */
+  vendedorPorDefecto() {
+    try {
+      return this.tokenStore.list()[0]?.user_id || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene un access token válido, renovándolo si está por vencer
+   * @param {string|number} sellerId
+   * @param {Object} options
+   * @param {boolean} options.forzar - Renovar aunque no esté por vencer (ej: tras un 401)
+   * @returns {string} access_token
+   */
+  async getAccessToken(sellerId, { forzar = false } = {}) {
+    const tokens = this.tokenStore.get(sellerId);
+
+    if (!tokens) {
+      throw new MercadoLibreError(
+        `Vendedor ${sellerId} no autorizado en MercadoLibre`,
+        'NOT_AUTHORIZED',
+        401,
+        null
+      );
+    }
+
+    if (!forzar && !this._porVencer(tokens)) {
+      return tokens.access_token;
+    }
+
+    const renovados = await this.refrescar(sellerId);
+    return renovados.access_token;
+  }
+
+  /**
+   * Renueva los tokens de un vendedor
+   * Las llamadas concurrentes reciben la misma renovación
+   * @param {string|number} sellerId
+   * @returns {Object} Tokens renovados
+   */
+  refrescar(sellerId) {
+    const id = String(sellerId);
+
+    if (this.refrescando.has(id)) {
+      return this.refrescando.get(id);
+    }
+
+    const promesa = this._refrescar(id).finally(() => {
+      this.refrescando.delete(id);
+    });
+
+    this.refrescando.set(id, promesa);
+    return promesa;
+  }
+
+  /**
+   * Renueva los tokens de todos los vendedores que estén por vencer
+   */
+  async refrescarPorVencer() {
+    const resultados = [];
+
+    for (const vendedor of this.tokenStore.list()) {
+      if (!this._porVencer(vendedor)) continue;
+
+      try {
+        await this.refrescar(vendedor.user_id);
+        resultados.push({ user_id: vendedor.user_id, status: 'refreshed' });
+      } catch (error) {
+        resultados.push({ user_id: vendedor.user_id, status: 'error', error: error.message });
+      }
+    }
+
+    return resultados;
+  }
+
+  /**
+   * Inicia la renovación periódica en segundo plano
+   * @param {number} interval - Intervalo en ms
+   */
+  iniciarRefrescoAutomatico(interval = 5 * 60 * 1000) {
+    this.detenerRefrescoAutomatico();
+
+    this.refreshTimer = setInterval(() => {
+      this.refrescarPorVencer().catch(error => {
+        logger.error('Error renovando tokens de MercadoLibre', { error: error.message });
+      });
+    }, interval);
+
+    // No bloquear el proceso
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Detiene la renovación periódica
+   */
+  detenerRefrescoAutomatico() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Lista los vendedores autorizados (sin secretos)
+   */
+  listarVendedores() {
+    return this.tokenStore.list();
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      renovacionesEnCurso: this.refrescando.size
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _refrescar(sellerId) {
+    const actuales = this.tokenStore.get(sellerId);
+
+    if (!actuales?.refresh_token) {
+      throw new MercadoLibreError(
+        `Vendedor ${sellerId} sin refresh token, debe re-autorizar`,
+        'NOT_AUTHORIZED',
+        401,
+        null
+      );
+    }
+
+    try {
+      const data = await this._solicitarToken({
+        grant_type: 'refresh_token',
+        refresh_token: actuales.refresh_token
+      });
+
+      // Si MercadoLibre no devuelve refresh token nuevo se conserva el anterior
+      const tokens = this._guardarTokens({
+        refresh_token: actuales.refresh_token,
+        ...data,
+        user_id: data.user_id || sellerId
+      });
+
+      this.stats.renovaciones++;
+      logger.info('Token de MercadoLibre renovado', { sellerId, expires_at: tokens.expires_at });
+
+      return tokens;
+
+    } catch (error) {
+      this.stats.errores++;
+      logger.error('Error renovando token de MercadoLibre', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * POST /oauth/token
+   * @private
+   */
+  async _solicitarToken(params) {
+    const response = await fetch(`${this.apiUrl}/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams({
+        client_id: this.appId,
+        client_secret: this.clientSecret,
+        ...params
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new MercadoLibreError(`Error en OAuth: ${error}`, 'OAUTH_ERROR', response.status, null);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * @private
+   */
+  _guardarTokens(data) {
+    return this.tokenStore.set(data.user_id, {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      scope: data.scope || null,
+      expires_at: new Date(Date.now() + (parseInt(data.expires_in) || 21600) * 1000).toISOString()
+    });
+  }
+
+  /**
+   * @private
+   */
+  _porVencer(tokens) {
+    const expiresAt = new Date(tokens.expires_at).getTime();
+    return !expiresAt || expiresAt - this.refreshMargin <= Date.now();
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getMLAuthService(options = {}) {
+  if (!instance) {
+    instance = new MLAuthService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  MLAuthService,
+  getMLAuthService
+};
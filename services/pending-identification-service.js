@@ -0,0 +1,397 @@
+/**
+ * Pending Identification Service
+ *
+ * Ventas por encima de 5000 UI sin RUT/CI del comprador. Según la política
+ * (`config.facturacion.identificacion.politica`):
+ * - emitir: e-Ticket con warning, como siempre
+ * - retener: el pedido queda pendiente hasta que el comprador se identifique
+ * - retener_con_plazo: igual, pero vencido el plazo se emite el e-Ticket
+ *
+ * Cada pedido retenido tiene un token para el formulario `/identificacion/<token>`,
+ * donde el comprador carga su CI/RUT (validado con `validarRUT` en modo estricto). La lista se
+ * guarda en `config.storage.pendientesIdentificacionFile`.
+ *
+ * @module services/pending-identification-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { validarRUT, sanitizarString } = require('../utils/validators');
+
+/**
+ * Políticas para ventas sobre el límite sin identificación
+ */
+const POLITICAS = Object.freeze({
+  EMITIR: 'emitir',
+  RETENER: 'retener',
+  RETENER_CON_PLAZO: 'retener_con_plazo'
+});
+
+/**
+ * Estados de un pedido retenido
+ */
+const ESTADOS = Object.freeze({
+  PENDIENTE: 'pendiente',
+  IDENTIFICADO: 'identificado',
+  VENCIDO: 'vencido',
+  EMITIDO: 'emitido'
+});
+
+/**
+ * Error de identificación
+ */
+class PendingIdentificationError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'PendingIdentificationError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Clase del servicio de pedidos pendientes de identificación
+ */
+class PendingIdentificationService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.storage.pendientesIdentificacionFile;
+    this.politica = options.politica || config.facturacion.identificacion.politica;
+    this.plazoHoras = options.plazoHoras ?? config.facturacion.identificacion.plazoHoras;
+    this.pendientes = [];
+    this.timer = null;
+
+    this.stats = {
+      retenidos: 0,
+      identificados: 0,
+      vencidos: 0,
+      documentosInvalidos: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * Configura archivo y política
+   */
+  configure(options) {
+    if (options.politica) this.politica = options.politica;
+    if (options.plazoHoras !== undefined) this.plazoHoras = options.plazoHoras;
+    if (options.filePath) {
+      this.filePath = options.filePath;
+      this.load();
+    }
+  }
+
+  /**
+   * Carga la lista desde archivo
+   */
+  load() {
+    this.pendientes = [];
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (Array.isArray(data.pendientes)) {
+        this.pendientes = data.pendientes;
+      }
+    } catch (error) {
+      logger.error(`Error cargando pendientes de identificación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda la lista en archivo (escritura atómica)
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const data = {
+        version: 1,
+        updated_at: new Date().toISOString(),
+        pendientes: this.pendientes
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Error guardando pendientes de identificación', { error: error.message });
+    }
+  }
+
+  /**
+   * La decisión es una venta sobre el límite sin identificación y la política la retiene
+   * (un pedido ya vencido no se vuelve a retener)
+   * @param {Object} decision - Resultado de BillingDecisionService
+   * @param {Object|null} retenido - Registro previo del pedido (buscar)
+   * @returns {boolean}
+   */
+  debeRetener(decision, retenido = null) {
+    if (this.politica === POLITICAS.EMITIR || decision.decision !== 'E_TICKET_SIN_RUT_SUPERA_LIMITE') {
+      return false;
+    }
+    return !retenido || retenido.estado === ESTADOS.PENDIENTE;
+  }
+
+  /**
+   * URL del formulario de identificación
+   * @param {string} token
+   */
+  urlFormulario(token) {
+    return `${config.server.publicUrl}/identificacion/${token}`;
+  }
+
+  /**
+   * Retiene un pedido
+   * @param {Object} params
+   * @param {string} params.canal - ID del canal
+   * @param {PedidoNormalizado} params.pedido
+   * @param {Object} params.decision - Decisión de facturación
+   * @returns {Object} Pendiente con `url` del formulario
+   */
+  retener({ canal, pedido, decision }) {
+    const ahora = new Date();
+    const pendiente = {
+      token: crypto.randomBytes(24).toString('hex'),
+      key: pedido.storeKey,
+      canal,
+      orderId: pedido.id,
+      orderName: pedido.nombre,
+      email: pedido.email || null,
+      montoEnUI: decision.analisisMonto.montoEnUI,
+      montoNetoUYU: Math.round(decision.analisisMonto.montoNetoUYU * 100) / 100,
+      estado: ESTADOS.PENDIENTE,
+      created_at: ahora.toISOString(),
+      expira_at: this.politica === POLITICAS.RETENER_CON_PLAZO
+        ? new Date(ahora.getTime() + this.plazoHoras * 60 * 60 * 1000).toISOString()
+        : null
+    };
+
+    this.pendientes.push(pendiente);
+    this.save();
+    this.stats.retenidos++;
+
+    logger.warn(`⏸️ Pedido ${pedido.nombre} retenido hasta identificar al comprador`, {
+      key: pendiente.key,
+      montoEnUI: pendiente.montoEnUI,
+      expira: pendiente.expira_at
+    });
+
+    return { ...pendiente, url: this.urlFormulario(pendiente.token) };
+  }
+
+  /**
+   * Obtiene un pendiente por token
+   * @param {string} token
+   * @returns {Object|null}
+   */
+  obtener(token) {
+    return this.pendientes.find(p => p.token === token) || null;
+  }
+
+  /**
+   * Último registro de un pedido (cualquier estado)
+   * @param {string} key - Key del pedido en ComprobanteStore
+   * @returns {Object|null}
+   */
+  buscar(key) {
+    const registros = this.pendientes.filter(p => p.key === key);
+    return registros.length ? { ...registros[registros.length - 1] } : null;
+  }
+
+  /**
+   * Identificación cargada en el formulario, en el formato de extraerIdentidad
+   * @param {Object|null} registro - Registro del pedido (buscar)
+   * @returns {{ rut: string, razonSocial: string|null, source: string }|null}
+   */
+  identificacion(registro) {
+    if (!registro || registro.estado !== ESTADOS.IDENTIFICADO) return null;
+
+    return {
+      rut: registro.documento,
+      razonSocial: registro.razon_social,
+      source: 'formulario_identificacion'
+    };
+  }
+
+  /**
+   * Lista los pedidos retenidos (más nuevos primero)
+   * @param {Object} filtros - { estado }
+   * @returns {Array<Object>}
+   */
+  listar({ estado = null } = {}) {
+    return this.pendientes
+      .filter(p => !estado || p.estado === estado)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Registra la CI/RUT cargada por el comprador
+   * @param {string} token
+   * @param {Object} datos - { documento, razonSocial }
+   * @returns {Object} Pendiente identificado
+   */
+  identificar(token, { documento, razonSocial = null }) {
+    const pendiente = this._pendiente(token);
+
+    // Siempre estricto: el comprador puede corregir lo que tipeó
+    const validacion = validarRUT(documento, { estricto: true });
+    if (!validacion.valid) {
+      this.stats.documentosInvalidos++;
+      throw new PendingIdentificationError(
+        'Documento inválido: revisá la CI o el RUT ingresado',
+        'INVALID_DOCUMENT',
+        400,
+        { reason: validacion.reason }
+      );
+    }
+
+    Object.assign(pendiente, {
+      estado: ESTADOS.IDENTIFICADO,
+      documento: validacion.cleaned,
+      tipo_documento: validacion.type,
+      razon_social: razonSocial ? sanitizarString(razonSocial, 150) : null,
+      identificado_at: new Date().toISOString()
+    });
+    this.save();
+    this.stats.identificados++;
+
+    return { ...pendiente };
+  }
+
+  /**
+   * Pendientes cuyo plazo venció
+   * @param {Date} ahora
+   * @returns {Array<Object>}
+   */
+  vencidos(ahora = new Date()) {
+    return this.pendientes.filter(p =>
+      p.estado === ESTADOS.PENDIENTE && p.expira_at && new Date(p.expira_at) <= ahora
+    );
+  }
+
+  /**
+   * Marca un pendiente como vencido (se emite sin identificación)
+   * @param {string} token
+   * @returns {Object} Pendiente
+   */
+  marcarVencido(token) {
+    const pendiente = this._pendiente(token);
+
+    pendiente.estado = ESTADOS.VENCIDO;
+    pendiente.vencido_at = new Date().toISOString();
+    this.save();
+    this.stats.vencidos++;
+
+    return { ...pendiente };
+  }
+
+  /**
+   * Registra el comprobante emitido al liberar el pedido (identificado o vencido)
+   * @param {string} token
+   * @param {Object} comprobante - { id, serie, numero }
+   */
+  completar(token, comprobante) {
+    const pendiente = this.obtener(token);
+    if (!pendiente || pendiente.estado === ESTADOS.PENDIENTE) return;
+
+    pendiente.estado = ESTADOS.EMITIDO;
+    pendiente.comprobante = { id: comprobante.id, serie: comprobante.serie, numero: comprobante.numero };
+    pendiente.emitido_at = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Inicia la revisión periódica de plazos vencidos
+   * @param {Function} alVencer - async (pendiente) => void, libera el pedido
+   * @param {number} interval - Intervalo en ms
+   */
+  iniciarVencimientoAutomatico(alVencer, interval = 5 * 60 * 1000) {
+    this.detenerVencimientoAutomatico();
+
+    this.timer = setInterval(async () => {
+      for (const pendiente of this.vencidos()) {
+        try {
+          await alVencer(this.marcarVencido(pendiente.token));
+        } catch (error) {
+          logger.error('Error liberando pedido con plazo de identificación vencido', {
+            key: pendiente.key,
+            error: error.message
+          });
+        }
+      }
+    }, interval);
+
+    // No bloquear el proceso
+    this.timer.unref();
+  }
+
+  /**
+   * Detiene la revisión periódica
+   */
+  detenerVencimientoAutomatico() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      politica: this.politica,
+      pendientes: this.pendientes.filter(p => p.estado === ESTADOS.PENDIENTE).length
+    };
+  }
+
+  /**
+   * Pendiente todavía sin resolver
+   * @private
+   */
+  _pendiente(token) {
+    const pendiente = this.obtener(token);
+    if (!pendiente) {
+      throw new PendingIdentificationError('Link de identificación inválido', 'TOKEN_NOT_FOUND', 404, null);
+    }
+    if (pendiente.estado !== ESTADOS.PENDIENTE) {
+      throw new PendingIdentificationError(
+        `El pedido ${pendiente.orderName} ya no espera identificación`,
+        'ALREADY_RESOLVED',
+        409,
+        { estado: pendiente.estado }
+      );
+    }
+    return pendiente;
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getPendingIdentificationService(options = {}) {
+  if (!instance) {
+    instance = new PendingIdentificationService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  PendingIdentificationService,
+  PendingIdentificationError,
+  POLITICAS,
+  ESTADOS,
+  getPendingIdentificationService
+};
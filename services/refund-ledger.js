@@ -0,0 +1,278 @@
+/**
+ * Refund Ledger
+ *
+ * Libro de créditos de cada comprobante, guardado con él en ComprobanteStore
+ * (campo `ledger`): lo facturado por indicador de IVA y por línea, y cada NC
+ * emitida en su contra. Antes de emitir una NC se verifica que los créditos
+ * acumulados no superen lo facturado, por tasa y por línea.
+ *
+ * Los importes están en la base del comprobante original (`montos_brutos`);
+ * una NC en la otra base se convierte con la tasa de su indicador.
+ *
+ * @module services/refund-ledger
+ */
+
+const config = require('../config');
+
+/**
+ * Tasa de IVA por indicador (conversión entre montos con y sin IVA)
+ */
+const TASAS = Object.freeze({
+  [config.INDICADORES_IVA.GRAVADO_MINIMA]: 0.10,
+  [config.INDICADORES_IVA.GRAVADO_BASICA]: 0.22
+});
+
+/**
+ * Margen por redondeos
+ */
+const TOLERANCIA = 0.01;
+
+/**
+ * Error de crédito por encima de lo facturado
+ */
+class RefundLedgerError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'RefundLedgerError';
+    this.type = 'validation_error'; // ErrorStore
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * @private
+ */
+function redondear(valor) {
+  return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Clave de una línea: código (SKU) o concepto
+ * @private
+ */
+function claveLinea(item) {
+  return item.codigo || item.concepto;
+}
+
+/**
+ * Importe de un item en la base del ledger
+ * @private
+ */
+function importeEnBase(item, montosBrutosItem, montosBrutosLedger) {
+  const importe = item.cantidad * item.precio;
+  if (Number(montosBrutosItem) === Number(montosBrutosLedger)) return importe;
+
+  const tasa = TASAS[item.indicador_facturacion] || 0;
+  return montosBrutosLedger ? importe * (1 + tasa) : importe / (1 + tasa);
+}
+
+/**
+ * Importes por indicador de un comprobante en la base del ledger
+ * @private
+ */
+function porIndicador(datos, montosBrutosLedger) {
+  const totales = {};
+  for (const item of (datos.items || [])) {
+    const indicador = item.indicador_facturacion;
+    totales[indicador] = (totales[indicador] || 0) + importeEnBase(item, datos.montos_brutos, montosBrutosLedger);
+  }
+  return totales;
+}
+
+/**
+ * Crea el ledger de un comprobante recién emitido
+ * @param {Object} datos - Datos enviados a Biller ({ items, montos_brutos, moneda })
+ * @returns {Object} Ledger
+ */
+function crearLedger(datos) {
+  const ledger = {
+    montos_brutos: Number(datos.montos_brutos) ? 1 : 0,
+    moneda: datos.moneda || config.monedas.base,
+    por_indicador: {},
+    lineas: {},
+    notas: []
+  };
+
+  return sumarFacturado(ledger, datos);
+}
+
+/**
+ * Suma al ledger lo facturado por una ND (o el comprobante original)
+ * @param {Object} ledger
+ * @param {Object} datos - { items, montos_brutos }
+ * @returns {Object} Ledger actualizado (copia)
+ */
+function sumarFacturado(ledger, datos) {
+  const nuevo = clonar(ledger);
+
+  for (const [indicador, importe] of Object.entries(porIndicador(datos, nuevo.montos_brutos))) {
+    const actual = nuevo.por_indicador[indicador] || { facturado: 0, acreditado: 0 };
+    actual.facturado = redondear(actual.facturado + importe);
+    nuevo.por_indicador[indicador] = actual;
+  }
+
+  // Sólo productos: los descuentos y ajustes cuentan por tasa
+  for (const item of (datos.items || []).filter(i => i.precio > 0)) {
+    const clave = claveLinea(item);
+    const actual = nuevo.lineas[clave] || { concepto: item.concepto, cantidad: 0, acreditada: 0 };
+    actual.cantidad += item.cantidad;
+    nuevo.lineas[clave] = actual;
+  }
+
+  return nuevo;
+}
+
+/**
+ * Verifica que una NC no supere lo facturado (por tasa y por línea)
+ * @param {Object} ledger
+ * @param {Object} ncData - Datos de la NC ({ items, montos_brutos })
+ * @param {Object} options
+ * @param {Array} options.productos - Items de productos devueltos: sin su línea en el ledger son un exceso
+ * @returns {{ valid: boolean, excesos: Array<Object> }}
+ */
+function verificarCredito(ledger, ncData, { productos = [] } = {}) {
+  const excesos = [];
+
+  for (const [indicador, importe] of Object.entries(porIndicador(ncData, ledger.montos_brutos))) {
+    const tasa = ledger.por_indicador[indicador] || { facturado: 0, acreditado: 0 };
+    const disponible = redondear(tasa.facturado - tasa.acreditado);
+    if (importe > disponible + TOLERANCIA) {
+      excesos.push({ tipo: 'indicador', indicador: Number(indicador), disponible, solicitado: redondear(importe) });
+    }
+  }
+
+  const cantidades = {};
+  for (const item of (ncData.items || [])) {
+    const clave = claveLinea(item);
+    if (ledger.lineas[clave]) {
+      cantidades[clave] = (cantidades[clave] || 0) + item.cantidad;
+    }
+  }
+
+  // Producto devuelto que no figura en lo facturado
+  const sinLinea = {};
+  for (const item of productos) {
+    const clave = claveLinea(item);
+    if (!ledger.lineas[clave]) {
+      sinLinea[clave] = (sinLinea[clave] || 0) + item.cantidad;
+    }
+  }
+  for (const [clave, cantidad] of Object.entries(sinLinea)) {
+    excesos.push({ tipo: 'linea', linea: clave, disponible: 0, solicitado: cantidad });
+  }
+
+  for (const [clave, cantidad] of Object.entries(cantidades)) {
+    const linea = ledger.lineas[clave];
+    const disponible = linea.cantidad - linea.acreditada;
+    if (cantidad > disponible) {
+      excesos.push({ tipo: 'linea', linea: clave, disponible, solicitado: cantidad });
+    }
+  }
+
+  return { valid: excesos.length === 0, excesos };
+}
+
+/**
+ * Registra una NC emitida en el ledger
+ * @param {Object} ledger
+ * @param {Object} ncData - Datos de la NC ({ items, montos_brutos })
+ * @param {Object} nota - { key, refund_id, id, serie, numero }
+ * @returns {Object} Ledger actualizado (copia)
+ */
+function registrarCredito(ledger, ncData, nota = {}) {
+  const nuevo = clonar(ledger);
+  const importes = porIndicador(ncData, nuevo.montos_brutos);
+
+  for (const [indicador, importe] of Object.entries(importes)) {
+    const actual = nuevo.por_indicador[indicador] || { facturado: 0, acreditado: 0 };
+    actual.acreditado = redondear(actual.acreditado + importe);
+    nuevo.por_indicador[indicador] = actual;
+  }
+
+  for (const item of (ncData.items || [])) {
+    const linea = nuevo.lineas[claveLinea(item)];
+    if (linea) linea.acreditada += item.cantidad;
+  }
+
+  nuevo.notas.push({
+    ...nota,
+    por_indicador: Object.fromEntries(Object.entries(importes).map(([k, v]) => [k, redondear(v)])),
+    fecha: new Date().toISOString()
+  });
+
+  return nuevo;
+}
+
+/**
+ * Registra la anulación del comprobante: todo queda acreditado
+ * @param {Object} ledger
+ * @param {Object} nota - { key, refund_id, id, serie, numero }
+ * @returns {Object} Ledger actualizado (copia)
+ */
+function registrarAnulacion(ledger, nota = {}) {
+  const nuevo = clonar(ledger);
+  const importes = {};
+
+  for (const [indicador, tasa] of Object.entries(nuevo.por_indicador)) {
+    importes[indicador] = redondear(tasa.facturado - tasa.acreditado);
+    tasa.acreditado = tasa.facturado;
+  }
+  for (const linea of Object.values(nuevo.lineas)) {
+    linea.acreditada = linea.cantidad;
+  }
+
+  nuevo.notas.push({ ...nota, anulacion: true, por_indicador: importes, fecha: new Date().toISOString() });
+  return nuevo;
+}
+
+/**
+ * Saldo del comprobante: facturado, acreditado y disponible por tasa y total
+ * @param {Object} ledger
+ * @returns {Object|null}
+ */
+function saldoLedger(ledger) {
+  if (!ledger) return null;
+
+  const porTasa = {};
+  let facturado = 0;
+  let acreditado = 0;
+
+  for (const [indicador, tasa] of Object.entries(ledger.por_indicador)) {
+    porTasa[indicador] = {
+      facturado: tasa.facturado,
+      acreditado: tasa.acreditado,
+      saldo: redondear(tasa.facturado - tasa.acreditado)
+    };
+    facturado += tasa.facturado;
+    acreditado += tasa.acreditado;
+  }
+
+  return {
+    moneda: ledger.moneda,
+    montos_brutos: ledger.montos_brutos,
+    facturado: redondear(facturado),
+    acreditado: redondear(acreditado),
+    saldo: redondear(facturado - acreditado),
+    por_indicador: porTasa,
+    notas_credito: ledger.notas.length
+  };
+}
+
+/**
+ * @private
+ */
+function clonar(ledger) {
+  return JSON.parse(JSON.stringify(ledger));
+}
+
+module.exports = {
+  RefundLedgerError,
+  crearLedger,
+  sumarFacturado,
+  verificarCredito,
+  registrarCredito,
+  registrarAnulacion,
+  saldoLedger
+};
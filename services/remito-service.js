@@ -0,0 +1,319 @@
+/**
+ * Remito Service
+ *
+ * Emite un e-Remito por cada envío (fulfillment) de un pedido de Shopify,
+ * para que el transportista acompañe la mercadería. El remito referencia el
+ * CFE de venta, lleva los items y cantidades enviadas (sin importes) y el
+ * lugar de destino de la entrega.
+ *
+ * Tipo de remito según el comprobante de venta:
+ * - e-Factura de Exportación (121) → e-Remito de Exportación (124)
+ * - Resto → e-Remito (181)
+ *
+ * Se guarda en ComprobanteStore como `shopify-fulfillment-<id>` y se vincula
+ * al pedido con el metafield `biller.remito_<id>`.
+ *
+ * @module services/remito-service
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sanitizarString } = require('../utils/validators');
+
+/**
+ * Traslado de bienes (DGI): 1 venta, 2 traslado interno
+ */
+const TIPOS_TRASLADO = Object.freeze({
+  VENTA: 1,
+  INTERNO: 2
+});
+
+/**
+ * Clase del servicio de remitos
+ */
+class RemitoService {
+  constructor(options = {}) {
+    this.billerClient = options.billerClient || null;
+    this.comprobanteStore = options.comprobanteStore || null;
+    this.shopifyClient = options.shopifyClient || null;
+    this.auditLogger = options.auditLogger || null;
+
+    this.stats = {
+      remitosEmitidos: 0,
+      omitidos: 0,
+      errores: 0
+    };
+  }
+
+  /**
+   * Configura dependencias
+   */
+  configure(options) {
+    if (options.billerClient) this.billerClient = options.billerClient;
+    if (options.comprobanteStore) this.comprobanteStore = options.comprobanteStore;
+    if (options.shopifyClient) this.shopifyClient = options.shopifyClient;
+    if (options.auditLogger) this.auditLogger = options.auditLogger;
+  }
+
+  /**
+   * Key del remito en ComprobanteStore
+   * @param {string|number} fulfillmentId
+   */
+  storeKey(fulfillmentId) {
+    return `shopify-fulfillment-${fulfillmentId}`;
+  }
+
+  /**
+   * Determina el tipo de remito según el comprobante de venta
+   * @param {number} tipoOriginal - Tipo del CFE de venta
+   * @returns {number}
+   */
+  determinarTipoRemito(tipoOriginal) {
+    if ([config.TIPOS_CFE.E_FACTURA_EXPORTACION, config.TIPOS_CFE.E_FACTURA_EXPORTACION_CONTINGENCIA]
+      .includes(tipoOriginal)) {
+      return config.TIPOS_CFE.E_REMITO_EXPORTACION; // 124
+    }
+    return config.TIPOS_CFE.E_REMITO; // 181
+  }
+
+  /**
+   * Genera los datos del e-Remito de un fulfillment
+   * @param {Object} params
+   * @param {Object} params.fulfillment - Fulfillment de Shopify (webhook fulfillments/create)
+   * @param {Object} params.comprobanteOriginal - CFE de venta del pedido
+   * @param {Object} params.order - Pedido (opcional, dirección si el fulfillment no trae destination)
+   * @returns {{ remitoData: Object, metadata: Object }}
+   */
+  generarDatosRemito({ fulfillment, comprobanteOriginal, order = null }) {
+    const tipoRemito = this.determinarTipoRemito(comprobanteOriginal.tipo_comprobante);
+
+    const items = (fulfillment.line_items || [])
+      .filter(lineItem => (parseInt(lineItem.quantity) || 0) > 0)
+      .map(lineItem => {
+        const item = {
+          cantidad: parseInt(lineItem.quantity),
+          concepto: sanitizarString(lineItem.title || 'Producto', 80),
+          descripcion: sanitizarString(
+            lineItem.variant_title ? `${lineItem.title} - ${lineItem.variant_title}` : lineItem.title,
+            200
+          ),
+          unidad_medida: 'UN'
+        };
+        if (lineItem.sku) {
+          item.codigo = sanitizarString(lineItem.sku, 35);
+        }
+        return item;
+      });
+
+    if (items.length === 0) {
+      throw new Error('No se encontraron items para el remito');
+    }
+
+    const destino = fulfillment.destination || order?.shipping_address || null;
+    const orderName = fulfillment.name || order?.name || `#${fulfillment.order_id}`;
+
+    const remitoData = {
+      tipo_comprobante: tipoRemito,
+      items,
+      sucursal: parseInt(config.biller.empresa.sucursal),
+      tipo_traslado: TIPOS_TRASLADO.VENTA,
+      numero_interno: `shopify-fulfillment-${fulfillment.id}`,
+      numero_orden: orderName,
+      informacion_adicional: sanitizarString(
+        [
+          `Remito envío ${orderName}`,
+          fulfillment.tracking_company,
+          fulfillment.tracking_number
+        ].filter(Boolean).join(' - '),
+        150
+      ),
+
+      // CFE de venta que ampara la mercadería
+      referencias: [{
+        tipo_cfe: comprobanteOriginal.tipo_comprobante,
+        serie: comprobanteOriginal.serie,
+        numero: parseInt(comprobanteOriginal.numero),
+        fecha: comprobanteOriginal.fecha_emision || comprobanteOriginal.created_at
+      }]
+    };
+
+    if (destino) {
+      remitoData.lugar_destino_entrega = sanitizarString(
+        [
+          [destino.address1, destino.address2].filter(Boolean).join(' '),
+          destino.city,
+          destino.province,
+          destino.country_code || destino.country
+        ].filter(Boolean).join(', '),
+        100
+      );
+    }
+
+    // Mismo receptor que la venta (e-Factura / exportación)
+    if (comprobanteOriginal.cliente) {
+      remitoData.cliente = comprobanteOriginal.cliente;
+    }
+
+    return {
+      remitoData,
+      metadata: {
+        fulfillmentId: fulfillment.id,
+        orderId: fulfillment.order_id,
+        tipoRemito,
+        tipoRemitoStr: config.NOMBRES_CFE[tipoRemito],
+        itemsCount: items.length,
+        comprobanteOriginalId: comprobanteOriginal.id
+      }
+    };
+  }
+
+  /**
+   * Emite el e-Remito de un fulfillment de Shopify
+   * @param {Object} params
+   * @param {Object} params.fulfillment - Fulfillment de Shopify
+   * @param {Object} params.order - Pedido (opcional)
+   * @returns {Object} Resultado del procesamiento
+   */
+  async procesarFulfillment({ fulfillment, order = null }) {
+    const fulfillmentId = fulfillment.id;
+    const orderId = fulfillment.order_id;
+    const key = this.storeKey(fulfillmentId);
+
+    if (!config.facturacion.remitos.habilitados) {
+      return { status: 'skipped', reason: 'disabled' };
+    }
+
+    if (this.comprobanteStore?.hasKey(key)) {
+      this.stats.omitidos++;
+      return { status: 'skipped', reason: 'already_processed' };
+    }
+
+    logger.info(`🚚 Procesando envío ${fulfillmentId} del pedido ${orderId}`);
+
+    try {
+      // 1. CFE de venta: store local y luego Biller
+      let comprobanteOriginal = this.comprobanteStore?.get(orderId) || null;
+
+      if (!comprobanteOriginal && this.billerClient) {
+        try {
+          comprobanteOriginal = await this.billerClient.buscarPorNumeroInterno(`shopify-${orderId}`);
+        } catch (err) {
+          logger.warn(`No se pudo buscar comprobante en Biller: ${err.message}`);
+        }
+      }
+
+      if (!comprobanteOriginal) {
+        this.stats.omitidos++;
+        logger.warn('Envío de pedido sin comprobante de venta, no se emite remito', { fulfillmentId, orderId });
+        return { status: 'skipped', reason: 'not_invoiced', fulfillmentId, orderId };
+      }
+
+      // 2. Generar y emitir
+      const { remitoData, metadata } = this.generarDatosRemito({ fulfillment, comprobanteOriginal, order });
+
+      if (!this.billerClient) {
+        throw new Error('BillerClient no configurado');
+      }
+
+      const remito = await this.billerClient.emitirComprobante(remitoData);
+      remito.publicPdfUrl = `${config.server.publicUrl}/api/comprobante/${remito.id}/pdf`;
+
+      // 3. Guardar bajo el fulfillment
+      this.comprobanteStore?.setByKey(key, {
+        id: remito.id,
+        tipo_comprobante: metadata.tipoRemito,
+        serie: remito.serie,
+        numero: remito.numero,
+        cae_numero: remito.cae_numero,
+        fecha_emision: remito.fecha_emision,
+        comprobante_original_id: comprobanteOriginal.id,
+        referencia: `${comprobanteOriginal.serie}-${comprobanteOriginal.numero}`,
+        fulfillment_id: fulfillmentId,
+        order_id: orderId,
+        items: remitoData.items.map(({ codigo, concepto, cantidad }) => ({ codigo, concepto, cantidad })),
+        destino: remitoData.lugar_destino_entrega,
+        canal: 'shopify'
+      });
+
+      this.auditLogger?.remitoEmitido({
+        orderId: `shopify-${orderId}`,
+        fulfillmentId,
+        remitoId: remito.id,
+        tipo: metadata.tipoRemito,
+        serie: remito.serie,
+        numero: remito.numero,
+        items: metadata.itemsCount,
+        comprobanteOriginalId: comprobanteOriginal.id
+      });
+
+      this.stats.remitosEmitidos++;
+
+      // 4. Vincular al pedido (no bloquea)
+      try {
+        await this.shopifyClient?.vincularRemito(orderId, {
+          ...remito,
+          fulfillment_id: fulfillmentId,
+          tipo_comprobante: metadata.tipoRemito
+        });
+      } catch (e) {
+        logger.warn('Error vinculando remito al pedido', { orderId, fulfillmentId, error: e.message });
+      }
+
+      logger.info(`✅ ${metadata.tipoRemitoStr} emitido`, {
+        fulfillmentId,
+        orderId,
+        serie: remito.serie,
+        numero: remito.numero
+      });
+
+      return {
+        status: 'success',
+        tipo: metadata.tipoRemitoStr,
+        remito: {
+          id: remito.id,
+          serie: remito.serie,
+          numero: remito.numero,
+          tipo_comprobante: metadata.tipoRemito
+        },
+        comprobanteOriginal: {
+          id: comprobanteOriginal.id,
+          serie: comprobanteOriginal.serie,
+          numero: comprobanteOriginal.numero,
+          tipo: comprobanteOriginal.tipo_comprobante
+        },
+        metadata
+      };
+
+    } catch (error) {
+      this.stats.errores++;
+      logger.error(`❌ Error emitiendo remito del envío ${fulfillmentId}`, {
+        orderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getRemitoService(options = {}) {
+  if (!instance) {
+    instance = new RemitoService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  RemitoService,
+  TIPOS_TRASLADO,
+  getRemitoService
+};
@@ -0,0 +1,333 @@
+/**
+ * Unidad Indexada Service
+ *
+ * Tabla diaria del valor de la UI (Unidad Indexada) en UYU para la regla de
+ * 5000 UI: la decisión de facturación toma el valor del día del pago del
+ * pedido. Si ese día no está cargado se usa el último valor dentro de
+ * `config.facturacion.unidadIndexada.diasRetroceso`.
+ *
+ * La tabla se guarda en `config.storage.valoresUIFile` y se completa desde un
+ * proveedor (`obtenerValores()` → { 'AAAA-MM-DD': valor }) en forma periódica:
+ * - ProveedorArchivoUI: exportación CSV del BCU (fecha, valor)
+ * - ProveedorFijoUI: el valor de configuración para el día (desarrollo / sin archivo)
+ *
+ * @module services/unidad-indexada-service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { leerPlanilla } = require('../utils/spreadsheet');
+const { fechaUruguay, normalizarFecha } = require('./exchange-rate-service');
+
+/**
+ * Error de la tabla de UI
+ */
+class UnidadIndexadaError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'UnidadIndexadaError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Valores de la UI de una exportación CSV del BCU
+ * Columnas: fecha (AAAA-MM-DD o DD/MM/AAAA) y valor (acepta coma decimal)
+ * @param {Buffer|string} contenido
+ * @returns {Object} { 'AAAA-MM-DD': valor }
+ */
+function leerCSVUI(contenido) {
+  const valores = {};
+
+  for (const fila of leerPlanilla(contenido, 'csv')) {
+    const fecha = normalizarFecha(fila.fecha || fila.dia);
+    const valor = parseFloat(String(fila.valor || fila.ui || fila.unidad_indexada || '').replace(',', '.'));
+    if (!fecha || !(valor > 0)) continue;
+
+    valores[fecha] = valor;
+  }
+
+  return valores;
+}
+
+/**
+ * Exportación del BCU descargada a un archivo
+ */
+class ProveedorArchivoUI {
+  constructor(archivo = config.facturacion.unidadIndexada.archivo) {
+    this.nombre = 'bcu-archivo';
+    this.archivo = archivo;
+  }
+
+  async obtenerValores() {
+    if (!fs.existsSync(this.archivo)) {
+      throw new UnidadIndexadaError(
+        `Archivo de UI no encontrado: ${this.archivo}`,
+        'UI_FILE_NOT_FOUND',
+        500,
+        null
+      );
+    }
+    return leerCSVUI(fs.readFileSync(this.archivo));
+  }
+}
+
+/**
+ * Valor fijo de configuración (VALOR_UI_UYU) para el día
+ */
+class ProveedorFijoUI {
+  constructor(valor = config.facturacion.valorUI) {
+    this.nombre = 'fijo';
+    this.valor = valor;
+  }
+
+  async obtenerValores() {
+    return { [fechaUruguay()]: this.valor };
+  }
+}
+
+/**
+ * Clase del servicio de la tabla de UI
+ */
+class UnidadIndexadaService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.storage.valoresUIFile;
+    this.proveedor = options.proveedor || crearProveedor(config.facturacion.unidadIndexada.proveedor);
+    this.diasRetroceso = options.diasRetroceso ?? config.facturacion.unidadIndexada.diasRetroceso;
+    this.valores = {};
+    this.refreshTimer = null;
+
+    this.stats = {
+      consultas: 0,
+      sinValor: 0,
+      actualizaciones: 0,
+      erroresActualizacion: 0,
+      ultimaActualizacion: null
+    };
+
+    this.load();
+  }
+
+  /**
+   * Configura archivo y proveedor
+   */
+  configure(options) {
+    if (options.proveedor) this.proveedor = options.proveedor;
+    if (options.filePath) {
+      this.filePath = options.filePath;
+      this.load();
+    }
+  }
+
+  /**
+   * Carga la tabla desde archivo
+   */
+  load() {
+    this.valores = {};
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.valores = data.valores || {};
+    } catch (error) {
+      logger.error(`Error cargando valores de UI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda la tabla en archivo (escritura atómica)
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = {
+      version: 1,
+      updated_at: new Date().toISOString(),
+      valores: this.valores
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Agrega valores a la tabla (los días ya cargados se sobrescriben)
+   * @param {Object} valores - { 'AAAA-MM-DD': valor }
+   * @returns {{ cargados: number, desde: string|null, hasta: string|null }}
+   */
+  cargar(valores) {
+    const fechas = Object.keys(valores).sort();
+    if (fechas.length === 0) {
+      return { cargados: 0, desde: null, hasta: null };
+    }
+
+    Object.assign(this.valores, valores);
+    this.save();
+
+    return { cargados: fechas.length, desde: fechas[0], hasta: fechas[fechas.length - 1] };
+  }
+
+  /**
+   * Importa una exportación CSV del BCU
+   * @param {Buffer|string} contenido
+   * @returns {{ cargados: number, desde: string, hasta: string }}
+   */
+  importarCSV(contenido) {
+    const resultado = this.cargar(leerCSVUI(contenido));
+
+    if (resultado.cargados === 0) {
+      throw new UnidadIndexadaError('El archivo no tiene valores de UI (columnas fecha,valor)', 'UI_FILE_EMPTY', 400, null);
+    }
+
+    logger.info('Valores de UI importados', resultado);
+    return resultado;
+  }
+
+  /**
+   * Registra a mano el valor de un día
+   * @param {Date|string} fecha
+   * @param {number} valor - UYU por UI
+   * @returns {{ fecha: string, valor: number }}
+   */
+  registrar(fecha, valor) {
+    if (!(valor > 0)) {
+      throw new UnidadIndexadaError('El valor de la UI debe ser mayor a 0', 'INVALID_UI_VALUE', 400, null);
+    }
+
+    const dia = fechaUruguay(fecha);
+    this.cargar({ [dia]: valor });
+
+    logger.info('Valor UI registrado', { fecha: dia, valor });
+    return { fecha: dia, valor };
+  }
+
+  /**
+   * Relee el proveedor y agrega sus valores a la tabla
+   * @returns {{ cargados: number, desde: string|null, hasta: string|null, proveedor: string }}
+   */
+  async actualizar() {
+    try {
+      const resultado = this.cargar(await this.proveedor.obtenerValores());
+
+      this.stats.actualizaciones++;
+      this.stats.ultimaActualizacion = new Date().toISOString();
+      logger.info('Tabla de UI actualizada', { ...resultado, proveedor: this.proveedor.nombre });
+
+      return { ...resultado, proveedor: this.proveedor.nombre };
+    } catch (error) {
+      this.stats.erroresActualizacion++;
+      throw error;
+    }
+  }
+
+  /**
+   * Inicia la actualización periódica en segundo plano (la primera, inmediata)
+   * @param {number} interval - Intervalo en ms
+   */
+  iniciarActualizacionAutomatica(interval = config.facturacion.unidadIndexada.actualizacionHoras * 60 * 60 * 1000) {
+    this.detenerActualizacionAutomatica();
+
+    const actualizar = () => this.actualizar().catch(error => {
+      logger.error('Error actualizando la tabla de UI', { error: error.message });
+    });
+
+    actualizar();
+    this.refreshTimer = setInterval(actualizar, interval);
+
+    // No bloquear el proceso
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Detiene la actualización periódica
+   */
+  detenerActualizacionAutomatica() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Valor de la UI a una fecha (o el último cargado dentro de diasRetroceso)
+   * @param {Date|string} fecha - Fecha del pago (hoy por defecto)
+   * @returns {{ valor: number, fecha: string, fuente: string }|null}
+   */
+  obtenerValor(fecha = new Date()) {
+    this.stats.consultas++;
+
+    const consulta = new Date(`${fechaUruguay(fecha)}T12:00:00Z`);
+    for (let i = 0; i <= this.diasRetroceso; i++) {
+      const dia = consulta.toISOString().slice(0, 10);
+      if (this.valores[dia]) {
+        return { valor: this.valores[dia], fecha: dia, fuente: 'tabla' };
+      }
+      consulta.setUTCDate(consulta.getUTCDate() - 1);
+    }
+
+    this.stats.sinValor++;
+    return null;
+  }
+
+  /**
+   * Lista los valores cargados (AAAA-MM-DD, ambos extremos incluidos)
+   * @param {Object} filtros - { desde, hasta }
+   * @returns {Array<{ fecha: string, valor: number }>}
+   */
+  listar({ desde = null, hasta = null } = {}) {
+    return Object.keys(this.valores)
+      .sort()
+      .filter(fecha => (!desde || fecha >= desde) && (!hasta || fecha <= hasta))
+      .map(fecha => ({ fecha, valor: this.valores[fecha] }));
+  }
+
+  /**
+   * Obtiene estadísticas del servicio
+   */
+  getStats() {
+    const fechas = Object.keys(this.valores).sort();
+    return {
+      ...this.stats,
+      proveedor: this.proveedor.nombre,
+      valores: fechas.length,
+      desde: fechas[0] || null,
+      hasta: fechas[fechas.length - 1] || null
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function crearProveedor(nombre) {
+  return nombre === 'fijo' ? new ProveedorFijoUI() : new ProveedorArchivoUI();
+}
+
+// Singleton
+let instance = null;
+
+function getUnidadIndexadaService(options = {}) {
+  if (!instance) {
+    instance = new UnidadIndexadaService(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  UnidadIndexadaService,
+  UnidadIndexadaError,
+  ProveedorArchivoUI,
+  ProveedorFijoUI,
+  leerCSVUI,
+  getUnidadIndexadaService
+};
@@ -199,7 +199,10 @@ class ShopifyClient {
     
     const webhooksRequeridos = [
       { topic: 'orders/paid', address: webhookUrl },
-      { topic: 'refunds/create', address: webhookUrl }
+      { topic: 'refunds/create', address: webhookUrl },
+      { topic: 'fulfillments/create', address: webhookUrl },
+      { topic: 'orders/edited', address: webhookUrl },
+      { topic: 'orders/cancelled', address: webhookUrl }
     ];
 
     logger.info('Configurando webhooks', { url: webhookUrl });
@@ -325,6 +328,36 @@ class ShopifyClient {
     };
   }
 
+  // ============================================================
+  // PRODUCTOS
+  // ============================================================
+
+  /**
+   * Obtener un producto (tipo, tags y proveedor para las reglas fiscales)
+   */
+  async getProduct(productId) {
+    const response = await this.requestWithRetry(
+      'GET',
+      `/products/${productId}.json?fields=id,product_type,tags,vendor`,
+      null,
+      'get-product'
+    );
+    return response.product;
+  }
+
+  /**
+   * Obtener los metafields de un producto
+   */
+  async getProductMetafields(productId) {
+    const response = await this.requestWithRetry(
+      'GET',
+      `/products/${productId}/metafields.json`,
+      null,
+      'get-product-metafields'
+    );
+    return response.metafields || [];
+  }
+
   // ============================================================
   // PEDIDOS
   // ============================================================
@@ -375,6 +408,9 @@ class ShopifyClient {
       tagsActuales.push('facturado');
     }
 
+    // Un pedido retenido por identificación deja de estarlo
+    const tags = tagsActuales.filter(t => t !== 'pendiente-identificacion');
+
     // Actualizar tags
     await this.requestWithRetry(
       'PUT', 
@@ -382,7 +418,7 @@ class ShopifyClient {
       {
         order: {
           id: orderId,
-          tags: tagsActuales.join(', ')
+          tags: tags.join(', ')
         }
       },
       'marcar-facturado'
@@ -418,6 +454,116 @@ class ShopifyClient {
     });
   }
 
+  /**
+   * Marcar un pedido retenido hasta que el comprador se identifique
+   * (tag 'pendiente-identificacion' y metafield biller.identificacion_url con el link
+   * al formulario, para las plantillas de notificación y la página de estado del pedido)
+   * @param {string|number} orderId
+   * @param {Object} pendiente - { url, expira_at }
+   */
+  async marcarPendienteIdentificacion(orderId, pendiente) {
+    const order = await this.getOrder(orderId);
+    const tagsActuales = order.tags
+      ? order.tags.split(',').map(t => t.trim()).filter(Boolean)
+      : [];
+
+    if (!tagsActuales.includes('pendiente-identificacion')) {
+      tagsActuales.push('pendiente-identificacion');
+    }
+
+    await this.requestWithRetry(
+      'PUT',
+      `/orders/${orderId}.json`,
+      {
+        order: {
+          id: orderId,
+          tags: tagsActuales.join(', ')
+        }
+      },
+      'marcar-pendiente-identificacion'
+    );
+
+    try {
+      await this.request('POST', `/orders/${orderId}/metafields.json`, {
+        metafield: {
+          namespace: 'biller',
+          key: 'identificacion_url',
+          value: pendiente.url,
+          type: 'url'
+        }
+      });
+    } catch (e) {
+      logger.debug('Error guardando metafield', { key: 'identificacion_url', error: e.message });
+    }
+
+    logger.info('Pedido marcado pendiente de identificación', { orderId, expira: pendiente.expira_at });
+  }
+
+  /**
+   * Marcar un pedido cancelado cuya NC ya se emitió (tag 'nc-cancelacion')
+   * @param {string|number} orderId
+   * @param {Object} notaCredito - { id, serie, numero }
+   */
+  async marcarComoCancelado(orderId, notaCredito) {
+    const order = await this.getOrder(orderId);
+    const tagsActuales = order.tags
+      ? order.tags.split(',').map(t => t.trim()).filter(Boolean)
+      : [];
+
+    if (!tagsActuales.includes('nc-cancelacion')) {
+      tagsActuales.push('nc-cancelacion');
+    }
+
+    await this.requestWithRetry(
+      'PUT',
+      `/orders/${orderId}.json`,
+      {
+        order: {
+          id: orderId,
+          tags: tagsActuales.join(', ')
+        }
+      },
+      'marcar-cancelado'
+    );
+
+    logger.info('Pedido cancelado marcado', {
+      orderId,
+      nc: `${notaCredito.serie}-${notaCredito.numero}`
+    });
+  }
+
+  /**
+   * Vincular un e-Remito al pedido (metafield biller.remito_<fulfillment>)
+   * @param {string|number} orderId
+   * @param {Object} remito - { id, fulfillment_id, serie, numero, tipo_comprobante, publicPdfUrl }
+   */
+  async vincularRemito(orderId, remito) {
+    await this.requestWithRetry(
+      'POST',
+      `/orders/${orderId}/metafields.json`,
+      {
+        metafield: {
+          namespace: 'biller',
+          key: `remito_${remito.fulfillment_id}`,
+          value: JSON.stringify({
+            id: remito.id,
+            numero: `${remito.serie}-${remito.numero}`,
+            tipo_comprobante: remito.tipo_comprobante,
+            pdf_url: remito.publicPdfUrl || null
+          }),
+          type: 'json'
+        }
+      },
+      'vincular-remito'
+    );
+
+    logger.info('Remito vinculado al pedido', {
+      orderId,
+      fulfillmentId: remito.fulfillment_id,
+      remito: `${remito.serie}-${remito.numero}`
+    });
+  }
+
   /**
    * Agregar nota con información del comprobante
    */
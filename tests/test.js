@@ -11,8 +11,20 @@ process.env.SHOPIFY_API_KEY = 'test';
 process.env.SHOPIFY_API_SECRET = 'test';
 process.env.SERVER_PUBLIC_URL = 'https://test.ngrok.app';
 
-const { validarRUT, extraerRUTDePedido, validarPedidoShopify } = require('../utils/validators');
-const { shopifyOrderToBiller, shopifyRefundToNCItems } = require('../biller-client');
+const {
+  validarRUT,
+  extraerRUTDePedido,
+  extraerDocumentoMercadoLibre,
+  validarPedidoShopify,
+  validarPedidoMercadoLibre,
+  validarDatosComprobante
+} = require('../utils/validators');
+const {
+  shopifyOrderToBiller,
+  shopifyRefundToNCItems,
+  mercadolibreOrderToBiller,
+  mercadolibreReturnToRefund
+} = require('../biller-client');
 
 let passed = 0;
 let failed = 0;
@@ -287,6 +299,293 @@ test('Incluir descuento en items', () => {
   assertTrue(result.items.some(i => i.precio === -20));
 });
 
+// ============================================================
+// TESTS DE CONVERSIÓN MERCADOLIBRE → BILLER
+// ============================================================
+
+console.log('\n--- Conversión MercadoLibre → Biller ---\n');
+
+test('Convertir venta ML sin documento → e-Ticket (101)', () => {
+  const order = {
+    id: 2000001,
+    status: 'paid',
+    total_amount: 1500,
+    buyer: { id: 1, nickname: 'COMPRADOR' },
+    order_items: [
+      { item: { title: 'Auriculares', seller_sku: 'AUR-1' }, quantity: 2, unit_price: 750 }
+    ]
+  };
+
+  const result = mercadolibreOrderToBiller(order);
+  assertEqual(result.tipo_comprobante, 101);
+  assertEqual(result.numero_interno, 'mercadolibre-2000001');
+  assertEqual(result.montos_brutos, 1);
+  assertEqual(result.items.length, 1);
+  assertEqual(result.items[0].cantidad, 2);
+  assertEqual(result.items[0].codigo, 'AUR-1');
+  assertTrue(!result.cliente);
+});
+
+test('Convertir venta ML con RUT en billing_info → e-Factura (111)', () => {
+  const order = {
+    id: 2000002,
+    total_amount: 500,
+    buyer: { first_name: 'Juan', last_name: 'Pérez' },
+    billing_info: { doc_type: 'RUT', doc_number: '212222220019' },
+    order_items: [{ item: { title: 'Cable' }, quantity: 1, unit_price: 500 }]
+  };
+
+  const result = mercadolibreOrderToBiller(order);
+  assertEqual(result.tipo_comprobante, 111);
+  assertEqual(result.cliente.documento, '212222220019');
+  assertEqual(result.cliente.razon_social, 'Juan Pérez');
+});
+
+test('Incluir envío pagado por el comprador ML', () => {
+  const order = {
+    id: 2000003,
+    total_amount: 600,
+    order_items: [{ item: { title: 'Cable' }, quantity: 1, unit_price: 500 }],
+    payments: [{ status: 'approved', shipping_cost: 100 }]
+  };
+
+  const result = mercadolibreOrderToBiller(order);
+  assertEqual(result.items.length, 2);
+  assertTrue(result.items.some(i => i.concepto === 'Envío' && i.precio === 100));
+});
+
+test('Extraer RUT, razón social y dirección de billing_info ML', () => {
+  const order = {
+    id: 2000004,
+    billing_info: {
+      doc_type: 'RUT',
+      doc_number: '21.222.222-0019',
+      additional_info: [
+        { type: 'BUSINESS_NAME', value: 'Ferretería Sur S.A.' },
+        { type: 'STREET_NAME', value: 'Av. Italia' },
+        { type: 'STREET_NUMBER', value: '1234' },
+        { type: 'CITY_NAME', value: 'Montevideo' },
+        { type: 'STATE_NAME', value: 'Montevideo' }
+      ]
+    }
+  };
+
+  const { rut, razonSocial, tipoDocumento, direccion } = extraerDocumentoMercadoLibre(order);
+  assertEqual(rut, '212222220019');
+  assertEqual(razonSocial, 'Ferretería Sur S.A.');
+  assertEqual(tipoDocumento, 2);
+  assertEqual(direccion.address1, 'Av. Italia 1234');
+});
+
+test('CI en billing_info ML usa TIPOS_DOCUMENTO.CI', () => {
+  const order = {
+    buyer: { first_name: 'Ana', last_name: 'Gómez' },
+    billing_info: { doc_type: 'CI', doc_number: '1.234.567-2' }
+  };
+
+  const { rut, razonSocial, tipoDocumento } = extraerDocumentoMercadoLibre(order);
+  assertEqual(rut, '12345672');
+  assertEqual(razonSocial, 'Ana Gómez');
+  assertEqual(tipoDocumento, 3);
+});
+
+test('Decisión de facturación ML con RUT → e-Factura con razón social', async () => {
+  const { BillingDecisionService } = require('../services/billing-decision');
+  const { BillingPipeline } = require('../services/billing-pipeline');
+  const { MercadoLibreChannel } = require('../channels/mercadolibre-channel');
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService({ valorUI: 6 })
+  });
+  const order = {
+    id: 2000005,
+    status: 'paid',
+    total_amount: 1220,
+    billing_info: {
+      doc_number: '212222220019',
+      additional_info: [
+        { type: 'BUSINESS_NAME', value: 'Ferretería Sur S.A.' },
+        { type: 'CITY_NAME', value: 'Salto' }
+      ]
+    },
+    order_items: [{ item: { title: 'Taladro' }, quantity: 1, unit_price: 1220 }]
+  };
+
+  const result = await pipeline.procesarPedido(new MercadoLibreChannel(), order);
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].tipo_comprobante, 111);
+  assertEqual(emitidos[0].cliente.razon_social, 'Ferretería Sur S.A.');
+  assertEqual(emitidos[0].cliente.sucursal.ciudad, 'Salto');
+  store.stopAutoSave();
+});
+
+test('Validar venta ML sin items', () => {
+  const result = validarPedidoMercadoLibre({ id: 1, total_amount: 10, order_items: [] });
+  assertFalse(result.valid);
+  assertTrue(result.errors.some(e => e.includes('items')));
+});
+
+// ============================================================
+// TESTS DE SUBIDA DE FACTURA A MERCADOLIBRE
+// ============================================================
+
+console.log('\n--- Documento fiscal MercadoLibre ---\n');
+
+const os = require('os');
+const path = require('path');
+const { ComprobanteStore } = require('../utils/store');
+const { MLFiscalDocumentWorker } = require('../workers/ml-fiscal-document-worker');
+
+function crearStoreTemporal() {
+  const file = path.join(os.tmpdir(), `comprobantes-test-${Date.now()}-${Math.random()}.json`);
+  return new ComprobanteStore(file);
+}
+
+test('Sube el PDF a la venta y marca el comprobante como subido', async () => {
+  const store = crearStoreTemporal();
+  store.setByKey('mercadolibre-3000001', {
+    id: 55, serie: 'A', numero: 10, mercadolibre_order_id: '3000001', mercadolibre_pack_id: '9000001'
+  });
+
+  const subidas = [];
+  const worker = new MLFiscalDocumentWorker({
+    comprobanteStore: store,
+    billerClient: { obtenerPDF: async () => new ArrayBuffer(4) },
+    mercadolibreClient: {
+      subirDocumentoFiscal: async (packId, pdf, filename) => {
+        subidas.push({ packId, filename });
+        return { ids: ['doc-1'] };
+      }
+    },
+    retry: { initialDelay: 1 }
+  });
+
+  const result = await worker.subir('mercadolibre-3000001');
+  assertEqual(result.status, 'success');
+  assertEqual(subidas[0].packId, '9000001');
+  assertEqual(subidas[0].filename, 'CFE-A-10.pdf');
+  assertEqual(store.getByKey('mercadolibre-3000001').ml_fiscal_document.status, 'uploaded');
+  store.stopAutoSave();
+});
+
+test('Fallo de subida se registra en ErrorStore y queda para reintento', async () => {
+  const store = crearStoreTemporal();
+  store.setByKey('mercadolibre-3000002', {
+    id: 56, serie: 'A', numero: 11, mercadolibre_order_id: '3000002'
+  });
+
+  const errores = [];
+  const worker = new MLFiscalDocumentWorker({
+    comprobanteStore: store,
+    errorStore: { recordError: (error, context) => { errores.push(context); return 'err-1'; } },
+    billerClient: { obtenerPDF: async () => new ArrayBuffer(4) },
+    mercadolibreClient: {
+      subirDocumentoFiscal: async () => {
+        const error = new Error('Servicio no disponible');
+        error.status = 503;
+        throw error;
+      }
+    },
+    retry: { maxAttempts: 2, initialDelay: 1, maxDelay: 1 }
+  });
+
+  const result = await worker.subir('mercadolibre-3000002');
+  assertEqual(result.status, 'error');
+  assertEqual(errores[0].packId, '3000002');
+
+  const estado = store.getByKey('mercadolibre-3000002').ml_fiscal_document;
+  assertEqual(estado.status, 'failed');
+  assertEqual(estado.attempts, 2);
+  assertEqual(estado.error_id, 'err-1');
+  assertEqual(worker.getFallidos().length, 1);
+  store.stopAutoSave();
+});
+
+test('Pedidos de un pack resuelven al comprobante del pack', () => {
+  const store = crearStoreTemporal();
+  store.setByKey('mercadolibre-pack-9000020', { id: 57, serie: 'A', numero: 12, mercadolibre_pack_id: '9000020' });
+  store.setAlias('mercadolibre-3000020', 'mercadolibre-pack-9000020');
+
+  assertTrue(store.hasKey('mercadolibre-3000020'));
+  assertEqual(store.getByKey('mercadolibre-3000020').numero, 12);
+
+  store.updateByKey('mercadolibre-3000020', { ml_fiscal_document: { status: 'uploaded' } });
+  assertEqual(store.getByKey('mercadolibre-pack-9000020').ml_fiscal_document.status, 'uploaded');
+  store.stopAutoSave();
+});
+
+// ============================================================
+// TESTS DE OAUTH MERCADOLIBRE
+// ============================================================
+
+console.log('\n--- OAuth MercadoLibre ---\n');
+
+const fs = require('fs');
+const { MLTokenStore } = require('../utils/ml-token-store');
+const { MLAuthService } = require('../services/ml-auth-service');
+
+function crearTokenStoreTemporal() {
+  const file = path.join(os.tmpdir(), `ml-tokens-test-${Date.now()}-${Math.random()}.json`);
+  return new MLTokenStore({ filePath: file, encryptionKey: 'clave-test' });
+}
+
+test('Tokens ML se guardan cifrados y se recuperan por vendedor', () => {
+  const store = crearTokenStoreTemporal();
+  store.set('111', { access_token: 'APP_USR-secreto', refresh_token: 'TG-secreto', expires_at: '2030-01-01T00:00:00Z' });
+
+  const contenido = fs.readFileSync(store.filePath, 'utf8');
+  assertFalse(contenido.includes('APP_USR-secreto'));
+
+  const recargado = new MLTokenStore({ filePath: store.filePath, encryptionKey: 'clave-test' });
+  assertEqual(recargado.get('111').access_token, 'APP_USR-secreto');
+  assertEqual(recargado.list()[0].user_id, '111');
+  assertTrue(!recargado.list()[0].access_token);
+});
+
+test('Renovaciones concurrentes de un token ML usan una sola petición', async () => {
+  const tokenStore = crearTokenStoreTemporal();
+  tokenStore.set('222', {
+    access_token: 'viejo',
+    refresh_token: 'TG-1',
+    expires_at: new Date(Date.now() + 60 * 1000).toISOString() // vence en 1 minuto
+  });
+
+  const fetchOriginal = global.fetch;
+  let peticiones = 0;
+  global.fetch = async (url, options) => {
+    peticiones++;
+    assertEqual(options.body.get('grant_type'), 'refresh_token');
+    assertEqual(options.body.get('refresh_token'), 'TG-1');
+    await new Promise(r => setTimeout(r, 5));
+    return {
+      ok: true,
+      json: async () => ({ access_token: 'nuevo', refresh_token: 'TG-2', expires_in: 21600, user_id: 222 })
+    };
+  };
+
+  try {
+    const auth = new MLAuthService({ tokenStore, appId: '1', clientSecret: 's', refreshMargin: 10 * 60 * 1000 });
+    const tokens = await Promise.all([
+      auth.getAccessToken('222'),
+      auth.getAccessToken('222'),
+      auth.getAccessToken('222')
+    ]);
+
+    assertEqual(peticiones, 1);
+    assertTrue(tokens.every(t => t === 'nuevo'));
+    assertEqual(tokenStore.get('222').refresh_token, 'TG-2');
+
+    // Token vigente: no se renueva
+    assertEqual(await auth.getAccessToken('222'), 'nuevo');
+    assertEqual(peticiones, 1);
+  } finally {
+    global.fetch = fetchOriginal;
+  }
+});
+
 // ============================================================
 // TESTS DE NC
 // ============================================================
@@ -324,6 +623,1397 @@ test('NC sin items retorna array vacío', () => {
   assertEqual(items.length, 0);
 });
 
+test('Devolución ML parcial → refund sólo con las unidades devueltas', () => {
+  const order = {
+    id: 4000001,
+    order_items: [
+      { item: { id: 'MLU1', title: 'Mouse' }, quantity: 3, unit_price: 400 },
+      { item: { id: 'MLU2', title: 'Teclado' }, quantity: 1, unit_price: 900 }
+    ],
+    payments: [{ status: 'approved', shipping_cost: 100 }]
+  };
+
+  const refund = mercadolibreReturnToRefund(order, {
+    id: 'claim-1',
+    devoluciones: [{ item_id: 'MLU1', quantity: 2 }]
+  });
+
+  assertEqual(refund.order_id, 4000001);
+  assertEqual(refund.refund_line_items.length, 1);
+  assertEqual(refund.refund_line_items[0].quantity, 2);
+  assertEqual(refund.order_adjustments.length, 0);
+});
+
+test('NC MercadoLibre referencia el CFE del pack y usa montos brutos', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const store = crearStoreTemporal();
+  store.setByKey('mercadolibre-pack-9000030', {
+    id: 60, tipo_comprobante: 101, serie: 'A', numero: 20, fecha_emision: '2024-01-10'
+  });
+  store.setAlias('mercadolibre-4000002', 'mercadolibre-pack-9000030');
+
+  const emitidos = [];
+  const service = new CreditNoteService({
+    comprobanteStore: store,
+    billerClient: {
+      emitirComprobante: async (data) => { emitidos.push(data); return { id: 61, serie: 'A', numero: 21 }; }
+    }
+  });
+
+  const order = {
+    id: 4000002,
+    pack_id: 9000030,
+    order_items: [{ item: { id: 'MLU3', title: 'Parlante' }, quantity: 1, unit_price: 1200 }]
+  };
+
+  const result = await service.procesarReembolso({
+    refund: mercadolibreReturnToRefund(order, { id: 'cancel-4000002' }),
+    originalOrder: order,
+    canal: 'mercadolibre'
+  });
+
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].tipo_comprobante, 102);
+  assertEqual(emitidos[0].montos_brutos, 1);
+  assertEqual(emitidos[0].numero_interno, 'mercadolibre-refund-cancel-4000002');
+  assertEqual(emitidos[0].referencias[0].numero, 20);
+  assertTrue(store.hasKey('mercadolibre-refund-cancel-4000002'));
+  store.stopAutoSave();
+});
+
+// ============================================================
+// TESTS DE PIPELINE DE FACTURACIÓN
+// ============================================================
+
+console.log('\n--- Pipeline de facturación ---\n');
+
+const { BillingPipeline } = require('../services/billing-pipeline');
+const { BillingDecisionService } = require('../services/billing-decision');
+const { ChannelAdapter } = require('../channels');
+const { ShopifyChannel } = require('../channels/shopify-channel');
+
+function crearBillerFalso(emitidos) {
+  return {
+    emitirComprobante: async (data) => { emitidos.push(data); return { id: 70 + emitidos.length, serie: 'A', numero: emitidos.length }; },
+    anularComprobante: async (data) => { emitidos.push(data); return { id: 80, tipo_comprobante: 102, serie: 'A', numero: 99 }; },
+    buscarPorNumeroInterno: async () => null,
+    getTipoComprobanteStr: (tipo) => String(tipo)
+  };
+}
+
+test('Pipeline factura pedidos de cualquier canal que implemente el adaptador', async () => {
+  class CanalPrueba extends ChannelAdapter {
+    constructor() {
+      super({ id: 'prueba', nombre: 'Prueba', montosBrutos: 1 });
+      this.marcados = [];
+    }
+    normalizarPedido(order) {
+      return {
+        canal: this.id, id: String(order.id), nombre: `P-${order.id}`, storeKey: this.storeKey(order.id),
+        pagado: true, yaFacturado: false, total: order.total, montoNeto: order.total / 1.22,
+        email: null, datosStore: { prueba_order_id: String(order.id) }, raw: order
+      };
+    }
+    extraerIdentidad() {
+      return { rut: null, razonSocial: null, source: null };
+    }
+    convertirABiller(order, decision) {
+      return { tipo_comprobante: decision.tipoComprobante, items: [], numero_interno: this.storeKey(order.id) };
+    }
+    async marcarComoFacturado(pedido, comprobante) {
+      this.marcados.push(`${pedido.id}:${comprobante.numero}`);
+    }
+  }
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService()
+  });
+  const canal = new CanalPrueba();
+
+  const result = await pipeline.procesarPedido(canal, { id: 501, total: 1220 });
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].tipo_comprobante, 101);
+  assertEqual(store.getByKey('prueba-501').canal, 'prueba');
+  assertEqual(store.getByKey('prueba-501').prueba_order_id, '501');
+  assertEqual(canal.marcados[0], '501:1');
+
+  const repetido = await pipeline.procesarPedido(canal, { id: 501, total: 1220 });
+  assertEqual(repetido.reason, 'exists_in_store');
+  assertEqual(emitidos.length, 1);
+  assertEqual(pipeline.getStats().porCanal.prueba.emitidos, 1);
+  store.stopAutoSave();
+});
+
+test('Reembolso total de Shopify anula el comprobante original vía pipeline', async () => {
+  const store = crearStoreTemporal();
+  store.set(6001, { id: 71, tipo_comprobante: 101, serie: 'A', numero: 5, total: 1220 });
+
+  const emitidos = [];
+  const pipeline = new BillingPipeline({ billerClient: crearBillerFalso(emitidos), comprobanteStore: store });
+  const canal = new ShopifyChannel();
+
+  const result = await pipeline.procesarReembolso(canal, {
+    id: 7001, order_id: 6001, refund_line_items: [],
+    transactions: [{ kind: 'refund', status: 'success', amount: '1220.00' }]
+  });
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].id, 71);
+  assertEqual(store.getByKey('shopify-refund-7001').referencia, 'A-5');
+
+  const repetido = await pipeline.procesarReembolso(canal, { id: 7001, order_id: 6001 });
+  assertEqual(repetido.reason, 'already_processed');
+
+  // Shopify Markets sin transacciones: el importe se toma en la moneda del comprobante (USD)
+  store.set(6010, { id: 79, tipo_comprobante: 101, serie: 'A', numero: 15, total: 100, moneda: 'USD' });
+  const usd = (amount, uyu) => ({
+    shop_money: { amount: uyu, currency_code: 'UYU' },
+    presentment_money: { amount, currency_code: 'USD' }
+  });
+  await pipeline.procesarReembolso(canal, {
+    id: 7010, order_id: 6010,
+    refund_line_items: [{
+      quantity: 1, subtotal: '4000.00', subtotal_set: usd('100.00', '4000.00'), total_tax_set: usd('0.00', '0.00'),
+      line_item: { title: 'Campera', price: '4000.00' }
+    }]
+  });
+  assertEqual(emitidos[1].id, 79);
+  assertEqual(store.get(6010).notas_credito[0].importe, 100);
+  store.stopAutoSave();
+});
+
+test('Reembolso parcial de Shopify emite NC por lo devuelto (líneas, envío y ajustes)', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const store = crearStoreTemporal();
+  store.set(6002, { id: 72, tipo_comprobante: 101, serie: 'A', numero: 6, fecha_emision: '2024-06-01', total: 2940, montos_brutos: 1 });
+
+  const emitidos = [];
+  const biller = crearBillerFalso(emitidos);
+  const pipeline = new BillingPipeline({
+    billerClient: biller,
+    comprobanteStore: store,
+    creditNoteService: new CreditNoteService({ billerClient: biller, comprobanteStore: store })
+  });
+  const canal = new ShopifyChannel();
+
+  // Devuelve 1 de 5 remeras (600 c/u con 10% de descuento) y el envío
+  const result = await pipeline.procesarReembolso(canal, {
+    id: 7002, order_id: 6002,
+    refund_line_items: [{
+      quantity: 1, subtotal: '540.00', total_tax: '0.00',
+      line_item: { title: 'Remera', sku: 'REM-1', quantity: 5, price: '600.00', tax_lines: [{ rate: 0.22 }] }
+    }],
+    refund_shipping_lines: [{
+      shipping_line: { title: 'Envío estándar' },
+      subtotal_amount_set: { shop_money: { amount: '200.00', currency_code: 'UYU' } },
+      tax_amount_set: { shop_money: { amount: '44.00', currency_code: 'UYU' } }
+    }],
+    order_adjustments: [{ kind: 'refund_discrepancy', amount: '-10.00', tax_amount: '0.00' }],
+    transactions: [{ kind: 'refund', status: 'success', amount: '794.00' }]
+  });
+
+  assertEqual(result.status, 'success');
+  const nc = emitidos[0];
+  assertEqual(nc.tipo_comprobante, 102);
+  assertEqual(nc.referencias[0].numero, 6);
+  assertEqual(nc.items.length, 3);
+  assertEqual(nc.items[0].precio, 540);
+  assertEqual(nc.items[1].precio, 244);
+  assertEqual(validarDatosComprobante(nc).valid, true);
+
+  const guardada = store.getByKey('shopify-refund-7002');
+  assertEqual(guardada.refund_id, 7002);
+  assertEqual(guardada.monto, 794);
+  assertEqual(store.get(6002).notas_credito[0].importe, 794);
+
+  // Con una NC previa, un reembolso por el total ya no anula: otra NC por items
+  await pipeline.procesarReembolso(canal, {
+    id: 7003, order_id: 6002,
+    refund_line_items: [{ quantity: 4, subtotal: '2160.00', line_item: { title: 'Remera', sku: 'REM-1', price: '600.00' } }],
+    transactions: [{ kind: 'refund', status: 'success', amount: '2940.00' }]
+  });
+  assertEqual(emitidos[1].tipo_comprobante, 102);
+  assertEqual(emitidos[1].items[0].precio, 540);
+  store.stopAutoSave();
+});
+
+test('Ledger de reembolsos rechaza NC que superan lo facturado y expone el saldo', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const { crearLedger, saldoLedger } = require('../services/refund-ledger');
+  const store = crearStoreTemporal();
+  store.set(6004, {
+    id: 74, tipo_comprobante: 101, serie: 'A', numero: 8, fecha_emision: '2024-06-01', total: 2440, montos_brutos: 1,
+    ledger: crearLedger({
+      montos_brutos: 1,
+      items: [{ concepto: 'Remera', codigo: 'REM-1', cantidad: 2, precio: 1220, indicador_facturacion: 3 }]
+    })
+  });
+
+  const emitidos = [];
+  const errores = [];
+  const biller = crearBillerFalso(emitidos);
+  const errorStore = { recordError: (error, context) => { errores.push({ error, context }); return 'err-1'; } };
+  const pipeline = new BillingPipeline({
+    billerClient: biller,
+    comprobanteStore: store,
+    creditNoteService: new CreditNoteService({ billerClient: biller, comprobanteStore: store, errorStore })
+  });
+  const canal = new ShopifyChannel();
+  const devolucion = (id, cantidad) => ({
+    id, order_id: 6004,
+    refund_line_items: [{
+      quantity: cantidad, subtotal: String(1220 * cantidad), total_tax: '0.00',
+      line_item: { title: 'Remera', sku: 'REM-1', quantity: 2, price: '1220.00', tax_lines: [{ rate: 0.22 }] }
+    }],
+    transactions: [{ kind: 'refund', status: 'success', amount: String(1220 * cantidad) }]
+  });
+
+  const primera = await pipeline.procesarReembolso(canal, devolucion(7005, 1));
+  assertEqual(primera.status, 'success');
+  assertEqual(saldoLedger(store.get(6004).ledger).saldo, 1220);
+
+  // Queda 1 remera por acreditar: devolver 2 supera la línea y la tasa básica
+  const segunda = await pipeline.procesarReembolso(canal, devolucion(7006, 2));
+  assertEqual(segunda.status, 'error');
+  assertEqual(segunda.reason, 'excede_facturado');
+  assertTrue(segunda.excesos.some(e => e.tipo === 'linea' && e.disponible === 1));
+  assertTrue(segunda.excesos.some(e => e.tipo === 'indicador' && e.disponible === 1220));
+  assertEqual(emitidos.length, 1);
+  assertEqual(errores[0].error.code, 'CREDIT_EXCEEDS_INVOICE');
+  assertEqual(errores[0].context.orderId, 'shopify-6004');
+  assertFalse(store.hasKey('shopify-refund-7006'));
+
+  const saldo = saldoLedger(store.get(6004).ledger);
+  assertEqual(saldo.facturado, 2440);
+  assertEqual(saldo.acreditado, 1220);
+  assertEqual(saldo.notas_credito, 1);
+
+  // Producto que no figura en la factura: exceso de línea aunque la tasa tenga saldo
+  const ajena = await pipeline.procesarReembolso(canal, {
+    id: 7008, order_id: 6004,
+    refund_line_items: [{ quantity: 1, subtotal: '100.00', line_item: { title: 'Gorra', sku: 'GOR-1', price: '100.00' } }]
+  });
+  assertEqual(ajena.reason, 'excede_facturado');
+  assertTrue(ajena.excesos.some(e => e.tipo === 'linea' && e.linea === 'GOR-1' && e.disponible === 0));
+
+  // SKU con espacios: misma línea que en la factura (sanitizada)
+  const conEspacios = devolucion(7009, 1);
+  conEspacios.refund_line_items[0].line_item.sku = ' REM-1 ';
+  assertEqual((await pipeline.procesarReembolso(canal, conEspacios)).status, 'success');
+  assertEqual(store.get(6004).ledger.lineas['REM-1'].acreditada, 2);
+  store.stopAutoSave();
+});
+
+test('Pedido de Shopify cancelado emite NC por el saldo, lo marca y audita', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const { crearLedger, saldoLedger } = require('../services/refund-ledger');
+  const store = crearStoreTemporal();
+  store.set(6005, {
+    id: 75, tipo_comprobante: 101, serie: 'A', numero: 9, fecha_emision: '2024-06-01', total: 1540, montos_brutos: 1,
+    ledger: crearLedger({
+      montos_brutos: 1,
+      items: [
+        { concepto: 'Remera', codigo: 'REM-1', cantidad: 1, precio: 1220, indicador_facturacion: 3 },
+        { concepto: 'Libro', codigo: 'LIB-1', cantidad: 1, precio: 320, indicador_facturacion: 2 }
+      ]
+    })
+  });
+  store.set(6006, { id: 76, tipo_comprobante: 101, serie: 'A', numero: 10, total: 500 });
+
+  const emitidos = [];
+  const auditados = [];
+  const biller = crearBillerFalso(emitidos);
+  const pipeline = new BillingPipeline({
+    billerClient: biller,
+    comprobanteStore: store,
+    creditNoteService: new CreditNoteService({ billerClient: biller, comprobanteStore: store }),
+    auditLogger: { ncEmitida: () => {}, pedidoCancelado: (data) => auditados.push(data) }
+  });
+  const canal = new ShopifyChannel();
+  const marcados = [];
+  canal.marcarComoCancelado = async (orderId, nc) => { marcados.push(`${orderId}:${nc.numero}`); };
+
+  // Devolución previa de la remera: la cancelación acredita sólo el libro
+  await pipeline.procesarReembolso(canal, {
+    id: 7007, order_id: 6005,
+    refund_line_items: [{ quantity: 1, subtotal: '1220.00', line_item: { title: 'Remera', sku: 'REM-1', price: '1220.00' } }],
+    transactions: [{ kind: 'refund', status: 'success', amount: '1220.00' }]
+  });
+
+  const result = await pipeline.procesarCancelacion(canal, { id: 6005, name: '#1005' });
+  assertEqual(result.status, 'success');
+  const nc = emitidos[1];
+  assertEqual(nc.tipo_comprobante, 102);
+  assertEqual(nc.items.length, 1);
+  assertEqual(nc.items[0].precio, 320);
+  assertEqual(nc.items[0].indicador_facturacion, 2);
+  assertEqual(nc.numero_interno, 'shopify-refund-cancel-6005');
+  assertEqual(saldoLedger(store.get(6005).ledger).saldo, 0);
+  assertEqual(auditados[0].orderId, 'shopify-6005');
+  assertEqual(auditados[0].anulacion, false);
+  assertEqual(marcados[0], '6005:2');
+
+  const repetido = await pipeline.procesarCancelacion(canal, { id: 6005 });
+  assertEqual(repetido.reason, 'already_processed');
+
+  // Sin NC previas se anula el comprobante entero
+  const anulado = await pipeline.procesarCancelacion(canal, { id: 6006 });
+  assertEqual(anulado.status, 'success');
+  assertEqual(emitidos[2].id, 76);
+  assertEqual(auditados[1].anulacion, true);
+
+  const sinComprobante = await pipeline.procesarCancelacion(canal, { id: 6099 });
+  assertEqual(sinComprobante.reason, 'not_invoiced');
+  assertEqual(emitidos.length, 3);
+  store.stopAutoSave();
+});
+
+test('Pack ML por el pipeline: espera a todos los pedidos, factura una vez y acredita la cancelación', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const { MercadoLibreChannel } = require('../channels/mercadolibre-channel');
+  const pago = { id: 77, status: 'approved', shipping_cost: 150 };
+  const orders = {
+    2000010: {
+      id: 2000010, pack_id: 9000010, status: 'paid', total_amount: 500,
+      order_items: [{ item: { id: 'MLU10', title: 'Funda' }, quantity: 1, unit_price: 500 }],
+      payments: [pago]
+    },
+    2000011: {
+      id: 2000011, pack_id: 9000010, status: 'payment_required', total_amount: 800,
+      order_items: [{ item: { id: 'MLU11', title: 'Cargador' }, quantity: 2, unit_price: 400 }],
+      payments: [pago]
+    }
+  };
+  const canal = new MercadoLibreChannel({
+    mercadolibreClient: {
+      getOrder: async (id) => ({ ...orders[id] }),
+      getPack: async () => ({ orders: [{ id: 2000010 }, { id: 2000011 }] }),
+      getBillingInfo: async () => null
+    }
+  });
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const biller = crearBillerFalso(emitidos);
+  const pipeline = new BillingPipeline({
+    billerClient: biller,
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService(),
+    creditNoteService: new CreditNoteService({ billerClient: biller, comprobanteStore: store })
+  });
+
+  const incompleto = await pipeline.procesarEventoPedido(canal, await canal.obtenerPedido(2000010));
+  assertEqual(incompleto.reason, 'pack_incomplete');
+  assertEqual(emitidos.length, 0);
+
+  // Los dos pedidos notifican a la vez: un único comprobante para el pack
+  orders[2000011].status = 'paid';
+  const [primero, segundo] = await Promise.all([
+    pipeline.procesarEventoPedido(canal, await canal.obtenerPedido(2000010)),
+    pipeline.procesarEventoPedido(canal, await canal.obtenerPedido(2000011))
+  ]);
+  assertEqual(primero.status, 'success');
+  assertEqual(segundo.reason, 'exists_in_store');
+  assertEqual(emitidos.length, 1);
+  assertEqual(emitidos[0].numero_interno, 'mercadolibre-pack-9000010');
+  assertEqual(emitidos[0].numero_orden, 'ML-PACK-9000010');
+  // 2 productos + envío (el pago compartido se cuenta una sola vez)
+  assertEqual(emitidos[0].items.length, 3);
+  assertEqual(emitidos[0].items.filter(i => i.concepto === 'Envío')[0].precio, 150);
+  assertTrue(store.hasKey('mercadolibre-2000011'));
+
+  // Cancelación de un pedido del pack ya facturado: NC sólo por sus items
+  orders[2000011].status = 'cancelled';
+  const cancelado = await pipeline.procesarEventoPedido(canal, await canal.obtenerPedido(2000011));
+  assertEqual(cancelado.reason, 'exists_in_store');
+  assertEqual(cancelado.reembolsos[0].status, 'success');
+  assertEqual(emitidos[1].numero_interno, 'mercadolibre-refund-cancel-2000011');
+  assertEqual(emitidos[1].items.length, 1);
+  assertEqual(emitidos[1].items[0].cantidad, 2);
+
+  const repetido = await pipeline.procesarEventoPedido(canal, await canal.obtenerPedido(2000011));
+  assertEqual(repetido.reembolsos, undefined);
+  assertEqual(emitidos.length, 2);
+  store.stopAutoSave();
+});
+
+test('Comprobante manual: valida payload y usa la clave como numero_interno', async () => {
+  const { ManualChannel } = require('../channels/manual-channel');
+  const canal = new ManualChannel();
+
+  const invalido = canal.validarPedido({
+    cliente: { documento: '123' },
+    items: [{ concepto: 'Silla', cantidad: 1, precio: 100 }],
+    forma_pago: 3
+  });
+  assertFalse(invalido.valid);
+  assertTrue(invalido.errors.some(e => e.includes('idempotency_key')));
+  assertTrue(invalido.errors.some(e => e.includes('Documento')));
+  assertTrue(invalido.errors.some(e => e.includes('indicador_facturacion')));
+  assertTrue(invalido.errors.some(e => e.includes('forma_pago')));
+
+  const malformado = { idempotency_key: 'mal-1', montos_brutos: '0' };
+  assertTrue(canal.validarPedido({ ...malformado, items: 'x' }).errors.some(e => e.includes('items')));
+  assertTrue(canal.validarPedido({ ...malformado, items: [null] }).errors.some(e => e.includes('items')));
+  assertTrue(canal.validarPedido(malformado).errors.some(e => e.includes('montos_brutos')));
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService()
+  });
+
+  const payload = {
+    idempotency_key: 'showroom-0042',
+    origen: 'showroom',
+    cliente: { documento: '212222220019', razon_social: 'Empresa SA' },
+    items: [{ concepto: 'Silla', cantidad: 2, precio: 1220, indicador_facturacion: 3 }],
+    forma_pago: 2
+  };
+  assertTrue(canal.validarPedido(payload).valid);
+
+  const result = await pipeline.procesarPedido(canal, payload);
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].tipo_comprobante, 111);
+  assertEqual(emitidos[0].numero_interno, 'showroom-0042');
+  assertEqual(emitidos[0].forma_pago, 2);
+  assertEqual(emitidos[0].cliente.razon_social, 'Empresa SA');
+  assertEqual(store.getByKey('manual-showroom-0042').total, 2440);
+  store.stopAutoSave();
+});
+
+test('Importación de planilla: agrupa líneas por pedido, emite y no duplica al reimportar', async () => {
+  const { ImportService } = require('../services/import-service');
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService()
+  });
+  const importService = new ImportService({
+    billingPipeline: pipeline,
+    resultadosDir: path.join(os.tmpdir(), `importaciones-test-${Date.now()}`)
+  });
+
+  const csv = [
+    'Pedido;Documento;Razón Social;Producto;Cantidad;Precio;IVA',
+    'F-1;212222220019;Empresa SA;Silla;2;"1.220,00";basica',
+    'F-1;;;Libro;1;550;minima',
+    'F-2;;;Remera;1;800;22%',
+    'F-3;;;Taza;1;300;raro'
+  ].join('\n');
+
+  const validacion = await importService.importar(csv, { prefijo: 'feria', dryRun: true });
+  assertEqual(validacion.resumen.validos, 2);
+  assertEqual(validacion.resumen.invalidos, 1);
+  assertTrue(validacion.resultados[2].error.includes('raro'));
+  assertEqual(emitidos.length, 0);
+
+  const reporte = await importService.importar(csv, { prefijo: 'feria' });
+  assertEqual(reporte.resumen.emitidos, 2);
+  assertEqual(emitidos.length, 2);
+  assertEqual(emitidos[0].numero_interno, 'feria-F-1');
+  assertEqual(emitidos[0].tipo_comprobante, 111);
+  assertEqual(emitidos[0].items.length, 2);
+  assertEqual(emitidos[0].items[0].precio, 1220);
+  assertEqual(emitidos[0].items[1].indicador_facturacion, 2);
+  assertEqual(emitidos[1].items[0].indicador_facturacion, 3);
+  assertEqual(reporte.resultados[0].filas, '2 3');
+
+  const resultadosCSV = fs.readFileSync(importService.obtenerArchivoResultados(reporte.id), 'utf8');
+  assertTrue(resultadosCSV.startsWith('filas,pedido,idempotency_key,estado'));
+  assertTrue(resultadosCSV.includes('F-1,feria-F-1,emitido,111,A,1'));
+
+  const reimportacion = await importService.importar(csv, { prefijo: 'feria' });
+  assertEqual(reimportacion.resumen.existentes, 2);
+  assertEqual(emitidos.length, 2);
+  store.stopAutoSave();
+});
+
+test('Planilla XLSX: lee strings compartidos y respeta el número de fila', () => {
+  const zlib = require('zlib');
+  const { leerPlanilla } = require('../utils/spreadsheet');
+
+  // XLSX mínimo: ZIP con la hoja y los strings compartidos
+  const archivos = {
+    'xl/sharedStrings.xml': '<sst><si><t>Pedido</t></si><si><t>Razón Social</t></si><si><r><t>Emp &amp; </t></r><r><t>Cía</t></r></si></sst>',
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+      '<row r="3"><c r="A3"><v>1001</v></c><c r="C3" t="s"><v>2</v></c></row></sheetData></worksheet>'
+  };
+
+  const locales = [];
+  const central = [];
+  let offset = 0;
+  for (const [nombre, contenido] of Object.entries(archivos)) {
+    const datos = zlib.deflateRawSync(Buffer.from(contenido));
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(datos.length, 18);
+    header.writeUInt16LE(nombre.length, 26);
+    locales.push(header, Buffer.from(nombre), datos);
+
+    const entrada = Buffer.alloc(46);
+    entrada.writeUInt32LE(0x02014b50, 0);
+    entrada.writeUInt16LE(8, 10);
+    entrada.writeUInt32LE(datos.length, 20);
+    entrada.writeUInt16LE(nombre.length, 28);
+    entrada.writeUInt32LE(offset, 42);
+    central.push(entrada, Buffer.from(nombre));
+
+    offset += 30 + nombre.length + datos.length;
+  }
+  const directorio = Buffer.concat(central);
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);
+  fin.writeUInt16LE(Object.keys(archivos).length, 10);
+  fin.writeUInt32LE(directorio.length, 12);
+  fin.writeUInt32LE(offset, 16);
+
+  const registros = leerPlanilla(Buffer.concat([...locales, directorio, fin]));
+  assertEqual(registros.length, 1);
+  assertEqual(registros[0]._fila, 3);
+  assertEqual(registros[0].pedido, '1001');
+  assertEqual(registros[0].razon_social, 'Emp & Cía');
+
+  // Archivo truncado: 400 INVALID_XLSX, no un RangeError
+  let error = null;
+  try {
+    leerPlanilla(Buffer.concat([directorio, fin]), 'xlsx');
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error?.code, 'INVALID_XLSX');
+  assertEqual(error.status, 400);
+});
+
+test('Pedido Shopify Markets en USD → moneda, tipo_cambio y regla UI en pesos', async () => {
+  const { ExchangeRateService, ProveedorFijo } = require('../services/exchange-rate-service');
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService({ valorUI: 6 }),
+    exchangeRateService: new ExchangeRateService({ proveedor: new ProveedorFijo({ USD: 40 }) })
+  });
+
+  const usd = (shop, presentment) => ({
+    shop_money: { amount: shop, currency_code: 'UYU' },
+    presentment_money: { amount: presentment, currency_code: 'USD' }
+  });
+
+  // Tienda en UYU, cliente pagando en USD: 1000 USD neto = 40000 UYU > 30000 (5000 UI)
+  const order = {
+    id: 7000001,
+    name: '#7001',
+    currency: 'UYU',
+    presentment_currency: 'USD',
+    total_price: '48800.00',
+    total_price_set: usd('48800.00', '1220.00'),
+    total_tax: '8800.00',
+    total_tax_set: usd('8800.00', '220.00'),
+    line_items: [{
+      title: 'Bicicleta', quantity: 1, price: '40000.00', price_set: usd('40000.00', '1000.00'),
+      tax_lines: [{ rate: 0.22 }]
+    }]
+  };
+
+  const result = await pipeline.procesarPedido(new ShopifyChannel(), order);
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].moneda, 'USD');
+  assertEqual(emitidos[0].tipo_cambio, 40);
+  assertEqual(emitidos[0].items[0].precio, 1000);
+  assertEqual(result.warnings[0].code, 'SUPERA_LIMITE_5000_UI');
+  assertEqual(store.getByKey('shopify-7000001').moneda, 'USD');
+  assertEqual(store.getByKey('shopify-7000001').tipo_cambio, 40);
+  store.stopAutoSave();
+});
+
+test('Cotización BCU: última publicada ante fin de semana y NC con el tipo de cambio original', async () => {
+  const { ExchangeRateService, ProveedorArchivo } = require('../services/exchange-rate-service');
+  const { CreditNoteService } = require('../services/credit-note-service');
+
+  const archivo = path.join(os.tmpdir(), `cotizaciones-test-${Date.now()}.csv`);
+  fs.writeFileSync(archivo, 'Fecha;Moneda;Tipo de cambio\n09/05/2024;USD;39,10\n10/05/2024;USD;39,45\n');
+  const rates = new ExchangeRateService({ proveedor: new ProveedorArchivo(archivo), diasRetroceso: 3 });
+
+  // Domingo 12/05 → viernes 10/05
+  const domingo = await rates.obtenerTipoCambio('USD', '2024-05-12');
+  assertEqual(domingo.tipoCambio, 39.45);
+  assertEqual(domingo.fecha, '2024-05-10');
+  assertEqual((await rates.obtenerTipoCambio('UYU')).tipoCambio, 1);
+
+  let error = null;
+  try {
+    await rates.obtenerTipoCambio('EUR', '2024-05-10');
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error?.code, 'RATE_NOT_FOUND');
+
+  const service = new CreditNoteService({ exchangeRateService: rates });
+  const { ncData } = service.generarDatosNC({
+    refund: {
+      id: 880,
+      order_id: 7000001,
+      refund_line_items: [{
+        quantity: 1,
+        line_item: {
+          title: 'Bicicleta', price: '40000.00', tax_lines: [{ rate: 0.22 }],
+          price_set: { presentment_money: { amount: '1000.00', currency_code: 'USD' } }
+        }
+      }]
+    },
+    comprobanteOriginal: { id: 71, tipo_comprobante: 101, serie: 'A', numero: 1, moneda: 'USD', tipo_cambio: 40 },
+    canal: 'shopify'
+  });
+
+  assertEqual(ncData.moneda, 'USD');
+  assertEqual(ncData.tipo_cambio, 40);
+  assertEqual(ncData.items[0].precio, 1000);
+  fs.unlinkSync(archivo);
+});
+
+test('Shopify con y sin IVA incluido → montos_brutos y desglose por tasa igual a total_tax', () => {
+  const { desgloseIVAShopify } = require('../biller-client');
+
+  // Misma venta (libro 10% + remera 22% con descuento + envío 22%) en ambas modalidades
+  const incluido = {
+    id: 7100001, name: '#7101', taxes_included: true,
+    total_price: '1832.00', total_tax: '232.00',
+    line_items: [
+      { title: 'Libro', quantity: 2, price: '550.00', tax_lines: [{ rate: 0.1, price: '100.00' }] },
+      {
+        title: 'Remera', quantity: 1, price: '366.00', tax_lines: [{ rate: 0.22, price: '44.00' }],
+        discount_allocations: [{ amount: '122.00' }]
+      }
+    ],
+    shipping_lines: [{ title: 'Envío', price: '488.00', tax_lines: [{ rate: 0.22, price: '88.00' }] }]
+  };
+  const excluido = {
+    id: 7100002, name: '#7102', taxes_included: false,
+    total_price: '1832.00', total_tax: '232.00',
+    line_items: [
+      { title: 'Libro', quantity: 2, price: '500.00', tax_lines: [{ rate: 0.1, price: '100.00' }] },
+      {
+        title: 'Remera', quantity: 1, price: '300.00', tax_lines: [{ rate: 0.22, price: '44.00' }],
+        discount_allocations: [{ amount: '100.00' }]
+      }
+    ],
+    shipping_lines: [{ title: 'Envío', price: '400.00', tax_lines: [{ rate: 0.22, price: '88.00' }] }]
+  };
+
+  assertEqual(shopifyOrderToBiller(incluido).montos_brutos, 1);
+  const biller = shopifyOrderToBiller(excluido);
+  assertEqual(biller.montos_brutos, 0);
+  assertEqual(biller.items[0].indicador_facturacion, 2);
+  assertEqual(biller.items[2].indicador_facturacion, 3);
+
+  for (const order of [incluido, excluido]) {
+    const desglose = desgloseIVAShopify(order);
+    assertTrue(desglose.cuadra);
+    assertEqual(desglose.porIndicador[2].neto, 1000);
+    assertEqual(desglose.porIndicador[3].neto, 600);
+    assertEqual(desglose.totalNeto, 1600);
+  }
+  assertEqual(new BillingDecisionService().calcularMontoNeto(incluido), 1600);
+});
+
+test('NC de Shopify con IVA incluido: montos_brutos del original y envío con su impuesto', () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const service = new CreditNoteService();
+
+  const refund = {
+    id: 881,
+    order_id: 7100001,
+    refund_line_items: [{
+      quantity: 1,
+      line_item: { title: 'Libro', price: '550.00', tax_lines: [{ rate: 0.1, price: '50.00' }] }
+    }],
+    order_adjustments: [{ kind: 'shipping_refund', amount: '-400.00', tax_amount: '-88.00' }]
+  };
+
+  const { ncData } = service.generarDatosNC({
+    refund,
+    comprobanteOriginal: { id: 72, tipo_comprobante: 101, serie: 'A', numero: 2, montos_brutos: 1 },
+    canal: 'shopify'
+  });
+  assertEqual(ncData.montos_brutos, 1);
+  assertEqual(ncData.items[0].indicador_facturacion, 2);
+  assertEqual(ncData.items[1].precio, 488);
+  assertEqual(ncData.items[1].indicador_facturacion, 3);
+
+  // Sin el dato en el original se toma de la tienda
+  const sinIVA = service.generarDatosNC({
+    refund,
+    comprobanteOriginal: { id: 73, tipo_comprobante: 101, serie: 'A', numero: 3 },
+    originalOrder: { id: 7100002, taxes_included: false },
+    canal: 'shopify'
+  }).ncData;
+  assertEqual(sinIVA.montos_brutos, 0);
+  assertEqual(sinIVA.items[1].precio, 400);
+});
+
+test('Descuentos de Shopify por línea → una línea de descuento por tasa y envío con su IVA', () => {
+  const { desgloseIVAShopify } = require('../biller-client');
+
+  // Precios sin IVA: fruta exenta, libro 10% y envío gratis con cupón
+  const order = {
+    id: 7200001, name: '#7201', taxes_included: false,
+    total_price: '565.00', total_tax: '45.00', total_discounts: '230.00',
+    discount_codes: [{ code: 'VUELTA' }],
+    line_items: [
+      { title: 'Fruta', quantity: 2, price: '60.00', tax_lines: [], discount_allocations: [{ amount: '20.00' }] },
+      {
+        title: 'Libro', quantity: 1, price: '500.00', tax_lines: [{ rate: 0.1, price: '45.00' }],
+        discount_allocations: [{ amount: '50.00' }]
+      }
+    ],
+    shipping_lines: [{
+      title: 'Envío', price: '160.00', tax_lines: [{ rate: 0.22, price: '0.00' }],
+      discount_allocations: [{ amount: '160.00' }]
+    }]
+  };
+
+  const result = shopifyOrderToBiller(order);
+  const descuentos = result.items.filter(i => i.concepto === 'Descuento');
+  assertEqual(descuentos.length, 3);
+  assertEqual(descuentos.find(d => d.indicador_facturacion === 1).precio, -20);
+  assertEqual(descuentos.find(d => d.indicador_facturacion === 2).precio, -50);
+  assertEqual(descuentos.find(d => d.indicador_facturacion === 3).precio, -160);
+  assertEqual(result.items.find(i => i.concepto === 'Envío').indicador_facturacion, 3);
+
+  // Neto por tasa de los items = desglose de Shopify
+  const desglose = desgloseIVAShopify(order);
+  assertTrue(desglose.cuadra);
+  for (const indicador of [1, 2, 3]) {
+    const neto = result.items
+      .filter(i => i.indicador_facturacion === indicador)
+      .reduce((sum, i) => sum + i.cantidad * i.precio, 0);
+    assertEqual(neto, desglose.porIndicador[indicador].neto);
+  }
+});
+
+test('Reglas fiscales: persisten, se aplican por tag y SKU, y la NC repite la regla del original', async () => {
+  const { FiscalRulesService } = require('../services/fiscal-rules-service');
+  const { CreditNoteService } = require('../services/credit-note-service');
+
+  const archivo = path.join(os.tmpdir(), `reglas-fiscales-test-${Date.now()}.json`);
+  const reglas = new FiscalRulesService({ filePath: archivo });
+
+  let error = null;
+  try {
+    reglas.crear({ campo: 'color', valor: 'rojo', indicador: 'basica' });
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error?.code, 'INVALID_RULE');
+
+  reglas.crear({ nombre: 'Libros', campo: 'tag', valor: 'libros', indicador: 'mínima', prioridad: 10 });
+  reglas.crear({ nombre: 'Fruta a granel', campo: 'sku_prefix', valor: 'FRU-', indicador: 'exento', unidad_medida: 'kg' });
+  reglas.crear({ nombre: 'Envío exento', campo: 'envio', valor: '*', indicador: 1 });
+  assertEqual(new FiscalRulesService({ filePath: archivo }).listar().length, 3);
+
+  // Shopify sin impuestos configurados: las tax_lines dicen 22% en todo
+  const consultados = [];
+  const channel = new ShopifyChannel({
+    fiscalRules: reglas,
+    shopifyClient: {
+      getProduct: async (id) => { consultados.push(id); return { id, tags: id === 11 ? 'Libros, Ofertas' : '' }; },
+      marcarComoFacturado: async () => {}
+    }
+  });
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService()
+  });
+
+  const order = {
+    id: 7300001, name: '#7301', total_price: '760.00', total_tax: '0.00',
+    line_items: [
+      { title: 'Novela', product_id: 11, sku: 'LIB-1', quantity: 1, price: '500.00', tax_lines: [{ rate: 0.22 }] },
+      { title: 'Manzanas', product_id: 12, sku: 'FRU-MZ', quantity: 2, price: '80.00', tax_lines: [{ rate: 0.22 }] }
+    ],
+    shipping_lines: [{ title: 'Moto', price: '100.00', tax_lines: [{ rate: 0.22 }] }]
+  };
+
+  await pipeline.procesarPedido(channel, order);
+  const items = emitidos[0].items;
+  assertEqual(items[0].indicador_facturacion, 2);
+  assertEqual(items[1].indicador_facturacion, 1);
+  assertEqual(items[1].unidad_medida, 'KG');
+  assertEqual(items[2].indicador_facturacion, 1);
+  assertEqual(consultados.length, 2);
+
+  const registro = store.getByKey('shopify-7300001');
+  assertEqual(registro.reglas_fiscales.length, 3);
+  assertEqual(registro.reglas_fiscales[0].nombre, 'Libros');
+
+  // Sin datos del producto en el reembolso, la NC usa la regla registrada en el original
+  const { ncData } = new CreditNoteService({ fiscalRules: reglas }).generarDatosNC({
+    refund: {
+      id: 882, order_id: 7300001,
+      refund_line_items: [{ quantity: 1, line_item: { title: 'Novela', sku: 'LIB-1', price: '500.00', tax_lines: [{ rate: 0.22 }] } }]
+    },
+    comprobanteOriginal: { ...registro, tipo_comprobante: 101 },
+    canal: 'shopify'
+  });
+  assertEqual(ncData.items[0].indicador_facturacion, 2);
+  assertEqual(ncData.items[0].reglaFiscal.nombre, 'Libros');
+
+  store.stopAutoSave();
+  fs.unlinkSync(archivo);
+});
+
+test('Exportación: envío fuera de UY emite e-Factura de Exportación y su NC es 122', async () => {
+  const { CreditNoteService } = require('../services/credit-note-service');
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService()
+  });
+
+  const order = {
+    id: 7400001, name: '#7401', total_price: '1220.00', total_tax: '220.00',
+    email: 'compras@tienda.es',
+    note_attributes: [{ name: 'tax_id', value: 'B-12345678' }],
+    shipping_address: { first_name: 'Lucía', last_name: 'Pérez', address1: 'Gran Vía 1', city: 'Madrid', country_code: 'ES' },
+    line_items: [{ title: 'Mate', quantity: 1, price: '1220.00', tax_lines: [{ rate: 0.22, price: '220.00' }] }]
+  };
+  order.taxes_included = true;
+
+  await pipeline.procesarPedido(new ShopifyChannel({ shopifyClient: { marcarComoFacturado: async () => {} } }), order);
+  const datos = emitidos[0];
+  assertEqual(datos.tipo_comprobante, 121);
+  assertEqual(datos.cliente.sucursal.pais, 'ES');
+  assertEqual(datos.cliente.documento, 'B12345678');
+  assertEqual(datos.clausula_venta, 'DAP');
+  assertTrue(datos.items.every(i => i.indicador_facturacion === 10));
+  assertEqual(validarDatosComprobante(datos).valid, true);
+
+  const registro = store.getByKey('shopify-7400001');
+  assertEqual(registro.exportacion.via_transporte, 2);
+
+  const notas = new CreditNoteService();
+  assertEqual(notas.determinarTipoNC(121), 122);
+  assertEqual(notas.determinarTipoNC(211), 112);
+  assertEqual(notas.determinarTipoNC(181), 102);
+
+  const { ncData } = notas.generarDatosNC({
+    refund: {
+      id: 883, order_id: 7400001,
+      refund_line_items: [{ quantity: 1, line_item: { title: 'Mate', price: '1220.00', tax_lines: [{ rate: 0.22 }] } }]
+    },
+    comprobanteOriginal: registro,
+    canal: 'shopify'
+  });
+  assertEqual(ncData.tipo_comprobante, 122);
+  assertEqual(ncData.cliente.sucursal.pais, 'ES');
+  assertEqual(ncData.clausula_venta, 'DAP');
+  assertEqual(ncData.items[0].indicador_facturacion, 10);
+
+  store.stopAutoSave();
+});
+
+test('e-Remito: cada fulfillment referencia la venta, se guarda bajo su id y se vincula al pedido', async () => {
+  const { RemitoService } = require('../services/remito-service');
+
+  const store = crearStoreTemporal();
+  store.set(7500001, { id: 71, tipo_comprobante: 111, serie: 'A', numero: 40, fecha_emision: '2024-06-01',
+    cliente: { documento: '212222220019', razon_social: 'Empresa SA', sucursal: { pais: 'UY' } } });
+  store.set(7500002, { id: 72, tipo_comprobante: 121, serie: 'A', numero: 41 });
+
+  const emitidos = [];
+  const vinculados = [];
+  const remitos = new RemitoService({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    shopifyClient: { vincularRemito: async (orderId, remito) => vinculados.push({ orderId, key: `remito_${remito.fulfillment_id}` }) }
+  });
+
+  const fulfillment = {
+    id: 5550001, order_id: 7500001, name: '#7501.1', tracking_company: 'DAC', tracking_number: 'UY123',
+    destination: { address1: 'Av. Italia 1234', city: 'Montevideo', province: 'Montevideo', country_code: 'UY' },
+    line_items: [
+      { title: 'Silla', variant_title: 'Roble', sku: 'SIL-R', quantity: 2, price: '3000.00' },
+      { title: 'Mesa', sku: 'MES-1', quantity: 1, price: '9000.00' }
+    ]
+  };
+
+  const resultado = await remitos.procesarFulfillment({ fulfillment });
+  assertEqual(resultado.status, 'success');
+
+  const datos = emitidos[0];
+  assertEqual(datos.tipo_comprobante, 181);
+  assertEqual(datos.referencias[0].tipo_cfe, 111);
+  assertEqual(datos.referencias[0].numero, 40);
+  assertEqual(datos.items[0].cantidad, 2);
+  assertEqual(datos.items[0].precio, undefined);
+  assertTrue(datos.lugar_destino_entrega.startsWith('Av. Italia 1234, Montevideo'));
+  assertEqual(datos.cliente.documento, '212222220019');
+  assertEqual(validarDatosComprobante(datos).valid, true);
+
+  assertEqual(store.getByKey('shopify-fulfillment-5550001').referencia, 'A-40');
+  assertEqual(vinculados[0].key, 'remito_5550001');
+
+  // Reentrega del webhook: no duplica
+  assertEqual((await remitos.procesarFulfillment({ fulfillment })).reason, 'already_processed');
+
+  // Venta de exportación → e-Remito de Exportación; pedido sin venta → se omite
+  await remitos.procesarFulfillment({ fulfillment: { ...fulfillment, id: 5550002, order_id: 7500002 } });
+  assertEqual(emitidos[1].tipo_comprobante, 124);
+  const sinVenta = await remitos.procesarFulfillment({ fulfillment: { ...fulfillment, id: 5550003, order_id: 7509999 } });
+  assertEqual(sinVenta.reason, 'not_invoiced');
+  assertEqual(emitidos.length, 2);
+
+  store.stopAutoSave();
+});
+
+test('Notas de débito: edición que sube el total emite 113 con referencia y recargos no se duplican', async () => {
+  const { DebitNoteService } = require('../services/debit-note-service');
+
+  const store = crearStoreTemporal();
+  store.set(7600001, {
+    id: 73, tipo_comprobante: 111, serie: 'A', numero: 50, fecha_emision: '2024-06-01', total: 1220, moneda: 'UYU',
+    cliente: { documento: '212222220019', razon_social: 'Empresa SA', sucursal: { pais: 'UY' } }
+  });
+
+  const emitidos = [];
+  const notas = new DebitNoteService({ billerClient: crearBillerFalso(emitidos), comprobanteStore: store });
+  assertEqual(notas.determinarTipoND(101), 103);
+  assertEqual(notas.determinarTipoND(121), 123);
+
+  // Se agregan 2 unidades de un producto de 305 (con IVA incluido)
+  const order = {
+    id: 7600001, name: '#7601', total_price: '1220.00', current_total_price: '1830.00', taxes_included: true,
+    line_items: [
+      { id: 1, title: 'Termo', quantity: 1, price: '1220.00', tax_lines: [{ rate: 0.22, price: '220.00' }] },
+      { id: 2, title: 'Bombilla', sku: 'BOM-1', quantity: 2, price: '305.00', tax_lines: [{ rate: 0.22, price: '110.00' }] }
+    ]
+  };
+  const resultado = await notas.procesarEdicionShopify({
+    orderEdit: { id: 9001, order_id: 7600001, line_items: { additions: [{ id: 2, delta: 2 }], removals: [] } },
+    order
+  });
+
+  assertEqual(resultado.status, 'success');
+  const nd = emitidos[0];
+  assertEqual(nd.tipo_comprobante, 113);
+  assertEqual(nd.referencias[0].tipo_cfe, 111);
+  assertEqual(nd.referencias[0].numero, 50);
+  assertEqual(nd.items[0].codigo, 'BOM-1');
+  assertEqual(nd.items[0].cantidad, 2);
+  assertEqual(nd.cliente.documento, '212222220019');
+  assertEqual(validarDatosComprobante(nd).valid, true);
+  assertEqual(store.get(7600001).notas_debito[0].monto, 610);
+
+  // Otra edición: sólo sube un precio → línea de ajuste por la diferencia contra lo ya facturado
+  await notas.procesarEdicionShopify({
+    orderEdit: { id: 9002, order_id: 7600001, line_items: { additions: [] } },
+    order: { ...order, current_total_price: '1900.00' }
+  });
+  assertEqual(emitidos[1].items[0].precio, 70);
+  assertEqual(emitidos[1].montos_brutos, 1);
+
+  // Reembolso de 200 y otra edición de +100: current_total_price ya descuenta el reembolso
+  store.updateByKey('shopify-7600001', { notas_credito: [{ refund_id: 1, monto: 163.93, importe: 200 }] });
+  await notas.procesarEdicionShopify({ orderEdit: { id: 9004 }, order: { ...order, current_total_price: '1800.00' } });
+  assertEqual(emitidos[2].items[0].precio, 100);
+
+  // Baja del total: no hay ND
+  const baja = await notas.procesarEdicionShopify({ orderEdit: { id: 9003 }, order: { ...order, current_total_price: '1500.00' } });
+  assertEqual(baja.reason, 'total_not_increased');
+
+  // Recargo manual con la misma clave de idempotencia: una sola ND
+  await notas.procesarRecargo({ orderKey: 'shopify-7600001', monto: 150, concepto: 'Flete urgente', idempotencyKey: 'flete-1' });
+  const repetido = await notas.procesarRecargo({ orderKey: 'shopify-7600001', monto: 150, concepto: 'Flete urgente', idempotencyKey: 'flete-1' });
+  assertEqual(repetido.reason, 'already_processed');
+  assertEqual(emitidos.length, 4);
+  assertEqual(notas.totalFacturado(store.get(7600001)), 2150);
+
+  store.stopAutoSave();
+});
+
+test('Tabla de UI: importa CSV del BCU y la decisión usa el valor del día del pago', async () => {
+  const { UnidadIndexadaService } = require('../services/unidad-indexada-service');
+  const archivo = path.join(os.tmpdir(), `valores-ui-test-${Date.now()}.json`);
+  const tabla = new UnidadIndexadaService({ filePath: archivo, proveedor: { nombre: 'prueba', obtenerValores: async () => ({ '2024-07-01': 6.1 }) } });
+
+  const importado = tabla.importarCSV('Fecha;Valor\n01/06/2024;5,9800\n02/06/2024;5,9810\n');
+  assertEqual(importado.cargados, 2);
+  assertEqual(importado.desde, '2024-06-01');
+  assertEqual((await tabla.actualizar()).hasta, '2024-07-01');
+
+  // Sin valor del día se toma el último cargado; la tabla persiste
+  const releida = new UnidadIndexadaService({ filePath: archivo, proveedor: tabla.proveedor });
+  assertEqual(releida.obtenerValor('2024-06-04').fecha, '2024-06-02');
+  assertEqual(releida.listar({ desde: '2024-06-02' }).length, 2);
+
+  const { BillingDecisionService } = require('../services/billing-decision');
+  const service = new BillingDecisionService({ valorUI: 6, unidadIndexada: releida });
+  const opciones = { identificacion: { rut: null }, montoNeto: 30000 };
+
+  // 30000 / 5.98 > 5000 UI; con el valor de respaldo (6) no supera
+  const junio = service.determinarTipoComprobante({ id: 1 }, { ...opciones, fechaPago: '2024-06-01T15:00:00-03:00' });
+  assertTrue(junio.analisisMonto.superaLimite);
+  assertEqual(junio.ui.valor, 5.98);
+  assertEqual(junio.ui.fecha, '2024-06-01');
+  assertEqual(junio.ui.fuente, 'tabla');
+
+  const sinTabla = service.determinarTipoComprobante({ id: 2 }, { ...opciones, fechaPago: '2020-01-10' });
+  assertFalse(sinTabla.analisisMonto.superaLimite);
+  assertEqual(sinTabla.ui.fuente, 'configuracion');
+  assertEqual(sinTabla.ui.fecha, '2020-01-10');
+  fs.unlinkSync(archivo);
+});
+
+test('Venta sobre 5000 UI sin RUT queda retenida hasta que el comprador se identifica', async () => {
+  const { PendingIdentificationService } = require('../services/pending-identification-service');
+
+  class CanalRetiene extends ChannelAdapter {
+    constructor() {
+      super({ id: 'prueba', nombre: 'Prueba', retieneIdentificacion: true });
+      this.marcados = [];
+    }
+    async obtenerPedido(orderId) {
+      return { id: Number(orderId) };
+    }
+    normalizarPedido(order) {
+      return {
+        canal: this.id, id: String(order.id), nombre: `P-${order.id}`, storeKey: this.storeKey(order.id),
+        pagado: true, yaFacturado: false, total: 61000, montoNeto: 50000, email: null, datosStore: {}, raw: order
+      };
+    }
+    extraerIdentidad() {
+      return { rut: null, razonSocial: null, source: null };
+    }
+    convertirABiller(order, decision) {
+      return { tipo_comprobante: decision.tipoComprobante, items: [], numero_interno: this.storeKey(order.id) };
+    }
+    async marcarPendienteIdentificacion(pedido, pendiente) {
+      this.marcados.push(pendiente.url);
+    }
+  }
+
+  const archivo = path.join(os.tmpdir(), `pendientes-identificacion-test-${Date.now()}.json`);
+  const identificaciones = new PendingIdentificationService({ filePath: archivo, politica: 'retener_con_plazo', plazoHoras: 1 });
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService({ valorUI: 6 }),
+    pendingIdentification: identificaciones
+  });
+  const canal = new CanalRetiene();
+
+  const retenido = await pipeline.procesarPedido(canal, { id: 801 });
+  assertEqual(retenido.status, 'held');
+  assertEqual(emitidos.length, 0);
+
+  // Reentrega del webhook: sigue retenido con el mismo link
+  assertEqual((await pipeline.procesarPedido(canal, { id: 801 })).formUrl, retenido.formUrl);
+  assertEqual(canal.marcados.length, 1);
+
+  const { token } = identificaciones.listar({ estado: 'pendiente' })[0];
+  assertTrue(retenido.formUrl.endsWith(`/identificacion/${token}`));
+
+  let error = null;
+  try {
+    identificaciones.identificar(token, { documento: '123' });
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error.code, 'INVALID_DOCUMENT');
+
+  // El comprador carga su RUT → e-Factura
+  const identificado = identificaciones.identificar(token, { documento: '21-222222-0011', razonSocial: 'Empresa SA' });
+  assertEqual((await pipeline.liberarPedido(canal, identificado)).status, 'success');
+  assertEqual(emitidos[0].tipo_comprobante, 111);
+  assertEqual(identificaciones.buscar('prueba-801').estado, 'emitido');
+
+  // Plazo vencido → e-Ticket a consumidor final
+  await pipeline.procesarPedido(canal, { id: 802 });
+  const [vencido] = identificaciones.vencidos(new Date(Date.now() + 2 * 60 * 60 * 1000));
+  assertEqual((await pipeline.liberarPedido(canal, identificaciones.marcarVencido(vencido.token))).status, 'success');
+  assertEqual(emitidos[1].tipo_comprobante, 101);
+  assertEqual(pipeline.getStats().retenidos, 2);
+
+  store.stopAutoSave();
+  fs.unlinkSync(archivo);
+});
+
+test('Turista con pasaporte o DNI del exterior: e-Ticket con tipo de documento y país', async () => {
+  const { extraerDocumentoExtranjero } = require('../utils/validators');
+
+  const store = crearStoreTemporal();
+  const emitidos = [];
+  const pipeline = new BillingPipeline({
+    billerClient: crearBillerFalso(emitidos),
+    comprobanteStore: store,
+    billingDecision: new BillingDecisionService({ valorUI: 6 })
+  });
+  const canal = new ShopifyChannel({ shopifyClient: { marcarComoFacturado: async () => {} } });
+
+  // Venta sobre el límite retirada en Montevideo por una turista argentina
+  const order = {
+    id: 7700001, name: '#7701', total_price: '61000.00', total_tax: '11000.00', taxes_included: true,
+    email: 'sofia@correo.com.ar',
+    note_attributes: [{ name: 'Pasaporte', value: 'AAB 123456' }, { name: 'País documento', value: 'ar' }],
+    billing_address: { first_name: 'Sofía', last_name: 'Gómez', address1: 'Hotel Centro', city: 'Montevideo', country_code: 'UY' },
+    line_items: [{ title: 'Campera de cuero', quantity: 1, price: '61000.00', tax_lines: [{ rate: 0.22, price: '11000.00' }] }]
+  };
+
+  await pipeline.procesarPedido(canal, order);
+  const datos = emitidos[0];
+  assertEqual(datos.tipo_comprobante, 101);
+  assertEqual(datos.cliente.tipo_documento, 5);
+  assertEqual(datos.cliente.documento, 'AAB123456');
+  assertEqual(datos.cliente.sucursal.pais, 'AR');
+  assertEqual(validarDatosComprobante(datos).valid, true);
+
+  // Tipo elegido en el checkout: el número en el campo "documento" no se lee como CI
+  const dni = {
+    note_attributes: [
+      { name: 'tipo_documento', value: 'DNI' },
+      { name: 'documento', value: '12.345.678' },
+      { name: 'nacionalidad', value: 'BR' }
+    ]
+  };
+  assertEqual(extraerRUTDePedido(dni).rut, null);
+  assertEqual(extraerDocumentoExtranjero(dni, { incluirCamposRUT: false }).tipoDocumento, 6);
+
+  // DGI sólo tiene DNI para AR, BR, CL y PY: el resto va como "otro"
+  const otro = { metafields: [{ namespace: 'checkout', key: 'dni', value: 'X1234567' }] };
+  assertEqual(extraerDocumentoExtranjero(otro, { incluirCamposRUT: false, pais: 'US' }).tipoDocumento, 4);
+
+  // Pasaporte en una e-Factura: inválido
+  assertFalse(validarDatosComprobante({ ...datos, tipo_comprobante: 111 }).valid);
+
+  store.stopAutoSave();
+});
+
+test('Dígito verificador de CI y RUT, normalización y modo estricto', () => {
+  const { validarCI, normalizarDocumento } = require('../utils/validators');
+  const config = require('../config');
+
+  // CI: algoritmo propio (pesos 2987634, módulo 10)
+  assertTrue(validarCI('1.234.567-2').valid);
+  assertFalse(validarCI('1.234.567-8').valid);
+  assertEqual(validarRUT('12345672').type, 'CI');
+  assertFalse(validarRUT('12345672').needsVerification === true, 'CI correcta no requiere verificación');
+
+  // Puntos, guion y cero inicial faltante
+  assertEqual(normalizarDocumento('912.345-7'), '09123457');
+  assertEqual(normalizarDocumento('21.100.342-0017'), '211003420017');
+  assertEqual(normalizarDocumento('21100342001'), '21100342001', 'Sin cero inicial válido no se completa');
+
+  // Estricto: un dígito verificador incorrecto se rechaza
+  assertTrue(validarRUT('212222220019').needsVerification);
+  assertFalse(validarRUT('212222220019', { estricto: true }).valid);
+  assertTrue(validarRUT('21-222222-0011', { estricto: true }).valid);
+
+  // En la decisión: sin e-Factura para un RUT mal tipeado
+  const order = {
+    id: 7800001, name: '#7801', total_price: '1220.00', total_tax: '220.00', taxes_included: true,
+    note: 'RUT: 21.222.222-0019',
+    line_items: [{ title: 'Producto', quantity: 1, price: '1220.00' }]
+  };
+  config.facturacion.validacionDocumentoEstricta = true;
+  try {
+    const decision = new BillingDecisionService({ valorUI: 6 }).determinarTipoComprobante(order);
+    assertEqual(decision.tipoComprobante, 101);
+    assertTrue(decision.warnings.some(w => w.code === 'DOCUMENTO_INVALIDO'));
+  } finally {
+    config.facturacion.validacionDocumentoEstricta = false;
+  }
+  assertEqual(new BillingDecisionService({ valorUI: 6 }).determinarTipoComprobante(order).tipoComprobante, 111);
+});
+
+// ============================================================
+// TESTS DE WOOCOMMERCE
+// ============================================================
+
+console.log('\n--- WooCommerce ---\n');
+
+const { woocommerceOrderToBiller, woocommerceRefundToRefund } = require('../biller-client');
+const { WooCommerceClient } = require('../woocommerce-client');
+
+const pedidoWooCommerce = {
+  id: 812,
+  number: '812',
+  status: 'processing',
+  total: '1464.00',
+  total_tax: '264.00',
+  discount_total: '100.00',
+  discount_tax: '22.00',
+  billing: {
+    first_name: 'Ana', last_name: 'Pérez', company: 'Ferretería Sur SA',
+    address_1: 'Rivera 1234', city: 'Montevideo', state: 'Montevideo', email: 'ana@test.com'
+  },
+  meta_data: [{ key: '_billing_rut', value: '212222220019' }],
+  line_items: [
+    { id: 1, name: 'Taladro', quantity: 2, subtotal: '1000.00', subtotal_tax: '220.00', total: '900.00', total_tax: '198.00', sku: 'TAL-1' }
+  ],
+  shipping_lines: [{ method_title: 'Envío a domicilio', total: '200.00', total_tax: '44.00' }],
+  fee_lines: [{ name: 'Embalaje', total: '100.00', total_tax: '22.00', tax_status: 'taxable' }],
+  coupon_lines: [{ code: 'SUR10' }],
+  refunds: []
+};
+
+test('Pedido WooCommerce con RUT → e-Factura con envío, cargos y cupón', () => {
+  const result = woocommerceOrderToBiller(pedidoWooCommerce);
+
+  assertEqual(result.tipo_comprobante, 111);
+  assertEqual(result.cliente.documento, '212222220019');
+  assertEqual(result.cliente.razon_social, 'Ferretería Sur SA');
+  assertEqual(result.montos_brutos, 1);
+  assertEqual(result.numero_interno, 'woocommerce-812');
+  assertEqual(result.items[0].precio, 610);
+  assertEqual(result.items[0].codigo, 'TAL-1');
+  assertEqual(result.items[1].precio, 244);
+  assertEqual(result.items[2].concepto, 'Embalaje');
+  assertEqual(result.items[3].precio, -122);
+  assertEqual(result.items[3].descripcion, 'SUR10');
+
+  const total = result.items.reduce((sum, i) => sum + i.precio * (i.cantidad || 1), 0);
+  assertEqual(total, 1464);
+});
+
+test('Reembolso WooCommerce → items devueltos y ajuste por monto sin items', () => {
+  const refund = woocommerceRefundToRefund(pedidoWooCommerce, {
+    id: 901,
+    amount: '660.00',
+    reason: 'Producto dañado',
+    line_items: [{ name: 'Taladro', quantity: -1, total: '-450.00', total_tax: '-99.00', sku: 'TAL-1' }]
+  });
+
+  assertEqual(refund.order_id, 812);
+  assertEqual(refund.refund_line_items[0].quantity, 1);
+  assertEqual(refund.refund_line_items[0].line_item.price, 549);
+  assertEqual(refund.order_adjustments[0].kind, 'refund_discrepancy');
+  assertEqual(refund.order_adjustments[0].amount, -111);
+});
+
+test('Firma de webhook WooCommerce (X-WC-Webhook-Signature)', () => {
+  const crypto = require('crypto');
+  const client = new WooCommerceClient();
+  client.webhookSecret = 'secreto-wc';
+
+  const body = JSON.stringify({ id: 812, status: 'completed' });
+  const firma = crypto.createHmac('sha256', 'secreto-wc').update(body, 'utf8').digest('base64');
+
+  assertTrue(client.verifyWebhookSignature(body, firma));
+  assertFalse(client.verifyWebhookSignature(body.replace('812', '813'), firma));
+});
+
+// ============================================================
+// TESTS DE TIENDANUBE
+// ============================================================
+
+console.log('\n--- Tiendanube ---\n');
+
+const { tiendanubeOrderToBiller } = require('../biller-client');
+const { TiendanubeClient } = require('../tiendanube-client');
+const { TiendanubeChannel } = require('../channels/tiendanube-channel');
+
+test('Pedido Tiendanube con identificación RUT → e-Factura', () => {
+  const result = tiendanubeOrderToBiller({
+    id: 450001,
+    number: 1203,
+    total: '2350.00',
+    contact_email: 'compras@empresa.com.uy',
+    contact_identification: '21.222.222.0019',
+    billing_business_name: 'Empresa SA',
+    billing_address: 'Av. Italia',
+    billing_number: '2500',
+    billing_city: 'Montevideo',
+    products: [{ name: 'Remera (Azul, M)', price: '1100.00', quantity: 2, sku: 'REM-AZ-M' }],
+    shipping_cost_customer: '250.00',
+    discount: '100.00',
+    coupon: [{ code: 'BIENVENIDA' }]
+  });
+
+  assertEqual(result.tipo_comprobante, 111);
+  assertEqual(result.cliente.documento, '212222220019');
+  assertEqual(result.cliente.razon_social, 'Empresa SA');
+  assertEqual(result.cliente.sucursal.direccion, 'Av. Italia 2500');
+  assertEqual(result.montos_brutos, 1);
+  assertEqual(result.numero_orden, 'TN-1203');
+  assertEqual(result.items.length, 3);
+  assertEqual(result.items[2].precio, -100);
+
+  // Monto neto para la regla de 5000 UI: según el IVA de cada item, no total / 1.22
+  const { montoNetoItems } = require('../biller-client');
+  assertEqual(Math.round(montoNetoItems([
+    { cantidad: 1, precio: 1220, indicador_facturacion: 3 },
+    { cantidad: 1, precio: 110, indicador_facturacion: 2 },
+    { cantidad: 1, precio: 100, indicador_facturacion: 1 }
+  ]) * 100) / 100, 1200);
+  assertEqual(Math.round(new TiendanubeChannel().normalizarPedido({
+    id: 450001, total: '2350.00', payment_status: 'paid',
+    products: [{ name: 'Remera', price: '1100.00', quantity: 2 }], shipping_cost_customer: '250.00', discount: '100.00'
+  }).montoNeto * 100) / 100, 1926.23);
+});
+
+test('Cancelación Tiendanube anula el comprobante y verifica firma hex', async () => {
+  const crypto = require('crypto');
+  const client = new TiendanubeClient();
+  client.clientSecret = 'secreto-tn';
+  const body = JSON.stringify({ store_id: 1, event: 'order/cancelled', id: 450002 });
+  const firma = crypto.createHmac('sha256', 'secreto-tn').update(body, 'utf8').digest('hex');
+  assertTrue(client.verifyWebhookHMAC(body, firma));
+  assertFalse(client.verifyWebhookHMAC(body.replace('450002', '450003'), firma));
+
+  const { CreditNoteService } = require('../services/credit-note-service');
+  const store = crearStoreTemporal();
+  store.setByKey('tiendanube-450002', { id: 90, tipo_comprobante: 101, serie: 'A', numero: 30, total: 2350 });
+
+  const emitidos = [];
+  const biller = crearBillerFalso(emitidos);
+  const pipeline = new BillingPipeline({
+    billerClient: biller,
+    comprobanteStore: store,
+    creditNoteService: new CreditNoteService({ billerClient: biller, comprobanteStore: store })
+  });
+  const canal = new TiendanubeChannel();
+
+  const result = await pipeline.procesarCancelacion(canal, { id: 450002, number: 1204 });
+  assertEqual(result.status, 'success');
+  assertEqual(emitidos[0].id, 90);
+  assertTrue(store.hasKey('tiendanube-refund-cancel-450002'));
+
+  // Con una ND de recargo: NC por el total más la ND (no se anula sólo el original)
+  store.setByKey('tiendanube-450003', {
+    id: 91, tipo_comprobante: 101, serie: 'A', numero: 31, fecha_emision: '2024-06-01', total: 1000,
+    notas_debito: [{ key: 'tiendanube-450003-debit-recargo-1', id: 92, monto: 150 }]
+  });
+  await pipeline.procesarCancelacion(canal, { id: 450003, number: 1205 });
+  assertEqual(emitidos[1].tipo_comprobante, 102);
+  assertEqual(emitidos[1].items[0].precio, 1150);
+
+  // order/paid que llega después de la cancelación: el pedido ya no se factura
+  const cancelado = { id: 450004, payment_status: 'paid', status: 'cancelled', total: '500.00', products: [] };
+  assertFalse(new TiendanubeChannel().normalizarPedido(cancelado).pagado);
+  store.stopAutoSave();
+});
+
 // ============================================================
 // TESTS DE CIRCUIT BREAKER
 // ============================================================
@@ -0,0 +1,220 @@
+/**
+ * Cliente para API de Tiendanube / Nuvemshop
+ * @module tiendanube-client
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { withRetry } = require('./utils/retry');
+
+/**
+ * Error personalizado para Tiendanube
+ */
+class TiendanubeError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'TiendanubeError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Eventos de webhook que procesa la integración
+ */
+const EVENTOS_WEBHOOK = ['order/paid', 'order/cancelled'];
+
+/**
+ * Cliente para la API de Tiendanube
+ */
+class TiendanubeClient {
+  constructor() {
+    this.apiUrl = config.tiendanube.apiUrl;
+    this.storeId = config.tiendanube.storeId;
+    this.accessToken = config.tiendanube.accessToken;
+    this.clientSecret = config.tiendanube.clientSecret;
+    this.userAgent = config.tiendanube.userAgent;
+  }
+
+  /**
+   * URL base de la API de la tienda
+   */
+  get baseUrl() {
+    return `${this.apiUrl}/${this.storeId}`;
+  }
+
+  /**
+   * Realizar petición a la API de Tiendanube
+   */
+  async request(method, endpoint, data = null) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const startTime = Date.now();
+
+    const options = {
+      method,
+      headers: {
+        // Tiendanube usa "Authentication" (no "Authorization")
+        'Authentication': `bearer ${this.accessToken}`,
+        'User-Agent': this.userAgent,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (data) {
+      options.body = JSON.stringify(data);
+    }
+
+    try {
+      const response = await fetch(url, options);
+      const duration = Date.now() - startTime;
+
+      logger.request(method, endpoint, response.status, duration);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorData;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch {
+          errorData = { message: errorText };
+        }
+
+        throw new TiendanubeError(
+          errorData.description || errorData.message || `HTTP ${response.status}`,
+          response.status === 404 ? 'NOT_FOUND' : 'API_ERROR',
+          response.status,
+          errorData
+        );
+      }
+
+      const text = await response.text();
+      return text ? JSON.parse(text) : {};
+
+    } catch (error) {
+      if (error instanceof TiendanubeError) throw error;
+
+      throw new TiendanubeError(
+        `Error de conexión: ${error.message}`,
+        'NETWORK_ERROR',
+        0,
+        null
+      );
+    }
+  }
+
+  /**
+   * Request con reintentos
+   */
+  async requestWithRetry(method, endpoint, data = null, operationName = 'tn-request') {
+    return withRetry(
+      () => this.request(method, endpoint, data),
+      {
+        maxAttempts: 3,
+        initialDelay: 1000,
+        maxDelay: 5000,
+        operationName
+      }
+    );
+  }
+
+  // ============================================================
+  // WEBHOOKS
+  // ============================================================
+
+  /**
+   * Verificar firma x-linkedstore-hmac-sha256 (HMAC-SHA256 hex del body con el client secret)
+   * @param {string} data - Body crudo
+   * @param {string} hmacHeader - Header x-linkedstore-hmac-sha256
+   */
+  verifyWebhookHMAC(data, hmacHeader) {
+    if (!hmacHeader || !data || !this.clientSecret) return false;
+
+    const hash = crypto
+      .createHmac('sha256', this.clientSecret)
+      .update(data, 'utf8')
+      .digest('hex');
+
+    try {
+      return crypto.timingSafeEqual(
+        Buffer.from(hash),
+        Buffer.from(String(hmacHeader).toLowerCase())
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Registrar los webhooks de pedidos apuntando a este servidor
+   * @returns {Array} Resultado por evento
+   */
+  async registrarWebhooks() {
+    const url = `${config.server.publicUrl}${config.tiendanube.webhookPath}`;
+    const existentes = await this.request('GET', '/webhooks');
+    const resultados = [];
+
+    for (const event of EVENTOS_WEBHOOK) {
+      const existente = (existentes || []).find(w => w.event === event && w.url === url);
+
+      if (existente) {
+        resultados.push({ event, status: 'exists', id: existente.id });
+        continue;
+      }
+
+      try {
+        const webhook = await this.request('POST', '/webhooks', { event, url });
+        resultados.push({ event, status: 'created', id: webhook.id });
+      } catch (error) {
+        resultados.push({ event, status: 'error', error: error.message });
+      }
+    }
+
+    return resultados;
+  }
+
+  // ============================================================
+  // PEDIDOS
+  // ============================================================
+
+  /**
+   * Obtener un pedido por ID
+   */
+  async getOrder(orderId) {
+    return this.requestWithRetry(
+      'GET',
+      `/orders/${orderId}`,
+      null,
+      'tn-get-order'
+    );
+  }
+
+  /**
+   * Agregar los datos del comprobante a la nota interna del pedido
+   */
+  async agregarNotaComprobante(orderId, datosComprobante) {
+    const nota = [
+      '✅ Comprobante emitido',
+      `Número: ${datosComprobante.serie}-${datosComprobante.numero}`,
+      `CAE: ${datosComprobante.cae_numero || 'N/A'}`,
+      datosComprobante.publicPdfUrl ? `PDF: ${datosComprobante.publicPdfUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    // Mantener la nota interna existente
+    const order = await this.getOrder(orderId);
+    const notaExistente = order.owner_note || '';
+
+    await this.request('PUT', `/orders/${orderId}`, {
+      owner_note: notaExistente
+        ? `${notaExistente}\n\n--- Facturación ---\n${nota}`
+        : nota
+    });
+  }
+}
+
+module.exports = {
+  TiendanubeClient,
+  TiendanubeError,
+  EVENTOS_WEBHOOK
+};
@@ -23,6 +23,13 @@ const AUDIT_ACTIONS = {
   // Notas de crédito
   NC_EMITIDA: 'nc_emitida',
   NC_FALLIDA: 'nc_fallida',
+  PEDIDO_CANCELADO: 'pedido_cancelado',
+
+  // Notas de débito
+  ND_EMITIDA: 'nd_emitida',
+
+  // Remitos
+  REMITO_EMITIDO: 'remito_emitido',
 
   // Webhooks
   WEBHOOK_RECIBIDO: 'webhook_recibido',
@@ -35,6 +42,10 @@ const AUDIT_ACTIONS = {
   DECISION_ETICKET: 'decision_eticket',
   DECISION_SUPERA_LIMITE: 'decision_supera_limite',
 
+  // Ventas sobre el límite sin identificación
+  IDENTIFICACION_SOLICITADA: 'identificacion_solicitada',
+  IDENTIFICACION_RESUELTA: 'identificacion_resuelta',
+
   // Validaciones
   RUT_VALIDADO_DGI: 'rut_validado_dgi',
   RUT_INVALIDO: 'rut_invalido',
@@ -137,7 +148,8 @@ class AuditLogger {
         numero: data.numero,
         cae: data.cae,
         monto: data.monto,
-        cliente: data.cliente
+        cliente: data.cliente,
+        reglasFiscales: data.reglasFiscales
       },
       duration: data.duration
     });
@@ -178,6 +190,62 @@ class AuditLogger {
     });
   }
 
+  /**
+   * Registra la NC por el saldo de un pedido cancelado
+   */
+  pedidoCancelado(data) {
+    return this.log(AUDIT_ACTIONS.PEDIDO_CANCELADO, {
+      orderId: data.orderId,
+      comprobanteId: data.ncId,
+      result: 'success',
+      details: {
+        tipo: data.tipo,
+        serie: data.serie,
+        numero: data.numero,
+        monto: data.monto,
+        anulacion: data.anulacion,
+        comprobanteOriginalId: data.comprobanteOriginalId
+      }
+    });
+  }
+
+  /**
+   * Registra emisión de ND exitosa
+   */
+  ndEmitida(data) {
+    return this.log(AUDIT_ACTIONS.ND_EMITIDA, {
+      orderId: data.orderId,
+      comprobanteId: data.ndId,
+      result: 'success',
+      details: {
+        tipo: data.tipo,
+        serie: data.serie,
+        numero: data.numero,
+        monto: data.monto,
+        comprobanteOriginalId: data.comprobanteOriginalId
+      }
+    });
+  }
+
+  /**
+   * Registra emisión de e-Remito exitosa
+   */
+  remitoEmitido(data) {
+    return this.log(AUDIT_ACTIONS.REMITO_EMITIDO, {
+      orderId: data.orderId,
+      comprobanteId: data.remitoId,
+      result: 'success',
+      details: {
+        fulfillmentId: data.fulfillmentId,
+        tipo: data.tipo,
+        serie: data.serie,
+        numero: data.numero,
+        items: data.items,
+        comprobanteOriginalId: data.comprobanteOriginalId
+      }
+    });
+  }
+
   /**
    * Registra webhook recibido
    */
@@ -212,7 +280,39 @@ class AuditLogger {
         montoEnUI: data.montoEnUI,
         tieneRUT: data.tieneRUT,
         rutValido: data.rutValido,
-        superaLimite: data.superaLimite
+        superaLimite: data.superaLimite,
+        valorUI: data.valorUI,
+        fechaUI: data.fechaUI
+      }
+    });
+  }
+
+  /**
+   * Registra pedido retenido hasta identificar al comprador
+   */
+  identificacionSolicitada(data) {
+    return this.log(AUDIT_ACTIONS.IDENTIFICACION_SOLICITADA, {
+      orderId: data.orderId,
+      result: 'warning',
+      details: {
+        montoEnUI: data.montoEnUI,
+        politica: data.politica,
+        expiraAt: data.expiraAt
+      }
+    });
+  }
+
+  /**
+   * Registra pedido retenido liberado (identificado o plazo vencido)
+   */
+  identificacionResuelta(data) {
+    return this.log(AUDIT_ACTIONS.IDENTIFICACION_RESUELTA, {
+      orderId: data.orderId,
+      result: data.identificado ? 'success' : 'warning',
+      details: {
+        estado: data.estado,
+        documento: data.documento,
+        tipoDocumento: data.tipoDocumento
       }
     });
   }
@@ -0,0 +1,216 @@
+/**
+ * ML Token Store
+ *
+ * Persiste los tokens OAuth de MercadoLibre por vendedor (user_id).
+ * Los tokens se guardan cifrados (AES-256-GCM) y se escriben a disco
+ * inmediatamente: el refresh_token de MercadoLibre es de un solo uso,
+ * perder el último obliga a re-autorizar.
+ *
+ * @module utils/ml-token-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('../config');
+
+const ALGORITMO = 'aes-256-gcm';
+
+/**
+ * Clase para almacenar tokens de vendedores de MercadoLibre
+ */
+class MLTokenStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.mercadolibre.tokensFile;
+    this.key = derivarClave(options.encryptionKey || config.mercadolibre.encryptionKey);
+
+    this.sellers = new Map(); // sellerId → { iv, tag, data }
+
+    // Crear directorio si no existe
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.load();
+
+    logger.info('MLTokenStore inicializado', {
+      filePath: this.filePath,
+      vendedores: this.sellers.size
+    });
+  }
+
+  /**
+   * Carga tokens cifrados desde archivo
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+
+      if (data.sellers && typeof data.sellers === 'object') {
+        this.sellers = new Map(Object.entries(data.sellers));
+      }
+
+    } catch (error) {
+      logger.error(`Error cargando MLTokenStore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda tokens en archivo (escritura atómica)
+   */
+  save() {
+    try {
+      const data = {
+        version: 1,
+        updated_at: new Date().toISOString(),
+        sellers: Object.fromEntries(this.sellers)
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+
+    } catch (error) {
+      logger.error(`Error guardando MLTokenStore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene los tokens de un vendedor
+   * @param {string|number} sellerId
+   * @returns {Object|null} { access_token, refresh_token, expires_at, ... }
+   */
+  get(sellerId) {
+    const entry = this.sellers.get(String(sellerId));
+    if (!entry) return null;
+
+    try {
+      return this._descifrar(entry);
+    } catch (error) {
+      // Clave de cifrado cambiada o archivo alterado
+      logger.error('No se pudieron descifrar los tokens de MercadoLibre', {
+        sellerId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Guarda los tokens de un vendedor
+   * @param {string|number} sellerId
+   * @param {Object} tokens
+   */
+  set(sellerId, tokens) {
+    const entry = {
+      ...tokens,
+      user_id: String(sellerId),
+      updated_at: new Date().toISOString()
+    };
+
+    this.sellers.set(String(sellerId), this._cifrar(entry));
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * Verifica si hay tokens para un vendedor
+   */
+  has(sellerId) {
+    return this.sellers.has(String(sellerId));
+  }
+
+  /**
+   * Elimina los tokens de un vendedor
+   */
+  delete(sellerId) {
+    const deleted = this.sellers.delete(String(sellerId));
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /**
+   * Lista los vendedores autorizados (sin secretos)
+   * @returns {Array} [{ user_id, expires_at, updated_at }]
+   */
+  list() {
+    return Array.from(this.sellers.keys())
+      .map(sellerId => this.get(sellerId))
+      .filter(Boolean)
+      .map(({ user_id, nickname, scope, expires_at, updated_at }) => ({
+        user_id, nickname, scope, expires_at, updated_at
+      }));
+  }
+
+  /**
+   * Cifra una entrada
+   * @private
+   */
+  _cifrar(entry) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITMO, this.key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(entry), 'utf8'),
+      cipher.final()
+    ]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Descifra una entrada
+   * @private
+   */
+  _descifrar(entry) {
+    const decipher = crypto.createDecipheriv(
+      ALGORITMO,
+      this.key,
+      Buffer.from(entry.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(entry.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(json);
+  }
+}
+
+/**
+ * Deriva una clave de 32 bytes a partir del secreto configurado
+ */
+function derivarClave(secreto) {
+  if (!secreto) {
+    throw new Error('ML_TOKEN_ENCRYPTION_KEY (o ML_CLIENT_SECRET) es requerido para guardar tokens');
+  }
+  return crypto.createHash('sha256').update(String(secreto)).digest();
+}
+
+// Singleton
+let instance = null;
+
+function getMLTokenStore(options = {}) {
+  if (!instance) {
+    instance = new MLTokenStore(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  MLTokenStore,
+  getMLTokenStore
+};
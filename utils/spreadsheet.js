@@ -0,0 +1,355 @@
+/**
+ * Lectura y escritura de planillas (CSV y XLSX)
+ *
+ * Sin dependencias externas: el XLSX es un ZIP con XML, se lee la primera
+ * hoja con zlib. Alcanza para planillas exportadas por Excel, Google Sheets
+ * o LibreOffice (sin fórmulas sin calcular ni celdas combinadas).
+ *
+ * @module utils/spreadsheet
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Error de formato de planilla
+ */
+class SpreadsheetError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'SpreadsheetError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Parsear CSV (RFC 4180). Detecta separador "," o ";" (Excel en español usa ";")
+ * @param {string} texto - Contenido del archivo
+ * @returns {Array<Array<string>>} Filas de celdas
+ */
+function parsearCSV(texto) {
+  const contenido = String(texto).replace(/^\uFEFF/, '');
+  const primeraLinea = contenido.split(/\r?\n/, 1)[0];
+  const separador = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length
+    ? ';'
+    : ',';
+
+  const filas = [];
+  let fila = [];
+  let celda = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const c = contenido[i];
+
+    if (entreComillas) {
+      if (c === '"' && contenido[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        celda += c;
+      }
+    } else if (c === '"') {
+      entreComillas = true;
+    } else if (c === separador) {
+      fila.push(celda);
+      celda = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && contenido[i + 1] === '\n') i++;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = '';
+    } else {
+      celda += c;
+    }
+  }
+
+  if (celda !== '' || fila.length > 0) {
+    fila.push(celda);
+    filas.push(fila);
+  }
+
+  return filas;
+}
+
+/**
+ * Generar CSV a partir de objetos
+ * @param {Array<Object>} registros
+ * @param {Array<string>} columnas - Columnas en orden
+ * @returns {string}
+ */
+function generarCSV(registros, columnas) {
+  const escapar = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    const texto = String(valor);
+    return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+
+  const lineas = [columnas.join(',')];
+  for (const registro of registros) {
+    lineas.push(columnas.map(col => escapar(registro[col])).join(','));
+  }
+
+  return lineas.join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// XLSX
+// ============================================================
+
+/**
+ * Tamaño máximo descomprimido de cada archivo del XLSX (evita ZIP bombs)
+ */
+const MAX_DESCOMPRIMIDO = 64 * 1024 * 1024;
+
+/**
+ * Leer las entradas de un ZIP (directorio central)
+ * @private
+ */
+function leerZip(buffer) {
+  try {
+    return leerDirectorioZip(buffer);
+  } catch (error) {
+    if (error instanceof SpreadsheetError) throw error;
+    // Archivo truncado: offsets fuera del buffer (RangeError)
+    throw new SpreadsheetError('Archivo XLSX corrupto', 'INVALID_XLSX', 400, { error: error.message });
+  }
+}
+
+/**
+ * @private
+ */
+function leerDirectorioZip(buffer) {
+  // Fin del directorio central (puede tener un comentario de hasta 64 KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd < 0) {
+    throw new SpreadsheetError('Archivo XLSX inválido', 'INVALID_XLSX', 400, null);
+  }
+
+  const entradas = {};
+  const total = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let n = 0; n < total; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new SpreadsheetError('Archivo XLSX corrupto', 'INVALID_XLSX', 400, null);
+    }
+
+    const metodo = buffer.readUInt16LE(offset + 10);
+    const tamanio = buffer.readUInt32LE(offset + 20);
+    const largoNombre = buffer.readUInt16LE(offset + 28);
+    const largoExtra = buffer.readUInt16LE(offset + 30);
+    const largoComentario = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const nombre = buffer.toString('utf8', offset + 46, offset + 46 + largoNombre);
+
+    // Los datos empiezan después del header local (con su propio nombre y extra)
+    const inicio = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    if (inicio + tamanio > buffer.length) {
+      throw new SpreadsheetError('Archivo XLSX corrupto', 'INVALID_XLSX', 400, null);
+    }
+    entradas[nombre] = { metodo, datos: buffer.subarray(inicio, inicio + tamanio) };
+
+    offset += 46 + largoNombre + largoExtra + largoComentario;
+  }
+
+  return {
+    nombres: Object.keys(entradas),
+    leer(nombre) {
+      const entrada = entradas[nombre];
+      if (!entrada) return null;
+      if (entrada.metodo !== 8) return entrada.datos.toString('utf8');
+
+      try {
+        return zlib.inflateRawSync(entrada.datos, { maxOutputLength: MAX_DESCOMPRIMIDO }).toString('utf8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new SpreadsheetError(`El archivo ${nombre} del XLSX es demasiado grande`, 'XLSX_TOO_LARGE', 413, null);
+        }
+        throw new SpreadsheetError('Archivo XLSX corrupto', 'INVALID_XLSX', 400, { error: error.message });
+      }
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function decodificarXML(texto) {
+  return texto
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Texto de un nodo con runs (<t> sueltos o dentro de <r>)
+ * @private
+ */
+function textoDeNodo(xml) {
+  const partes = [];
+  const regex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    partes.push(decodificarXML(match[1]));
+  }
+  return partes.join('');
+}
+
+/**
+ * Índice de columna a partir de la referencia de celda ("C12" → 2)
+ * @private
+ */
+function indiceColumna(referencia) {
+  const letras = referencia.replace(/\d+$/, '');
+  let indice = 0;
+  for (const letra of letras) {
+    indice = indice * 26 + (letra.charCodeAt(0) - 64);
+  }
+  return indice - 1;
+}
+
+/**
+ * Parsear la primera hoja de un XLSX
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array<Array<string>>} Filas de celdas (una por fila de la hoja)
+ */
+function parsearXLSX(buffer) {
+  const zip = leerZip(buffer);
+
+  const hoja = zip.nombres
+    .filter(n => /^xl\/worksheets\/sheet\d+\.xml$/.test(n))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]))[0];
+
+  if (!hoja) {
+    throw new SpreadsheetError('El XLSX no tiene hojas', 'INVALID_XLSX', 400, null);
+  }
+
+  const compartidos = [];
+  const sharedStrings = zip.leer('xl/sharedStrings.xml');
+  if (sharedStrings) {
+    const regex = /<si>([\s\S]*?)<\/si>/g;
+    let match;
+    while ((match = regex.exec(sharedStrings)) !== null) {
+      compartidos.push(textoDeNodo(match[1]));
+    }
+  }
+
+  const xml = zip.leer(hoja);
+  const filas = [];
+  const regexFila = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const regexCelda = /<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let matchFila;
+
+  while ((matchFila = regexFila.exec(xml)) !== null) {
+    const fila = [];
+    let matchCelda;
+
+    while ((matchCelda = regexCelda.exec(matchFila[2] || '')) !== null) {
+      const atributos = matchCelda[1];
+      const contenido = matchCelda[2] || '';
+      const referencia = (atributos.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const tipo = (atributos.match(/\bt="(\w+)"/) || [])[1];
+      const valor = (contenido.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let texto = '';
+      if (tipo === 's') {
+        texto = compartidos[parseInt(valor)] ?? '';
+      } else if (tipo === 'inlineStr') {
+        texto = textoDeNodo(contenido);
+      } else if (valor !== undefined) {
+        texto = decodificarXML(valor);
+      }
+
+      const indice = referencia ? indiceColumna(referencia) : fila.length;
+      while (fila.length < indice) fila.push('');
+      fila[indice] = texto;
+    }
+
+    // Las filas vacías no se escriben: respetar el número de fila de la hoja
+    const numero = parseInt((matchFila[1].match(/\br="(\d+)"/) || [])[1]) || filas.length + 1;
+    while (filas.length < numero - 1) filas.push([]);
+    filas[numero - 1] = fila;
+  }
+
+  return filas;
+}
+
+// ============================================================
+// REGISTROS
+// ============================================================
+
+/**
+ * Normalizar el nombre de una columna ("Razón Social" → "razon_social")
+ * @param {string} nombre
+ */
+function normalizarColumna(nombre) {
+  return String(nombre)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Leer una planilla como registros usando la primera fila como encabezado
+ * @param {Buffer|string} contenido - Archivo
+ * @param {string} formato - 'csv' | 'xlsx' (si se omite, se detecta por la firma ZIP)
+ * @returns {Array<Object>} Registros con { _fila, ...columnas normalizadas }
+ */
+function leerPlanilla(contenido, formato = null) {
+  const buffer = Buffer.isBuffer(contenido) ? contenido : Buffer.from(String(contenido), 'utf8');
+  const esXLSX = formato ? formato === 'xlsx' : buffer.subarray(0, 2).toString() === 'PK';
+
+  const filas = esXLSX ? parsearXLSX(buffer) : parsearCSV(buffer.toString('utf8'));
+
+  if (filas.length === 0) {
+    return [];
+  }
+
+  const columnas = filas[0].map(normalizarColumna);
+  const registros = [];
+
+  filas.slice(1).forEach((fila, i) => {
+    if (!fila.some(c => String(c).trim() !== '')) return;
+
+    // _fila: número de fila en la planilla (la 1 es el encabezado)
+    const registro = { _fila: i + 2 };
+    columnas.forEach((columna, j) => {
+      if (columna) registro[columna] = String(fila[j] ?? '').trim();
+    });
+    registros.push(registro);
+  });
+
+  return registros;
+}
+
+module.exports = {
+  SpreadsheetError,
+  parsearCSV,
+  parsearXLSX,
+  generarCSV,
+  normalizarColumna,
+  leerPlanilla
+};
@@ -13,6 +13,7 @@ class ComprobanteStore {
   constructor(filePath) {
     this.filePath = filePath || config.storage.comprobantesFile;
     this.data = new Map();
+    this.aliases = new Map(); // key alternativo → key del comprobante
     this.dirty = false;
     this.saveInterval = null;
     
@@ -44,6 +45,12 @@ class ComprobanteStore {
             this.data.set(key, value);
           }
         }
+
+        if (parsed.aliases) {
+          for (const [alias, key] of Object.entries(parsed.aliases)) {
+            this.aliases.set(alias, key);
+          }
+        }
         
         logger.info(`Cargados ${this.data.size} comprobantes desde storage`);
       }
@@ -64,7 +71,8 @@ class ComprobanteStore {
         version: 1,
         updated_at: new Date().toISOString(),
         total: this.data.size,
-        comprobantes: Object.fromEntries(this.data)
+        comprobantes: Object.fromEntries(this.data),
+        aliases: Object.fromEntries(this.aliases)
       };
       
       // Escribir a archivo temporal primero (atomic write)
@@ -111,12 +119,21 @@ class ComprobanteStore {
    * @param {Object} comprobante - Datos del comprobante
    */
   set(shopifyOrderId, comprobante) {
-    const key = `shopify-${shopifyOrderId}`;
-    
-    const entry = {
+    return this.setByKey(`shopify-${shopifyOrderId}`, {
       ...comprobante,
-      created_at: new Date().toISOString(),
       shopify_order_id: shopifyOrderId
+    });
+  }
+
+  /**
+   * Guardar comprobante con key completo (otros canales de venta)
+   * @param {string} key - Key completo (ej: 'mercadolibre-123')
+   * @param {Object} comprobante - Datos del comprobante
+   */
+  setByKey(key, comprobante) {
+    const entry = {
+      ...comprobante,
+      created_at: new Date().toISOString()
     };
     
     this.data.set(key, entry);
@@ -127,6 +144,29 @@ class ComprobanteStore {
     return entry;
   }
 
+  /**
+   * Actualizar campos de un comprobante existente
+   * @param {string} key - Key completo
+   * @param {Object} cambios - Campos a actualizar
+   * @returns {Object|null} Entrada actualizada o null si no existe
+   */
+  updateByKey(key, cambios) {
+    key = this.resolveKey(key);
+    const actual = this.data.get(key);
+    if (!actual) return null;
+
+    const entry = {
+      ...actual,
+      ...cambios,
+      updated_at: new Date().toISOString()
+    };
+
+    this.data.set(key, entry);
+    this.dirty = true;
+
+    return entry;
+  }
+
   /**
    * Obtener comprobante por ID de pedido Shopify
    * @param {string} shopifyOrderId
@@ -137,11 +177,32 @@ class ComprobanteStore {
   }
 
   /**
-   * Obtener comprobante por key completo
+   * Obtener comprobante por key completo (o alias)
    * @param {string} key
    */
   getByKey(key) {
-    return this.data.get(key) || null;
+    return this.data.get(this.resolveKey(key)) || null;
+  }
+
+  /**
+   * Registrar un key alternativo que apunta a un comprobante existente
+   * Ej: cada pedido de un pack de MercadoLibre apunta al comprobante del pack
+   * @param {string} alias - Key alternativo
+   * @param {string} key - Key del comprobante
+   */
+  setAlias(alias, key) {
+    if (alias === key) return;
+
+    this.aliases.set(alias, key);
+    this.dirty = true;
+  }
+
+  /**
+   * Resolver un key (si es alias, devuelve el key del comprobante)
+   * @param {string} key
+   */
+  resolveKey(key) {
+    return this.aliases.get(key) || key;
   }
 
   /**
@@ -153,6 +214,14 @@ class ComprobanteStore {
     return this.data.has(key);
   }
 
+  /**
+   * Verificar si existe comprobante con key completo
+   * @param {string} key
+   */
+  hasKey(key) {
+    return this.data.has(this.resolveKey(key));
+  }
+
   /**
    * Obtener todos los comprobantes
    */
@@ -218,6 +287,13 @@ class ComprobanteStore {
         removed++;
       }
     }
+
+    // Eliminar aliases que quedaron apuntando a comprobantes borrados
+    for (const [alias, key] of this.aliases) {
+      if (!this.data.has(key)) {
+        this.aliases.delete(alias);
+      }
+    }
     
     if (removed > 0) {
       this.dirty = true;
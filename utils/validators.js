@@ -7,22 +7,45 @@ const config = require('../config');
 const logger = require('./logger');
 
 /**
- * Validar RUT uruguayo usando algoritmo módulo 11
- * Funciona para CI (8 dígitos) y RUT (12 dígitos)
- * 
- * NOTA: El algoritmo de dígito verificador puede variar según el tipo de documento.
- * Para mayor seguridad, la validación final se realiza contra DGI a través de Biller.
- * 
- * @param {string} rut - RUT o CI a validar
- * @returns {{valid: boolean, reason?: string, type?: string}}
+ * Normalizar un RUT o CI tipeado a mano: quita puntos, espacios y el guion antes del
+ * dígito verificador, y repone el cero inicial que falta (CI de 7 dígitos, RUT de 11)
+ * sólo si así el dígito verificador es correcto
+ * @param {string} documento - RUT o CI como lo cargó el comprador
+ * @returns {string} Sólo dígitos
  */
-function validarRUT(rut) {
+function normalizarDocumento(documento) {
+  const digitos = String(documento ?? '').replace(/\D/g, '');
+
+  if (digitos.length === 7 && validarDigitoCI(`0${digitos}`).valid) {
+    return `0${digitos}`;
+  }
+  if (digitos.length === 11 && validarDigitoRUT(`0${digitos}`).valid) {
+    return `0${digitos}`;
+  }
+
+  return digitos;
+}
+
+/**
+ * Validar RUT (12 dígitos) o CI (8 dígitos) uruguayos con su dígito verificador
+ * - CI: pesos 2,9,8,7,6,3,4 módulo 10 (validarCI)
+ * - RUT: pesos 4,3,2,9,8,7,6,5,4,3,2 módulo 11
+ *
+ * Con un dígito verificador incorrecto, en modo estricto
+ * (`config.facturacion.validacionDocumentoEstricta`) el documento se rechaza; si no, se
+ * acepta con `needsVerification` y la validación final la hace DGI a través de Biller.
+ *
+ * @param {string} rut - RUT o CI a validar (se normaliza con normalizarDocumento)
+ * @param {Object} options
+ * @param {boolean} options.estricto - Rechazar dígitos verificadores incorrectos
+ * @returns {{valid: boolean, reason?: string, type?: string, cleaned?: string, warning?: string, needsVerification?: boolean}}
+ */
+function validarRUT(rut, { estricto = config.facturacion.validacionDocumentoEstricta } = {}) {
   if (!rut) {
     return { valid: false, reason: 'RUT vacío' };
   }
 
-  // Limpiar: solo números
-  const rutLimpio = String(rut).replace(/\D/g, '');
+  const rutLimpio = normalizarDocumento(rut);
   
   // Verificar longitud
   if (rutLimpio.length !== 8 && rutLimpio.length !== 12) {
@@ -34,23 +57,24 @@ function validarRUT(rut) {
 
   // Determinar tipo
   const tipo = rutLimpio.length === 12 ? 'RUT' : 'CI';
+  const verificacion = tipo === 'RUT' ? validarDigitoRUT(rutLimpio) : validarDigitoCI(rutLimpio);
 
-  // Validación del dígito verificador usando módulo 11
-  // El algoritmo uruguayo usa multiplicadores 2,9,8,7,6,5,4,3,2 de derecha a izquierda
-  // Pero dado que existen variantes, hacemos validación básica y dejamos
-  // la validación definitiva a DGI/Biller
-  
-  const verificacionBasica = validarDigitoVerificador(rutLimpio);
-  
-  // Aceptamos el RUT si pasa la verificación básica O si tiene formato correcto
-  // La validación final la hace DGI a través de la API de Biller
-  if (!verificacionBasica.valid) {
-    // Log warning pero no rechazar - la API de Biller/DGI hará la validación final
+  if (!verificacion.valid) {
+    if (estricto) {
+      return {
+        valid: false,
+        type: tipo,
+        cleaned: rutLimpio,
+        reason: `Dígito verificador incorrecto: ${verificacion.reason}`
+      };
+    }
+
+    // Aceptar provisionalmente: la API de Biller/DGI hace la validación final
     return {
-      valid: true, // Aceptar provisionalmente
+      valid: true,
       type: tipo,
       cleaned: rutLimpio,
-      warning: `Dígito verificador posiblemente incorrecto: ${verificacionBasica.reason}`,
+      warning: `Dígito verificador posiblemente incorrecto: ${verificacion.reason}`,
       needsVerification: true
     };
   }
@@ -63,54 +87,66 @@ function validarRUT(rut) {
 }
 
 /**
- * Validar dígito verificador con algoritmo módulo 11 uruguayo
- * @param {string} numero - Número limpio (solo dígitos)
+ * Validar una cédula de identidad uruguaya (siempre con su dígito verificador)
+ * @param {string} ci - CI con o sin puntos y guion ("1.234.567-2")
+ * @returns {{valid: boolean, reason?: string, cleaned?: string}}
  */
-function validarDigitoVerificador(numero) {
-  try {
-    // Rellenar a 12 dígitos
-    const padded = numero.padStart(12, '0');
-    const digitos = padded.split('').map(Number);
-    
-    // Multiplicadores de derecha a izquierda (excluyendo verificador): 2,9,8,7,6,5,4,3,2,9,8,7...
-    // Para 11 dígitos: posiciones 0-10, verificador en 11
-    const multiplicadores = [2, 9, 8, 7, 6, 5, 4, 3, 2, 9, 8];
-    
-    // Calcular suma de derecha a izquierda (sin el verificador)
-    let suma = 0;
-    for (let i = 0; i < 11; i++) {
-      // Posición desde la derecha (sin contar verificador)
-      const pos = 10 - i;
-      suma += digitos[pos] * multiplicadores[i];
-    }
-    
-    // Calcular verificador
-    const resto = suma % 11;
-    let verificadorCalculado;
-    
-    if (resto === 0) {
-      verificadorCalculado = 0;
-    } else if (resto === 1) {
-      verificadorCalculado = 0; // En algunos casos puede ser 0 o 1
-    } else {
-      verificadorCalculado = 11 - resto;
-    }
-    
-    const verificadorProvisto = digitos[11];
-    
-    // Aceptar si coincide o si es resto 1 (puede ser 0 o 1)
-    if (verificadorCalculado === verificadorProvisto || 
-        (resto === 1 && (verificadorProvisto === 0 || verificadorProvisto === 1))) {
-      return { valid: true };
-    }
-    
-    return { 
-      valid: false, 
-      reason: `esperado ${verificadorCalculado}, recibido ${verificadorProvisto}`
-    };
-  } catch (e) {
-    return { valid: false, reason: e.message };
+function validarCI(ci) {
+  const ciLimpia = normalizarDocumento(ci);
+
+  if (ciLimpia.length !== 8) {
+    return { valid: false, reason: `Longitud inválida: ${ciLimpia.length} (debe ser 8)` };
+  }
+
+  const verificacion = validarDigitoCI(ciLimpia);
+  if (!verificacion.valid) {
+    return { valid: false, reason: `Dígito verificador incorrecto: ${verificacion.reason}` };
+  }
+
+  return { valid: true, cleaned: ciLimpia };
+}
+
+/**
+ * Dígito verificador de la CI: pesos 2,9,8,7,6,3,4 sobre los 7 primeros dígitos,
+ * verificador = (10 - suma % 10) % 10
+ * @param {string} numero - CI limpia (8 dígitos)
+ */
+function validarDigitoCI(numero) {
+  const digitos = numero.split('').map(Number);
+  const pesos = [2, 9, 8, 7, 6, 3, 4];
+
+  const suma = pesos.reduce((total, peso, i) => total + peso * digitos[i], 0);
+  const verificadorCalculado = (10 - (suma % 10)) % 10;
+  const verificadorProvisto = digitos[7];
+
+  if (verificadorCalculado === verificadorProvisto) {
+    return { valid: true };
+  }
+
+  return { valid: false, reason: `esperado ${verificadorCalculado}, recibido ${verificadorProvisto}` };
+}
+
+/**
+ * Dígito verificador del RUT: pesos 4,3,2,9,8,7,6,5,4,3,2 sobre los 11 primeros dígitos,
+ * verificador = 11 - suma % 11 (11 → 0; 10 no es un RUT válido)
+ * @param {string} numero - RUT limpio (12 dígitos)
+ */
+function validarDigitoRUT(numero) {
+  const digitos = numero.split('').map(Number);
+  const pesos = [4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+  const suma = pesos.reduce((total, peso, i) => total + peso * digitos[i], 0);
+  const verificadorCalculado = (11 - (suma % 11)) % 11;
+  const verificadorProvisto = digitos[11];
+
+  if (verificadorCalculado === 10) {
+    return { valid: false, reason: 'número sin dígito verificador posible' };
   }
+  if (verificadorCalculado === verificadorProvisto) {
+    return { valid: true };
+  }
+
+  return { valid: false, reason: `esperado ${verificadorCalculado}, recibido ${verificadorProvisto}` };
 }
 
 /**
@@ -124,6 +160,11 @@ function extraerRUTDePedido(order) {
     return { rut: null, razonSocial: null, source: null };
   }
 
+  // El comprador eligió un documento del exterior: no es RUT/CI aunque esté en esos campos
+  if (tipoDocumentoDeclarado(camposPedidoShopify(order))) {
+    return { rut: null, razonSocial: null, source: null };
+  }
+
   const camposRUT = config.facturacion.camposRUT;
   const camposRazonSocial = config.facturacion.camposRazonSocial;
   
@@ -137,7 +178,7 @@ function extraerRUTDePedido(order) {
       const nombreLower = (attr.name || '').toLowerCase();
       const valor = (attr.value || '').trim();
       
-      if (!valor) continue;
+      if (!valor || esCampoExtranjero(nombreLower)) continue;
       
       // Buscar RUT
       if (!rut && camposRUT.some(c => nombreLower.includes(c.toLowerCase()))) {
@@ -159,7 +200,7 @@ function extraerRUTDePedido(order) {
       const key = (mf.key || '').toLowerCase();
       const valor = (mf.value || '').trim();
       
-      if (!valor) continue;
+      if (!valor || esCampoExtranjero(key)) continue;
       
       if (camposRUT.some(c => key.includes(c.toLowerCase()))) {
         rut = valor;
@@ -191,9 +232,9 @@ function extraerRUTDePedido(order) {
 
   // 4. Buscar en nota del pedido con varios formatos
   if (!rut && order.note) {
-    // Patrones: "RUT: 123456789012", "CI:12345678", "documento 123456789012"
+    // Patrones: "RUT: 123456789012", "CI:1.234.567-2", "documento 123456789012"
     const patterns = [
-      /(?:rut|ci|documento|cedula|cédula)[:\s]*(\d{8,12})/i,
+      /(?:rut|ci|documento|cedula|cédula)[:\s]*(\d[\d. -]{5,14}\d)/i,
       /^\s*(\d{12})\s*$/m,  // Solo RUT de 12 dígitos en una línea
     ];
     
@@ -220,9 +261,9 @@ function extraerRUTDePedido(order) {
     }
   }
 
-  // Limpiar RUT encontrado
+  // Limpiar RUT encontrado (puntos, guion, cero inicial)
   if (rut) {
-    const rutLimpio = rut.replace(/\D/g, '');
+    const rutLimpio = normalizarDocumento(rut);
     
     // Validar longitud
     if (rutLimpio.length !== 8 && rutLimpio.length !== 12) {
@@ -246,6 +287,332 @@ function extraerRUTDePedido(order) {
   return { rut, razonSocial, source };
 }
 
+/**
+ * Países cuyo DNI tiene código propio en DGI (el de otros países se informa como OTRO)
+ */
+const PAISES_DNI = ['AR', 'BR', 'CL', 'PY'];
+
+/**
+ * Campos con valor de note_attributes y metafields de un pedido de Shopify
+ * @private
+ */
+function camposPedidoShopify(order) {
+  return [
+    ...(Array.isArray(order?.note_attributes) ? order.note_attributes : [])
+      .map(attr => ({ nombre: attr.name, valor: attr.value, source: `note_attributes.${attr.name}` })),
+    ...(Array.isArray(order?.metafields) ? order.metafields : [])
+      .map(mf => ({ nombre: mf.key, valor: mf.value, source: `metafields.${mf.namespace}.${mf.key}` }))
+  ]
+    .map(c => ({ ...c, nombre: String(c.nombre || '').toLowerCase(), valor: String(c.valor || '').trim() }))
+    .filter(c => c.valor);
+}
+
+/**
+ * El nombre del campo contiene alguno de la lista ("País documento" → "pais_documento")
+ * @private
+ */
+function coincideCampo(nombre, lista) {
+  const normalizado = nombre.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\s-]+/g, '_');
+  return lista.some(c => normalizado.includes(c.toLowerCase()));
+}
+
+/**
+ * Campo de documento del exterior (pasaporte, DNI, país o tipo): no se lee como RUT/CI
+ * @private
+ */
+function esCampoExtranjero(nombre) {
+  const { camposPasaporte, camposDNI, camposPaisDocumento, camposTipoDocumento } = config.facturacion;
+  return coincideCampo(nombre, [...camposPasaporte, ...camposDNI, ...camposPaisDocumento, ...camposTipoDocumento]);
+}
+
+/**
+ * Tipo de documento del exterior elegido en el checkout (null si es RUT/CI o no se eligió)
+ * @private
+ */
+function tipoDocumentoDeclarado(campos) {
+  const campo = campos.find(c => coincideCampo(c.nombre, config.facturacion.camposTipoDocumento));
+  if (!campo) return null;
+
+  const valor = campo.valor.toLowerCase();
+  if (/pasaporte|passport/.test(valor)) return config.TIPOS_DOCUMENTO.PASAPORTE;
+  if (/\bdni\b/.test(valor)) return config.TIPOS_DOCUMENTO.DNI;
+  if (/otro|other|extranjero|foreign/.test(valor)) return config.TIPOS_DOCUMENTO.OTRO;
+  return null;
+}
+
+/**
+ * Extraer el documento de un comprador del exterior de un pedido de Shopify
+ * - Pasaporte o DNI en sus campos (note_attributes / metafields), con el país que lo emitió
+ * - Con incluirCamposRUT (e-Factura de Exportación), o si el checkout declara el tipo,
+ *   los campos de RUT en cualquier formato (NIF, CUIT, tax ID...)
+ * @param {Object} order - Pedido de Shopify
+ * @param {Object} options
+ * @param {boolean} options.incluirCamposRUT - Leer también los campos de RUT (exportación)
+ * @param {string} options.pais - País si el pedido no lo indica (ISO alfa-2)
+ * @returns {{documento: string|null, tipoDocumento: number|null, pais: string|null, source: string|null}}
+ */
+function extraerDocumentoExtranjero(order, { incluirCamposRUT = true, pais: paisDefecto = null } = {}) {
+  const { camposPasaporte, camposDNI, camposPaisDocumento, camposRUT } = config.facturacion;
+  const campos = camposPedidoShopify(order);
+  const buscar = (lista) => campos.find(c => coincideCampo(c.nombre, lista));
+
+  const campoPais = buscar(camposPaisDocumento);
+  const pais = campoPais && /^[a-z]{2}$/i.test(campoPais.valor)
+    ? campoPais.valor.toUpperCase()
+    : (paisDefecto ? String(paisDefecto).toUpperCase() : null);
+  const declarado = tipoDocumentoDeclarado(campos);
+
+  let campo = buscar(camposPasaporte);
+  let tipoDocumento = config.TIPOS_DOCUMENTO.PASAPORTE;
+
+  if (!campo) {
+    campo = buscar(camposDNI);
+    tipoDocumento = config.TIPOS_DOCUMENTO.DNI;
+  }
+  if (!campo && (incluirCamposRUT || declarado)) {
+    campo = campos.find(c => !esCampoExtranjero(c.nombre) && coincideCampo(c.nombre, camposRUT));
+    tipoDocumento = declarado || config.TIPOS_DOCUMENTO.OTRO;
+  }
+
+  const documento = campo ? campo.valor.replace(/[^0-9A-Za-z]/g, '').toUpperCase().substring(0, 20) : '';
+  if (!documento) {
+    return { documento: null, tipoDocumento: null, pais, source: null };
+  }
+
+  if (tipoDocumento === config.TIPOS_DOCUMENTO.DNI && !PAISES_DNI.includes(pais)) {
+    tipoDocumento = config.TIPOS_DOCUMENTO.OTRO;
+  }
+
+  return { documento, tipoDocumento, pais, source: campo.source };
+}
+
+/**
+ * Extraer documento del comprador de un pedido de MercadoLibre
+ * Lee billing_info (doc_type/doc_number y additional_info) cargado en el checkout
+ * @param {Object} order - Pedido de MercadoLibre con billing_info
+ * @returns {{rut: string|null, razonSocial: string|null, tipoDocumento: number|null, direccion: Object|null, source: string|null}}
+ */
+function extraerDocumentoMercadoLibre(order) {
+  const vacio = { rut: null, razonSocial: null, tipoDocumento: null, direccion: null, source: null };
+  const billingInfo = order?.billing_info || order?.buyer?.billing_info;
+
+  if (!billingInfo) {
+    return vacio;
+  }
+
+  // additional_info: [{ type: 'BUSINESS_NAME', value: '...' }, ...]
+  const adicional = {};
+  for (const info of (billingInfo.additional_info || [])) {
+    if (info?.type && info.value) {
+      adicional[info.type.toUpperCase()] = String(info.value).trim();
+    }
+  }
+
+  const docType = String(billingInfo.doc_type || adicional.DOC_TYPE || '').toUpperCase();
+  const docNumber = billingInfo.doc_number || adicional.DOC_NUMBER;
+
+  if (!docNumber) {
+    return vacio;
+  }
+
+  const validacion = validarRUT(docNumber);
+  if (!validacion.valid) {
+    logger.debug('Documento de MercadoLibre descartado', {
+      docType,
+      docNumber,
+      reason: validacion.reason
+    });
+    return vacio;
+  }
+
+  // El largo del número manda: RUT 12 dígitos, CI 8 dígitos
+  if (docType && docType !== validacion.type) {
+    logger.debug('doc_type de MercadoLibre no coincide con el documento', {
+      docType,
+      detectado: validacion.type
+    });
+  }
+
+  const nombre = [
+    adicional.FIRST_NAME || order.buyer?.first_name,
+    adicional.LAST_NAME || order.buyer?.last_name
+  ].filter(Boolean).join(' ');
+
+  const razonSocial = adicional.BUSINESS_NAME || nombre || order.buyer?.nickname || 'Cliente';
+
+  let direccion = null;
+  if (adicional.STREET_NAME || adicional.CITY_NAME || adicional.STATE_NAME) {
+    direccion = {
+      address1: [adicional.STREET_NAME, adicional.STREET_NUMBER].filter(Boolean).join(' '),
+      address2: adicional.COMMENT || null,
+      city: adicional.CITY_NAME || null,
+      province: adicional.STATE_NAME || null,
+      zip: adicional.ZIP_CODE || null
+    };
+  }
+
+  return {
+    rut: validacion.cleaned,
+    razonSocial,
+    tipoDocumento: config.TIPOS_DOCUMENTO[validacion.type],
+    direccion,
+    source: `billing_info.${docType || 'doc_number'}`
+  };
+}
+
+/**
+ * Extraer documento del comprador de un pedido de WooCommerce
+ * Busca en campos extra de billing y meta_data del checkout (plugins de RUT/CI,
+ * ej: _billing_rut) y por último en la nota del cliente
+ * @param {Object} order - Pedido de WooCommerce (REST API v3)
+ * @returns {{rut: string|null, razonSocial: string|null, tipoDocumento: number|null, direccion: Object|null, source: string|null}}
+ */
+function extraerDocumentoWooCommerce(order) {
+  const vacio = { rut: null, razonSocial: null, tipoDocumento: null, direccion: null, source: null };
+
+  if (!order) {
+    return vacio;
+  }
+
+  const billing = order.billing || {};
+
+  // "_billing_rut" / "billing_rut" / "rut" → "rut"
+  const normalizarCampo = (key) => String(key || '').toLowerCase().replace(/^_+/, '').replace(/^billing_/, '');
+  const camposRUT = config.facturacion.camposRUT.map(c => c.toLowerCase());
+  const camposRazonSocial = config.facturacion.camposRazonSocial.map(c => c.toLowerCase());
+
+  const campos = [
+    ...Object.entries(billing).map(([key, value]) => ({ key, value, source: `billing.${key}` })),
+    ...(order.meta_data || []).map(m => ({ key: m.key, value: m.value, source: `meta_data.${m.key}` }))
+  ];
+
+  let documento = null;
+  let razonSocial = null;
+  let source = null;
+
+  for (const campo of campos) {
+    if (typeof campo.value !== 'string' && typeof campo.value !== 'number') continue;
+
+    const valor = String(campo.value).trim();
+    if (!valor) continue;
+
+    const nombre = normalizarCampo(campo.key);
+
+    if (!documento && camposRUT.includes(nombre)) {
+      documento = valor;
+      source = campo.source;
+    }
+
+    if (!razonSocial && camposRazonSocial.includes(nombre)) {
+      razonSocial = valor;
+    }
+  }
+
+  if (!documento && order.customer_note) {
+    const match = order.customer_note.match(/(?:rut|ci|documento|cedula|cédula)[:\s]*(\d[\d. -]{5,14}\d)/i);
+    if (match) {
+      documento = match[1];
+      source = 'customer_note';
+    }
+  }
+
+  if (!documento) {
+    return vacio;
+  }
+
+  const validacion = validarRUT(documento);
+  if (!validacion.valid) {
+    logger.debug('Documento de WooCommerce descartado', {
+      documento,
+      source,
+      reason: validacion.reason
+    });
+    return vacio;
+  }
+
+  const nombre = [billing.first_name, billing.last_name].filter(Boolean).join(' ');
+
+  let direccion = null;
+  if (billing.address_1 || billing.city || billing.state) {
+    direccion = {
+      address1: billing.address_1 || null,
+      address2: billing.address_2 || null,
+      city: billing.city || null,
+      province: billing.state || null,
+      zip: billing.postcode || null
+    };
+  }
+
+  return {
+    rut: validacion.cleaned,
+    razonSocial: razonSocial || billing.company || nombre || 'Cliente',
+    tipoDocumento: config.TIPOS_DOCUMENTO[validacion.type],
+    direccion,
+    source
+  };
+}
+
+/**
+ * Extraer documento del comprador de un pedido de Tiendanube
+ * Lee el campo de identificación del checkout (contact_identification / customer.identification)
+ * @param {Object} order - Pedido de Tiendanube
+ * @returns {{rut: string|null, razonSocial: string|null, tipoDocumento: number|null, direccion: Object|null, source: string|null}}
+ */
+function extraerDocumentoTiendanube(order) {
+  const vacio = { rut: null, razonSocial: null, tipoDocumento: null, direccion: null, source: null };
+
+  if (!order) {
+    return vacio;
+  }
+
+  let documento = null;
+  let source = null;
+
+  if (order.contact_identification) {
+    documento = String(order.contact_identification).trim();
+    source = 'contact_identification';
+  } else if (order.customer?.identification) {
+    documento = String(order.customer.identification).trim();
+    source = 'customer.identification';
+  }
+
+  if (!documento) {
+    return vacio;
+  }
+
+  const validacion = validarRUT(documento);
+  if (!validacion.valid) {
+    logger.debug('Documento de Tiendanube descartado', {
+      documento,
+      source,
+      reason: validacion.reason
+    });
+    return vacio;
+  }
+
+  const razonSocial = order.billing_business_name || order.billing_name ||
+    order.contact_name || order.customer?.name || 'Cliente';
+
+  let direccion = null;
+  if (order.billing_address || order.billing_city || order.billing_province) {
+    direccion = {
+      address1: [order.billing_address, order.billing_number].filter(Boolean).join(' ') || null,
+      address2: order.billing_floor || null,
+      city: order.billing_city || order.billing_locality || null,
+      province: order.billing_province || null,
+      zip: order.billing_zipcode || null
+    };
+  }
+
+  return {
+    rut: validacion.cleaned,
+    razonSocial,
+    tipoDocumento: config.TIPOS_DOCUMENTO[validacion.type],
+    direccion,
+    source
+  };
+}
+
 /**
  * Obtener razón social por defecto desde datos del pedido
  * @param {Object} order
@@ -316,6 +683,126 @@ function validarPedidoShopify(order) {
   };
 }
 
+/**
+ * Validar estructura de pedido de MercadoLibre (orders_v2)
+ * @param {Object} order
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validarPedidoMercadoLibre(order) {
+  const errors = [];
+
+  if (!order) {
+    errors.push('Pedido es null o undefined');
+    return { valid: false, errors };
+  }
+
+  if (!order.id) {
+    errors.push('Pedido sin ID');
+  }
+
+  if (!order.order_items || !Array.isArray(order.order_items) || order.order_items.length === 0) {
+    errors.push('Pedido sin items');
+  }
+
+  if (!order.total_amount && order.total_amount !== 0) {
+    errors.push('Pedido sin total');
+  }
+
+  if (order.order_items) {
+    for (let i = 0; i < order.order_items.length; i++) {
+      const orderItem = order.order_items[i];
+      if (!orderItem.item?.title) errors.push(`Item ${i}: sin título`);
+      if (!orderItem.unit_price && orderItem.unit_price !== 0) errors.push(`Item ${i}: sin precio`);
+      if (!orderItem.quantity) errors.push(`Item ${i}: sin cantidad`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validar estructura de pedido de WooCommerce
+ * @param {Object} order
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validarPedidoWooCommerce(order) {
+  const errors = [];
+
+  if (!order) {
+    errors.push('Pedido es null o undefined');
+    return { valid: false, errors };
+  }
+
+  if (!order.id) {
+    errors.push('Pedido sin ID');
+  }
+
+  if (!order.line_items || !Array.isArray(order.line_items) || order.line_items.length === 0) {
+    errors.push('Pedido sin items');
+  }
+
+  if (!order.total && order.total !== 0) {
+    errors.push('Pedido sin total');
+  }
+
+  if (order.line_items) {
+    for (let i = 0; i < order.line_items.length; i++) {
+      const item = order.line_items[i];
+      if (!item.name) errors.push(`Item ${i}: sin nombre`);
+      if (!item.subtotal && item.subtotal !== '0' && item.subtotal !== 0) errors.push(`Item ${i}: sin precio`);
+      if (!item.quantity) errors.push(`Item ${i}: sin cantidad`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validar estructura de pedido de Tiendanube
+ * @param {Object} order
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validarPedidoTiendanube(order) {
+  const errors = [];
+
+  if (!order) {
+    errors.push('Pedido es null o undefined');
+    return { valid: false, errors };
+  }
+
+  if (!order.id) {
+    errors.push('Pedido sin ID');
+  }
+
+  if (!order.products || !Array.isArray(order.products) || order.products.length === 0) {
+    errors.push('Pedido sin items');
+  }
+
+  if (!order.total && order.total !== 0) {
+    errors.push('Pedido sin total');
+  }
+
+  if (order.products) {
+    for (let i = 0; i < order.products.length; i++) {
+      const product = order.products[i];
+      if (!product.name) errors.push(`Item ${i}: sin nombre`);
+      if (!product.price && product.price !== 0 && product.price !== '0') errors.push(`Item ${i}: sin precio`);
+      if (!product.quantity) errors.push(`Item ${i}: sin cantidad`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validar datos de comprobante antes de enviar a Biller
  * @param {Object} datos
@@ -330,6 +817,14 @@ function validarDatosComprobante(datos) {
     errors.push(`Tipo de comprobante inválido: ${datos.tipo_comprobante}`);
   }
   
+  // e-Remitos: sólo bienes y cantidades (sin importes ni IVA)
+  const remito = [
+    config.TIPOS_CFE.E_REMITO,
+    config.TIPOS_CFE.E_REMITO_EXPORTACION,
+    config.TIPOS_CFE.E_REMITO_CONTINGENCIA,
+    config.TIPOS_CFE.E_REMITO_EXPORTACION_CONTINGENCIA
+  ].includes(datos.tipo_comprobante);
+
   // Items
   if (!datos.items || !Array.isArray(datos.items) || datos.items.length === 0) {
     errors.push('Comprobante sin items');
@@ -343,6 +838,7 @@ function validarDatosComprobante(datos) {
       if (typeof item.cantidad !== 'number' || item.cantidad <= 0) {
         errors.push(`Item ${i}: cantidad inválida`);
       }
+      if (remito) continue;
       if (typeof item.precio !== 'number') {
         errors.push(`Item ${i}: precio inválido`);
       }
@@ -351,15 +847,52 @@ function validarDatosComprobante(datos) {
       }
     }
   }
+
+  if (remito && ![1, 2].includes(datos.tipo_traslado)) {
+    errors.push('e-Remito requiere tipo_traslado (1 venta, 2 traslado interno)');
+  }
   
+  // Exportación: receptor con país y datos de la operación
+  const exportacion = [
+    config.TIPOS_CFE.E_FACTURA_EXPORTACION,
+    config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION,
+    config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION
+  ].includes(datos.tipo_comprobante);
+
+  if (exportacion) {
+    if (!datos.cliente?.razon_social && !datos.cliente?.nombre_fantasia) {
+      errors.push('e-Factura de Exportación requiere nombre del receptor');
+    }
+    if (!datos.cliente?.sucursal?.pais) {
+      errors.push('e-Factura de Exportación requiere país del receptor');
+    }
+    if (!datos.clausula_venta || !datos.modalidad_venta || !datos.via_transporte) {
+      errors.push('e-Factura de Exportación requiere clausula_venta, modalidad_venta y via_transporte');
+    }
+  }
+
+  // Documento del exterior (pasaporte, DNI, otro): el receptor lleva el país del documento
+  const documentoExterior = [
+    config.TIPOS_DOCUMENTO.OTRO,
+    config.TIPOS_DOCUMENTO.PASAPORTE,
+    config.TIPOS_DOCUMENTO.DNI
+  ].includes(datos.cliente?.tipo_documento);
+
+  if (documentoExterior && !datos.cliente.sucursal?.pais) {
+    errors.push('Documento del exterior requiere país del receptor');
+  }
+
   // Cliente para e-Factura
   if (datos.tipo_comprobante === config.TIPOS_CFE.E_FACTURA || 
-      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA) {
+      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA ||
+      datos.tipo_comprobante === config.TIPOS_CFE.ND_E_FACTURA) {
     if (!datos.cliente) {
       errors.push('e-Factura requiere datos del cliente');
     } else {
       if (!datos.cliente.documento) {
         errors.push('Cliente sin número de documento');
+      } else if (documentoExterior) {
+        errors.push('e-Factura requiere RUT o CI del receptor (pasaporte/DNI van en e-Ticket)');
       }
       if (!datos.cliente.razon_social && !datos.cliente.nombre_fantasia) {
         errors.push('Cliente sin razón social / nombre fantasía');
@@ -367,15 +900,23 @@ function validarDatosComprobante(datos) {
     }
   }
   
-  // Referencias para NC
-  if (datos.tipo_comprobante === config.TIPOS_CFE.NC_E_TICKET || 
-      datos.tipo_comprobante === config.TIPOS_CFE.NC_E_FACTURA) {
+  // Referencias para NC y ND
+  const nota = [
+    config.TIPOS_CFE.NC_E_TICKET,
+    config.TIPOS_CFE.NC_E_FACTURA,
+    config.TIPOS_CFE.NC_E_FACTURA_EXPORTACION,
+    config.TIPOS_CFE.ND_E_TICKET,
+    config.TIPOS_CFE.ND_E_FACTURA,
+    config.TIPOS_CFE.ND_E_FACTURA_EXPORTACION
+  ].includes(datos.tipo_comprobante);
+
+  if (nota) {
     if (!datos.referencias || datos.referencias.length === 0) {
-      errors.push('Nota de crédito requiere referencia al comprobante original');
+      errors.push('Nota de crédito/débito requiere referencia al comprobante original');
     } else {
       datos.referencias.forEach((ref, idx) => {
         if (typeof ref === 'object') {
-          if (!ref.tipo || !ref.serie || !ref.numero) {
+          if (!(ref.tipo_cfe || ref.tipo) || !ref.serie || !ref.numero) {
             errors.push(`Referencia ${idx} incompleta`);
           }
         }
@@ -399,6 +940,39 @@ function validarEmail(email) {
   return re.test(email);
 }
 
+/**
+ * Indicadores de IVA por nombre o tasa (planillas, reglas fiscales)
+ */
+const INDICADORES_POR_NOMBRE = {
+  exento: config.INDICADORES_IVA.EXENTO,
+  minima: config.INDICADORES_IVA.GRAVADO_MINIMA,
+  '10': config.INDICADORES_IVA.GRAVADO_MINIMA,
+  basica: config.INDICADORES_IVA.GRAVADO_BASICA,
+  '22': config.INDICADORES_IVA.GRAVADO_BASICA,
+  no_gravado: config.INDICADORES_IVA.NO_GRAVADO
+};
+
+/**
+ * Parsear un indicador de IVA: código 1-4, nombre ("exento", "mínima",
+ * "básica", "no gravado") o tasa ("10%", "22")
+ * @param {string|number} valor
+ * @returns {number|null} Código de INDICADORES_IVA o null si no se reconoce
+ */
+function parsearIndicadorIVA(valor) {
+  if (valor === null || valor === undefined || valor === '') return null;
+
+  const texto = String(valor)
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/%/g, '')
+    .replace(/\s+/g, '_');
+  if (/^[1-4]$/.test(texto)) return parseInt(texto);
+
+  return INDICADORES_POR_NOMBRE[texto] ?? null;
+}
+
 /**
  * Sanitizar string para CFE (remover caracteres problemáticos)
  * @param {string} str
@@ -416,10 +990,20 @@ function sanitizarString(str, maxLength = 200) {
 
 module.exports = {
   validarRUT,
+  validarCI,
+  normalizarDocumento,
   extraerRUTDePedido,
+  extraerDocumentoMercadoLibre,
+  extraerDocumentoWooCommerce,
+  extraerDocumentoTiendanube,
+  extraerDocumentoExtranjero,
   obtenerRazonSocialDefault,
   validarPedidoShopify,
+  validarPedidoMercadoLibre,
+  validarPedidoWooCommerce,
+  validarPedidoTiendanube,
   validarDatosComprobante,
   validarEmail,
+  parsearIndicadorIVA,
   sanitizarString
 };
@@ -0,0 +1,220 @@
+/**
+ * Cliente para API REST de WooCommerce
+ * @module woocommerce-client
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { withRetry } = require('./utils/retry');
+
+/**
+ * Error personalizado para WooCommerce
+ */
+class WooCommerceError extends Error {
+  constructor(message, code, status, response) {
+    super(message);
+    this.name = 'WooCommerceError';
+    this.code = code;
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/**
+ * Meta del pedido donde se guarda el comprobante emitido
+ */
+const META_COMPROBANTE = '_biller_comprobante';
+
+/**
+ * Cliente para la API REST de WooCommerce
+ */
+class WooCommerceClient {
+  constructor() {
+    this.storeUrl = config.woocommerce.url;
+    this.consumerKey = config.woocommerce.consumerKey;
+    this.consumerSecret = config.woocommerce.consumerSecret;
+    this.apiVersion = config.woocommerce.apiVersion;
+    this.webhookSecret = config.woocommerce.webhookSecret;
+  }
+
+  /**
+   * URL base de la API
+   */
+  get baseUrl() {
+    return `${this.storeUrl}/wp-json/${this.apiVersion}`;
+  }
+
+  /**
+   * Realizar petición a la API de WooCommerce (Basic Auth sobre HTTPS)
+   */
+  async request(method, endpoint, data = null) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const startTime = Date.now();
+    const credenciales = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Basic ${credenciales}`,
+        'Accept': 'application/json'
+      }
+    };
+
+    if (data) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(data);
+    }
+
+    try {
+      const response = await fetch(url, options);
+      const duration = Date.now() - startTime;
+
+      logger.request(method, endpoint, response.status, duration);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorData;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch {
+          errorData = { message: errorText };
+        }
+
+        throw new WooCommerceError(
+          errorData.message || `HTTP ${response.status}`,
+          response.status === 404 ? 'NOT_FOUND' : (errorData.code || 'API_ERROR'),
+          response.status,
+          errorData
+        );
+      }
+
+      const text = await response.text();
+      return text ? JSON.parse(text) : {};
+
+    } catch (error) {
+      if (error instanceof WooCommerceError) throw error;
+
+      throw new WooCommerceError(
+        `Error de conexión: ${error.message}`,
+        'NETWORK_ERROR',
+        0,
+        null
+      );
+    }
+  }
+
+  /**
+   * Request con reintentos
+   */
+  async requestWithRetry(method, endpoint, data = null, operationName = 'wc-request') {
+    return withRetry(
+      () => this.request(method, endpoint, data),
+      {
+        maxAttempts: 3,
+        initialDelay: 1000,
+        maxDelay: 5000,
+        operationName
+      }
+    );
+  }
+
+  // ============================================================
+  // WEBHOOKS
+  // ============================================================
+
+  /**
+   * Verificar firma X-WC-Webhook-Signature (HMAC-SHA256 del body en base64)
+   * @param {string} data - Body crudo
+   * @param {string} signature - Header X-WC-Webhook-Signature
+   */
+  verifyWebhookSignature(data, signature) {
+    if (!signature || !data || !this.webhookSecret) return false;
+
+    const hash = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(data, 'utf8')
+      .digest('base64');
+
+    try {
+      return crypto.timingSafeEqual(
+        Buffer.from(hash),
+        Buffer.from(signature)
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  // ============================================================
+  // PEDIDOS
+  // ============================================================
+
+  /**
+   * Obtener un pedido por ID
+   */
+  async getOrder(orderId) {
+    return this.requestWithRetry(
+      'GET',
+      `/orders/${orderId}`,
+      null,
+      'wc-get-order'
+    );
+  }
+
+  /**
+   * Obtener un reembolso de un pedido
+   * @returns {Object} Reembolso con line_items (cantidades y montos negativos)
+   */
+  async getRefund(orderId, refundId) {
+    return this.requestWithRetry(
+      'GET',
+      `/orders/${orderId}/refunds/${refundId}`,
+      null,
+      'wc-get-refund'
+    );
+  }
+
+  /**
+   * Marcar pedido como facturado (meta del pedido con el comprobante)
+   */
+  async marcarComoFacturado(orderId, datosComprobante) {
+    await this.requestWithRetry(
+      'PUT',
+      `/orders/${orderId}`,
+      {
+        meta_data: [
+          { key: META_COMPROBANTE, value: `${datosComprobante.serie}-${datosComprobante.numero}` },
+          { key: '_biller_comprobante_id', value: String(datosComprobante.id) },
+          { key: '_biller_cae', value: datosComprobante.cae_numero || '' }
+        ]
+      },
+      'wc-marcar-facturado'
+    );
+
+    logger.info('Pedido WooCommerce marcado como facturado', { orderId });
+  }
+
+  /**
+   * Agregar nota privada al pedido con los datos del comprobante
+   */
+  async agregarNotaComprobante(orderId, datosComprobante) {
+    const nota = [
+      '✅ Comprobante emitido',
+      `Número: ${datosComprobante.serie}-${datosComprobante.numero}`,
+      `CAE: ${datosComprobante.cae_numero || 'N/A'}`,
+      datosComprobante.publicPdfUrl ? `PDF: ${datosComprobante.publicPdfUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    await this.request('POST', `/orders/${orderId}/notes`, {
+      note: nota,
+      customer_note: false
+    });
+  }
+}
+
+module.exports = {
+  WooCommerceClient,
+  WooCommerceError,
+  META_COMPROBANTE
+};
@@ -0,0 +1,237 @@
+/**
+ * MercadoLibre Fiscal Document Worker
+ *
+ * Sube el PDF del CFE emitido a la venta de MercadoLibre.
+ * El estado de la subida queda en el ComprobanteStore (campo ml_fiscal_document)
+ * y los fallos se registran en el ErrorStore para poder reintentarlos.
+ *
+ * @module workers/ml-fiscal-document-worker
+ */
+
+const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+
+/**
+ * Estados de subida
+ */
+const UPLOAD_STATUS = {
+  PENDING: 'pending',
+  UPLOADED: 'uploaded',
+  FAILED: 'failed'
+};
+
+/**
+ * Clase para subir documentos fiscales a MercadoLibre
+ */
+class MLFiscalDocumentWorker {
+  constructor(options = {}) {
+    this.billerClient = options.billerClient || null;
+    this.mercadolibreClient = options.mercadolibreClient || null;
+    this.comprobanteStore = options.comprobanteStore || null;
+    this.errorStore = options.errorStore || null;
+
+    this.retry = {
+      maxAttempts: 3,
+      initialDelay: 2000,
+      maxDelay: 10000,
+      ...options.retry
+    };
+
+    this.stats = {
+      uploaded: 0,
+      failed: 0,
+      replayed: 0
+    };
+
+    logger.info('MLFiscalDocumentWorker inicializado', {
+      maxAttempts: this.retry.maxAttempts
+    });
+  }
+
+  /**
+   * Configura las dependencias del worker
+   */
+  configure(options) {
+    if (options.billerClient) this.billerClient = options.billerClient;
+    if (options.mercadolibreClient) this.mercadolibreClient = options.mercadolibreClient;
+    if (options.comprobanteStore) this.comprobanteStore = options.comprobanteStore;
+    if (options.errorStore) this.errorStore = options.errorStore;
+  }
+
+  /**
+   * Sube el PDF del comprobante guardado bajo storeKey a su venta
+   * No lanza errores: el resultado queda registrado en el store
+   * @param {string} storeKey - Key del comprobante (ej: 'mercadolibre-123')
+   * @returns {Object} Estado final de la subida
+   */
+  async subir(storeKey) {
+    const comprobante = this.comprobanteStore?.getByKey(storeKey);
+
+    if (!comprobante) {
+      logger.warn('Comprobante no encontrado para subir a MercadoLibre', { storeKey });
+      return { status: 'error', reason: 'comprobante_no_encontrado' };
+    }
+
+    if (comprobante.ml_fiscal_document?.status === UPLOAD_STATUS.UPLOADED) {
+      return { status: 'skipped', reason: 'already_uploaded' };
+    }
+
+    const packId = comprobante.mercadolibre_pack_id || comprobante.mercadolibre_order_id;
+    const mercadolibreClient = comprobante.mercadolibre_seller_id && this.mercadolibreClient?.forSeller
+      ? this.mercadolibreClient.forSeller(comprobante.mercadolibre_seller_id)
+      : this.mercadolibreClient;
+    const intentosPrevios = comprobante.ml_fiscal_document?.attempts || 0;
+    let attempts = 0;
+
+    this._actualizarEstado(storeKey, {
+      status: UPLOAD_STATUS.PENDING,
+      attempts: intentosPrevios
+    });
+
+    try {
+      if (!this.billerClient || !mercadolibreClient) {
+        throw new Error('Clientes de Biller/MercadoLibre no configurados');
+      }
+
+      const response = await withRetry(
+        async () => {
+          attempts++;
+          const pdf = await this.billerClient.obtenerPDF(comprobante.id);
+          return mercadolibreClient.subirDocumentoFiscal(
+            packId,
+            pdf,
+            `CFE-${comprobante.serie}-${comprobante.numero}.pdf`
+          );
+        },
+        {
+          ...this.retry,
+          operationName: 'ml-subir-documento-fiscal'
+        }
+      );
+
+      this._actualizarEstado(storeKey, {
+        status: UPLOAD_STATUS.UPLOADED,
+        attempts: intentosPrevios + attempts,
+        ids: response.ids || null,
+        uploaded_at: new Date().toISOString(),
+        error: null,
+        error_id: null
+      });
+
+      // Si venía de un fallo registrado, marcarlo como resuelto
+      if (comprobante.ml_fiscal_document?.error_id && this.errorStore) {
+        this.errorStore.resolveError(comprobante.ml_fiscal_document.error_id, {
+          notes: 'Documento fiscal subido en reintento',
+          by: 'ml-fiscal-document-worker'
+        });
+      }
+
+      this.stats.uploaded++;
+
+      logger.info('✅ Documento fiscal subido a MercadoLibre', {
+        storeKey,
+        packId,
+        comprobante: `${comprobante.serie}-${comprobante.numero}`
+      });
+
+      return { status: 'success', packId };
+
+    } catch (error) {
+      let errorId = null;
+
+      if (this.errorStore) {
+        errorId = this.errorStore.recordError(error, {
+          orderId: comprobante.mercadolibre_order_id || packId,
+          action: 'ml_subir_documento_fiscal',
+          attempt: intentosPrevios + attempts,
+          storeKey,
+          packId,
+          comprobanteId: comprobante.id
+        });
+      }
+
+      this._actualizarEstado(storeKey, {
+        status: UPLOAD_STATUS.FAILED,
+        attempts: intentosPrevios + attempts,
+        error: error.message,
+        error_id: errorId,
+        failed_at: new Date().toISOString()
+      });
+
+      this.stats.failed++;
+
+      logger.error('❌ Error subiendo documento fiscal a MercadoLibre', {
+        storeKey,
+        packId,
+        error: error.message,
+        errorId
+      });
+
+      return { status: 'error', reason: 'upload_failed', message: error.message, errorId };
+    }
+  }
+
+  /**
+   * Reintenta todas las subidas fallidas
+   * @returns {Array} Resultado por comprobante
+   */
+  async reintentarFallidos() {
+    const fallidos = this.getFallidos();
+    const resultados = [];
+
+    for (const comprobante of fallidos) {
+      this.stats.replayed++;
+      const resultado = await this.subir(comprobante.key);
+      resultados.push({ key: comprobante.key, ...resultado });
+    }
+
+    return resultados;
+  }
+
+  /**
+   * Obtiene comprobantes cuya subida falló
+   * @returns {Array} Comprobantes con ml_fiscal_document.status === 'failed'
+   */
+  getFallidos() {
+    if (!this.comprobanteStore) return [];
+
+    return this.comprobanteStore.find(c => c.ml_fiscal_document?.status === UPLOAD_STATUS.FAILED);
+  }
+
+  /**
+   * Obtiene estadísticas del worker
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendientesDeReintento: this.getFallidos().length
+    };
+  }
+
+  /**
+   * Actualiza el estado de subida en el store
+   * @private
+   */
+  _actualizarEstado(storeKey, estado) {
+    const actual = this.comprobanteStore.getByKey(storeKey)?.ml_fiscal_document || {};
+    this.comprobanteStore.updateByKey(storeKey, {
+      ml_fiscal_document: { ...actual, ...estado }
+    });
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getMLFiscalDocumentWorker(options = {}) {
+  if (!instance) {
+    instance = new MLFiscalDocumentWorker(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  MLFiscalDocumentWorker,
+  getMLFiscalDocumentWorker,
+  UPLOAD_STATUS
+};